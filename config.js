@@ -18,6 +18,92 @@ const config = {
         password: process.env.REDIS_PASSWORD || null,
     },
 
+    // Torrent indexers that turn an IMDb ID into candidate infohashes for the debrid providers
+    indexers: {
+        // JSON array of { type: 'torznab' | 'json', name, url, apiKey, ... }
+        list: process.env.TORRENT_INDEXERS || '[]',
+        // Shortcut for a single Torznab endpoint (Jackett, Prowlarr)
+        torznabUrl: process.env.TORZNAB_URL || null,
+        torznabApiKey: process.env.TORZNAB_API_KEY || null,
+        timeout: parseInt(process.env.INDEXER_TIMEOUT_MS, 10) || 10000
+    },
+
+    // Cleanup of torrents the addon itself added to debrid accounts (the user's own torrents are never touched)
+    debridCleanup: {
+        enabled: process.env.DEBRID_CLEANUP_ENABLED !== 'false',
+        // Delete addon-added torrents not played for this long
+        maxAgeHours: parseInt(process.env.DEBRID_CLEANUP_MAX_AGE_HOURS, 10) || 48,
+        // Above this many torrents on an account, the addon's least recently played ones go first
+        maxTorrents: parseInt(process.env.DEBRID_CLEANUP_MAX_TORRENTS, 10) || 100,
+        intervalMinutes: parseInt(process.env.DEBRID_CLEANUP_INTERVAL_MINUTES, 10) || 60
+    },
+
+    // Durable AI enhancement queue (ai_processing_queue in the SQLite database)
+    aiQueue: {
+        // Worker threads consuming the queue
+        workers: parseInt(process.env.AI_WORKERS, 10) || 2,
+        maxAttempts: parseInt(process.env.AI_JOB_MAX_ATTEMPTS, 10) || 3,
+        // A job not finished within its lease is failed and retried (or dead-lettered on its last attempt)
+        leaseSeconds: parseInt(process.env.AI_JOB_LEASE_SECONDS, 10) || 300,
+        // Retry backoff doubles from this base after each failed attempt
+        retryBaseSeconds: parseInt(process.env.AI_JOB_RETRY_BASE_SECONDS, 10) || 30,
+        retryMaxSeconds: 60 * 60,
+        // Files are sent to the model in windows of this many cues, overlapping by chunkOverlap on each side
+        chunkCues: parseInt(process.env.AI_CHUNK_CUES, 10) || 150,
+        chunkOverlap: parseInt(process.env.AI_CHUNK_OVERLAP, 10) || 8
+    },
+
+    // AI providers the workers call; see lib/ai/aiProviderRegistry.js
+    aiProviders: {
+        // Built-in APIs, skipped while their API key is unset. Costs are list prices in USD per million tokens for the
+        // default models.
+        builtIn: [
+            { name: 'gemini', type: 'gemini', apiKey: process.env.GEMINI_API_KEY, model: process.env.GEMINI_MODEL || 'gemini-2.0-flash-exp', inputCostPerMillion: 0.10, outputCostPerMillion: 0.40 },
+            { name: 'openai', type: 'openai', baseUrl: 'https://api.openai.com/v1', apiKey: process.env.OPENAI_API_KEY, model: process.env.OPENAI_MODEL || 'gpt-4o-mini', requiresKey: true, inputCostPerMillion: 0.15, outputCostPerMillion: 0.60 },
+            { name: 'claude', type: 'anthropic', apiKey: process.env.CLAUDE_API_KEY, model: process.env.CLAUDE_MODEL || 'claude-3-5-haiku-20241022', inputCostPerMillion: 0.80, outputCostPerMillion: 4.00 }
+        ],
+        // JSON array of { name, type: 'openai' | 'gemini' | 'anthropic', baseUrl, model, apiKey, authHeader, authScheme,
+        // headers, contextWindow, maxOutputTokens, requestsPerMinute, timeoutMs, inputCostPerMillion, outputCostPerMillion }
+        list: process.env.AI_CUSTOM_PROVIDERS || '[]',
+        // Shortcut for one self-hosted OpenAI-compatible server, registered as provider 'local'
+        localUrl: process.env.LOCAL_LLM_URL || null,
+        localModel: process.env.LOCAL_LLM_MODEL || null,
+        localApiKey: process.env.LOCAL_LLM_API_KEY || null,
+        localContextWindow: parseInt(process.env.LOCAL_LLM_CONTEXT_WINDOW, 10) || null,
+        localRequestsPerMinute: parseInt(process.env.LOCAL_LLM_REQUESTS_PER_MINUTE, 10) || null,
+        // Tried in this order after the requested provider gives no answer
+        fallbackOrder: process.env.AI_FALLBACK_ORDER || 'gemini,openai,claude',
+        timeoutMs: parseInt(process.env.AI_REQUEST_TIMEOUT_MS, 10) || 120000
+    },
+
+    // Spending limits for AI requests (0 = no limit). Correction falls back to the rule-based corrector and translation
+    // waits for a daily or monthly limit to reset. Days and months are UTC.
+    aiBudget: {
+        dailyUsd: parseFloat(process.env.AI_DAILY_BUDGET_USD) || 0,
+        monthlyUsd: parseFloat(process.env.AI_MONTHLY_BUDGET_USD) || 0,
+        // Per title (a movie, or all episodes of a series), over all recorded usage
+        titleUsd: parseFloat(process.env.AI_TITLE_BUDGET_USD) || 0,
+        // Token limits cover providers without a price, such as self-hosted models
+        dailyTokens: parseInt(process.env.AI_DAILY_TOKEN_BUDGET, 10) || 0,
+        monthlyTokens: parseInt(process.env.AI_MONTHLY_TOKEN_BUDGET, 10) || 0,
+        titleTokens: parseInt(process.env.AI_TITLE_TOKEN_BUDGET, 10) || 0
+    },
+
+    // Versioned correction prompts; requests may name another template ('name' or 'name@version') to compare it
+    aiPrompts: {
+        // Pinned to a version, so templates added later only become the default when this is changed
+        correctionTemplate: process.env.AI_PROMPT_TEMPLATE || 'correction@1',
+        // Directory of *.json template definitions loaded next to the built-in ones
+        templatesDir: process.env.AI_PROMPT_TEMPLATES_DIR || null
+    },
+
+    // AI translation offered for a language with no subtitles at all
+    aiTranslation: {
+        enabled: process.env.AI_TRANSLATION_ENABLED !== 'false',
+        // Languages to translate from, in order of preference
+        sourceLanguages: process.env.AI_TRANSLATION_SOURCES || 'en'
+    },
+
     // SQLite database configuration
     database: {
         path: process.env.DB_PATH || './data/database.sqlite',
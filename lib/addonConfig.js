@@ -0,0 +1,169 @@
+// lib/addonConfig.js
+// Per-install addon configuration encoded (and encrypted) in the manifest URL path
+
+const crypto = require('crypto');
+const SecureKeyManager = require('./security/secureKeyManager');
+const { parseLanguageList, getConfiguredLanguages } = require('./languageSupport');
+const { aiProviders } = require('./ai/aiProviderRegistry');
+const { promptTemplates } = require('./ai/promptTemplates');
+
+// Built-in provider names, accepted until the provider registry is initialized
+const AI_PROVIDERS = ['gemini', 'openai', 'claude'];
+const DEBRID_PROVIDERS = ['realdebrid', 'alldebrid', 'premiumize', 'torbox'];
+
+const DEFAULT_ADDON_CONFIG = {
+    languages: null, // null = server default (SUBTITLE_LANGUAGES)
+    aiProvider: process.env.AI_PROVIDER || 'gemini',
+    correctionIntensity: parseInt(process.env.CORRECTION_INTENSITY || '7', 10),
+    promptTemplate: null, // null = server default (AI_PROMPT_TEMPLATE)
+    debrid: {}
+};
+
+// Config tokens are base64url so they can live in a single path segment
+const CONFIG_TOKEN_PATTERN = /^[A-Za-z0-9_-]{32,4096}$/;
+const IV_BYTES = 16;
+const AUTH_TAG_BYTES = 16;
+
+let keyManager = null;
+let resolveSecret = null;
+
+// Lazily create the key manager; rotation is disabled because install URLs are long-lived
+function getKeyManager() {
+    if (!keyManager) {
+        keyManager = new SecureKeyManager({ enableKeyRotation: false });
+    }
+    return keyManager;
+}
+
+function isEncryptionAvailable() {
+    const masterKey = process.env.MASTER_ENCRYPTION_KEY;
+    return !!masterKey && masterKey.length >= 32;
+}
+
+// Any provider registered on this server: built-in, AI_CUSTOM_PROVIDERS entries and 'local'
+function isKnownAIProvider(name) {
+    if (typeof name !== 'string' || !name) return false;
+    return aiProviders.providers.size > 0 ? aiProviders.has(name) : AI_PROVIDERS.includes(name);
+}
+
+// A correction template loaded on this server, as 'name' (its newest version) or 'name@version'
+function isKnownPromptTemplate(ref) {
+    if (typeof ref !== 'string' || !ref) return false;
+    const template = promptTemplates.get(ref);
+    return !!template && template.kind === 'correction';
+}
+
+// Validate and normalize a user-supplied config, dropping anything unknown
+function sanitizeAddonConfig(raw = {}) {
+    const promptTemplate = typeof raw.promptTemplate === 'string' ? raw.promptTemplate.trim() : '';
+    const config = {
+        languages: parseLanguageList(raw.languages, getConfiguredLanguages()),
+        aiProvider: isKnownAIProvider(raw.aiProvider) ? raw.aiProvider : DEFAULT_ADDON_CONFIG.aiProvider,
+        correctionIntensity: DEFAULT_ADDON_CONFIG.correctionIntensity,
+        promptTemplate: isKnownPromptTemplate(promptTemplate) ? promptTemplate : DEFAULT_ADDON_CONFIG.promptTemplate,
+        debrid: {}
+    };
+
+    const intensity = parseInt(raw.correctionIntensity, 10);
+    if (!isNaN(intensity)) {
+        config.correctionIntensity = Math.min(10, Math.max(1, intensity));
+    }
+
+    const debrid = raw.debrid || {};
+    for (const provider of DEBRID_PROVIDERS) {
+        const apiKey = typeof debrid[provider] === 'string' ? debrid[provider].trim() : '';
+        if (apiKey) {
+            config.debrid[provider] = apiKey;
+        }
+    }
+
+    return config;
+}
+
+// Serialize a config into an opaque URL-safe token
+function encodeAddonConfig(raw) {
+    const config = sanitizeAddonConfig(raw);
+    const [ivHex, authTagHex, encryptedHex] = getKeyManager().encrypt(JSON.stringify(config)).split(':');
+
+    return Buffer.from(ivHex + authTagHex + encryptedHex, 'hex').toString('base64url');
+}
+
+// Returns the decoded config, or null when the token is malformed or cannot be decrypted
+function decodeAddonConfig(token) {
+    if (!looksLikeConfigToken(token) || !isEncryptionAvailable()) return null;
+
+    try {
+        const bytes = Buffer.from(token, 'base64url');
+        if (bytes.length <= IV_BYTES + AUTH_TAG_BYTES) return null;
+
+        const iv = bytes.subarray(0, IV_BYTES).toString('hex');
+        const authTag = bytes.subarray(IV_BYTES, IV_BYTES + AUTH_TAG_BYTES).toString('hex');
+        const encrypted = bytes.subarray(IV_BYTES + AUTH_TAG_BYTES).toString('hex');
+
+        const json = getKeyManager().decrypt(`${iv}:${authTag}:${encrypted}`);
+        return sanitizeAddonConfig(JSON.parse(json));
+    } catch (error) {
+        console.warn('[AddonConfig] Could not decode config token:', error.message);
+        return null;
+    }
+}
+
+function looksLikeConfigToken(value) {
+    return typeof value === 'string' && CONFIG_TOKEN_PATTERN.test(value);
+}
+
+// Effective config for a request: per-install config when present, server defaults otherwise
+function resolveAddonConfig(config) {
+    return config || sanitizeAddonConfig({});
+}
+
+// Key for signing /resolve playback URLs. Without MASTER_ENCRYPTION_KEY it is random per process, so links listed
+// before a restart stop working until Stremio fetches the streams again.
+function getResolveSecret() {
+    if (!resolveSecret) {
+        resolveSecret = isEncryptionAvailable()
+            ? crypto.createHmac('sha256', process.env.MASTER_ENCRYPTION_KEY).update('resolve-url').digest()
+            : crypto.randomBytes(32);
+    }
+    return resolveSecret;
+}
+
+// Signature of a playback link as listed by the stream handler:
+// { configToken, provider, infoHash, fileIdx, season, episode, videoId }
+function signResolveRequest(request) {
+    const { configToken, provider, infoHash, fileIdx, season, episode, videoId } = request;
+    const payload = [configToken || '', provider, String(infoHash).toLowerCase(), fileIdx, season || '', episode || '', videoId || ''].join('/');
+    return crypto.createHmac('sha256', getResolveSecret()).update(payload).digest('hex').substring(0, 32);
+}
+
+function verifyResolveRequest(request, signature) {
+    if (typeof signature !== 'string' || !/^[a-f0-9]{32}$/.test(signature)) return false;
+    return crypto.timingSafeEqual(Buffer.from(signResolveRequest(request)), Buffer.from(signature));
+}
+
+// Public view of a config with debrid keys masked, for logging and the configure page
+function describeAddonConfig(config) {
+    const resolved = resolveAddonConfig(config);
+    const debrid = {};
+    for (const [provider, apiKey] of Object.entries(resolved.debrid)) {
+        debrid[provider] = `${apiKey.substring(0, 4)}***`;
+    }
+    return { ...resolved, debrid };
+}
+
+module.exports = {
+    AI_PROVIDERS,
+    DEBRID_PROVIDERS,
+    DEFAULT_ADDON_CONFIG,
+    isEncryptionAvailable,
+    isKnownAIProvider,
+    isKnownPromptTemplate,
+    sanitizeAddonConfig,
+    encodeAddonConfig,
+    decodeAddonConfig,
+    looksLikeConfigToken,
+    resolveAddonConfig,
+    describeAddonConfig,
+    signResolveRequest,
+    verifyResolveRequest
+};
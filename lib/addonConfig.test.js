@@ -0,0 +1,111 @@
+// lib/addonConfig.test.js
+// Unit tests for the per-install addon configuration tokens
+
+// The key manager reads the master key when it is first used
+process.env.MASTER_ENCRYPTION_KEY = 'test-master-key-for-addon-config-tokens';
+
+const {
+    DEFAULT_ADDON_CONFIG,
+    sanitizeAddonConfig,
+    encodeAddonConfig,
+    decodeAddonConfig,
+    looksLikeConfigToken,
+    describeAddonConfig,
+    signResolveRequest,
+    verifyResolveRequest
+} = require('./addonConfig');
+const { aiProviders, initializeAIProviders } = require('./ai/aiProviderRegistry');
+
+const CONFIG = {
+    languages: ['tr', 'en'],
+    aiProvider: 'openai',
+    correctionIntensity: 4,
+    promptTemplate: 'correction@1',
+    debrid: { realdebrid: 'RDKEY1234567890', torbox: 'TBKEY0987654321' }
+};
+
+// Flip one character in the middle of the token, keeping it base64url
+function tamper(token) {
+    const index = Math.floor(token.length / 2);
+    return token.substring(0, index) + (token[index] === 'A' ? 'B' : 'A') + token.substring(index + 1);
+}
+
+describe('Addon config', () => {
+    it('round-trips a config through an opaque URL-safe token', () => {
+        const token = encodeAddonConfig(CONFIG);
+
+        expect(looksLikeConfigToken(token)).toBe(true);
+        expect(token).not.toContain('RDKEY');
+        expect(decodeAddonConfig(token)).toEqual(CONFIG);
+    });
+
+    it('returns null for a tampered or malformed token', () => {
+        // Failed decryptions are logged by the key manager and the decoder
+        const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        try {
+            expect(decodeAddonConfig(tamper(encodeAddonConfig(CONFIG)))).toBeNull();
+            expect(decodeAddonConfig('not a token')).toBeNull();
+            expect(decodeAddonConfig('A'.repeat(40))).toBeNull();
+        } finally {
+            error.mockRestore();
+            warn.mockRestore();
+        }
+    });
+
+    it('drops unknown languages, providers and debrid services', () => {
+        const config = sanitizeAddonConfig({
+            languages: 'tur,xx,en,tr',
+            aiProvider: 'made-up',
+            debrid: { realdebrid: '  RDKEY  ', unknowndebrid: 'KEY', premiumize: 42 }
+        });
+
+        expect(config.languages).toEqual(['tr', 'en']);
+        expect(config.aiProvider).toBe(DEFAULT_ADDON_CONFIG.aiProvider);
+        expect(config.debrid).toEqual({ realdebrid: 'RDKEY' });
+    });
+
+    it('accepts the AI providers registered on the server, custom ones included', () => {
+        try {
+            initializeAIProviders({
+                builtIn: [{ name: 'gemini', type: 'gemini' }],
+                localUrl: 'http://localhost:8080/v1',
+                list: [{ name: 'openrouter', type: 'openai', baseUrl: 'https://openrouter.ai/api/v1' }]
+            });
+
+            expect(sanitizeAddonConfig({ aiProvider: 'local' }).aiProvider).toBe('local');
+            expect(sanitizeAddonConfig({ aiProvider: 'openrouter' }).aiProvider).toBe('openrouter');
+            // Built-in, but not registered on this server
+            expect(sanitizeAddonConfig({ aiProvider: 'claude' }).aiProvider).toBe(DEFAULT_ADDON_CONFIG.aiProvider);
+        } finally {
+            aiProviders.providers.clear();
+        }
+    });
+
+    it('clamps the correction intensity to 1-10', () => {
+        expect(sanitizeAddonConfig({ correctionIntensity: 42 }).correctionIntensity).toBe(10);
+        expect(sanitizeAddonConfig({ correctionIntensity: '-3' }).correctionIntensity).toBe(1);
+        expect(sanitizeAddonConfig({ correctionIntensity: 'strong' }).correctionIntensity).toBe(DEFAULT_ADDON_CONFIG.correctionIntensity);
+    });
+
+    it('keeps only correction prompt templates loaded on this server', () => {
+        expect(sanitizeAddonConfig({ promptTemplate: ' correction ' }).promptTemplate).toBe('correction');
+        expect(sanitizeAddonConfig({ promptTemplate: 'correction@9' }).promptTemplate).toBe(DEFAULT_ADDON_CONFIG.promptTemplate);
+        expect(sanitizeAddonConfig({ promptTemplate: { name: 'correction' } }).promptTemplate).toBe(DEFAULT_ADDON_CONFIG.promptTemplate);
+        expect(sanitizeAddonConfig({}).promptTemplate).toBeNull();
+    });
+
+    it('masks debrid keys in the public view', () => {
+        expect(describeAddonConfig(sanitizeAddonConfig(CONFIG)).debrid).toEqual({ realdebrid: 'RDKE***', torbox: 'TBKE***' });
+    });
+
+    it('signs playback links so any change to them is rejected', () => {
+        const request = { configToken: 'token', provider: 'realdebrid', infoHash: 'ABCDEF', fileIdx: 2, season: 1, episode: 3, videoId: 'tt1:1:3' };
+        const signature = signResolveRequest(request);
+
+        expect(verifyResolveRequest({ ...request, infoHash: 'abcdef' }, signature)).toBe(true);
+        expect(verifyResolveRequest({ ...request, episode: 4 }, signature)).toBe(false);
+        expect(verifyResolveRequest({ ...request, configToken: 'other' }, signature)).toBe(false);
+        expect(verifyResolveRequest(request, 'nope')).toBe(false);
+    });
+});
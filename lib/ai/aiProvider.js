@@ -0,0 +1,116 @@
+// lib/ai/aiProvider.js
+// Base class for AI text providers: context window check, per-provider rate limit and request timeout
+
+const fetch = require('node-fetch');
+
+// Rough prompt size, about four characters per token for Latin-script text
+function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+}
+
+class AIProvider {
+    constructor(config = {}) {
+        if (!config.name) {
+            throw new Error('AI provider name is required');
+        }
+        this.name = config.name;
+        this.model = config.model || null;
+        this.apiKey = config.apiKey || null;
+        // Total tokens the model accepts; a prompt that cannot fit (with room for the answer) is not sent
+        this.contextWindow = config.contextWindow || null;
+        this.maxOutputTokens = config.maxOutputTokens || null;
+        this.requestsPerMinute = config.requestsPerMinute || null;
+        this.timeout = config.timeoutMs || 120000;
+        // USD per million tokens; self-hosted models cost nothing per request
+        this.inputCostPerMillion = config.inputCostPerMillion || 0;
+        this.outputCostPerMillion = config.outputCostPerMillion || 0;
+        this.requestTimes = [];
+    }
+
+    isConfigured() {
+        return !!this.apiKey;
+    }
+
+    // Resolves { text, usage: { inputTokens, outputTokens, estimated, costUsd } }; throws on HTTP errors, empty answers
+    // and prompts too large for the context window. Token counts come from the API response when it reports them.
+    async complete(prompt, options = {}) {
+        if (this.contextWindow) {
+            const needed = estimateTokens(prompt) + (this.maxOutputTokens || 0);
+            if (needed > this.contextWindow) {
+                throw new Error(`prompt needs about ${needed} tokens, context window is ${this.contextWindow}`);
+            }
+        }
+
+        await this.waitForRateLimit();
+        const { text, usage } = await this.request(prompt, options.model || this.model, options.temperature ?? 0.3);
+        if (!text) {
+            throw new Error('empty response');
+        }
+
+        const inputTokens = usage && Number.isFinite(usage.inputTokens) ? usage.inputTokens : estimateTokens(prompt);
+        const outputTokens = usage && Number.isFinite(usage.outputTokens) ? usage.outputTokens : estimateTokens(text);
+        return {
+            text,
+            usage: {
+                inputTokens,
+                outputTokens,
+                estimated: !usage,
+                costUsd: this.getCost(inputTokens, outputTokens)
+            }
+        };
+    }
+
+    getCost(inputTokens, outputTokens) {
+        return (inputTokens * this.inputCostPerMillion + outputTokens * this.outputCostPerMillion) / 1e6;
+    }
+
+    // Subclasses send the prompt and resolve { text, usage: { inputTokens, outputTokens } or null }
+    async request() {
+        throw new Error(`${this.constructor.name} does not implement request()`);
+    }
+
+    // Sliding one-minute window: wait until the oldest request of the last minute drops out of it
+    async waitForRateLimit() {
+        if (!this.requestsPerMinute) return;
+        for (;;) {
+            const now = Date.now();
+            this.requestTimes = this.requestTimes.filter(time => now - time < 60000);
+            if (this.requestTimes.length < this.requestsPerMinute) {
+                this.requestTimes.push(now);
+                return;
+            }
+            await new Promise(resolve => setTimeout(resolve, 60000 - (now - this.requestTimes[0])));
+        }
+    }
+
+    async postJSON(url, headers, body) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body),
+            timeout: this.timeout
+        });
+        if (!response.ok) {
+            const detail = await response.text().catch(() => '');
+            throw new Error(`${this.name} API error: ${response.status} ${detail.substring(0, 200)}`.trim());
+        }
+        return response.json();
+    }
+
+    getStatus() {
+        return {
+            name: this.name,
+            model: this.model,
+            configured: this.isConfigured(),
+            contextWindow: this.contextWindow,
+            requestsPerMinute: this.requestsPerMinute,
+            inputCostPerMillion: this.inputCostPerMillion,
+            outputCostPerMillion: this.outputCostPerMillion
+        };
+    }
+}
+
+module.exports = {
+    AIProvider,
+    estimateTokens
+};
@@ -0,0 +1,128 @@
+// lib/ai/aiProviderRegistry.js
+// Named AI providers (built-in APIs and any OpenAI-compatible endpoint) tried in order until one answers
+
+const { OpenAICompatibleProvider } = require('./openAICompatibleProvider');
+const { GeminiProvider } = require('./geminiProvider');
+const { AnthropicProvider } = require('./anthropicProvider');
+
+class AIProviderRegistry {
+    constructor() {
+        this.adapters = {
+            openai: OpenAICompatibleProvider,
+            gemini: GeminiProvider,
+            anthropic: AnthropicProvider
+        };
+        this.providers = new Map();
+        // Providers tried after the requested one, when it is missing, unconfigured or fails
+        this.fallbackOrder = [];
+    }
+
+    // Make a new provider type available to addProvider ({ type: name, ... })
+    registerAdapter(type, adapterClass) {
+        this.adapters[type.toLowerCase()] = adapterClass;
+    }
+
+    // A provider with the name of an existing one replaces it (e.g. 'openai' pointed at a proxy)
+    addProvider(config) {
+        const type = (config.type || 'openai').toLowerCase();
+        const AdapterClass = this.adapters[type];
+        if (!AdapterClass) {
+            throw new Error(`Unsupported AI provider type: ${config.type}`);
+        }
+
+        const provider = new AdapterClass(config);
+        this.providers.set(provider.name, provider);
+        return provider;
+    }
+
+    has(name) {
+        return this.providers.has(name);
+    }
+
+    get(name) {
+        return this.providers.get(name) || null;
+    }
+
+    getStatus() {
+        return {
+            fallbackOrder: this.fallbackOrder,
+            providers: [...this.providers.values()].map(provider => provider.getStatus())
+        };
+    }
+
+    // options: { provider, model, temperature }; model only applies to the requested provider, the others use their
+    // own. Resolves { text, usage, provider, model } from the first provider that answers, or null when none did.
+    async complete(prompt, options = {}) {
+        const { provider: requested = null, model = null, temperature } = options;
+        const order = [...new Set([requested, ...this.fallbackOrder])].filter(Boolean);
+
+        for (const name of order) {
+            const provider = this.providers.get(name);
+            if (!provider || !provider.isConfigured()) continue;
+
+            const providerModel = name === requested && model ? model : provider.model;
+            try {
+                const { text, usage } = await provider.complete(prompt, { model: providerModel, temperature });
+                return { text, usage, provider: name, model: providerModel };
+            } catch (error) {
+                console.warn(`[AIProviders] ${name} failed: ${error.message}`);
+            }
+        }
+        return null;
+    }
+}
+
+// Instance configured from the environment (one per thread; each AI worker initializes its own)
+const aiProviders = new AIProviderRegistry();
+
+// config: { builtIn: [...], list: [...] or a JSON string, localUrl, localModel, localApiKey, localContextWindow,
+// localRequestsPerMinute, fallbackOrder, timeoutMs }; options: { rateLimitShare } splits each provider's
+// requestsPerMinute between that many threads calling it at once
+function initializeAIProviders(config = {}, options = {}) {
+    let list = config.list || [];
+    if (typeof list === 'string') {
+        try {
+            list = JSON.parse(list);
+        } catch (error) {
+            console.error('[AIProviders] AI_CUSTOM_PROVIDERS is not valid JSON:', error.message);
+            list = [];
+        }
+    }
+
+    // Single self-hosted OpenAI-compatible server shortcut
+    if (config.localUrl) {
+        list = [...(Array.isArray(list) ? list : []), {
+            name: 'local',
+            type: 'openai',
+            baseUrl: config.localUrl,
+            model: config.localModel,
+            apiKey: config.localApiKey,
+            contextWindow: config.localContextWindow,
+            requestsPerMinute: config.localRequestsPerMinute
+        }];
+    }
+
+    const share = Math.max(1, options.rateLimitShare || 1);
+    aiProviders.providers.clear();
+    for (const providerConfig of [...(config.builtIn || []), ...(Array.isArray(list) ? list : [])]) {
+        try {
+            const requestsPerMinute = providerConfig.requestsPerMinute
+                ? Math.max(1, Math.floor(providerConfig.requestsPerMinute / share))
+                : null;
+            aiProviders.addProvider({ timeoutMs: config.timeoutMs, ...providerConfig, requestsPerMinute });
+        } catch (error) {
+            console.error(`[AIProviders] Skipping provider '${providerConfig.name || providerConfig.baseUrl}':`, error.message);
+        }
+    }
+
+    aiProviders.fallbackOrder = String(config.fallbackOrder || '')
+        .split(/[,\s]+/)
+        .filter(name => name && aiProviders.has(name));
+    return aiProviders;
+}
+
+module.exports = {
+    AIProviderRegistry,
+    aiProviders,
+    initializeAIProviders
+};
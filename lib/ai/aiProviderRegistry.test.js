@@ -0,0 +1,139 @@
+// lib/ai/aiProviderRegistry.test.js
+// AI provider registry tests against a local stub OpenAI-compatible model server (no API keys needed)
+
+// The providers talk to the local stub server over real HTTP
+jest.unmock('node-fetch');
+
+const http = require('http');
+const { AIProviderRegistry, aiProviders, initializeAIProviders } = require('./aiProviderRegistry');
+
+const PROMPT = 'Subtitle file:\n1\n00:00:02,000 --> 00:00:03,500\nLine 1\n';
+
+// Answers every chat completion with 'ok'; paths under /broken fail
+function startStubModel() {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ path: req.url, headers: req.headers, body: JSON.parse(body) });
+            if (req.url.startsWith('/broken/')) {
+                res.writeHead(500);
+                res.end('model crashed');
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                choices: [{ message: { role: 'assistant', content: 'ok' } }],
+                usage: { prompt_tokens: 10, completion_tokens: 5 }
+            }));
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, requests })));
+}
+
+describe('AI provider registry', () => {
+    let server;
+    let requests;
+    let base;
+
+    beforeAll(async () => {
+        ({ server, requests } = await startStubModel());
+        base = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(() => {
+        requests.length = 0;
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('sends the model, temperature and a custom auth header to an OpenAI-compatible provider', async () => {
+        const registry = new AIProviderRegistry();
+        registry.addProvider({ name: 'stub', baseUrl: `${base}/v1/`, model: 'tiny-llm', apiKey: 'secret', authHeader: 'api-key', authScheme: '' });
+
+        const result = await registry.complete(PROMPT, { provider: 'stub', temperature: 0.1 });
+
+        expect(result).toEqual({
+            text: 'ok',
+            usage: { inputTokens: 10, outputTokens: 5, estimated: false, costUsd: 0 },
+            provider: 'stub',
+            model: 'tiny-llm'
+        });
+        expect(requests[0].path).toBe('/v1/chat/completions');
+        expect(requests[0].headers['api-key']).toBe('secret');
+        expect(requests[0].headers.authorization).toBeUndefined();
+        expect(requests[0].body).toMatchObject({ model: 'tiny-llm', temperature: 0.1 });
+    });
+
+    it('falls through failing, unconfigured and too-small providers to the next one', async () => {
+        const registry = new AIProviderRegistry();
+        registry.addProvider({ name: 'broken', baseUrl: `${base}/broken/v1` });
+        registry.addProvider({ name: 'keyless', baseUrl: `${base}/v1`, requiresKey: true });
+        registry.addProvider({ name: 'small', baseUrl: `${base}/v1`, contextWindow: 10 });
+        registry.addProvider({ name: 'good', baseUrl: `${base}/v1`, model: 'good-model' });
+        registry.fallbackOrder = ['keyless', 'small', 'good'];
+
+        const result = await registry.complete(PROMPT, { provider: 'broken', model: 'ignored-for-fallbacks' });
+
+        // A fallback uses its own model
+        expect(result).toMatchObject({ provider: 'good', model: 'good-model' });
+        expect(requests.map(request => request.path)).toEqual(['/broken/v1/chat/completions', '/v1/chat/completions']);
+        expect(console.warn).toHaveBeenCalledWith(expect.stringMatching(/^\[AIProviders\] small failed: prompt needs about \d+ tokens, context window is 10$/));
+    });
+
+    it('resolves null when no provider answers', async () => {
+        const registry = new AIProviderRegistry();
+        registry.addProvider({ name: 'broken', baseUrl: `${base}/broken/v1` });
+
+        expect(await registry.complete(PROMPT, { provider: 'broken' })).toBeNull();
+        expect(await registry.complete(PROMPT, { provider: 'missing' })).toBeNull();
+    });
+
+    it('refuses a prompt that cannot fit the context window with room for the answer, without sending it', async () => {
+        const registry = new AIProviderRegistry();
+        const provider = registry.addProvider({ name: 'small', baseUrl: `${base}/v1`, contextWindow: 100, maxOutputTokens: 90 });
+
+        await expect(provider.complete(PROMPT)).rejects.toThrow('prompt needs about 104 tokens, context window is 100');
+        expect(requests).toHaveLength(0);
+        await expect(provider.complete('short')).resolves.toMatchObject({ text: 'ok' });
+    });
+
+    it('holds a request over the rate limit until the oldest one leaves the one-minute window', async () => {
+        const registry = new AIProviderRegistry();
+        const provider = registry.addProvider({ name: 'limited', baseUrl: `${base}/v1`, requestsPerMinute: 2 });
+        provider.requestTimes = [Date.now() - 59800, Date.now() - 59800];
+        const startTime = Date.now();
+
+        await registry.complete(PROMPT, { provider: 'limited' });
+
+        expect(Date.now() - startTime).toBeGreaterThanOrEqual(150);
+        expect(provider.requestTimes).toHaveLength(1);
+    });
+
+    it('registers LOCAL_LLM_URL and splits rate limits between the threads', () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        try {
+            initializeAIProviders({
+                list: '[{ "name": "proxy", "baseUrl": "https://proxy.example/v1", "requestsPerMinute": 30 }]',
+                localUrl: `${base}/v1`,
+                localModel: 'stub-model',
+                fallbackOrder: 'missing, local proxy'
+            }, { rateLimitShare: 4 });
+
+            expect([...aiProviders.providers.keys()]).toEqual(['proxy', 'local']);
+            expect(aiProviders.get('proxy').requestsPerMinute).toBe(7);
+            expect(aiProviders.get('local').model).toBe('stub-model');
+            expect(aiProviders.fallbackOrder).toEqual(['local', 'proxy']);
+
+            initializeAIProviders({ list: 'not json' });
+            expect(aiProviders.providers.size).toBe(0);
+        } finally {
+            aiProviders.providers.clear();
+            aiProviders.fallbackOrder = [];
+        }
+    });
+});
@@ -0,0 +1,112 @@
+// lib/ai/aiUsageTracker.js
+// Records token usage and cost of AI requests and checks it against the daily, monthly and per-title budgets
+
+// Seconds until the current UTC day or month ends, when its budget becomes available again
+function secondsUntilReset(period) {
+    const now = new Date();
+    const reset = period === 'day'
+        ? Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)
+        : Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+    return Math.max(1, Math.ceil((reset - now.getTime()) / 1000));
+}
+
+class AIUsageTracker {
+    constructor(options = {}) {
+        this.database = options.database || null;
+        this.budgets = {
+            dailyUsd: 0,
+            monthlyUsd: 0,
+            titleUsd: 0,
+            dailyTokens: 0,
+            monthlyTokens: 0,
+            titleTokens: 0,
+            ...(options.budgets || {})
+        };
+    }
+
+    hasBudgets() {
+        return Object.values(this.budgets).some(limit => limit > 0);
+    }
+
+    // entries: { provider, model, videoId, operation, inputTokens, outputTokens, estimated, costUsd } (or an array)
+    async record(entries) {
+        if (!this.database) return;
+        for (const entry of [].concat(entries || [])) {
+            await this.database.recordAIUsage(entry);
+        }
+    }
+
+    // Resolves { exhausted, reason, retryAfterSeconds, daily, monthly, title }. retryAfterSeconds is null for
+    // a per-title cap, which does not reset.
+    async getBudgetStatus(videoId = null) {
+        const status = { exhausted: false, reason: null, retryAfterSeconds: null };
+        if (!this.database || !this.hasBudgets()) return status;
+
+        const checks = [
+            { key: 'daily', period: 'day', usd: this.budgets.dailyUsd, tokens: this.budgets.dailyTokens },
+            { key: 'monthly', period: 'month', usd: this.budgets.monthlyUsd, tokens: this.budgets.monthlyTokens },
+            { key: 'title', period: null, usd: this.budgets.titleUsd, tokens: this.budgets.titleTokens, videoId }
+        ];
+
+        for (const check of checks) {
+            if (!check.usd && !check.tokens) continue;
+            if (check.key === 'title' && !videoId) continue;
+
+            const totals = await this.database.getAIUsageTotals({ period: check.period, videoId: check.videoId });
+            const tokens = totals.input_tokens + totals.output_tokens;
+            status[check.key] = { costUsd: totals.cost_usd, tokens, limitUsd: check.usd || null, limitTokens: check.tokens || null };
+            if (status.exhausted) continue;
+
+            let reason = null;
+            if (check.usd && totals.cost_usd >= check.usd) {
+                reason = `${check.key} AI budget of $${check.usd} reached ($${totals.cost_usd.toFixed(4)} spent)`;
+            } else if (check.tokens && tokens >= check.tokens) {
+                reason = `${check.key} AI token budget of ${check.tokens} reached (${tokens} used)`;
+            }
+            if (reason) {
+                status.exhausted = true;
+                status.reason = reason;
+                status.retryAfterSeconds = check.period ? secondsUntilReset(check.period) : null;
+            }
+        }
+        return status;
+    }
+
+    async getSummary() {
+        if (!this.database) {
+            return { available: false, budgets: this.budgets };
+        }
+
+        const [today, month, byProvider, status] = await Promise.all([
+            this.database.getAIUsageTotals({ period: 'day' }),
+            this.database.getAIUsageTotals({ period: 'month' }),
+            this.database.getAIUsageByProvider({ period: 'month' }),
+            this.getBudgetStatus()
+        ]);
+        return {
+            available: true,
+            today,
+            month,
+            byProvider,
+            budgets: this.budgets,
+            budgetExhausted: status.exhausted,
+            budgetReason: status.reason
+        };
+    }
+}
+
+// Server-wide instance; usage from the AI workers is recorded through the pool on the main thread
+const aiUsageTracker = new AIUsageTracker();
+
+// config: the aiBudget section of config.js; options: { database }
+function initializeAIUsageTracker(config = {}, options = {}) {
+    aiUsageTracker.database = options.database || null;
+    aiUsageTracker.budgets = { ...aiUsageTracker.budgets, ...config };
+    return aiUsageTracker;
+}
+
+module.exports = {
+    AIUsageTracker,
+    aiUsageTracker,
+    initializeAIUsageTracker
+};
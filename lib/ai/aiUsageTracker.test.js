@@ -0,0 +1,77 @@
+// lib/ai/aiUsageTracker.test.js
+// Unit tests for AI usage recording and budget checks
+
+const { AIUsageTracker } = require('./aiUsageTracker');
+
+// In-memory stand-in for the ai_usage table; every row counts for the day and the month, videoId filters them
+function createDatabase(rows = []) {
+    return {
+        rows,
+        recordAIUsage: jest.fn(async entry => rows.push(entry)),
+        getAIUsageTotals: jest.fn(async ({ videoId } = {}) => {
+            const matching = rows.filter(row => !videoId || row.videoId === videoId);
+            return {
+                requests: matching.length,
+                input_tokens: matching.reduce((sum, row) => sum + row.inputTokens, 0),
+                output_tokens: matching.reduce((sum, row) => sum + row.outputTokens, 0),
+                cost_usd: matching.reduce((sum, row) => sum + (row.costUsd || 0), 0)
+            };
+        })
+    };
+}
+
+const USAGE = { provider: 'local', model: 'stub-model', videoId: 'tt0000001', operation: 'correction', inputTokens: 10, outputTokens: 5, costUsd: 0.01 };
+
+describe('AI usage tracker', () => {
+    it('records each usage entry', async () => {
+        const database = createDatabase();
+        const tracker = new AIUsageTracker({ database });
+
+        await tracker.record([USAGE, { ...USAGE, videoId: 'tt0000002' }]);
+        await tracker.record(null);
+
+        expect(database.recordAIUsage).toHaveBeenCalledTimes(2);
+    });
+
+    it('never reports a budget as spent without budgets or a database', async () => {
+        const database = createDatabase([USAGE]);
+
+        expect(await new AIUsageTracker({ database }).getBudgetStatus('tt0000001'))
+            .toEqual({ exhausted: false, reason: null, retryAfterSeconds: null });
+        expect((await new AIUsageTracker({ budgets: { dailyTokens: 1 } }).getBudgetStatus()).exhausted).toBe(false);
+        expect(database.getAIUsageTotals).not.toHaveBeenCalled();
+    });
+
+    it('reports a spent daily token budget until the UTC day ends', async () => {
+        const tracker = new AIUsageTracker({ database: createDatabase([USAGE, USAGE]), budgets: { dailyTokens: 30, monthlyUsd: 5 } });
+
+        const status = await tracker.getBudgetStatus();
+
+        expect(status).toMatchObject({
+            exhausted: true,
+            reason: 'daily AI token budget of 30 reached (30 used)',
+            daily: { tokens: 30, limitTokens: 30, limitUsd: null },
+            monthly: { costUsd: 0.02, limitUsd: 5 }
+        });
+        expect(status.retryAfterSeconds).toBeGreaterThan(0);
+        expect(status.retryAfterSeconds).toBeLessThanOrEqual(24 * 60 * 60);
+    });
+
+    it('checks the cost budget before the token budget', async () => {
+        const tracker = new AIUsageTracker({ database: createDatabase([USAGE]), budgets: { monthlyUsd: 0.01, monthlyTokens: 1 } });
+
+        expect((await tracker.getBudgetStatus()).reason).toBe('monthly AI budget of $0.01 reached ($0.0100 spent)');
+    });
+
+    it('caps a single title without a reset time, and only when a title is asked for', async () => {
+        const tracker = new AIUsageTracker({ database: createDatabase([USAGE, { ...USAGE, videoId: 'tt0000002' }]), budgets: { titleTokens: 15 } });
+
+        expect(await tracker.getBudgetStatus('tt0000001')).toMatchObject({
+            exhausted: true,
+            reason: 'title AI token budget of 15 reached (15 used)',
+            retryAfterSeconds: null
+        });
+        expect((await tracker.getBudgetStatus('tt0000003')).exhausted).toBe(false);
+        expect((await tracker.getBudgetStatus()).exhausted).toBe(false);
+    });
+});
@@ -0,0 +1,34 @@
+// lib/ai/anthropicProvider.js
+// Anthropic Messages API
+
+const { AIProvider } = require('./aiProvider');
+
+class AnthropicProvider extends AIProvider {
+    constructor(config = {}) {
+        super(config);
+        this.baseUrl = (config.baseUrl || 'https://api.anthropic.com/v1').replace(/\/+$/, '');
+    }
+
+    async request(prompt, model, temperature) {
+        const data = await this.postJSON(`${this.baseUrl}/messages`, {
+            'x-api-key': this.apiKey,
+            'anthropic-version': '2023-06-01'
+        }, {
+            model,
+            // The Messages API requires an output limit
+            max_tokens: this.maxOutputTokens || 4000,
+            temperature,
+            messages: [{ role: 'user', content: prompt }]
+        });
+        return {
+            text: data.content?.[0]?.text || null,
+            usage: data.usage ? { inputTokens: data.usage.input_tokens, outputTokens: data.usage.output_tokens } : null
+        };
+    }
+
+    getStatus() {
+        return { ...super.getStatus(), type: 'anthropic' };
+    }
+}
+
+module.exports = { AnthropicProvider };
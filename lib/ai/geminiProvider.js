@@ -0,0 +1,34 @@
+// lib/ai/geminiProvider.js
+// Google Gemini generateContent API
+
+const { AIProvider } = require('./aiProvider');
+
+class GeminiProvider extends AIProvider {
+    constructor(config = {}) {
+        super(config);
+        this.baseUrl = (config.baseUrl || 'https://generativelanguage.googleapis.com/v1beta').replace(/\/+$/, '');
+    }
+
+    async request(prompt, model, temperature) {
+        const generationConfig = { temperature };
+        if (this.maxOutputTokens) {
+            generationConfig.maxOutputTokens = this.maxOutputTokens;
+        }
+
+        const data = await this.postJSON(`${this.baseUrl}/models/${model}:generateContent?key=${this.apiKey}`, {}, {
+            contents: [{ parts: [{ text: prompt }] }],
+            generationConfig
+        });
+        const usage = data.usageMetadata;
+        return {
+            text: data.candidates?.[0]?.content?.parts?.[0]?.text || null,
+            usage: usage ? { inputTokens: usage.promptTokenCount, outputTokens: usage.candidatesTokenCount } : null
+        };
+    }
+
+    getStatus() {
+        return { ...super.getStatus(), type: 'gemini' };
+    }
+}
+
+module.exports = { GeminiProvider };
@@ -0,0 +1,53 @@
+// lib/ai/openAICompatibleProvider.js
+// Chat completions against OpenAI or any server with the same API (llama.cpp server, Ollama, vLLM)
+
+const { AIProvider } = require('./aiProvider');
+
+class OpenAICompatibleProvider extends AIProvider {
+    constructor(config = {}) {
+        super(config);
+        if (!config.baseUrl) {
+            throw new Error(`AI provider '${config.name}' needs a baseUrl`);
+        }
+        // e.g. https://api.openai.com/v1 or http://127.0.0.1:8080/v1; /chat/completions is appended
+        this.baseUrl = config.baseUrl.replace(/\/+$/, '');
+        this.authHeader = config.authHeader || 'Authorization';
+        // The key is sent as "<authScheme> <key>"; an empty scheme sends the bare key (e.g. an api-key header)
+        this.authScheme = config.authScheme ?? 'Bearer';
+        this.headers = config.headers || {};
+        // Self-hosted servers usually run without a key
+        this.requiresKey = config.requiresKey ?? false;
+    }
+
+    isConfigured() {
+        return !this.requiresKey || !!this.apiKey;
+    }
+
+    async request(prompt, model, temperature) {
+        const headers = { ...this.headers };
+        if (this.apiKey) {
+            headers[this.authHeader] = this.authScheme ? `${this.authScheme} ${this.apiKey}` : this.apiKey;
+        }
+
+        const body = {
+            model: model || undefined,
+            messages: [{ role: 'user', content: prompt }],
+            temperature
+        };
+        if (this.maxOutputTokens) {
+            body.max_tokens = this.maxOutputTokens;
+        }
+
+        const data = await this.postJSON(`${this.baseUrl}/chat/completions`, headers, body);
+        return {
+            text: data.choices?.[0]?.message?.content || null,
+            usage: data.usage ? { inputTokens: data.usage.prompt_tokens, outputTokens: data.usage.completion_tokens } : null
+        };
+    }
+
+    getStatus() {
+        return { ...super.getStatus(), type: 'openai', baseUrl: this.baseUrl };
+    }
+}
+
+module.exports = { OpenAICompatibleProvider };
@@ -0,0 +1,54 @@
+// lib/ai/promptEvaluation.js
+// A/B evaluation of correction prompt templates: one queued job per template on the same sample subtitle, each
+// output scored by the quality analyzer when the job runs (see AIWorkerPool.runPromptEvaluationJob)
+
+const crypto = require('crypto');
+const { convertSubtitle } = require('../subtitles/formats');
+const { promptTemplates } = require('./promptTemplates');
+
+const PROMPT_EVALUATION_JOB = 'prompt_evaluation';
+
+// options: { templates: [ref, ...], videoId, language, aiProvider, aiModel, correctionIntensity, priority }.
+// Resolves { sampleHash, jobs: [{ template, id, status, created }] }; a template already run on this sample keeps
+// its job (retry it through /api/ai/jobs to run it again). Throws for unknown templates.
+async function enqueuePromptEvaluation(jobQueue, content, options = {}) {
+    const srtContent = convertSubtitle(content, 'srt') || content;
+    const templates = [...new Set((options.templates || []).map(ref => promptTemplates.resolve(ref, 'correction').id))];
+    if (templates.length === 0) {
+        throw new Error('At least one prompt template is required');
+    }
+
+    const sampleHash = crypto.createHash('sha1').update(srtContent).digest('hex').substring(0, 16);
+    const jobs = [];
+    for (const template of templates) {
+        const result = await jobQueue.enqueue({
+            jobKey: `prompt-eval:${sampleHash}:${template}`,
+            jobType: PROMPT_EVALUATION_JOB,
+            // Usage and per-title budgets of a sample without a title are counted under the sample
+            videoId: options.videoId || `sample:${sampleHash}`,
+            provider: 'evaluation',
+            language: options.language || null,
+            content: srtContent,
+            options: {
+                promptTemplate: template,
+                sampleHash,
+                aiProvider: options.aiProvider,
+                aiModel: options.aiModel,
+                correctionIntensity: options.correctionIntensity,
+                primaryLanguage: options.language
+            },
+            // Below the jobs of viewers waiting for a subtitle
+            priority: options.priority ?? -1
+        });
+        if (!result) {
+            throw new Error('AI job queue is not ready');
+        }
+        jobs.push({ template, ...result });
+    }
+    return { sampleHash, jobs };
+}
+
+module.exports = {
+    PROMPT_EVALUATION_JOB,
+    enqueuePromptEvaluation
+};
@@ -0,0 +1,114 @@
+// lib/ai/promptEvaluation.test.js
+// Unit tests for prompt template A/B evaluation: queueing one job per template and scoring each template's output
+
+const { enqueuePromptEvaluation, PROMPT_EVALUATION_JOB } = require('./promptEvaluation');
+const { parseSrt, serializeSrt } = require('../subtitles/srtParser');
+const AIWorkerPool = require('../workers/aiWorkerPool');
+
+const SAMPLE_SRT = serializeSrt([1, 2, 3, 4].map(i => ({
+    index: i,
+    start: i * 2000,
+    end: i * 2000 + 1500,
+    text: i === 2 ? `Line ${i}\nsecond line` : `Line ${i}`
+})));
+
+// What a model following the prompt sends back: every cue 100ms later
+const RETIMED_SRT = serializeSrt(parseSrt(SAMPLE_SRT).map(cue => ({ ...cue, start: cue.start + 100, end: cue.end + 100 })));
+
+function createJobQueue() {
+    return {
+        enqueue: jest.fn(async job => ({ id: job.jobKey.length, status: 'pending', created: true })),
+        recordPromptEvaluation: jest.fn(async () => true)
+    };
+}
+
+// A pool without worker threads whose AI correction answers with output
+function createPool(output) {
+    return Object.assign(Object.create(AIWorkerPool.prototype), {
+        usageTracker: null,
+        processSubtitleChunked: jest.fn(async () => {
+            if (output instanceof Error) throw output;
+            return output;
+        })
+    });
+}
+
+const JOB = {
+    id: 7,
+    video_id: 'sample:abc',
+    language: 'de',
+    priority: -1,
+    original_content: SAMPLE_SRT,
+    options: { promptTemplate: 'correction@1', sampleHash: 'abc', aiProvider: 'local', aiModel: 'stub-model' }
+};
+
+describe('Prompt evaluation', () => {
+    beforeEach(() => jest.spyOn(console, 'log').mockImplementation(() => {}));
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('queues one low-priority job per pinned template on the same sample', async () => {
+        const jobQueue = createJobQueue();
+
+        const { sampleHash, jobs } = await enqueuePromptEvaluation(jobQueue, SAMPLE_SRT, { templates: ['correction', 'correction@1'], aiProvider: 'local' });
+
+        expect(sampleHash).toMatch(/^[a-f0-9]{16}$/);
+        expect(jobs).toEqual([expect.objectContaining({ template: 'correction@1', created: true })]);
+        expect(jobQueue.enqueue).toHaveBeenCalledWith(expect.objectContaining({
+            jobKey: `prompt-eval:${sampleHash}:correction@1`,
+            jobType: PROMPT_EVALUATION_JOB,
+            videoId: `sample:${sampleHash}`,
+            priority: -1,
+            options: expect.objectContaining({ promptTemplate: 'correction@1', sampleHash, aiProvider: 'local' })
+        }));
+    });
+
+    it('refuses unknown templates and an empty template list', async () => {
+        const jobQueue = createJobQueue();
+
+        await expect(enqueuePromptEvaluation(jobQueue, SAMPLE_SRT, { templates: ['correction@9'] }))
+            .rejects.toThrow('Unknown correction prompt template: correction@9');
+        await expect(enqueuePromptEvaluation(jobQueue, SAMPLE_SRT, {})).rejects.toThrow('At least one prompt template is required');
+        expect(jobQueue.enqueue).not.toHaveBeenCalled();
+    });
+
+    it('scores the template\'s output and records it for the template and sample', async () => {
+        const jobQueue = createJobQueue();
+        const pool = createPool(RETIMED_SRT);
+
+        const { content, report } = await pool.runPromptEvaluationJob(jobQueue, JOB);
+
+        expect(content).toBe(RETIMED_SRT);
+        expect(pool.processSubtitleChunked).toHaveBeenCalledWith(SAMPLE_SRT, expect.objectContaining({
+            promptTemplate: 'correction@1', useFallback: false, throwOnFailure: true
+        }));
+        expect(report).toMatchObject({ action: 'evaluate', promptTemplate: 'correction@1', accepted: true, retimedCues: 4 });
+        expect(jobQueue.recordPromptEvaluation).toHaveBeenCalledWith(expect.objectContaining({
+            template: 'correction@1',
+            sampleHash: 'abc',
+            provider: 'local',
+            model: 'stub-model',
+            accepted: true,
+            score: report.score,
+            originalScore: report.originalScore
+        }));
+    });
+
+    it('scores output the validator rejected as zero and keeps the reason', async () => {
+        const jobQueue = createJobQueue();
+        const rejected = Object.assign(new Error('AI output dropped 3 of 4 cues'), { outputRejected: true });
+
+        const { content, report } = await createPool(rejected).runPromptEvaluationJob(jobQueue, JOB);
+
+        expect(content).toBe(SAMPLE_SRT);
+        expect(report).toMatchObject({ score: 0, accepted: false, reason: 'AI output dropped 3 of 4 cues' });
+        expect(jobQueue.recordPromptEvaluation).toHaveBeenCalledWith(expect.objectContaining({ score: 0, accepted: false }));
+    });
+
+    it('fails the job on an AI error instead of scoring it', async () => {
+        const jobQueue = createJobQueue();
+
+        await expect(createPool(new Error('local API error: 500')).runPromptEvaluationJob(jobQueue, JOB)).rejects.toThrow('local API error: 500');
+        expect(jobQueue.recordPromptEvaluation).not.toHaveBeenCalled();
+    });
+});
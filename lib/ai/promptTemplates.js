@@ -0,0 +1,159 @@
+// lib/ai/promptTemplates.js
+// Versioned AI prompt templates with {{variable}} placeholders, selected per request as 'name' or 'name@version'
+
+const fs = require('fs');
+const path = require('path');
+const builtInCorrectionPrompts = require('./prompts/correction');
+
+// Variables each kind of template is rendered with; a template using any other is refused when it is added
+const TEMPLATE_VARIABLES = {
+    // intensityInstruction is the template's own intensityLevels entry for intensity (1-10)
+    correction: ['intensity', 'intensityInstruction', 'language', 'chunkNote', 'subtitle']
+};
+
+const PLACEHOLDER_PATTERN = /\{\{(\w+)\}\}/g;
+
+class PromptTemplateRegistry {
+    constructor() {
+        // id ('name@version') -> template
+        this.templates = new Map();
+        // kind -> id of the template used when a request names none
+        this.defaults = {};
+    }
+
+    // definition: { name, version, kind, description, intensityLevels, text }; text may be an array of lines
+    addTemplate(definition) {
+        const { name, kind = 'correction', description = '', intensityLevels = {} } = definition;
+        const version = parseInt(definition.version, 10);
+        const text = Array.isArray(definition.text) ? definition.text.join('\n') : definition.text;
+
+        if (!name || !/^[\w.-]+$/.test(name)) {
+            throw new Error(`Invalid prompt template name: ${name}`);
+        }
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error(`Prompt template '${name}' needs a version of 1 or more`);
+        }
+        if (!TEMPLATE_VARIABLES[kind]) {
+            throw new Error(`Prompt template '${name}' has unknown kind '${kind}'`);
+        }
+        if (typeof text !== 'string' || !text.trim()) {
+            throw new Error(`Prompt template '${name}' has no text`);
+        }
+
+        const unknown = [...text.matchAll(PLACEHOLDER_PATTERN)]
+            .map(match => match[1])
+            .filter(variable => !TEMPLATE_VARIABLES[kind].includes(variable));
+        if (unknown.length > 0) {
+            throw new Error(`Prompt template '${name}' uses unknown variable(s): ${[...new Set(unknown)].join(', ')}`);
+        }
+
+        const template = { id: `${name}@${version}`, name, version, kind, description, intensityLevels, text };
+        this.templates.set(template.id, template);
+        return template;
+    }
+
+    // ref: 'name@version', or 'name' for its highest version
+    get(ref) {
+        if (!ref) return null;
+        if (this.templates.has(ref)) return this.templates.get(ref);
+
+        let latest = null;
+        for (const template of this.templates.values()) {
+            if (template.name === ref && (!latest || template.version > latest.version)) {
+                latest = template;
+            }
+        }
+        return latest;
+    }
+
+    // The template for ref, or the default of kind when ref is empty; throws for unknown templates
+    resolve(ref, kind) {
+        const template = this.get(ref || this.defaults[kind]);
+        if (!template || template.kind !== kind) {
+            throw new Error(`Unknown ${kind} prompt template: ${ref || this.defaults[kind]}`);
+        }
+        return template;
+    }
+
+    setDefault(kind, ref) {
+        this.defaults[kind] = this.resolve(ref, kind).id;
+    }
+
+    // Resolves { id, text }; placeholders without a value are left empty
+    render(ref, kind, variables = {}) {
+        const template = this.resolve(ref, kind);
+        const values = { ...variables };
+        if (kind === 'correction') {
+            values.intensityInstruction = template.intensityLevels[values.intensity] || '';
+        }
+        const text = template.text.replace(PLACEHOLDER_PATTERN, (match, variable) => String(values[variable] ?? ''));
+        return { id: template.id, text };
+    }
+
+    list() {
+        return [...this.templates.values()]
+            .sort((a, b) => a.name.localeCompare(b.name) || a.version - b.version)
+            .map(({ id, name, version, kind, description }) => ({
+                id,
+                name,
+                version,
+                kind,
+                description,
+                default: this.defaults[kind] === id
+            }));
+    }
+}
+
+// Instance configured from the environment (one per thread; each AI worker initializes its own)
+const promptTemplates = new PromptTemplateRegistry();
+
+function addBuiltInTemplates(registry) {
+    builtInCorrectionPrompts.forEach(definition => registry.addTemplate(definition));
+    registry.defaults.correction = registry.get('correction@1').id;
+}
+addBuiltInTemplates(promptTemplates);
+
+// Each *.json file in dir holds one template definition (see addTemplate); one with the id of a built-in replaces it
+function loadTemplateDirectory(registry, dir) {
+    let files;
+    try {
+        files = fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+        console.error(`[PromptTemplates] Cannot read template directory ${dir}:`, error.message);
+        return;
+    }
+
+    for (const file of files) {
+        try {
+            const template = registry.addTemplate(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+            console.log(`[PromptTemplates] Loaded ${template.id} from ${file}`);
+        } catch (error) {
+            console.error(`[PromptTemplates] Skipping ${file}:`, error.message);
+        }
+    }
+}
+
+// config: { correctionTemplate, templatesDir }. The default stays on a pinned version, so a newer template added
+// to the directory is only used when a request names it, until correctionTemplate points at it.
+function initializePromptTemplates(config = {}) {
+    promptTemplates.templates.clear();
+    addBuiltInTemplates(promptTemplates);
+    if (config.templatesDir) {
+        loadTemplateDirectory(promptTemplates, config.templatesDir);
+    }
+
+    if (config.correctionTemplate) {
+        try {
+            promptTemplates.setDefault('correction', config.correctionTemplate);
+        } catch (error) {
+            console.error(`[PromptTemplates] ${error.message}, keeping ${promptTemplates.defaults.correction}`);
+        }
+    }
+    return promptTemplates;
+}
+
+module.exports = {
+    PromptTemplateRegistry,
+    promptTemplates,
+    initializePromptTemplates
+};
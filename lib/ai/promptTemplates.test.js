@@ -0,0 +1,76 @@
+// lib/ai/promptTemplates.test.js
+// Unit tests for the versioned prompt template registry
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PromptTemplateRegistry, promptTemplates, initializePromptTemplates } = require('./promptTemplates');
+
+const TEMPLATE = {
+    name: 'correction',
+    version: 2,
+    intensityLevels: { 3: 'BASIC', 7: 'THOROUGH' },
+    text: ['{{intensityInstruction}} ({{intensity}}/10)', 'Fix this {{language}} file{{chunkNote}}:', '{{subtitle}}']
+};
+
+function createRegistry() {
+    const registry = new PromptTemplateRegistry();
+    registry.addTemplate({ ...TEMPLATE, version: 1, text: 'v1 {{subtitle}}' });
+    registry.addTemplate(TEMPLATE);
+    registry.defaults.correction = 'correction@1';
+    return registry;
+}
+
+describe('Prompt templates', () => {
+    it('refuses a template using a variable its kind is not rendered with', () => {
+        const registry = new PromptTemplateRegistry();
+
+        expect(() => registry.addTemplate({ ...TEMPLATE, text: 'Fix {{subtitle}} for {{movieTitle}} and {{movieTitle}}' }))
+            .toThrow("Prompt template 'correction' uses unknown variable(s): movieTitle");
+        expect(() => registry.addTemplate({ ...TEMPLATE, version: 0 })).toThrow('needs a version of 1 or more');
+        expect(() => registry.addTemplate({ ...TEMPLATE, kind: 'summary' })).toThrow("has unknown kind 'summary'");
+        expect(() => registry.addTemplate({ ...TEMPLATE, name: 'has space' })).toThrow('Invalid prompt template name');
+        expect(registry.list()).toEqual([]);
+    });
+
+    it('resolves a bare name to its newest version and a pinned id to that version', () => {
+        const registry = createRegistry();
+        registry.addTemplate({ ...TEMPLATE, name: 'other', version: 5 });
+
+        expect(registry.get('correction').id).toBe('correction@2');
+        expect(registry.get('correction@1').id).toBe('correction@1');
+        expect(registry.get('correction@3')).toBeNull();
+        expect(registry.resolve(null, 'correction').id).toBe('correction@1');
+        expect(() => registry.resolve('missing', 'correction')).toThrow('Unknown correction prompt template: missing');
+    });
+
+    it('renders the variables and the intensity instruction of the template', () => {
+        const registry = createRegistry();
+
+        const rendered = registry.render('correction', 'correction', { intensity: 7, language: 'Turkish', subtitle: '1\n...' });
+
+        expect(rendered).toEqual({ id: 'correction@2', text: 'THOROUGH (7/10)\nFix this Turkish file:\n1\n...' });
+        expect(registry.render('correction@2', 'correction', { intensity: 5 }).text.startsWith(' (5/10)')).toBe(true);
+    });
+
+    it('loads templates from a directory without moving the pinned default', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-templates-'));
+        fs.writeFileSync(path.join(dir, 'correction-2.json'), JSON.stringify(TEMPLATE));
+        fs.writeFileSync(path.join(dir, 'broken.json'), JSON.stringify({ ...TEMPLATE, version: 3, text: '{{unknown}}' }));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        try {
+            initializePromptTemplates({ templatesDir: dir, correctionTemplate: 'correction@1' });
+
+            expect(promptTemplates.list().map(template => template.id)).toEqual(['correction@1', 'correction@2']);
+            expect(promptTemplates.defaults.correction).toBe('correction@1');
+
+            initializePromptTemplates({ templatesDir: dir, correctionTemplate: 'correction@3' });
+            expect(promptTemplates.defaults.correction).toBe('correction@1');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+            initializePromptTemplates();
+            jest.restoreAllMocks();
+        }
+    });
+});
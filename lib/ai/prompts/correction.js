@@ -0,0 +1,107 @@
+// lib/ai/prompts/correction.js
+// Built-in versions of the subtitle timing correction prompt
+
+module.exports = [
+    {
+        name: 'correction',
+        version: 1,
+        kind: 'correction',
+        description: '12-step timing analysis with an intensity-based instruction',
+        intensityLevels: {
+            1: 'MINIMAL CORRECTIONS: Apply only critical fixes (overlaps, negative durations)',
+            2: 'LIGHT CORRECTIONS: Fix basic timing issues and major sync problems',
+            3: 'BASIC CORRECTIONS: Adjust obvious timing problems and reading speed issues',
+            4: 'STANDARD CORRECTIONS: Fix timing, reading speed, and scene transitions',
+            5: 'MODERATE CORRECTIONS: Comprehensive timing fixes with dialogue optimization',
+            6: 'ENHANCED CORRECTIONS: Full timing optimization with frame rate detection',
+            7: 'COMPREHENSIVE CORRECTIONS: Advanced timing analysis with linguistic optimization',
+            8: 'INTENSIVE CORRECTIONS: Deep analysis with cultural and linguistic adaptation',
+            9: 'MAXIMUM CORRECTIONS: Full AI-powered optimization with advanced heuristics',
+            10: 'AGGRESSIVE CORRECTIONS: Complete timing reconstruction with predictive analysis'
+        },
+        text: `{{intensityInstruction}}
+
+Fix subtitle timing synchronization issues in this {{language}} SRT file using professional subtitle timing analysis:
+
+1. FRAME RATE ANALYSIS:
+   - Identify the likely frame rate (23.976 fps, 24 fps, 25 fps, 29.97 fps, 30 fps) by analyzing timestamp patterns and drift
+   - Calculate the frame rate conversion factor if needed
+   - Detect PAL/NTSC conversion artifacts in timing
+
+2. LINEAR TIMING DRIFT DETECTION:
+   - Analyze the first 10%, middle 50%, and last 10% of subtitles for timing consistency
+   - Detect if the file is consistently too fast or too slow throughout
+   - Calculate the drift coefficient (e.g., 1.04166 for 25fps→23.976fps conversion)
+
+3. DIALOGUE CADENCE AND SUBTITLE READING ANALYSIS:
+   - Optimize timing for {{language}} subtitle reading patterns and comprehension speed
+   - Ensure subtitle timing allows adequate reading time for {{language}} text
+   - Account for {{language}} reading rhythm and text processing patterns
+   - Adjust for natural reading pauses between subtitle segments
+
+4. SCENE BREAK AND TRANSITION PRESERVATION:
+   - Identify scene changes (gaps >3 seconds between subtitles)
+   - Preserve natural scene transitions and fade-in/fade-out timing
+   - Maintain silence periods for dramatic effect
+   - Detect and preserve chapter/act boundaries
+
+5. MATHEMATICAL TIME TRANSFORMATION:
+   - If linear drift is detected, apply mathematical correction to ALL timestamps
+   - Use precise multiplication factors (e.g., ×0.95904 for 25fps→23.976fps)
+   - Ensure start and end times are both adjusted proportionally
+   - Maintain subtitle duration ratios
+
+6. SUBTITLE DURATION OPTIMIZATION:
+   - Ensure minimum subtitle duration of 0.8 seconds
+   - Ensure maximum subtitle duration of 6 seconds for readability
+   - Adjust overly short subtitles (<0.5 seconds) to minimum readable duration
+   - Split overly long subtitles (>7 seconds) if content allows
+
+7. OVERLAP AND GAP CORRECTION:
+   - Eliminate negative gaps (overlapping subtitles)
+   - Ensure minimum 0.1 second gap between consecutive subtitles
+   - Fix subtitles that start before the previous one ends
+   - Maintain natural flow between subtitle transitions
+
+8. READING SPEED OPTIMIZATION:
+   - Calculate characters per second (CPS) for each subtitle
+   - Ensure CPS stays between 15-20 for optimal {{language}} reading speed
+   - Adjust timing for longer {{language}} text to allow adequate reading time
+   - Account for {{language}} text complexity and word structure
+
+9. PUNCTUATION AND BREATH TIMING:
+   - Add natural pauses after periods (minimum 0.3 seconds)
+   - Extend timing for question marks and exclamation marks
+   - Account for comma pauses in long sentences
+   - Adjust for {{language}}-specific punctuation patterns
+
+10. AUDIO-VISUAL SYNC HEURISTICS:
+    - Estimate likely dialogue start/end based on subtitle content
+    - Adjust timing for action descriptions vs. dialogue
+    - Account for off-screen dialogue timing differences
+    - Preserve synchronization for sound effects and music cues
+
+11. CONSISTENCY VALIDATION:
+    - Ensure all timestamps are in ascending order
+    - Validate that no subtitle has negative duration
+    - Check for impossible time jumps (>30 seconds between adjacent subtitles)
+    - Verify subtitle numbering sequence
+
+12. QUALITY ASSURANCE:
+    - Perform final pass to ensure all corrections are applied
+    - Verify no subtitle timing conflicts remain
+    - Ensure smooth transition flow throughout the entire file
+    - Double-check mathematical precision of all time calculations
+
+CRITICAL RULES:
+- Do NOT add, remove, or rewrite any dialogue text
+- Only adjust timestamps for perfect sync
+- Preserve all subtitle numbers and text formatting
+- Return only the fully corrected subtitle file in exact SRT format
+- Do not add explanations, comments, or extra text
+- Ensure every timestamp change improves synchronization
+{{chunkNote}}
+Subtitle file:
+{{subtitle}}`
+    }
+];
@@ -2,6 +2,7 @@
 // AllDebrid client implementation based on Comet patterns
 
 const fetch = require('node-fetch');
+const { matchesEpisode, matchesRequestedEpisode } = require('./realDebridSearch');
 
 class AllDebridClient {
   constructor(token, userIP = null) {
@@ -93,6 +94,20 @@ class AllDebridClient {
     }
   }
 
+  // Every magnet on the account ({ id, hash, filename, status, ... })
+  async getMagnets() {
+    const response = await this.makeRequest('GET', `${this.baseURL}/magnet/status`);
+    return (response && response.data && response.data.magnets) || [];
+  }
+
+  async deleteMagnet(magnetId) {
+    const response = await this.makeRequest('GET', `${this.baseURL}/magnet/delete?id=${magnetId}`);
+    if (!response || response.status !== 'success') {
+      throw new Error(`AllDebrid magnet delete failed: ${(response && response.error && response.error.message) || 'unknown error'}`);
+    }
+    return response;
+  }
+
   async waitForMagnetReady(magnetId, maxWaitTime = 30000) {
     const startTime = Date.now();
     
@@ -129,14 +144,16 @@ class AllDebridClient {
     }
   }
 
-  async searchCachedContent(query) {
+  // options: { season, episode } keep only that episode or packs containing its season (series only)
+  async searchCachedContent(query, type = 'movie', options = {}) {
     try {
       // AllDebrid doesn't have direct search, but we can check popular torrents
       const response = await this.makeRequest('GET', `${this.baseURL}/magnet/instant`);
       
       if (response && response.data && response.data.magnets) {
         return response.data.magnets.filter(magnet => 
-          magnet.filename.toLowerCase().includes(query.toLowerCase())
+          magnet.filename.toLowerCase().includes(query.toLowerCase()) &&
+          matchesRequestedEpisode(magnet.filename, type, options)
         );
       }
       
@@ -187,6 +204,60 @@ class AllDebridClient {
     }
   }
 
+  // Playback-time resolution: fileIdx indexes the ready magnet's links (null picks by episode/filename)
+  async resolveFile(infoHash, magnetLink, fileIdx = null, options = {}) {
+    const { filename = null, season = null, episode = null } = options;
+    // Looked up first so housekeeping can tell the addon's magnets from the user's own
+    const existing = (await this.getMagnets()).find(magnet => (magnet.hash || '').toLowerCase() === infoHash.toLowerCase());
+    const addResult = await this.addMagnetLink(magnetLink || `magnet:?xt=urn:btih:${infoHash}`);
+    if (!addResult || !addResult.data || !addResult.data.magnets) {
+      throw new Error('Failed to add magnet to AllDebrid');
+    }
+
+    // Re-adding a magnet that is already on the account returns the existing id
+    const magnetId = addResult.data.magnets[0].id;
+    const addedTorrent = !existing;
+    try {
+      const readyMagnet = await this.waitForMagnetReady(magnetId);
+      const links = readyMagnet.links || [];
+      if (links.length === 0) {
+        throw new Error('No files available in AllDebrid magnet');
+      }
+
+      let selectedFile = Number.isInteger(fileIdx) ? links[fileIdx] : null;
+      if (!selectedFile) {
+        const largest = files => files.reduce((prev, current) => (current.size > prev.size ? current : prev));
+        const episodeFiles = season && episode ? links.filter(link => matchesEpisode(link.filename, season, episode)) : [];
+        if (season && episode && episodeFiles.length === 0 && links.length > 1) {
+          throw new Error(`S${season}E${episode} not found in torrent`);
+        }
+        selectedFile = episodeFiles.length > 0
+          ? largest(episodeFiles)
+          : (filename && links.find(link => link.filename.toLowerCase().includes(filename.toLowerCase()))) || largest(links);
+      }
+
+      const unrestrictResult = await this.unrestrictLink(selectedFile.link);
+      if (!unrestrictResult || !unrestrictResult.data) {
+        throw new Error('Failed to unrestrict AllDebrid link');
+      }
+
+      return {
+        url: unrestrictResult.data.link,
+        filename: unrestrictResult.data.filename || selectedFile.filename,
+        filesize: unrestrictResult.data.filesize || selectedFile.size,
+        mimeType: null,
+        torrentId: magnetId,
+        addedTorrent
+      };
+    } catch (error) {
+      // A failed play still leaves the new magnet on the account, so hand its id to the tracker
+      if (addedTorrent) {
+        Object.assign(error, { torrentId: magnetId, addedTorrent });
+      }
+      throw error;
+    }
+  }
+
   async getAvailability(infoHashes) {
     try {
       const response = await this.makeRequest('POST', `${this.baseURL}/magnet/instant`, {
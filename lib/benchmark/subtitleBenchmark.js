@@ -0,0 +1,289 @@
+// lib/benchmark/subtitleBenchmark.js
+// Offline benchmark of subtitle selection and correction against a corpus of fixtures with ground-truth timing
+
+const fs = require('fs');
+const path = require('path');
+const { parseSrt } = require('../subtitles/srtParser');
+const { convertSubtitle } = require('../subtitles/formats');
+const { analyzeSubtitleQuality } = require('../subtitles/qualityAnalyzer');
+const { validateAIOutput } = require('../subtitles/aiOutputValidator');
+const { calculateEnhancedSubtitleScore } = require('../subtitles/subtitleRanking');
+const { resyncSrt } = require('../subtitles/resync');
+const { alignToReference } = require('../subtitles/alignment');
+
+// Candidates whose timing is this close to the best one also count as a correct pick (when a fixture lists none)
+const SELECTION_TOLERANCE_MS = 100;
+// How far ahead in the ground truth to look for a cue's text
+const PAIRING_LOOKAHEAD = 10;
+
+// A fixture is a directory with fixture.json:
+// { video: { id, type, releaseName, infoHash, language }, groundTruth: 'synced.srt', reference: 'other.srt',
+//   expected: ['id', ...], candidates: [{ id, file, title, source, downloads, rating, hi, format, compressed, fileSize }, ...] }
+// expected is optional; without it the candidates closest in timing to the ground truth are the correct picks.
+// reference is optional: a subtitle in another language synced to the video, like a hash match the addon resyncs to.
+function loadFixture(dir) {
+    const fixture = JSON.parse(fs.readFileSync(path.join(dir, 'fixture.json'), 'utf8'));
+    if (!fixture.video || !fixture.groundTruth || !Array.isArray(fixture.candidates) || fixture.candidates.length === 0) {
+        throw new Error('fixture.json needs video, groundTruth and at least one candidate');
+    }
+
+    return {
+        name: path.basename(dir),
+        video: fixture.video,
+        expected: fixture.expected || null,
+        groundTruth: fs.readFileSync(path.join(dir, fixture.groundTruth), 'utf8'),
+        reference: fixture.reference ? loadSubtitleFile(path.join(dir, fixture.reference)) : null,
+        candidates: fixture.candidates.map(candidate => ({
+            format: path.extname(candidate.file).substring(1).toLowerCase() || 'srt',
+            ...candidate,
+            title: candidate.title || candidate.file,
+            downloads: candidate.downloads || 0,
+            rating: candidate.rating || 0,
+            content: fs.readFileSync(path.join(dir, candidate.file), 'utf8')
+        }))
+    };
+}
+
+function loadSubtitleFile(file) {
+    const content = fs.readFileSync(file, 'utf8');
+    return convertSubtitle(content, 'srt') || content;
+}
+
+// Every subdirectory of dir holding a fixture.json; options.only limits it to those names
+function loadFixtures(dir, options = {}) {
+    const names = fs.readdirSync(dir)
+        .filter(name => fs.existsSync(path.join(dir, name, 'fixture.json')))
+        .filter(name => !options.only || options.only.includes(name))
+        .sort();
+    return names.map(name => {
+        try {
+            return loadFixture(path.join(dir, name));
+        } catch (error) {
+            throw new Error(`Fixture ${name}: ${error.message}`);
+        }
+    });
+}
+
+// Compared loosely, so tags, case and punctuation differences between releases still pair
+function pairingText(text) {
+    return String(text || '')
+        .replace(/<[^>]*>|\{[^}]*\}/g, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1))];
+}
+
+function summarizeErrors(errors, cueCount) {
+    const sorted = [...errors].sort((a, b) => a - b);
+    return {
+        cues: cueCount,
+        matchedCues: errors.length,
+        matchedRatio: cueCount > 0 ? Math.round((errors.length / cueCount) * 1000) / 1000 : 0,
+        meanAbsErrorMs: errors.length > 0 ? Math.round(errors.reduce((sum, error) => sum + error, 0) / errors.length) : null,
+        medianAbsErrorMs: percentile(sorted, 50),
+        p90AbsErrorMs: percentile(sorted, 90),
+        errors
+    };
+}
+
+// Pairs cues with ground-truth cues of the same text, in order; a cue's error is the mean of its start and end
+// offsets in milliseconds. Cues without a counterpart are left out of the error and show in matchedRatio.
+function measureTimingError(content, groundTruthContent) {
+    const cues = parseSrt(convertSubtitle(content, 'srt') || content);
+    const truth = parseSrt(convertSubtitle(groundTruthContent, 'srt') || groundTruthContent);
+    const truthTexts = truth.map(cue => pairingText(cue.text));
+
+    const errors = [];
+    let next = 0;
+    for (const cue of cues) {
+        const text = pairingText(cue.text);
+        for (let k = next; k < Math.min(truth.length, next + PAIRING_LOOKAHEAD + 1); k++) {
+            if (truthTexts[k] === text) {
+                errors.push(Math.round((Math.abs(cue.start - truth[k].start) + Math.abs(cue.end - truth[k].end)) / 2));
+                next = k + 1;
+                break;
+            }
+        }
+    }
+    return summarizeErrors(errors, cues.length);
+}
+
+// The matcher's ranking and quality gate: candidates by score, the first acceptable one is served
+function rankCandidates(fixture) {
+    const { video } = fixture;
+    return fixture.candidates
+        .map(candidate => {
+            const subtitle = { language: video.language, ...candidate };
+            const score = calculateEnhancedSubtitleScore(subtitle, video.id, video.infoHash || null, video.releaseName || null);
+            const srtContent = convertSubtitle(candidate.content, 'srt') || candidate.content;
+            const quality = analyzeSubtitleQuality(srtContent);
+            return {
+                id: candidate.id,
+                title: subtitle.title,
+                score,
+                releaseMatch: subtitle.releaseMatch ?? null,
+                qualityScore: quality.score,
+                acceptable: quality.acceptable,
+                content: srtContent,
+                timing: measureTimingError(srtContent, fixture.groundTruth)
+            };
+        })
+        .sort((a, b) => b.score - a.score);
+}
+
+// Candidates as good as the best-timed acceptable one; fully unmatched candidates never qualify
+function findBestTimed(ranked) {
+    const timed = ranked.filter(candidate => candidate.acceptable && candidate.timing.meanAbsErrorMs !== null);
+    if (timed.length === 0) return [];
+    const best = Math.min(...timed.map(candidate => candidate.timing.meanAbsErrorMs));
+    return timed
+        .filter(candidate => candidate.timing.meanAbsErrorMs <= best + SELECTION_TOLERANCE_MS)
+        .map(candidate => candidate.id);
+}
+
+// Same steps as a queued correction job: correct in windows, then keep only what passes validation
+async function correctSubtitle(content, fixture, options) {
+    const output = await options.pool.processSubtitleChunked(content, {
+        videoId: fixture.video.id,
+        primaryLanguage: fixture.video.language,
+        aiProvider: options.aiProvider,
+        promptTemplate: options.promptTemplate,
+        useFallback: options.correction === 'fallback',
+        throwOnFailure: true
+    });
+    const validation = validateAIOutput(content, output);
+    return { content: validation.accepted ? validation.content : content, accepted: validation.accepted };
+}
+
+// Same retiming as the addon's reference sync: piecewise alignment, or the linear fit of ?reference= when that fails.
+// Without a reference the subtitle is served as is.
+function resyncSubtitle(content, fixture) {
+    if (!fixture.reference) {
+        return { content, accepted: true, method: 'none' };
+    }
+    try {
+        return { content: alignToReference(content, fixture.reference).content, accepted: true, method: 'alignment' };
+    } catch (error) {
+        const { content: resynced, transform } = resyncSrt(content, { referenceContent: fixture.reference });
+        return { content: resynced, accepted: true, method: transform.method };
+    }
+}
+
+// options: { correction: 'none' | 'resync' | 'fallback' | 'ai', pool (an AIWorkerPool for 'fallback' and 'ai'),
+// aiProvider, promptTemplate }. Resolves { summary, fixtures } with one entry per fixture.
+async function runSubtitleBenchmark(fixtures, options = {}) {
+    const correction = options.correction || 'none';
+    const results = [];
+
+    for (const fixture of fixtures) {
+        const startTime = Date.now();
+        const ranked = rankCandidates(fixture);
+        const selected = ranked.find(candidate => candidate.acceptable) || null;
+        const expected = fixture.expected || findBestTimed(ranked);
+
+        const result = {
+            name: fixture.name,
+            videoId: fixture.video.id,
+            selected: selected ? selected.id : null,
+            expected,
+            correct: !!selected && expected.includes(selected.id),
+            ranking: ranked.map(({ id, score, releaseMatch, qualityScore, acceptable, timing }) => ({
+                id,
+                score,
+                releaseMatch,
+                qualityScore,
+                acceptable,
+                meanAbsErrorMs: timing.meanAbsErrorMs,
+                matchedRatio: timing.matchedRatio
+            })),
+            timing: selected ? selected.timing : null,
+            corrected: null
+        };
+
+        if (selected && correction !== 'none') {
+            try {
+                const output = correction === 'resync'
+                    ? resyncSubtitle(selected.content, fixture)
+                    : await correctSubtitle(selected.content, fixture, { ...options, correction });
+                result.corrected = {
+                    accepted: output.accepted,
+                    ...(output.method ? { method: output.method } : {}),
+                    ...measureTimingError(output.content, fixture.groundTruth)
+                };
+            } catch (error) {
+                result.corrected = { accepted: false, error: error.message };
+            }
+        }
+
+        result.durationMs = Date.now() - startTime;
+        results.push(result);
+    }
+
+    return { summary: summarize(results, correction), fixtures: results };
+}
+
+function poolTiming(timings) {
+    const errors = timings.flatMap(timing => timing.errors);
+    const cues = timings.reduce((sum, timing) => sum + timing.cues, 0);
+    const { errors: _errors, ...summary } = summarizeErrors(errors, cues);
+    return summary;
+}
+
+function summarize(results, correction) {
+    const correct = results.filter(result => result.correct).length;
+    const selectedTimings = results.map(result => result.timing).filter(Boolean);
+    const correctedTimings = results.map(result => result.corrected).filter(corrected => corrected && corrected.errors);
+
+    return {
+        fixtures: results.length,
+        correctSelections: correct,
+        selectionAccuracy: results.length > 0 ? Math.round((correct / results.length) * 1000) / 1000 : 0,
+        noSelection: results.filter(result => !result.selected).length,
+        correction,
+        // Per cue over every fixture's selected subtitle, before and after correction
+        timing: poolTiming(selectedTimings),
+        correctedTiming: correction !== 'none' ? poolTiming(correctedTimings) : null,
+        correctionsRejected: results.filter(result => result.corrected && !result.corrected.accepted).length
+    };
+}
+
+const formatMs = value => (value === null || value === undefined ? '-' : `${value}ms`);
+
+// Plain-text report: one line per fixture, then the totals
+function formatBenchmarkReport(report) {
+    const lines = [];
+    for (const result of report.fixtures) {
+        const mark = result.correct ? 'OK  ' : 'MISS';
+        const timing = result.timing
+            ? `error ${formatMs(result.timing.meanAbsErrorMs)} mean, ${formatMs(result.timing.p90AbsErrorMs)} p90, ${Math.round(result.timing.matchedRatio * 100)}% paired`
+            : 'nothing selected';
+        const corrected = result.corrected
+            ? (result.corrected.error
+                ? `, correction failed: ${result.corrected.error}`
+                : `, corrected ${formatMs(result.corrected.meanAbsErrorMs)} mean${result.corrected.method ? ` (${result.corrected.method})` : ''}${result.corrected.accepted ? '' : ' (output rejected)'}`)
+            : '';
+        lines.push(`${mark} ${result.name}: picked ${result.selected || '-'} (expected ${result.expected.join(', ') || '-'}), ${timing}${corrected}`);
+    }
+
+    const { summary } = report;
+    lines.push('');
+    lines.push(`Selection accuracy: ${summary.correctSelections}/${summary.fixtures} (${Math.round(summary.selectionAccuracy * 1000) / 10}%)`);
+    lines.push(`Timing error per cue: ${formatMs(summary.timing.meanAbsErrorMs)} mean, ${formatMs(summary.timing.medianAbsErrorMs)} median, ${formatMs(summary.timing.p90AbsErrorMs)} p90 over ${summary.timing.matchedCues}/${summary.timing.cues} paired cues`);
+    if (summary.correctedTiming) {
+        lines.push(`After ${summary.correction} correction: ${formatMs(summary.correctedTiming.meanAbsErrorMs)} mean, ${formatMs(summary.correctedTiming.medianAbsErrorMs)} median, ${formatMs(summary.correctedTiming.p90AbsErrorMs)} p90 (${summary.correctionsRejected} rejected)`);
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    loadFixtures,
+    measureTimingError,
+    rankCandidates,
+    runSubtitleBenchmark,
+    formatBenchmarkReport
+};
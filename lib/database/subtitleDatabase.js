@@ -6,6 +6,11 @@ const fs = require('fs');
 const EventEmitter = require('events');
 const crypto = require('crypto');
 
+// ai_processing_queue columns for listings, leaving out the subtitle bodies
+const AI_JOB_SUMMARY_COLUMNS = `id, job_key, job_type, video_id, provider, language, options, priority, status, attempts,
+    max_attempts, error_message, created_at, started_at, completed_at, lease_expires_at, next_attempt_at,
+    length(original_content) AS content_length, result_content IS NOT NULL AS has_result`;
+
 class SubtitleDatabase extends EventEmitter {
     constructor(options = {}) {
         super();
@@ -59,6 +64,7 @@ class SubtitleDatabase extends EventEmitter {
 
             // Create tables
             this.createTables();
+            this.migrateTables();
 
             // Create indexes
             this.createIndexes();
@@ -175,7 +181,60 @@ class SubtitleDatabase extends EventEmitter {
                 error_message TEXT,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 started_at DATETIME,
-                completed_at DATETIME
+                completed_at DATETIME,
+                job_key TEXT,
+                job_type TEXT DEFAULT 'correction',
+                language TEXT,
+                options TEXT,
+                result_content TEXT,
+                lease_expires_at DATETIME,
+                next_attempt_at DATETIME,
+                result_report TEXT
+            );
+            CREATE TABLE IF NOT EXISTS debrid_torrents (
+                account_key TEXT NOT NULL,
+                provider TEXT NOT NULL,
+                torrent_id TEXT NOT NULL,
+                info_hash TEXT,
+                added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                deleted_at DATETIME,
+                PRIMARY KEY (account_key, provider, torrent_id)
+            );
+            CREATE TABLE IF NOT EXISTS ai_usage (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                provider TEXT NOT NULL,
+                model TEXT,
+                video_id TEXT,
+                operation TEXT,
+                input_tokens INTEGER DEFAULT 0,
+                output_tokens INTEGER DEFAULT 0,
+                estimated BOOLEAN DEFAULT 0,
+                cost_usd REAL DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE TABLE IF NOT EXISTS prompt_evaluations (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                template TEXT NOT NULL,
+                sample_hash TEXT NOT NULL,
+                video_id TEXT,
+                language TEXT,
+                provider TEXT,
+                model TEXT,
+                score INTEGER NOT NULL,
+                original_score INTEGER NOT NULL,
+                accepted BOOLEAN NOT NULL,
+                reverted_cues INTEGER DEFAULT 0,
+                dimensions TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE TABLE IF NOT EXISTS translation_glossary (
+                video_id TEXT NOT NULL,
+                language TEXT NOT NULL,
+                term TEXT NOT NULL,
+                translation TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (video_id, language, term)
             );
             CREATE TABLE IF NOT EXISTS performance_metrics (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -190,6 +249,33 @@ class SubtitleDatabase extends EventEmitter {
         console.log('[SubtitleDatabase] Database tables created successfully');
     }
 
+    // Columns added after a table first shipped; CREATE TABLE IF NOT EXISTS leaves existing files without them
+    migrateTables() {
+        const added = {
+            ai_processing_queue: {
+                job_key: 'TEXT',
+                job_type: "TEXT DEFAULT 'correction'",
+                language: 'TEXT',
+                options: 'TEXT',
+                result_content: 'TEXT',
+                lease_expires_at: 'DATETIME',
+                next_attempt_at: 'DATETIME',
+                result_report: 'TEXT'
+            }
+        };
+
+        for (const [table, columns] of Object.entries(added)) {
+            const existing = this._resultsToObjects(this.db.prepare(`PRAGMA table_info(${table})`)).map(column => column.name);
+            for (const [column, type] of Object.entries(columns)) {
+                if (!existing.includes(column)) {
+                    this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type};`);
+                    console.log(`[SubtitleDatabase] Added column ${table}.${column}`);
+                }
+            }
+        }
+        this.saveDatabase();
+    }
+
     createIndexes() {
         this.db.exec(`
             CREATE INDEX IF NOT EXISTS idx_subtitle_cache_video_id ON subtitle_cache(video_id);
@@ -205,6 +291,12 @@ class SubtitleDatabase extends EventEmitter {
             CREATE INDEX IF NOT EXISTS idx_ai_queue_status ON ai_processing_queue(status);
             CREATE INDEX IF NOT EXISTS idx_ai_queue_priority ON ai_processing_queue(priority DESC);
             CREATE INDEX IF NOT EXISTS idx_ai_queue_created_at ON ai_processing_queue(created_at);
+            CREATE INDEX IF NOT EXISTS idx_ai_queue_job_key ON ai_processing_queue(job_key);
+            CREATE INDEX IF NOT EXISTS idx_ai_usage_created_at ON ai_usage(created_at);
+            CREATE INDEX IF NOT EXISTS idx_ai_usage_video_id ON ai_usage(video_id);
+            CREATE INDEX IF NOT EXISTS idx_prompt_evaluations_template ON prompt_evaluations(template);
+            CREATE INDEX IF NOT EXISTS idx_prompt_evaluations_sample ON prompt_evaluations(sample_hash);
+            CREATE INDEX IF NOT EXISTS idx_debrid_torrents_deleted_at ON debrid_torrents(deleted_at);
             CREATE INDEX IF NOT EXISTS idx_performance_metrics_name ON performance_metrics(metric_name);
             CREATE INDEX IF NOT EXISTS idx_performance_metrics_created_at ON performance_metrics(created_at);
         `);
@@ -562,6 +654,608 @@ class SubtitleDatabase extends EventEmitter {
         }
     }
 
+    // Debrid torrents added by the addon (never the user's own), for housekeeping
+    async trackDebridTorrent(data) {
+        try {
+            this.db.run(`
+                INSERT INTO debrid_torrents (account_key, provider, torrent_id, info_hash)
+                VALUES (?, ?, ?, ?)
+                ON CONFLICT (account_key, provider, torrent_id)
+                DO UPDATE SET last_used_at = datetime('now'), deleted_at = NULL
+            `, [data.accountKey, data.provider, String(data.torrentId), data.infoHash || null]);
+            const changes = this.db.getRowsModified();
+            this.saveDatabase();
+
+            this.stats.inserts++;
+            return changes > 0;
+
+        } catch (error) {
+            this.stats.errors++;
+            console.error('[SubtitleDatabase] Error tracking debrid torrent:', error);
+            return false;
+        }
+    }
+
+    // Refresh last use of a torrent the addon added earlier; unknown torrents are left untracked
+    async touchDebridTorrent(accountKey, provider, torrentId) {
+        try {
+            this.db.run(`
+                UPDATE debrid_torrents SET last_used_at = datetime('now')
+                WHERE account_key = ? AND provider = ? AND torrent_id = ? AND deleted_at IS NULL
+            `, [accountKey, provider, String(torrentId)]);
+            const changes = this.db.getRowsModified();
+            if (changes > 0) {
+                this.saveDatabase();
+                this.stats.updates++;
+            }
+            return changes > 0;
+
+        } catch (error) {
+            this.stats.errors++;
+            console.error('[SubtitleDatabase] Error updating debrid torrent:', error);
+            return false;
+        }
+    }
+
+    // Live tracked torrents, least recently used first
+    async getTrackedDebridTorrents(accountKey, provider) {
+        try {
+            const stmt = this.db.prepare(`
+                SELECT * FROM debrid_torrents
+                WHERE account_key = ? AND provider = ? AND deleted_at IS NULL
+                ORDER BY last_used_at ASC
+            `);
+            stmt.bind([accountKey, provider]);
+            const results = this._resultsToObjects(stmt);
+
+            this.stats.queries++;
+            return results;
+
+        } catch (error) {
+            this.stats.errors++;
+            console.error('[SubtitleDatabase] Error getting tracked debrid torrents:', error);
+            return [];
+        }
+    }
+
+    // Accounts holding live tracked torrents: [{ account_key, provider, tracked, last_used_at }]
+    async getDebridTorrentAccounts() {
+        try {
+            const stmt = this.db.prepare(`
+                SELECT account_key, provider, COUNT(*) AS tracked, MAX(last_used_at) AS last_used_at
+                FROM debrid_torrents
+                WHERE deleted_at IS NULL
+                GROUP BY account_key, provider
+            `);
+            const results = this._resultsToObjects(stmt);
+
+            this.stats.queries++;
+            return results;
+
+        } catch (error) {
+            this.stats.errors++;
+            console.error('[SubtitleDatabase] Error getting debrid torrent accounts:', error);
+            return [];
+        }
+    }
+
+    async markDebridTorrentDeleted(accountKey, provider, torrentId) {
+        try {
+            this.db.run(`
+                UPDATE debrid_torrents SET deleted_at = datetime('now')
+                WHERE account_key = ? AND provider = ? AND torrent_id = ?
+            `, [accountKey, provider, String(torrentId)]);
+            const changes = this.db.getRowsModified();
+            this.saveDatabase();
+
+            this.stats.deletes += changes;
+            return changes > 0;
+
+        } catch (error) {
+            this.stats.errors++;
+            console.error('[SubtitleDatabase] Error marking debrid torrent deleted:', error);
+            return false;
+        }
+    }
+
+    // AI job queue. Jobs move pending -> processing (leased) -> completed; a failed attempt goes back to
+    // pending after a backoff, and the last allowed attempt moves the job to 'dead' instead.
+    async enqueueAIJob(data) {
+        try {
+            // One job per key: a finished, dead or cancelled job is re-run through retryAIJob, not by enqueueing again
+            if (data.jobKey) {
+                const existing = await this.getAIJobByKey(data.jobKey, { includeContent: false });
+                if (existing) {
+                    return { id: existing.id, status: existing.status, created: false };
+                }
+            }
+
+            this.db.run(`
+                INSERT INTO ai_processing_queue
+                (job_key, job_type, video_id, provider, language, original_content, options, priority, max_attempts)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                data.jobKey || null,
+                data.jobType || 'correction',
+                data.videoId,
+                data.provider || 'unknown',
+                data.language || null,
+                data.content,
+                JSON.stringify(data.options || {}),
+                data.priority || 0,
+                data.maxAttempts || 3
+            ]);
+            const [{ id }] = this._resultsToObjects(this.db.prepare('SELECT last_insert_rowid() AS id'));
+            this.saveDatabase();
+
+            this.stats.inserts++;
+            return { id, status: 'pending', created: true };
+
+        } catch (error) {
+            this.stats.errors++;
+            console.error('[SubtitleDatabase] Error enqueueing AI job:', error);
+            return null;
+        }
+    }
+
+    // Claim the next due job for leaseSeconds; jobs whose lease ran out (crashed or hung worker) are reclaimed first
+    async leaseAIJob(leaseSeconds = 300) {
+        try {
+            this.db.run(`
+                UPDATE ai_processing_queue
+                SET status = CASE WHEN attempts >= max_attempts THEN 'dead' ELSE 'pending' END,
+                    completed_at = CASE WHEN attempts >= max_attempts THEN datetime('now') ELSE NULL END,
+                    error_message = 'Lease expired before the job finished',
+                    lease_expires_at = NULL
+                WHERE status = 'processing' AND lease_expires_at < datetime('now')
+            `);
+
+            const stmt = this.db.prepare(`
+                SELECT id FROM ai_processing_queue
+                WHERE status = 'pending' AND (next_attempt_at IS NULL OR next_attempt_at <= datetime('now'))
+                ORDER BY priority DESC, id ASC
+                LIMIT 1
+            `);
+            const [next] = this._resultsToObjects(stmt);
+            if (!next) {
+                return null;
+            }
+
+            this.db.run(`
+                UPDATE ai_processing_queue
+                SET status = 'processing', attempts = attempts + 1, started_at = datetime('now'),
+                    lease_expires_at = datetime('now', ?), next_attempt_at = NULL
+                WHERE id = ?
+            `, [`+${Math.ceil(leaseSeconds)} seconds`, next.id]);
+            this.saveDatabase();
+
+            this.stats.updates++;
+            return this.getAIJob(next.id);
+
+        } catch (error) {
+            this.stats.errors++;
+            console.error('[SubtitleDatabase] Error leasing AI job:', error);
+            return null;
+        }
+    }
+
+    // Only a job that is still leased can complete, so a job cancelled mid-run stays cancelled.
+    // report: the validation/diff report for the result (see aiOutputValidator)
+    async completeAIJob(id, resultContent, report = null) {
+        try {
+            this.db.run(`
+                UPDATE ai_processing_queue
+                SET status = 'completed', result_content = ?, result_report = ?, completed_at = datetime('now'),
+                    lease_expires_at = NULL, error_message = NULL
+                WHERE id = ? AND status = 'processing'
+            `, [resultContent, report ? JSON.stringify(report) : null, id]);
+            const changes = this.db.getRowsModified();
+            this.saveDatabase();
+
+            this.stats.updates++;
+            return changes > 0;
+
+        } catch (error) {
+            this.stats.errors++;
+            console.error('[SubtitleDatabase] Error completing AI job:', error);
+            return false;
+        }
+    }
+
+    // Returns the updated job: pending again with next_attempt_at set, or dead when attempts are used up
+    async failAIJob(id, errorMessage, retryDelaySeconds = 60) {
+        try {
+            this.db.run(`
+                UPDATE ai_processing_queue
+                SET status = CASE WHEN attempts >= max_attempts THEN 'dead' ELSE 'pending' END,
+                    next_attempt_at = CASE WHEN attempts >= max_attempts THEN NULL ELSE datetime('now', ?) END,
+                    completed_at = CASE WHEN attempts >= max_attempts THEN datetime('now') ELSE NULL END,
+                    error_message = ?, lease_expires_at = NULL
+                WHERE id = ? AND status = 'processing'
+            `, [`+${Math.ceil(retryDelaySeconds)} seconds`, String(errorMessage || 'Unknown error'), id]);
+            this.saveDatabase();
+
+            this.stats.updates++;
+            return this.getAIJob(id, { includeContent: false });
+
+        } catch (error) {
+            this.stats.errors++;
+            console.error('[SubtitleDatabase] Error failing AI job:', error);
+            return null;
+        }
+    }
+
+    // Put a job back without using up an attempt, e.g. while an AI budget is exhausted
+    async deferAIJob(id, message, delaySeconds) {
+        try {
+            this.db.run(`
+                UPDATE ai_processing_queue
+                SET status = 'pending', attempts = MAX(attempts - 1, 0), next_attempt_at = datetime('now', ?),
+                    error_message = ?, lease_expires_at = NULL
+                WHERE id = ? AND status = 'processing'
+            `, [`+${Math.ceil(delaySeconds)} seconds`, String(message || ''), id]);
+            const changes = this.db.getRowsModified();
+            this.saveDatabase();
+
+            this.stats.updates++;
+            return changes > 0;
+
+        } catch (error) {
+            this.stats.errors++;
+            console.error('[SubtitleDatabase] Error deferring AI job:', error);
+            return false;
+        }
+    }
+
+    async cancelAIJob(id) {
+        try {
+            this.db.run(`
+                UPDATE ai_processing_queue
+                SET status = 'cancelled', completed_at = datetime('now'), lease_expires_at = NULL, next_attempt_at = NULL
+                WHERE id = ? AND status IN ('pending', 'processing')
+            `, [id]);
+            const changes = this.db.getRowsModified();
+            this.saveDatabase();
+
+            this.stats.updates++;
+            return changes > 0;
+
+        } catch (error) {
+            this.stats.errors++;
+            console.error('[SubtitleDatabase] Error cancelling AI job:', error);
+            return false;
+        }
+    }
+
+    // Put a dead, cancelled or completed job back in the queue with a fresh attempt budget
+    async retryAIJob(id) {
+        try {
+            this.db.run(`
+                UPDATE ai_processing_queue
+                SET status = 'pending', attempts = 0, error_message = NULL, result_content = NULL, result_report = NULL,
+                    started_at = NULL, completed_at = NULL, lease_expires_at = NULL, next_attempt_at = NULL
+                WHERE id = ? AND status IN ('dead', 'cancelled', 'completed')
+            `, [id]);
+            const changes = this.db.getRowsModified();
+            this.saveDatabase();
+
+            this.stats.updates++;
+            return changes > 0;
+
+        } catch (error) {
+            this.stats.errors++;
+            console.error('[SubtitleDatabase] Error retrying AI job:', error);
+            return false;
+        }
+    }
+
+    _parseAIJob(row) {
+        if (row) {
+            row.options = JSON.parse(row.options || '{}');
+            if (row.result_report) {
+                row.result_report = JSON.parse(row.result_report);
+            }
+        }
+        return row || null;
+    }
+
+    // options.includeContent: also return original_content and result_content (default true)
+    async getAIJob(id, options = {}) {
+        try {
+            const columns = options.includeContent === false ? AI_JOB_SUMMARY_COLUMNS : '*';
+            const stmt = this.db.prepare(`SELECT ${columns} FROM ai_processing_queue WHERE id = ?`);
+            stmt.bind([id]);
+            const [row] = this._resultsToObjects(stmt);
+
+            this.stats.queries++;
+            return this._parseAIJob(row);
+
+        } catch (error) {
+            this.stats.errors++;
+            console.error('[SubtitleDatabase] Error getting AI job:', error);
+            return null;
+        }
+    }
+
+    async getAIJobByKey(jobKey, options = {}) {
+        try {
+            const columns = options.includeContent === false ? AI_JOB_SUMMARY_COLUMNS : '*';
+            const stmt = this.db.prepare(`SELECT ${columns} FROM ai_processing_queue WHERE job_key = ? ORDER BY id DESC LIMIT 1`);
+            stmt.bind([jobKey]);
+            const [row] = this._resultsToObjects(stmt);
+
+            this.stats.queries++;
+            return this._parseAIJob(row);
+
+        } catch (error) {
+            this.stats.errors++;
+            console.error('[SubtitleDatabase] Error getting AI job by key:', error);
+            return null;
+        }
+    }
+
+    // Job summaries without subtitle content, newest first
+    async getAIJobs(options = {}) {
+        try {
+            const { status, limit = 100, offset = 0 } = options;
+            let query = `SELECT ${AI_JOB_SUMMARY_COLUMNS} FROM ai_processing_queue`;
+            const params = [];
+
+            if (status) {
+                query += ' WHERE status = ?';
+                params.push(status);
+            }
+
+            query += ' ORDER BY id DESC LIMIT ? OFFSET ?';
+            params.push(limit, offset);
+
+            const stmt = this.db.prepare(query);
+            stmt.bind(params);
+            const results = this._resultsToObjects(stmt).map(row => this._parseAIJob(row));
+
+            this.stats.queries++;
+            return results;
+
+        } catch (error) {
+            this.stats.errors++;
+            console.error('[SubtitleDatabase] Error getting AI jobs:', error);
+            return [];
+        }
+    }
+
+    async getAIJobCounts() {
+        try {
+            const stmt = this.db.prepare('SELECT status, COUNT(*) AS count FROM ai_processing_queue GROUP BY status');
+            const counts = { pending: 0, processing: 0, completed: 0, dead: 0, cancelled: 0 };
+            this._resultsToObjects(stmt).forEach(row => {
+                counts[row.status] = row.count;
+            });
+
+            this.stats.queries++;
+            return counts;
+
+        } catch (error) {
+            this.stats.errors++;
+            console.error('[SubtitleDatabase] Error counting AI jobs:', error);
+            return {};
+        }
+    }
+
+    // AI usage: one row per model request, with tokens from the API response or estimated
+    async recordAIUsage(data) {
+        try {
+            this.db.run(`
+                INSERT INTO ai_usage (provider, model, video_id, operation, input_tokens, output_tokens, estimated, cost_usd)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                data.provider,
+                data.model || null,
+                data.videoId || null,
+                data.operation || null,
+                data.inputTokens || 0,
+                data.outputTokens || 0,
+                data.estimated ? 1 : 0,
+                data.costUsd || 0
+            ]);
+            this.saveDatabase();
+
+            this.stats.inserts++;
+            return true;
+
+        } catch (error) {
+            this.stats.errors++;
+            console.error('[SubtitleDatabase] Error recording AI usage:', error);
+            return false;
+        }
+    }
+
+    // options: { period: 'day' | 'month' (UTC, current one) | null for all time, videoId }
+    async getAIUsageTotals(options = {}) {
+        try {
+            const { where, params } = this._aiUsageFilter(options);
+            const stmt = this.db.prepare(`
+                SELECT COUNT(*) AS requests,
+                       COALESCE(SUM(input_tokens), 0) AS input_tokens,
+                       COALESCE(SUM(output_tokens), 0) AS output_tokens,
+                       COALESCE(SUM(cost_usd), 0) AS cost_usd
+                FROM ai_usage ${where}
+            `);
+            stmt.bind(params);
+            const [row] = this._resultsToObjects(stmt);
+
+            this.stats.queries++;
+            return row;
+
+        } catch (error) {
+            this.stats.errors++;
+            console.error('[SubtitleDatabase] Error getting AI usage totals:', error);
+            return { requests: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0 };
+        }
+    }
+
+    // Per provider and model, most expensive first
+    async getAIUsageByProvider(options = {}) {
+        try {
+            const { where, params } = this._aiUsageFilter(options);
+            const stmt = this.db.prepare(`
+                SELECT provider, model, COUNT(*) AS requests,
+                       SUM(input_tokens) AS input_tokens, SUM(output_tokens) AS output_tokens,
+                       SUM(estimated) AS estimated_requests, SUM(cost_usd) AS cost_usd
+                FROM ai_usage ${where}
+                GROUP BY provider, model
+                ORDER BY cost_usd DESC, requests DESC
+            `);
+            stmt.bind(params);
+            const results = this._resultsToObjects(stmt);
+
+            this.stats.queries++;
+            return results;
+
+        } catch (error) {
+            this.stats.errors++;
+            console.error('[SubtitleDatabase] Error getting AI usage by provider:', error);
+            return [];
+        }
+    }
+
+    _aiUsageFilter(options) {
+        const conditions = [];
+        const params = [];
+        if (options.period === 'day') {
+            conditions.push("created_at >= datetime('now', 'start of day')");
+        } else if (options.period === 'month') {
+            conditions.push("created_at >= datetime('now', 'start of month')");
+        }
+        if (options.videoId) {
+            conditions.push('video_id = ?');
+            params.push(options.videoId);
+        }
+        return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+    }
+
+    // Prompt evaluations: one row per prompt template run on a sample subtitle, scored by the quality analyzer
+    async recordPromptEvaluation(data) {
+        try {
+            this.db.run(`
+                INSERT INTO prompt_evaluations
+                (template, sample_hash, video_id, language, provider, model, score, original_score, accepted, reverted_cues, dimensions)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                data.template,
+                data.sampleHash,
+                data.videoId || null,
+                data.language || null,
+                data.provider || null,
+                data.model || null,
+                data.score,
+                data.originalScore,
+                data.accepted ? 1 : 0,
+                data.revertedCues || 0,
+                data.dimensions ? JSON.stringify(data.dimensions) : null
+            ]);
+            this.saveDatabase();
+
+            this.stats.inserts++;
+            return true;
+
+        } catch (error) {
+            this.stats.errors++;
+            console.error('[SubtitleDatabase] Error recording prompt evaluation:', error);
+            return false;
+        }
+    }
+
+    // Per template, best average score first. With templates given, only samples every one of them was run on count,
+    // so the averages compare the templates on the same subtitles.
+    async getPromptEvaluationSummary(options = {}) {
+        try {
+            const templates = options.templates || [];
+            let where = '';
+            let params = [];
+            if (templates.length > 0) {
+                const placeholders = templates.map(() => '?').join(', ');
+                where = `
+                    WHERE template IN (${placeholders}) AND sample_hash IN (
+                        SELECT sample_hash FROM prompt_evaluations
+                        WHERE template IN (${placeholders})
+                        GROUP BY sample_hash
+                        HAVING COUNT(DISTINCT template) = ?
+                    )`;
+                params = [...templates, ...templates, templates.length];
+            }
+
+            const stmt = this.db.prepare(`
+                SELECT template, COUNT(*) AS runs, COUNT(DISTINCT sample_hash) AS samples,
+                       ROUND(AVG(score), 2) AS avg_score,
+                       ROUND(AVG(score - original_score), 2) AS avg_improvement,
+                       ROUND(AVG(accepted), 4) AS acceptance_rate,
+                       ROUND(AVG(reverted_cues), 2) AS avg_reverted_cues,
+                       MAX(created_at) AS last_run_at
+                FROM prompt_evaluations ${where}
+                GROUP BY template
+                ORDER BY avg_score DESC, runs DESC
+            `);
+            stmt.bind(params);
+            const results = this._resultsToObjects(stmt);
+
+            this.stats.queries++;
+            return results;
+
+        } catch (error) {
+            this.stats.errors++;
+            console.error('[SubtitleDatabase] Error getting prompt evaluation summary:', error);
+            return [];
+        }
+    }
+
+    // Translation glossary: { term: translation } for one title and target language
+    async getTranslationGlossary(videoId, language) {
+        try {
+            const stmt = this.db.prepare(`
+                SELECT term, translation FROM translation_glossary
+                WHERE video_id = ? AND language = ?
+                ORDER BY created_at ASC, term ASC
+            `);
+            stmt.bind([videoId, language]);
+            const glossary = {};
+            this._resultsToObjects(stmt).forEach(row => {
+                glossary[row.term] = row.translation;
+            });
+
+            this.stats.queries++;
+            return glossary;
+
+        } catch (error) {
+            this.stats.errors++;
+            console.error('[SubtitleDatabase] Error getting translation glossary:', error);
+            return {};
+        }
+    }
+
+    // Terms already stored keep their translation, so a name reads the same in every episode
+    async saveTranslationGlossary(videoId, language, glossary) {
+        try {
+            let added = 0;
+            for (const [term, translation] of Object.entries(glossary || {})) {
+                this.db.run(`
+                    INSERT OR IGNORE INTO translation_glossary (video_id, language, term, translation)
+                    VALUES (?, ?, ?, ?)
+                `, [videoId, language, term, translation]);
+                added += this.db.getRowsModified();
+            }
+            if (added > 0) {
+                this.saveDatabase();
+                this.stats.inserts += added;
+            }
+            return added;
+
+        } catch (error) {
+            this.stats.errors++;
+            console.error('[SubtitleDatabase] Error saving translation glossary:', error);
+            return 0;
+        }
+    }
+
     // Utility methods
     generateHash(content) {
         return crypto.createHash('sha256').update(content).digest('hex');
@@ -605,6 +1299,19 @@ class SubtitleDatabase extends EventEmitter {
             }
             this.stats.deletes += changes;
 
+            // Finished AI jobs carry two copies of a subtitle; keep them for a month
+            this.db.run(`
+                DELETE FROM ai_processing_queue
+                WHERE status IN ('completed', 'dead', 'cancelled') AND completed_at < datetime('now', '-30 days')
+            `);
+            const jobChanges = this.db.getRowsModified();
+            this.saveDatabase();
+
+            if (jobChanges > 0) {
+                console.log(`[SubtitleDatabase] Removed ${jobChanges} finished AI job(s) older than 30 days`);
+            }
+            this.stats.deletes += jobChanges;
+
         } catch (error) {
             console.error('[SubtitleDatabase] Error cleaning up expired entries:', error);
         }
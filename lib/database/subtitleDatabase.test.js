@@ -0,0 +1,131 @@
+// lib/database/subtitleDatabase.test.js
+// Unit tests for the AI job queue tables against an in-memory sql.js database
+
+const { once } = require('events');
+const os = require('os');
+const path = require('path');
+const SubtitleDatabase = require('./subtitleDatabase');
+
+// A database that is never written to disk and runs no maintenance timers
+async function createDatabase() {
+    jest.spyOn(SubtitleDatabase.prototype, 'saveDatabase').mockImplementation(() => {});
+    jest.spyOn(SubtitleDatabase.prototype, 'startMaintenanceTasks').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const database = new SubtitleDatabase({ dbPath: path.join(os.tmpdir(), `ai-queue-${process.pid}-missing.db`) });
+    await once(database, 'initialized');
+    return database;
+}
+
+// Move a job's retry time or lease into the past, as if the time had passed
+function expire(database, id, column) {
+    database.db.run(`UPDATE ai_processing_queue SET ${column} = datetime('now', '-1 seconds') WHERE id = ?`, [id]);
+}
+
+const JOB = { jobKey: 'tt0111161:en:openai:i2', videoId: 'tt0111161', provider: 'openai', language: 'en', content: '1\n00:00:01,000 --> 00:00:02,000\nHi\n' };
+
+describe('SubtitleDatabase AI job queue', () => {
+    let database;
+
+    beforeEach(async () => {
+        database = await createDatabase();
+    });
+
+    afterEach(() => {
+        database.db.close();
+        jest.restoreAllMocks();
+    });
+
+    it('enqueues one job per key', async () => {
+        const first = await database.enqueueAIJob(JOB);
+        const second = await database.enqueueAIJob({ ...JOB, content: 'other' });
+
+        expect(first).toEqual({ id: first.id, status: 'pending', created: true });
+        expect(second).toEqual({ id: first.id, status: 'pending', created: false });
+        expect((await database.getAIJob(first.id)).original_content).toBe(JOB.content);
+    });
+
+    it('leases the highest priority due job and uses up an attempt', async () => {
+        await database.enqueueAIJob({ ...JOB, jobKey: 'low' });
+        const { id } = await database.enqueueAIJob({ ...JOB, jobKey: 'high', priority: 5 });
+
+        const job = await database.leaseAIJob(60);
+
+        expect(job).toMatchObject({ id, status: 'processing', attempts: 1 });
+        expect(job.lease_expires_at).not.toBeNull();
+        expect((await database.leaseAIJob(60)).job_key).toBe('low');
+        expect(await database.leaseAIJob(60)).toBeNull();
+    });
+
+    it('backs a failed job off until its retry time', async () => {
+        const { id } = await database.enqueueAIJob(JOB);
+        await database.leaseAIJob(60);
+
+        const failed = await database.failAIJob(id, 'Provider timed out', 30);
+
+        expect(failed).toMatchObject({ status: 'pending', attempts: 1, error_message: 'Provider timed out', lease_expires_at: null });
+        expect(failed.next_attempt_at).not.toBeNull();
+        expect(await database.leaseAIJob(60)).toBeNull();
+
+        expire(database, id, 'next_attempt_at');
+        expect(await database.leaseAIJob(60)).toMatchObject({ id, attempts: 2 });
+    });
+
+    it('dead-letters a job whose last attempt fails', async () => {
+        const { id } = await database.enqueueAIJob({ ...JOB, maxAttempts: 2 });
+        await database.leaseAIJob(60);
+        await database.failAIJob(id, 'first', 30);
+        expire(database, id, 'next_attempt_at');
+        await database.leaseAIJob(60);
+
+        const dead = await database.failAIJob(id, 'second', 30);
+
+        expect(dead).toMatchObject({ status: 'dead', attempts: 2, error_message: 'second', next_attempt_at: null });
+        expect(dead.completed_at).not.toBeNull();
+        expect(await database.leaseAIJob(60)).toBeNull();
+    });
+
+    it('reclaims a job whose lease expired, and dead-letters it on its last attempt', async () => {
+        const { id } = await database.enqueueAIJob({ ...JOB, maxAttempts: 2 });
+        await database.leaseAIJob(60);
+
+        expire(database, id, 'lease_expires_at');
+        const reclaimed = await database.leaseAIJob(60);
+        expect(reclaimed).toMatchObject({ id, status: 'processing', attempts: 2, error_message: 'Lease expired before the job finished' });
+
+        expire(database, id, 'lease_expires_at');
+        expect(await database.leaseAIJob(60)).toBeNull();
+        expect(await database.getAIJob(id)).toMatchObject({ status: 'dead', lease_expires_at: null });
+    });
+
+    it('defers a job without using up an attempt', async () => {
+        const { id } = await database.enqueueAIJob(JOB);
+        await database.leaseAIJob(60);
+
+        expect(await database.deferAIJob(id, 'Daily AI budget exhausted', 600)).toBe(true);
+
+        expect(await database.getAIJob(id)).toMatchObject({ status: 'pending', attempts: 0, error_message: 'Daily AI budget exhausted' });
+        expect(await database.leaseAIJob(60)).toBeNull();
+        expect(await database.deferAIJob(id, 'not leased', 600)).toBe(false);
+    });
+
+    it('only completes a job that is still leased', async () => {
+        const { id } = await database.enqueueAIJob(JOB);
+        await database.leaseAIJob(60);
+        await database.cancelAIJob(id);
+
+        expect(await database.completeAIJob(id, 'late result')).toBe(false);
+        expect(await database.getAIJob(id)).toMatchObject({ status: 'cancelled', result_content: null });
+    });
+
+    it('retries a dead job with a fresh attempt budget, but not a pending one', async () => {
+        const { id } = await database.enqueueAIJob({ ...JOB, maxAttempts: 1 });
+        expect(await database.retryAIJob(id)).toBe(false);
+        await database.leaseAIJob(60);
+        await database.failAIJob(id, 'broken', 30);
+
+        expect(await database.retryAIJob(id)).toBe(true);
+
+        expect(await database.getAIJob(id)).toMatchObject({ status: 'pending', attempts: 0, error_message: null, completed_at: null });
+        expect(await database.leaseAIJob(60)).toMatchObject({ id, attempts: 1 });
+    });
+});
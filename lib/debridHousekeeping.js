@@ -0,0 +1,309 @@
+// lib/debridHousekeeping.js
+// Removes torrents the addon added to debrid accounts once they are old or the account is over quota
+
+const { getTransferHash } = require('./premiumizeClient');
+
+// How to list and delete torrents per provider. Premiumize plays cached files through directdl; only the
+// transfers started for uncached torrents are left there to clean up.
+const PROVIDER_ADAPTERS = {
+  realdebrid: {
+    list: async client => ((await client.getUserTorrentList(5000)) || []).map(torrent => ({ id: String(torrent.id), hash: torrent.hash, name: torrent.filename })),
+    remove: (client, torrentId) => client.deleteTorrent(torrentId)
+  },
+  alldebrid: {
+    list: async client => (await client.getMagnets()).map(magnet => ({ id: String(magnet.id), hash: magnet.hash, name: magnet.filename })),
+    remove: (client, torrentId) => client.deleteMagnet(torrentId)
+  },
+  torbox: {
+    list: async client => (await client.getTorrentList()).map(torrent => ({ id: String(torrent.id), hash: torrent.hash, name: torrent.name })),
+    remove: (client, torrentId) => client.deleteTorrent(torrentId)
+  },
+  premiumize: {
+    list: async client => (await client.getTransfers()).map(transfer => ({ id: String(transfer.id), hash: getTransferHash(transfer), name: transfer.name })),
+    remove: (client, torrentId) => client.deleteTransfer(torrentId)
+  }
+};
+
+// A per-install account is cleaned this long after its manager is created, so the cleanup does not compete with
+// the stream request that brought the account back
+const ACCOUNT_CLEANUP_DELAY_MS = 60 * 1000;
+const MAX_CLEANED_ACCOUNTS = 1000;
+
+// SQLite datetime('now') values are UTC without a zone suffix
+function parseSqliteDate(value) {
+  return new Date(`${String(value).replace(' ', 'T')}Z`).getTime();
+}
+
+// Per-install accounts are identified by a prefix of their key hash
+function describeAccountKey(cacheKey) {
+  return cacheKey === 'default' ? 'server' : cacheKey.slice(0, 12);
+}
+
+class DebridHousekeeper {
+  constructor(options = {}) {
+    this.database = options.database || null;
+    this.getManagers = options.getManagers || (() => []);
+    this.maxAgeHours = options.maxAgeHours || 48;
+    this.maxTorrents = options.maxTorrents || 100;
+    this.intervalMinutes = options.intervalMinutes || 60;
+    this.timer = null;
+    this.currentRun = null;
+    this.lastRun = null;
+    // When each per-install account was last cleaned on its own (cacheKey -> ms)
+    this.accountCleanups = new Map();
+  }
+
+  isReady() {
+    return !!this.database && this.database.isInitialized;
+  }
+
+  // Called by the streaming manager for every torrent a resolution used; only torrents the addon added get tracked
+  async trackTorrent({ accountKey, provider, torrentId, infoHash, added }) {
+    if (!this.isReady() || !PROVIDER_ADAPTERS[provider]) return false;
+    if (added) {
+      return this.database.trackDebridTorrent({ accountKey, provider, torrentId, infoHash });
+    }
+    return this.database.touchDebridTorrent(accountKey, provider, torrentId);
+  }
+
+  // What a cleanup would do for each provider account of one manager (no changes are made)
+  async inspectManager(manager) {
+    const accounts = [];
+
+    for (const providerName of manager.getAvailableProviders()) {
+      const provider = manager.providers[providerName];
+      const adapter = PROVIDER_ADAPTERS[provider.type];
+      if (!adapter || !provider.client) continue;
+
+      const tracked = await this.database.getTrackedDebridTorrents(manager.cacheKey, providerName);
+      if (tracked.length === 0) continue;
+
+      const account = { manager, provider: providerName, client: provider.client, adapter };
+      try {
+        const accountTorrents = await adapter.list(provider.client);
+        const onAccount = new Map(accountTorrents.map(torrent => [torrent.id, torrent]));
+        const live = tracked.filter(entry => onAccount.has(entry.torrent_id));
+        const reasons = new Map();
+
+        // Age counts from the last play, so torrents still being watched stay
+        const maxAgeMs = this.maxAgeHours * 60 * 60 * 1000;
+        for (const entry of live) {
+          if (Date.now() - parseSqliteDate(entry.last_used_at) > maxAgeMs) {
+            reasons.set(entry.torrent_id, 'age');
+          }
+        }
+
+        // Over quota: drop the least recently used of the addon's own torrents until the account fits
+        const excess = accountTorrents.length - this.maxTorrents;
+        for (const entry of live) {
+          if (reasons.size >= excess) break;
+          if (!reasons.has(entry.torrent_id)) reasons.set(entry.torrent_id, 'quota');
+        }
+
+        accounts.push({
+          ...account,
+          accountTorrents: accountTorrents.length,
+          tracked: live.length,
+          // Removed from the account by the user already; only the tracking row goes
+          gone: tracked.filter(entry => !onAccount.has(entry.torrent_id)).map(entry => entry.torrent_id),
+          remove: live.filter(entry => reasons.has(entry.torrent_id)).map(entry => ({
+            torrentId: entry.torrent_id,
+            infoHash: entry.info_hash,
+            name: onAccount.get(entry.torrent_id).name,
+            addedAt: entry.added_at,
+            lastUsedAt: entry.last_used_at,
+            reason: reasons.get(entry.torrent_id)
+          }))
+        });
+      } catch (error) {
+        console.error(`[Housekeeping] Could not list ${providerName} torrents:`, error.message);
+        accounts.push({ ...account, error: error.message, gone: [], remove: [] });
+      }
+    }
+
+    return accounts;
+  }
+
+  async inspectAll() {
+    const accounts = [];
+    for (const manager of this.getManagers()) {
+      accounts.push(...await this.inspectManager(manager));
+    }
+    return accounts;
+  }
+
+  // Tracked accounts without a manager in memory (evicted, or not used since a restart). Their API keys only
+  // live in the install's config, so they are cleaned when the account next plays something.
+  async findOrphanedAccounts() {
+    const active = new Set(this.getManagers().map(manager => manager.cacheKey));
+    const accounts = await this.database.getDebridTorrentAccounts();
+    return accounts
+      .filter(account => !active.has(account.account_key))
+      .map(account => ({
+        account: describeAccountKey(account.account_key),
+        provider: account.provider,
+        tracked: account.tracked,
+        lastUsedAt: account.last_used_at
+      }));
+  }
+
+  // JSON-safe view of an inspected account
+  describeAccount(account) {
+    const { manager, provider, accountTorrents, tracked, gone, remove, error } = account;
+    return {
+      account: describeAccountKey(manager.cacheKey),
+      provider,
+      ...(error ? { error } : { accountTorrents, tracked, missing: gone.length, remove })
+    };
+  }
+
+  async preview() {
+    if (!this.isReady()) {
+      return { success: false, error: 'Housekeeping database is not initialized' };
+    }
+    const accounts = await this.inspectAll();
+    return {
+      success: true,
+      settings: this.getSettings(),
+      accounts: accounts.map(account => this.describeAccount(account)),
+      orphaned: await this.findOrphanedAccounts()
+    };
+  }
+
+  // Delete the planned torrents of inspected accounts: { deleted, failed }
+  async removeTorrents(accounts) {
+    let deleted = 0;
+    let failed = 0;
+
+    for (const account of accounts) {
+      const { manager, provider, client, adapter } = account;
+      for (const torrentId of account.gone) {
+        await this.database.markDebridTorrentDeleted(manager.cacheKey, provider, torrentId);
+      }
+      for (const entry of account.remove) {
+        try {
+          await adapter.remove(client, entry.torrentId);
+          await this.database.markDebridTorrentDeleted(manager.cacheKey, provider, entry.torrentId);
+          entry.deleted = true;
+          deleted++;
+        } catch (error) {
+          console.error(`[Housekeeping] Failed to delete ${provider} torrent ${entry.torrentId}:`, error.message);
+          entry.deleted = false;
+          entry.error = error.message;
+          failed++;
+        }
+      }
+    }
+
+    return { deleted, failed };
+  }
+
+  // Delete the planned torrents; overlapping calls share the run in progress
+  async run() {
+    if (!this.isReady()) {
+      return { success: false, error: 'Housekeeping database is not initialized' };
+    }
+    if (this.currentRun) return this.currentRun;
+
+    this.currentRun = (async () => {
+      const accounts = await this.inspectAll();
+      const { deleted, failed } = await this.removeTorrents(accounts);
+
+      this.lastRun = { finishedAt: new Date().toISOString(), deleted, failed };
+      if (deleted > 0 || failed > 0) {
+        console.log(`[Housekeeping] Removed ${deleted} addon-added torrent(s), ${failed} failed`);
+      }
+      return {
+        success: true,
+        ...this.lastRun,
+        accounts: accounts.map(account => this.describeAccount(account))
+      };
+    })();
+
+    try {
+      return await this.currentRun;
+    } finally {
+      this.currentRun = null;
+    }
+  }
+
+  // Called when a per-install manager is created, which after an eviction or a restart is the only time the
+  // addon holds that account's API keys again. Runs once per interval per account, and only when scheduled.
+  scheduleAccountCleanup(manager) {
+    if (!this.timer || !this.isReady() || manager.cacheKey === 'default') return;
+
+    const lastCleanup = this.accountCleanups.get(manager.cacheKey);
+    if (lastCleanup && Date.now() - lastCleanup < this.intervalMinutes * 60 * 1000) return;
+    this.accountCleanups.delete(manager.cacheKey);
+    if (this.accountCleanups.size >= MAX_CLEANED_ACCOUNTS) {
+      this.accountCleanups.delete(this.accountCleanups.keys().next().value);
+    }
+    this.accountCleanups.set(manager.cacheKey, Date.now());
+
+    const timer = setTimeout(() => {
+      this.cleanAccount(manager).catch(error => console.error('[Housekeeping] Account cleanup failed:', error));
+    }, ACCOUNT_CLEANUP_DELAY_MS);
+    if (timer.unref) timer.unref();
+  }
+
+  async cleanAccount(manager) {
+    const accounts = await this.inspectManager(manager);
+    const { deleted, failed } = await this.removeTorrents(accounts);
+    if (deleted > 0 || failed > 0) {
+      console.log(`[Housekeeping] Removed ${deleted} addon-added torrent(s) from account ${describeAccountKey(manager.cacheKey)}, ${failed} failed`);
+    }
+    return { deleted, failed };
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.run().catch(error => console.error('[Housekeeping] Scheduled cleanup failed:', error));
+    }, this.intervalMinutes * 60 * 1000);
+    // Never keep the process alive just for housekeeping
+    if (this.timer.unref) this.timer.unref();
+    console.log(`[Housekeeping] Debrid cleanup every ${this.intervalMinutes} min (max age ${this.maxAgeHours}h, max ${this.maxTorrents} torrents)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  getSettings() {
+    return {
+      scheduled: !!this.timer,
+      maxAgeHours: this.maxAgeHours,
+      maxTorrents: this.maxTorrents,
+      intervalMinutes: this.intervalMinutes,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+// Server-wide instance configured from the environment
+const debridHousekeeper = new DebridHousekeeper();
+
+// config: { enabled, maxAgeHours, maxTorrents, intervalMinutes }; options: { database, getManagers }
+function initializeDebridHousekeeping(config = {}, options = {}) {
+  Object.assign(debridHousekeeper, {
+    database: options.database || debridHousekeeper.database,
+    getManagers: options.getManagers || debridHousekeeper.getManagers,
+    maxAgeHours: config.maxAgeHours || debridHousekeeper.maxAgeHours,
+    maxTorrents: config.maxTorrents || debridHousekeeper.maxTorrents,
+    intervalMinutes: config.intervalMinutes || debridHousekeeper.intervalMinutes
+  });
+
+  if (config.enabled !== false) {
+    debridHousekeeper.start();
+  }
+  return debridHousekeeper;
+}
+
+module.exports = {
+  DebridHousekeeper,
+  debridHousekeeper,
+  initializeDebridHousekeeping
+};
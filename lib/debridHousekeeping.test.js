@@ -0,0 +1,142 @@
+// lib/debridHousekeeping.test.js
+// Unit tests for removing addon-added debrid torrents, with a fake account on an in-memory sql.js database
+
+const { once } = require('events');
+const os = require('os');
+const path = require('path');
+const SubtitleDatabase = require('./database/subtitleDatabase');
+const { DebridHousekeeper } = require('./debridHousekeeping');
+
+const ACCOUNT_KEY = 'install-1';
+
+// A database that is never written to disk and runs no maintenance timers
+async function createDatabase() {
+    jest.spyOn(SubtitleDatabase.prototype, 'saveDatabase').mockImplementation(() => {});
+    jest.spyOn(SubtitleDatabase.prototype, 'startMaintenanceTasks').mockImplementation(() => {});
+    const database = new SubtitleDatabase({ dbPath: path.join(os.tmpdir(), `housekeeping-${process.pid}-missing.db`) });
+    await once(database, 'initialized');
+    return database;
+}
+
+// A Real-Debrid account holding the torrents in ids, and the streaming manager it belongs to
+function createManager(ids) {
+    const torrents = ids.map(id => ({ id, hash: `hash-${id}`, filename: `${id}.mkv` }));
+    const client = {
+        torrents,
+        getUserTorrentList: async () => torrents,
+        deleteTorrent: jest.fn(async id => {
+            torrents.splice(torrents.findIndex(torrent => torrent.id === id), 1);
+        })
+    };
+    return {
+        cacheKey: ACCOUNT_KEY,
+        client,
+        getAvailableProviders: () => ['realdebrid'],
+        providers: { realdebrid: { type: 'realdebrid', client } }
+    };
+}
+
+describe('Debrid housekeeping', () => {
+    let database;
+    let housekeeper;
+
+    // Track torrentId as added by the addon, last played hoursAgo
+    async function trackAdded(torrentId, hoursAgo = 0) {
+        await housekeeper.trackTorrent({ accountKey: ACCOUNT_KEY, provider: 'realdebrid', torrentId, infoHash: `hash-${torrentId}`, added: true });
+        database.db.run(
+            "UPDATE debrid_torrents SET last_used_at = datetime('now', ?) WHERE torrent_id = ?",
+            [`-${hoursAgo * 60} minutes`, torrentId]
+        );
+    }
+
+    beforeEach(async () => {
+        ['log', 'error'].forEach(level => jest.spyOn(console, level).mockImplementation(() => {}));
+        database = await createDatabase();
+        housekeeper = new DebridHousekeeper({ database, maxAgeHours: 48, maxTorrents: 100 });
+    });
+
+    afterEach(() => {
+        database.db.close();
+        jest.restoreAllMocks();
+    });
+
+    it('tracks only torrents the addon added, and refreshes them when played again', async () => {
+        expect(await housekeeper.trackTorrent({ accountKey: ACCOUNT_KEY, provider: 'realdebrid', torrentId: 'USER1', added: false })).toBe(false);
+        expect(await housekeeper.trackTorrent({ accountKey: ACCOUNT_KEY, provider: 'unknown', torrentId: 'T1', added: true })).toBe(false);
+        await trackAdded('T1', 72);
+
+        expect(await housekeeper.trackTorrent({ accountKey: ACCOUNT_KEY, provider: 'realdebrid', torrentId: 'T1', added: false })).toBe(true);
+
+        // Played again just now, so it is no longer old; USER1 was never tracked
+        const [account] = await housekeeper.inspectManager(createManager(['USER1', 'T1']));
+        expect(account).toMatchObject({ accountTorrents: 2, tracked: 1, remove: [] });
+    });
+
+    it('removes the addon\'s torrents once they are older than the age limit, and never the user\'s', async () => {
+        const manager = createManager(['USER1', 'OLD', 'FRESH']);
+        await trackAdded('OLD', 72);
+        await trackAdded('FRESH', 1);
+
+        const [account] = await housekeeper.inspectManager(manager);
+
+        expect(account).toMatchObject({ accountTorrents: 3, tracked: 2, gone: [] });
+        expect(account.remove).toEqual([expect.objectContaining({ torrentId: 'OLD', infoHash: 'hash-OLD', name: 'OLD.mkv', reason: 'age' })]);
+    });
+
+    it('drops the least recently played addon torrents while the account is over quota', async () => {
+        housekeeper.maxTorrents = 3;
+        const manager = createManager(['USER1', 'USER2', 'A', 'B', 'C']);
+        await trackAdded('A', 3);
+        await trackAdded('B', 5);
+        await trackAdded('C', 1);
+
+        const [account] = await housekeeper.inspectManager(manager);
+
+        expect(account.remove.map(entry => [entry.torrentId, entry.reason])).toEqual([['B', 'quota'], ['A', 'quota']]);
+    });
+
+    it('leaves the user\'s torrents alone even when only they keep the account over quota', async () => {
+        housekeeper.maxTorrents = 2;
+        const manager = createManager(['USER1', 'USER2', 'USER3', 'USER4', 'A']);
+        await trackAdded('A', 1);
+
+        const [account] = await housekeeper.inspectManager(manager);
+
+        expect(account.remove.map(entry => entry.torrentId)).toEqual(['A']);
+    });
+
+    it('deletes the planned torrents and drops the rows of torrents the user removed', async () => {
+        const manager = createManager(['USER1', 'OLD', 'FRESH']);
+        housekeeper.getManagers = () => [manager];
+        await trackAdded('OLD', 72);
+        await trackAdded('FRESH', 1);
+        await trackAdded('GONE', 1);
+
+        const result = await housekeeper.run();
+
+        expect(result).toMatchObject({
+            success: true,
+            deleted: 1,
+            failed: 0,
+            accounts: [{ account: ACCOUNT_KEY, provider: 'realdebrid', accountTorrents: 3, tracked: 2, missing: 1 }]
+        });
+        expect(manager.client.deleteTorrent).toHaveBeenCalledTimes(1);
+        expect(manager.client.deleteTorrent).toHaveBeenCalledWith('OLD');
+        expect(manager.client.torrents.map(torrent => torrent.id)).toEqual(['USER1', 'FRESH']);
+        const tracked = await database.getTrackedDebridTorrents(ACCOUNT_KEY, 'realdebrid');
+        expect(tracked.map(entry => entry.torrent_id)).toEqual(['FRESH']);
+    });
+
+    it('keeps tracking a torrent whose delete failed', async () => {
+        const manager = createManager(['OLD']);
+        manager.client.deleteTorrent.mockRejectedValue(new Error('Real-Debrid API error: 503'));
+        housekeeper.getManagers = () => [manager];
+        await trackAdded('OLD', 72);
+
+        const result = await housekeeper.run();
+
+        expect(result).toMatchObject({ deleted: 0, failed: 1 });
+        expect(result.accounts[0].remove).toEqual([expect.objectContaining({ torrentId: 'OLD', deleted: false, error: 'Real-Debrid API error: 503' })]);
+        expect(await database.getTrackedDebridTorrents(ACCOUNT_KEY, 'realdebrid')).toHaveLength(1);
+    });
+});
@@ -0,0 +1,131 @@
+// lib/indexers/jsonIndexer.js
+// Generic JSON indexer adapter: URL templates plus a field mapping turn any JSON torrent API into candidates
+
+const fetch = require('node-fetch');
+const { normalizeInfoHash, infoHashFromMagnet, buildMagnetLink } = require('./magnet');
+
+// Field names tried in order when the config does not map a field explicitly
+const DEFAULT_FIELDS = {
+  infoHash: ['infoHash', 'info_hash', 'hash', 'btih'],
+  title: ['title', 'name', 'filename', 'release_name'],
+  size: ['size', 'size_bytes', 'bytes', 'filesize'],
+  seeders: ['seeders', 'seeds', 'seed'],
+  peers: ['peers', 'leechers', 'leech'],
+  magnet: ['magnet', 'magnetLink', 'magnet_link', 'magnetUrl', 'magnet_url'],
+  fileIdx: ['fileIdx', 'file_index']
+};
+const DEFAULT_RESULT_PATHS = ['results', 'torrents', 'streams', 'data', 'data.torrents', 'data.movie.torrents'];
+
+// Read "a.b.c" from an object
+function getPath(value, path) {
+  return path.split('.').reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), value);
+}
+
+function fillTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (all, key) =>
+    values[key] === null || values[key] === undefined ? '' : encodeURIComponent(values[key])
+  );
+}
+
+class JsonIndexer {
+  constructor(config = {}) {
+    if (!config.url) {
+      throw new Error('JSON indexer needs a url template');
+    }
+    this.type = 'json';
+    this.name = config.name || 'JSON indexer';
+    // Placeholders: {imdbId}, {imdbNumber}, {type}, {season}, {episode}
+    this.url = config.url;
+    this.seriesUrl = config.seriesUrl || null;
+    this.resultsPath = config.resultsPath || null;
+    this.fields = config.fields || {};
+    this.headers = config.headers || {};
+    this.timeout = config.timeout || 10000;
+  }
+
+  buildSearchUrl(query) {
+    const { imdbId, type = 'movie', season = null, episode = null } = query;
+    const template = type === 'series' && this.seriesUrl ? this.seriesUrl : this.url;
+    return fillTemplate(template, {
+      imdbId,
+      imdbNumber: imdbId.replace(/^tt/, ''),
+      type,
+      season,
+      episode
+    });
+  }
+
+  readField(item, field) {
+    const paths = this.fields[field] ? [this.fields[field]] : DEFAULT_FIELDS[field];
+    for (const path of paths) {
+      const value = getPath(item, path);
+      if (value !== undefined && value !== null && value !== '') return value;
+    }
+    return null;
+  }
+
+  extractItems(data) {
+    if (this.resultsPath) {
+      const items = getPath(data, this.resultsPath);
+      return Array.isArray(items) ? items : [];
+    }
+    if (Array.isArray(data)) return data;
+
+    for (const path of DEFAULT_RESULT_PATHS) {
+      const items = getPath(data, path);
+      if (Array.isArray(items)) return items;
+    }
+    return [];
+  }
+
+  toCandidate(item) {
+    const magnet = this.readField(item, 'magnet');
+    const infoHash = normalizeInfoHash(String(this.readField(item, 'infoHash') || '')) || infoHashFromMagnet(magnet);
+    if (!infoHash) return null;
+
+    const title = this.readField(item, 'title');
+    const seeders = parseInt(this.readField(item, 'seeders'), 10);
+    const peers = parseInt(this.readField(item, 'peers'), 10);
+    const fileIdx = parseInt(this.readField(item, 'fileIdx'), 10);
+
+    return {
+      infoHash,
+      title: title ? String(title) : infoHash,
+      size: parseInt(this.readField(item, 'size'), 10) || null,
+      seeders: isNaN(seeders) ? null : seeders,
+      peers: isNaN(peers) ? null : peers,
+      magnetLink: magnet || buildMagnetLink(infoHash, title),
+      ...(!isNaN(fileIdx) && { fileIdx }),
+      indexer: this.name
+    };
+  }
+
+  // query: { imdbId, type: 'movie'|'series', season, episode }
+  async search(query) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(this.buildSearchUrl(query), {
+        headers: {
+          'Accept': 'application/json',
+          'User-Agent': 'Stremio-AI-Sub-Addon/2.0',
+          ...this.headers
+        },
+        signal: controller.signal
+      });
+      if (!response.ok) {
+        throw new Error(`JSON indexer request failed: ${response.status} - ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      return this.extractItems(data).map(item => this.toCandidate(item)).filter(Boolean);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+module.exports = {
+  JsonIndexer
+};
@@ -0,0 +1,56 @@
+// lib/indexers/magnet.js
+// Infohash normalization and magnet link helpers shared by the indexer adapters
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// A handful of public trackers so magnets built from a bare hash can still find peers
+const DEFAULT_TRACKERS = [
+  'udp://tracker.opentrackr.org:1337/announce',
+  'udp://open.demonii.com:1337/announce',
+  'udp://tracker.torrent.eu.org:451/announce'
+];
+
+function base32ToHex(value) {
+  let bits = '';
+  for (const char of value.toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) return null;
+    bits += index.toString(2).padStart(5, '0');
+  }
+
+  let hex = '';
+  for (let i = 0; i + 4 <= bits.length; i += 4) {
+    hex += parseInt(bits.substring(i, i + 4), 2).toString(16);
+  }
+  return hex;
+}
+
+// Lowercase 40-char hex infohash, or null. Accepts hex and the 32-char base32 form used by some magnets.
+function normalizeInfoHash(value) {
+  if (!value || typeof value !== 'string') return null;
+  const trimmed = value.trim();
+
+  if (/^[a-f0-9]{40}$/i.test(trimmed)) return trimmed.toLowerCase();
+  if (/^[a-z2-7]{32}$/i.test(trimmed)) return base32ToHex(trimmed);
+  return null;
+}
+
+function infoHashFromMagnet(magnetLink) {
+  const match = /xt=urn:btih:([a-z0-9]+)/i.exec(magnetLink || '');
+  return match ? normalizeInfoHash(match[1]) : null;
+}
+
+function buildMagnetLink(infoHash, name = null, trackers = DEFAULT_TRACKERS) {
+  let magnet = `magnet:?xt=urn:btih:${infoHash}`;
+  if (name) magnet += `&dn=${encodeURIComponent(name)}`;
+  for (const tracker of trackers) {
+    magnet += `&tr=${encodeURIComponent(tracker)}`;
+  }
+  return magnet;
+}
+
+module.exports = {
+  normalizeInfoHash,
+  infoHashFromMagnet,
+  buildMagnetLink
+};
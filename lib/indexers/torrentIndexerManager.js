@@ -0,0 +1,169 @@
+// lib/indexers/torrentIndexerManager.js
+// Pluggable torrent indexer layer: fans an IMDb lookup out to every configured indexer and merges the candidate infohashes
+
+const { TorznabIndexer } = require('./torznabIndexer');
+const { JsonIndexer } = require('./jsonIndexer');
+const { parseEpisodeInfo } = require('../subtitles/episodeMatcher');
+
+const MAX_CACHED_SEARCHES = 500;
+
+// Candidates named for another episode are dropped; season packs and unlabeled names stay
+function isOtherEpisode(title, season, episode) {
+  const info = parseEpisodeInfo(title);
+  if (!info || !episode) return false;
+  if (info.season !== null && info.season !== parseInt(season, 10)) return true;
+  const wanted = parseInt(episode, 10);
+  return wanted < info.episode || wanted > info.lastEpisode;
+}
+
+class TorrentIndexerManager {
+  constructor(options = {}) {
+    this.adapters = {
+      torznab: TorznabIndexer,
+      json: JsonIndexer
+    };
+    this.indexers = [];
+    this.cache = new Map();
+    this.cacheExpiry = options.cacheExpiry || 15 * 60 * 1000; // 15 minutes
+    this.maxErrors = options.maxErrors || 5;
+  }
+
+  // Make a new indexer type available to addIndexer ({ type: name, ... })
+  registerAdapter(type, adapterClass) {
+    this.adapters[type.toLowerCase()] = adapterClass;
+  }
+
+  addIndexer(config) {
+    const type = (config.type || 'torznab').toLowerCase();
+    const AdapterClass = this.adapters[type];
+    if (!AdapterClass) {
+      throw new Error(`Unsupported indexer type: ${config.type}`);
+    }
+
+    const indexer = new AdapterClass(config);
+    this.indexers.push({
+      indexer,
+      name: indexer.name,
+      type,
+      enabled: config.enabled !== false,
+      errorCount: 0,
+      lastError: null
+    });
+    console.log(`[Indexers] ${type} indexer '${indexer.name}' registered`);
+    return indexer;
+  }
+
+  getEnabledIndexers() {
+    return this.indexers.filter(entry => entry.enabled);
+  }
+
+  getStatus() {
+    return this.indexers.map(({ name, type, enabled, errorCount, lastError }) => ({ name, type, enabled, errorCount, lastError }));
+  }
+
+  // query: { imdbId, type: 'movie'|'series', season, episode, maxResults }
+  // Returns { success, results, indexers } with results deduplicated by infohash and sorted by seeders
+  async search(query) {
+    const { imdbId, type = 'movie', season = null, episode = null, maxResults = 50 } = query;
+    const enabled = this.getEnabledIndexers();
+    if (!imdbId || !imdbId.startsWith('tt') || enabled.length === 0) {
+      return { success: false, results: [], indexers: [] };
+    }
+
+    const cacheKey = `${imdbId}:${type}:${season || ''}:${episode || ''}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached && Date.now() - cached.timestamp < this.cacheExpiry) {
+      return { ...cached.value, results: cached.value.results.slice(0, maxResults) };
+    }
+
+    const settled = await Promise.allSettled(enabled.map(entry =>
+      entry.indexer.search({ imdbId, type, season, episode })
+    ));
+
+    const byHash = new Map();
+    const indexerResults = settled.map((outcome, i) => {
+      const entry = enabled[i];
+      if (outcome.status === 'rejected') {
+        entry.errorCount++;
+        entry.lastError = outcome.reason.message;
+        console.error(`[Indexers] ${entry.name} search failed:`, outcome.reason.message);
+        if (entry.errorCount >= this.maxErrors) {
+          entry.enabled = false;
+          console.warn(`[Indexers] Disabled ${entry.name} after ${entry.errorCount} consecutive errors`);
+        }
+        return { name: entry.name, success: false, error: outcome.reason.message, count: 0 };
+      }
+
+      entry.errorCount = 0;
+      for (const candidate of outcome.value) {
+        if (type === 'series' && isOtherEpisode(candidate.title, season, episode)) continue;
+
+        const existing = byHash.get(candidate.infoHash);
+        if (!existing) {
+          byHash.set(candidate.infoHash, { ...candidate, sources: [candidate.indexer] });
+        } else {
+          existing.seeders = Math.max(existing.seeders || 0, candidate.seeders || 0);
+          existing.size = existing.size || candidate.size;
+          if (!existing.sources.includes(candidate.indexer)) existing.sources.push(candidate.indexer);
+        }
+      }
+      return { name: entry.name, success: true, count: outcome.value.length };
+    });
+
+    const results = [...byHash.values()].sort((a, b) => (b.seeders || 0) - (a.seeders || 0));
+    const value = {
+      success: indexerResults.some(result => result.success),
+      results,
+      indexers: indexerResults
+    };
+
+    // Failed lookups are not cached so a flaky indexer gets retried on the next request
+    if (value.success) {
+      if (this.cache.size >= MAX_CACHED_SEARCHES) {
+        this.cache.delete(this.cache.keys().next().value);
+      }
+      this.cache.set(cacheKey, { value, timestamp: Date.now() });
+    }
+
+    console.log(`[Indexers] ${results.length} unique candidate(s) for ${cacheKey} from ${enabled.length} indexer(s)`);
+    return { ...value, results: results.slice(0, maxResults) };
+  }
+}
+
+// Server-wide instance configured from the environment
+const torrentIndexers = new TorrentIndexerManager();
+
+// config: { list: [...indexer configs] or a JSON string, torznabUrl, torznabApiKey, timeout }
+function initializeTorrentIndexers(config = {}) {
+  let list = config.list || [];
+  if (typeof list === 'string') {
+    try {
+      list = JSON.parse(list);
+    } catch (error) {
+      console.error('[Indexers] TORRENT_INDEXERS is not valid JSON:', error.message);
+      list = [];
+    }
+  }
+
+  // Single Torznab endpoint shortcut (e.g. Jackett's "all" aggregate or a Prowlarr indexer)
+  if (config.torznabUrl) {
+    list = [...list, { type: 'torznab', name: 'Torznab', url: config.torznabUrl, apiKey: config.torznabApiKey }];
+  }
+
+  for (const indexerConfig of Array.isArray(list) ? list : []) {
+    try {
+      torrentIndexers.addIndexer({ timeout: config.timeout, ...indexerConfig });
+    } catch (error) {
+      console.error(`[Indexers] Skipping indexer '${indexerConfig.name || indexerConfig.url}':`, error.message);
+    }
+  }
+
+  console.log(`[Indexers] ${torrentIndexers.getEnabledIndexers().length} torrent indexer(s) enabled`);
+  return torrentIndexers;
+}
+
+module.exports = {
+  TorrentIndexerManager,
+  torrentIndexers,
+  initializeTorrentIndexers
+};
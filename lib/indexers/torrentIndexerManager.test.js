@@ -0,0 +1,144 @@
+// lib/indexers/torrentIndexerManager.test.js
+// Torrent indexer layer tests against a local stub Torznab and JSON indexer (no network or API keys needed)
+
+// The indexers talk to the local stub server over real HTTP
+jest.unmock('node-fetch');
+
+const http = require('http');
+const { TorrentIndexerManager } = require('./torrentIndexerManager');
+const { StreamingProviderManager } = require('../streamingProviderManager');
+
+const HASH_A = 'aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+const HASH_B = 'bbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb';
+// Base32 form of 0123456789abcdef0123456789abcdef01234567
+const HASH_C_BASE32 = 'AERUKZ4JVPG66AJDIVTYTK6N54ASGRLH';
+const HASH_C = '0123456789abcdef0123456789abcdef01234567';
+
+function torznabFeed(query) {
+    if (query.get('apikey') !== 'secret') {
+        return '<?xml version="1.0"?><error code="100" description="Incorrect user credentials"/>';
+    }
+    if (query.get('t') === 'tvsearch') {
+        return `<?xml version="1.0"?><rss xmlns:torznab="http://torznab.com/schemas/2015/feed"><channel>
+            <item><title>Show.S01E05.1080p.WEB-DL-GRP</title><size>1000</size>
+                <torznab:attr name="infohash" value="${HASH_A}"/><torznab:attr name="seeders" value="12"/></item>
+            <item><title>Show.S01E06.1080p.WEB-DL-GRP</title><size>1000</size>
+                <torznab:attr name="infohash" value="${HASH_B}"/><torznab:attr name="seeders" value="40"/></item>
+            <item><title>Show.S01.1080p.BluRay-PACK</title><size>9000</size>
+                <torznab:attr name="magneturl" value="magnet:?xt=urn:btih:${HASH_C_BASE32}&amp;dn=pack"/><torznab:attr name="seeders" value="7"/></item>
+        </channel></rss>`;
+    }
+    return `<?xml version="1.0"?><rss xmlns:torznab="http://torznab.com/schemas/2015/feed"><channel>
+        <item><title><![CDATA[Movie & Co 2020 1080p BluRay x264-GRP]]></title><size>2000</size>
+            <torznab:attr name="infohash" value="${HASH_A.toUpperCase()}"/><torznab:attr name="seeders" value="25"/></item>
+        <item><title>Movie 2020 .torrent only</title><link>http://127.0.0.1/download/1.torrent</link></item>
+    </channel></rss>`;
+}
+
+function jsonResults(pathname) {
+    if (pathname.startsWith('/json/series/')) {
+        return { data: { torrents: [] } };
+    }
+    return {
+        data: {
+            torrents: [
+                { hash: HASH_A, name: 'Movie 2020 1080p', seeds: 30, size: 2000 },
+                { hash: HASH_B, name: 'Movie 2020 720p', seeds: 3, size: 900 }
+            ]
+        }
+    };
+}
+
+function startStubIndexer() {
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname === '/torznab/api') {
+            res.writeHead(200, { 'Content-Type': 'application/rss+xml' });
+            res.end(torznabFeed(url.searchParams));
+        } else if (url.pathname.startsWith('/json/')) {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(jsonResults(url.pathname)));
+        } else {
+            res.writeHead(500);
+            res.end('boom');
+        }
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+describe('Torrent indexer manager', () => {
+    let server;
+    let base;
+    let manager;
+
+    beforeAll(async () => {
+        server = await startStubIndexer();
+        base = `http://127.0.0.1:${server.address().port}`;
+
+        manager = new TorrentIndexerManager();
+        manager.addIndexer({ type: 'torznab', name: 'Stub Torznab', url: `${base}/torznab/api`, apiKey: 'secret' });
+        manager.addIndexer({
+            type: 'json',
+            name: 'Stub JSON',
+            url: `${base}/json/movies?imdb={imdbId}`,
+            seriesUrl: `${base}/json/series/{imdbId}/{season}/{episode}`,
+            resultsPath: 'data.torrents'
+        });
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(() => {
+        ['log', 'warn', 'error'].forEach(level => jest.spyOn(console, level).mockImplementation(() => {}));
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('merges the indexers\' movie results by infohash, best seeded first', async () => {
+        const { results, indexers } = await manager.search({ imdbId: 'tt0000001', type: 'movie' });
+
+        expect(indexers.every(indexer => indexer.success)).toBe(true);
+        expect(results.map(result => result.infoHash)).toEqual([HASH_A, HASH_B]);
+        expect(results[0].seeders).toBe(30);
+        expect(results[0].sources).toHaveLength(2);
+    });
+
+    it('drops other episodes from a series search and keeps season packs', async () => {
+        const { results } = await manager.search({ imdbId: 'tt0000002', type: 'series', season: 1, episode: 5 });
+        const hashes = results.map(result => result.infoHash);
+
+        expect(hashes).toContain(HASH_A);
+        expect(hashes).not.toContain(HASH_B);
+        // The pack only has a base32 magnet
+        expect(hashes).toContain(HASH_C);
+    });
+
+    it('reports indexer errors instead of throwing them', async () => {
+        const failing = new TorrentIndexerManager();
+        failing.addIndexer({ type: 'torznab', name: 'Bad key', url: `${base}/torznab/api`, apiKey: 'wrong' });
+        failing.addIndexer({ type: 'json', name: 'Broken', url: `${base}/broken` });
+
+        const { success, indexers } = await failing.search({ imdbId: 'tt0000003' });
+
+        expect(success).toBe(false);
+        expect(indexers[0].error).toMatch(/credentials/);
+        expect(indexers[1].success).toBe(false);
+    });
+
+    it('feeds its candidates to the providers\' instant availability check', async () => {
+        const providers = new StreamingProviderManager();
+        providers.providers.stub = {
+            enabled: true,
+            client: {
+                searchCachedContent: async () => [],
+                getInstantAvailability: async () => ({ [HASH_A]: { videoFiles: [{ filename: 'movie.mkv' }] } })
+            }
+        };
+        const { results } = await manager.search({ imdbId: 'tt0000001', type: 'movie' });
+
+        const search = await providers.searchCachedContent('tt0000001', { candidates: results });
+
+        expect(search.totalResults).toBe(1);
+        expect(search.providers[0].results[0].hash).toBe(HASH_A);
+    });
+});
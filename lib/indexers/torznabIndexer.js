@@ -0,0 +1,178 @@
+// lib/indexers/torznabIndexer.js
+// Torznab indexer adapter (Jackett, Prowlarr and native Torznab endpoints) for IMDb-based torrent search
+
+const fetch = require('node-fetch');
+const { normalizeInfoHash, infoHashFromMagnet, buildMagnetLink } = require('./magnet');
+
+// Newznab/Torznab categories: 2000 = Movies, 5000 = TV
+const DEFAULT_CATEGORIES = {
+  movie: ['2000'],
+  series: ['5000']
+};
+
+function decodeXmlEntities(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&#(\d+);/g, (all, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (all, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+function readTag(xml, tag) {
+  const match = new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`, 'i').exec(xml);
+  if (!match) return null;
+  const cdata = /^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/.exec(match[1]);
+  return cdata ? cdata[1].trim() : decodeXmlEntities(match[1].trim());
+}
+
+function readAttributes(tagSource) {
+  const attributes = {};
+  for (const match of tagSource.matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/g)) {
+    attributes[match[1].toLowerCase()] = decodeXmlEntities(match[2]);
+  }
+  return attributes;
+}
+
+// Parse a Torznab RSS response into raw items; throws on <error code=".." description=".."/>
+function parseTorznabResponse(xml) {
+  const error = /<error\b([^>]*)\/?>/i.exec(xml);
+  if (error) {
+    const { code, description } = readAttributes(error[1]);
+    throw new Error(`Torznab error ${code || '?'}: ${description || 'unknown error'}`);
+  }
+
+  const items = [];
+  for (const match of xml.matchAll(/<item\b[^>]*>([\s\S]*?)<\/item>/gi)) {
+    const itemXml = match[1];
+    const attributes = {};
+    for (const attr of itemXml.matchAll(/<(?:torznab|newznab):attr\b([^>]*)\/?>/gi)) {
+      const { name, value } = readAttributes(attr[1]);
+      if (name) attributes[name.toLowerCase()] = value;
+    }
+    const enclosure = /<enclosure\b([^>]*)\/?>/i.exec(itemXml);
+
+    items.push({
+      title: readTag(itemXml, 'title'),
+      link: readTag(itemXml, 'link'),
+      size: readTag(itemXml, 'size'),
+      pubDate: readTag(itemXml, 'pubDate'),
+      enclosureUrl: enclosure ? readAttributes(enclosure[1]).url || null : null,
+      attributes
+    });
+  }
+  return items;
+}
+
+class TorznabIndexer {
+  constructor(config = {}) {
+    if (!config.url) {
+      throw new Error('Torznab indexer needs a url');
+    }
+    this.type = 'torznab';
+    this.name = config.name || 'Torznab';
+    this.url = config.url;
+    this.apiKey = config.apiKey || null;
+    this.categories = { ...DEFAULT_CATEGORIES, ...(config.categories || {}) };
+    this.timeout = config.timeout || 10000;
+    // Season-only queries are how most indexers return season packs
+    this.includeSeasonPacks = config.includeSeasonPacks !== false;
+  }
+
+  buildSearchUrls(query) {
+    const { imdbId, type = 'movie', season = null, episode = null } = query;
+    const params = (extra) => {
+      const searchParams = new URLSearchParams({
+        t: type === 'series' ? 'tvsearch' : 'movie',
+        // The Torznab spec passes IMDb IDs without the tt prefix
+        imdbid: imdbId.replace(/^tt/, ''),
+        ...(this.categories[type] && this.categories[type].length > 0 && { cat: this.categories[type].join(',') }),
+        ...(this.apiKey && { apikey: this.apiKey }),
+        ...extra
+      });
+      return `${this.url}${this.url.includes('?') ? '&' : '?'}${searchParams.toString()}`;
+    };
+
+    if (type !== 'series' || !season) {
+      return [params({})];
+    }
+
+    const urls = [];
+    if (episode) urls.push(params({ season: String(season), ep: String(episode) }));
+    if (!episode || this.includeSeasonPacks) urls.push(params({ season: String(season) }));
+    return urls;
+  }
+
+  async fetchItems(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(url, {
+        headers: {
+          'Accept': 'application/rss+xml, application/xml, text/xml',
+          'User-Agent': 'Stremio-AI-Sub-Addon/2.0'
+        },
+        signal: controller.signal
+      });
+      if (!response.ok) {
+        throw new Error(`Torznab request failed: ${response.status} - ${response.statusText}`);
+      }
+      return parseTorznabResponse(await response.text());
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Items without an infohash (plain .torrent download links) are skipped: resolving them means fetching the torrent file
+  toCandidate(item) {
+    const magnetUrl = item.attributes.magneturl ||
+      [item.link, item.enclosureUrl].find(link => link && link.startsWith('magnet:')) || null;
+    const infoHash = normalizeInfoHash(item.attributes.infohash) || infoHashFromMagnet(magnetUrl);
+    if (!infoHash) return null;
+
+    const seeders = parseInt(item.attributes.seeders, 10);
+    const peers = parseInt(item.attributes.peers, 10);
+    return {
+      infoHash,
+      title: item.title || infoHash,
+      size: parseInt(item.size || item.attributes.size, 10) || null,
+      seeders: isNaN(seeders) ? null : seeders,
+      peers: isNaN(peers) ? null : peers,
+      magnetLink: magnetUrl || buildMagnetLink(infoHash, item.title),
+      publishDate: item.pubDate || null,
+      indexer: this.name
+    };
+  }
+
+  // query: { imdbId, type: 'movie'|'series', season, episode }
+  async search(query) {
+    const urls = this.buildSearchUrls(query);
+    const candidates = [];
+    let skipped = 0;
+
+    for (const url of urls) {
+      const items = await this.fetchItems(url);
+      for (const item of items) {
+        const candidate = this.toCandidate(item);
+        if (candidate) {
+          candidates.push(candidate);
+        } else {
+          skipped++;
+        }
+      }
+    }
+
+    if (skipped > 0) {
+      console.log(`[Indexers] ${this.name}: skipped ${skipped} result(s) without an infohash`);
+    }
+    return candidates;
+  }
+}
+
+module.exports = {
+  TorznabIndexer,
+  parseTorznabResponse
+};
@@ -0,0 +1,88 @@
+// lib/languageSupport.js
+// Language table and helpers for multi-language subtitle support
+
+// Supported subtitle languages with provider-specific identifiers
+const LANGUAGES = {
+    tr: { name: 'Turkish', iso639_2: 'tur', subdl: 'turkish', podnapisi: 'tr', keywords: ['turkish', 'türkçe', 'turkce'] },
+    en: { name: 'English', iso639_2: 'eng', subdl: 'english', podnapisi: 'en', keywords: ['english', 'eng'] },
+    es: { name: 'Spanish', iso639_2: 'spa', subdl: 'spanish', podnapisi: 'es', keywords: ['spanish', 'español', 'espanol'] },
+    fr: { name: 'French', iso639_2: 'fre', subdl: 'french', podnapisi: 'fr', keywords: ['french', 'français', 'francais'] },
+    de: { name: 'German', iso639_2: 'ger', subdl: 'german', podnapisi: 'de', keywords: ['german', 'deutsch'] },
+    it: { name: 'Italian', iso639_2: 'ita', subdl: 'italian', podnapisi: 'it', keywords: ['italian', 'italiano'] },
+    ru: { name: 'Russian', iso639_2: 'rus', subdl: 'russian', podnapisi: 'ru', keywords: ['russian', 'русский'] },
+    pt: { name: 'Portuguese', iso639_2: 'por', subdl: 'portuguese', podnapisi: 'pt', keywords: ['portuguese', 'português', 'portugues'] },
+    ar: { name: 'Arabic', iso639_2: 'ara', subdl: 'arabic', podnapisi: 'ar', keywords: ['arabic', 'العربية'] },
+    zh: { name: 'Chinese', iso639_2: 'chi', subdl: 'chinese', podnapisi: 'zh', keywords: ['chinese', '中文'] }
+};
+
+const SUPPORTED_LANGUAGES = Object.keys(LANGUAGES);
+const DEFAULT_LANGUAGES = ['tr'];
+
+// Normalize a single language code, returns null when unsupported
+function normalizeLanguage(lang) {
+    if (!lang || typeof lang !== 'string') return null;
+
+    const normalized = lang.toLowerCase().trim();
+    if (LANGUAGES[normalized]) return normalized;
+
+    // Accept ISO 639-2 codes (e.g. "tur", "eng") as used by Stremio
+    const match = SUPPORTED_LANGUAGES.find(code => LANGUAGES[code].iso639_2 === normalized);
+    return match || null;
+}
+
+// Parse an ordered language list from "tr,en,de" or an array, dropping duplicates and unknown codes
+function parseLanguageList(input, fallback = DEFAULT_LANGUAGES) {
+    const raw = Array.isArray(input) ? input : String(input || '').split(/[,;|\s]+/);
+    const languages = [];
+
+    for (const entry of raw) {
+        const code = normalizeLanguage(entry);
+        if (code && !languages.includes(code)) {
+            languages.push(code);
+        }
+    }
+
+    return languages.length > 0 ? languages : [...fallback];
+}
+
+// Ordered list configured for this server (SUBTITLE_LANGUAGES=tr,en,de)
+function getConfiguredLanguages() {
+    return parseLanguageList(process.env.SUBTITLE_LANGUAGES);
+}
+
+function getLanguageName(lang) {
+    const code = normalizeLanguage(lang);
+    return code ? LANGUAGES[code].name : String(lang || 'Unknown');
+}
+
+function getProviderLanguage(lang, provider) {
+    const code = normalizeLanguage(lang);
+    if (!code) return null;
+    return LANGUAGES[code][provider] || code;
+}
+
+// Check whether free-text (release name, language label) refers to the given language
+function matchesLanguage(text, lang) {
+    const code = normalizeLanguage(lang);
+    if (!code || !text) return false;
+
+    const value = String(text).toLowerCase().trim();
+    if (value === code || value === LANGUAGES[code].iso639_2) return true;
+
+    // Whole words only, so 'eng' does not match "Revenge"
+    const words = value.split(/[^\p{L}\p{N}]+/u);
+    return LANGUAGES[code].keywords.some(keyword => words.includes(keyword)) ||
+           value.includes(`.${code}.`) || value.endsWith(`.${code}`);
+}
+
+module.exports = {
+    LANGUAGES,
+    SUPPORTED_LANGUAGES,
+    DEFAULT_LANGUAGES,
+    normalizeLanguage,
+    parseLanguageList,
+    getConfiguredLanguages,
+    getLanguageName,
+    getProviderLanguage,
+    matchesLanguage
+};
@@ -5,6 +5,8 @@ const AIWorkerPool = require('./workers/aiWorkerPool');
 const EnhancedCacheManager = require('./cache/enhancedCacheManager');
 const SubtitleDatabase = require('./database/subtitleDatabase');
 const PerformanceMonitor = require('./monitoring/performanceMonitor');
+const { validateAIOutput } = require('./subtitles/aiOutputValidator');
+const { aiUsageTracker } = require('./ai/aiUsageTracker');
 const EventEmitter = require('events');
 
 class OptimizedSubtitleProcessor extends EventEmitter {
@@ -80,7 +82,9 @@ class OptimizedSubtitleProcessor extends EventEmitter {
             
             // Initialize AI worker pool
             this.aiWorkerPool = new AIWorkerPool({
-                maxWorkers: this.config.maxWorkers
+                maxWorkers: this.config.maxWorkers,
+                // Shares the server's budgets, so these requests count against them too
+                usageTracker: aiUsageTracker
             });
             
             // Set up worker pool event handlers
@@ -199,12 +203,14 @@ class OptimizedSubtitleProcessor extends EventEmitter {
             if (request.enableAI !== false && this.config.enableAIEnhancement && this.shouldEnhanceWithAI(originalResult)) {
                 try {
                     const aiResult = await this.enhanceWithAI(originalResult, request, requestId);
-                    if (aiResult && this.isValidSubtitleContent(aiResult)) {
+                    if (aiResult && this.isValidSubtitleContent(aiResult.content)) {
                         finalResult = {
                             ...originalResult,
-                            content: aiResult,
+                            content: aiResult.content,
                             aiEnhanced: true,
-                            qualityScore: (originalResult.qualityScore || 0) + 100
+                            qualityScore: (originalResult.qualityScore || 0) + 100,
+                            // Stored with the cached subtitle so every served AI file has its diff against the original
+                            metadata: { ...originalResult.metadata, aiValidation: aiResult.validation }
                         };
                         this.processingStats.aiEnhancements++;
                         
@@ -342,17 +348,27 @@ class OptimizedSubtitleProcessor extends EventEmitter {
                 aiModel: request.aiModel || process.env.AI_MODEL,
                 correctionIntensity: request.correctionIntensity || 7,
                 primaryLanguage: request.language || 'tr',
+                videoId: request.videoId,
                 priority: this.config.aiPriority
             };
             
             // Process with AI worker pool
-            const enhancedContent = await this.aiWorkerPool.processSubtitle(
+            const enhancedContent = await this.aiWorkerPool.processSubtitleChunked(
                 originalResult.content,
                 aiOptions
             );
             
             const processingTime = Date.now() - startTime;
             
+            // Text must be untouched and timings sane; bad cues keep their original timing, too many reject the output
+            const validation = validateAIOutput(originalResult.content, enhancedContent);
+            if (!validation.accepted) {
+                throw new Error(`AI output rejected: ${validation.report.reason}`);
+            }
+            if (validation.action === 'merge') {
+                console.warn(`[OptimizedSubtitleProcessor] Kept original timing for ${validation.report.summary.revertedCues} cue(s) of ${requestId}`);
+            }
+            
             if (this.performanceMonitor) {
                 this.performanceMonitor.recordAiProcessing(true, processingTime, {
                     provider: aiOptions.aiProvider,
@@ -360,7 +376,7 @@ class OptimizedSubtitleProcessor extends EventEmitter {
                 });
             }
             
-            return enhancedContent;
+            return { content: validation.content, validation: validation.report };
             
         } catch (error) {
             const processingTime = Date.now() - startTime;
@@ -0,0 +1,215 @@
+// lib/premiumizeClient.js
+// Premiumize.me client with the same surface as the Real-Debrid and AllDebrid clients
+
+const fetch = require('node-fetch');
+const { matchesEpisode, matchesRequestedEpisode } = require('./realDebridSearch');
+
+const VIDEO_EXTENSIONS = ['mp4', 'mkv', 'avi', 'mov', 'wmv', 'flv', 'webm', 'm4v', 'ts', 'm2ts'];
+
+// Transfers only carry their source magnet
+function getTransferHash(transfer) {
+  const hashMatch = /btih:([a-f0-9]{40})/i.exec(transfer.src || '');
+  return hashMatch ? hashMatch[1].toLowerCase() : null;
+}
+
+class PremiumizeClient {
+  constructor(token, userIP = null) {
+    this.token = token;
+    this.userIP = userIP;
+    this.baseURL = 'https://www.premiumize.me/api';
+    this.headers = {
+      'User-Agent': 'vlsub-opensubtitles-com/1.0.0'
+    };
+    this.timeout = 15000;
+  }
+
+  // Premiumize answers HTTP 200 with { status: 'error', message } for API-level failures
+  async makeRequest(method, path, params = {}, options = {}) {
+    const { maxRetries = 2 } = options;
+    // Account API keys go in the query string; OAuth bearer tokens are not offered to users
+    const query = new URLSearchParams({ apikey: this.token });
+    const body = new URLSearchParams();
+    const target = method === 'GET' ? query : body;
+
+    for (const [key, value] of Object.entries(params)) {
+      if (Array.isArray(value)) {
+        value.forEach(item => target.append(`${key}[]`, item));
+      } else if (value !== undefined && value !== null) {
+        target.append(key, value);
+      }
+    }
+    if (this.userIP) query.append('ip', this.userIP);
+
+    const url = `${this.baseURL}${path}?${query.toString()}`;
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        const response = await fetch(url, {
+          method,
+          headers: this.headers,
+          timeout: this.timeout,
+          ...(method !== 'GET' && { body })
+        });
+        if (!response.ok) {
+          throw new Error(`Premiumize API error: ${response.status} - ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        if (data.status === 'error') {
+          throw new Error(`Premiumize API error: ${data.message || 'unknown error'}`);
+        }
+        return data;
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  // Cache check in the Real-Debrid result shape: { hash: { available, files, videoFiles } }
+  async getInstantAvailability(hashes, options = {}) {
+    const { batchSize = 100 } = options;
+    const validHashes = (hashes || []).map(hash => String(hash).toLowerCase()).filter(hash => /^[a-f0-9]{40}$/.test(hash));
+    const results = {};
+
+    for (let i = 0; i < validHashes.length; i += batchSize) {
+      const batch = validHashes.slice(i, i + batchSize);
+      try {
+        const data = await this.makeRequest('GET', '/cache/check', { items: batch });
+        batch.forEach((hash, index) => {
+          if (!data.response || !data.response[index]) return;
+          const file = {
+            filename: (data.filename && data.filename[index]) || hash,
+            filesize: parseInt(data.filesize && data.filesize[index], 10) || 0
+          };
+          results[hash] = {
+            available: true,
+            files: [file],
+            videoFiles: this.isVideoFile(file.filename) ? [file] : []
+          };
+        });
+      } catch (error) {
+        console.error('[Premiumize] Cache check error:', error.message);
+      }
+    }
+
+    return results;
+  }
+
+  async addMagnetLink(magnetLink) {
+    return this.makeRequest('POST', '/transfer/create', { src: magnetLink });
+  }
+
+  async getTransfers() {
+    const data = await this.makeRequest('GET', '/transfer/list');
+    return data.transfers || [];
+  }
+
+  async deleteTransfer(transferId) {
+    return this.makeRequest('POST', '/transfer/delete', { id: transferId });
+  }
+
+  // Direct links for every file of a cached torrent (or a hoster link) without creating a transfer
+  async getDirectLinks(src) {
+    const data = await this.makeRequest('POST', '/transfer/directdl', { src });
+    return data.content || [];
+  }
+
+  async unrestrictLink(link) {
+    const [file] = await this.getDirectLinks(link);
+    return file ? { download: file.stream_link || file.link, filename: file.path, filesize: file.size } : null;
+  }
+
+  isVideoFile(name) {
+    return VIDEO_EXTENSIONS.includes(String(name || '').split('.').pop().toLowerCase());
+  }
+
+  // files: directdl content ([{ path, size, link }]); returns an index into files
+  selectFileFromTorrent(files, filename, season, episode) {
+    const videoFiles = files.filter(file => this.isVideoFile(file.path));
+    if (videoFiles.length === 0) {
+      throw new Error('No video files found in torrent');
+    }
+
+    if (season && episode) {
+      const episodeFiles = videoFiles.filter(file => matchesEpisode(file.path, season, episode));
+      if (episodeFiles.length > 0) {
+        return files.indexOf(episodeFiles.reduce((prev, current) => (current.size > prev.size ? current : prev)));
+      }
+      throw new Error(`S${season}E${episode} not found in torrent`);
+    }
+
+    if (filename) {
+      const exactMatch = videoFiles.find(file => file.path.toLowerCase().includes(filename.toLowerCase()));
+      if (exactMatch) return files.indexOf(exactMatch);
+    }
+
+    return files.indexOf(videoFiles.reduce((prev, current) => (current.size > prev.size ? current : prev)));
+  }
+
+  // Cached torrents resolve immediately; anything else is queued as a transfer and reported as not ready
+  async createStreamingURL(infoHash, magnetLink, filename, season, episode) {
+    return this.resolveFile(infoHash, magnetLink, null, { filename, season, episode });
+  }
+
+  // fileIdx indexes the directdl content (null picks by episode/filename)
+  async resolveFile(infoHash, magnetLink, fileIdx = null, options = {}) {
+    const { filename = null, season = null, episode = null } = options;
+    const files = await this.getDirectLinks(magnetLink || `magnet:?xt=urn:btih:${infoHash}`);
+    if (files.length === 0) {
+      // A transfer the user already has is left to them; a new one is handed to housekeeping through the error
+      const existing = (await this.getTransfers()).find(transfer => getTransferHash(transfer) === infoHash.toLowerCase());
+      if (existing) {
+        throw new Error('Torrent is not cached on Premiumize; transfer in progress');
+      }
+      const created = await this.addMagnetLink(magnetLink || `magnet:?xt=urn:btih:${infoHash}`);
+      throw Object.assign(new Error('Torrent is not cached on Premiumize; transfer started'), {
+        torrentId: created && created.id ? created.id : null,
+        addedTorrent: true
+      });
+    }
+
+    const index = Number.isInteger(fileIdx) && files[fileIdx] ? fileIdx : this.selectFileFromTorrent(files, filename, season, episode);
+    const selected = files[index];
+    return {
+      url: selected.stream_link || selected.link,
+      filename: selected.path.split('/').pop(),
+      filesize: selected.size,
+      mimeType: null
+    };
+  }
+
+  // options: { season, episode } keep only that episode or packs containing its season (series only)
+  async searchCachedContent(query, type = 'movie', options = {}) {
+    try {
+      const transfers = await this.getTransfers();
+      return transfers
+        .filter(transfer => transfer.status === 'finished' && (transfer.name || '').toLowerCase().includes(query.toLowerCase()))
+        .filter(transfer => matchesRequestedEpisode(transfer.name || '', type, options))
+        .map(transfer => ({
+          id: transfer.id,
+          hash: getTransferHash(transfer),
+          filename: transfer.name,
+          type: 'torrent',
+          cached: true
+        }));
+    } catch (error) {
+      console.error('Premiumize searchCachedContent error:', error);
+      return [];
+    }
+  }
+
+  async getAccountInfo() {
+    const data = await this.makeRequest('GET', '/account/info');
+    const premiumUntil = data.premium_until ? new Date(data.premium_until * 1000) : null;
+    return {
+      username: data.customer_id ? String(data.customer_id) : null,
+      premium: !!premiumUntil && premiumUntil > new Date(),
+      expiration: premiumUntil ? premiumUntil.toISOString() : null,
+      limitUsed: data.limit_used,
+      provider: 'Premiumize'
+    };
+  }
+}
+
+module.exports = { PremiumizeClient, getTransferHash };
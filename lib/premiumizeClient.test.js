@@ -0,0 +1,100 @@
+// lib/premiumizeClient.test.js
+// Unit tests for the Premiumize client against stubbed API responses
+
+jest.mock('node-fetch', () => jest.fn());
+
+const fetch = require('node-fetch');
+const { PremiumizeClient, getTransferHash } = require('./premiumizeClient');
+
+const INFO_HASH = 'abcdef0123456789abcdef0123456789abcdef01';
+
+// Answer each request with the first route whose 'METHOD /path' matches
+function stubApi(routes) {
+    fetch.mockImplementation(async (url, options) => {
+        const { pathname } = new URL(url);
+        const route = `${options.method} ${pathname.replace('/api', '')}`;
+        if (!(route in routes)) throw new Error(`Unexpected request ${route}`);
+        const data = typeof routes[route] === 'function' ? routes[route](url, options) : routes[route];
+        return { ok: true, status: 200, statusText: 'OK', json: async () => data };
+    });
+}
+
+const SEASON_PACK = [
+    { path: 'Show.S01/Show.S01E01.1080p.mkv', size: 900, link: 'https://pm/1', stream_link: 'https://pm/stream/1' },
+    { path: 'Show.S01/Show.S01E02.1080p.mkv', size: 950, link: 'https://pm/2', stream_link: null },
+    { path: 'Show.S01/Show.S01E02.1080p.nfo', size: 1, link: 'https://pm/3' }
+];
+
+describe('Premiumize client', () => {
+    afterEach(() => fetch.mockReset());
+
+    it('reports cached hashes in the Real-Debrid availability shape', async () => {
+        stubApi({
+            'GET /cache/check': url => {
+                expect(new URL(url).searchParams.getAll('items[]')).toEqual([INFO_HASH]);
+                return { status: 'success', response: [true], filename: ['Movie.2021.1080p.mkv'], filesize: ['1234'] };
+            }
+        });
+
+        const availability = await new PremiumizeClient('PMKEY').getInstantAvailability([INFO_HASH.toUpperCase(), 'not-a-hash']);
+
+        expect(availability).toEqual({
+            [INFO_HASH]: {
+                available: true,
+                files: [{ filename: 'Movie.2021.1080p.mkv', filesize: 1234 }],
+                videoFiles: [{ filename: 'Movie.2021.1080p.mkv', filesize: 1234 }]
+            }
+        });
+    });
+
+    it('turns an error status into an exception', async () => {
+        stubApi({ 'GET /account/info': { status: 'error', message: 'Not logged in.' } });
+
+        await expect(new PremiumizeClient('PMKEY').makeRequest('GET', '/account/info', {}, { maxRetries: 1 }))
+            .rejects.toThrow('Premiumize API error: Not logged in.');
+    });
+
+    it('plays the requested episode of a cached pack without creating a transfer', async () => {
+        stubApi({ 'POST /transfer/directdl': { status: 'success', content: SEASON_PACK } });
+
+        const result = await new PremiumizeClient('PMKEY').resolveFile(INFO_HASH, null, null, { season: 1, episode: 2 });
+
+        expect(result).toEqual({ url: 'https://pm/2', filename: 'Show.S01E02.1080p.mkv', filesize: 950, mimeType: null });
+        expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('starts a transfer for an uncached torrent and hands its id to housekeeping', async () => {
+        const create = jest.fn(() => ({ status: 'success', id: 'tr-1', name: 'Movie', type: 'torrent' }));
+        stubApi({
+            'POST /transfer/directdl': { status: 'success', content: [] },
+            'GET /transfer/list': { status: 'success', transfers: [] },
+            'POST /transfer/create': create
+        });
+
+        const error = await new PremiumizeClient('PMKEY').resolveFile(INFO_HASH, null).catch(caught => caught);
+
+        expect(error.message).toBe('Torrent is not cached on Premiumize; transfer started');
+        expect(error).toMatchObject({ torrentId: 'tr-1', addedTorrent: true });
+        expect(create).toHaveBeenCalledTimes(1);
+    });
+
+    it('leaves a transfer the account already has alone', async () => {
+        const create = jest.fn();
+        stubApi({
+            'POST /transfer/directdl': { status: 'success', content: [] },
+            'GET /transfer/list': { status: 'success', transfers: [{ id: 'mine', src: `magnet:?xt=urn:btih:${INFO_HASH.toUpperCase()}` }] },
+            'POST /transfer/create': create
+        });
+
+        const error = await new PremiumizeClient('PMKEY').resolveFile(INFO_HASH, null).catch(caught => caught);
+
+        expect(error.message).toBe('Torrent is not cached on Premiumize; transfer in progress');
+        expect(error.torrentId).toBeUndefined();
+        expect(create).not.toHaveBeenCalled();
+    });
+
+    it('reads the info hash from a transfer source', () => {
+        expect(getTransferHash({ src: `magnet:?xt=urn:btih:${INFO_HASH.toUpperCase()}&dn=Movie` })).toBe(INFO_HASH);
+        expect(getTransferHash({ src: 'https://example.com/file.nzb' })).toBeNull();
+    });
+});
@@ -2,6 +2,31 @@
 // Real-Debrid torrent search and stream integration for hash-based matching
 
 const fetch = require('node-fetch');
+const { parseEpisodeInfo } = require('./subtitles/episodeMatcher');
+
+// True when a file name is the given episode (multi-episode files like S01E05E06 included)
+function matchesEpisode(name, season, episode) {
+  const info = parseEpisodeInfo(name);
+  const wanted = parseInt(episode, 10);
+  return !!info && info.season === parseInt(season, 10) && wanted >= info.episode && wanted <= info.lastEpisode;
+}
+
+// True for season packs ("Show.S02.1080p", "Show Season 2", "Show S01-S03") that include the season
+function isSeasonPack(name, season) {
+  if (parseEpisodeInfo(name)) return false;
+  const wanted = parseInt(season, 10);
+  const range = /\bs(\d{1,2})[ ._-]*(?:-|to)[ ._-]*s?(\d{1,2})\b/i.exec(name);
+  if (range) return wanted >= parseInt(range[1], 10) && wanted <= parseInt(range[2], 10);
+  const single = /\bs(\d{1,2})\b|\bseason[ ._-]*(\d{1,2})\b/i.exec(name);
+  if (single) return parseInt(single[1] || single[2], 10) === wanted;
+  return /\bcomplete\b/i.test(name);
+}
+
+// Cached-content filter for torrents: series searches with { season, episode } keep that episode or packs of its season
+function matchesRequestedEpisode(name, type, options = {}) {
+  const { season = null, episode = null } = options;
+  return type !== 'series' || !season || !episode || matchesEpisode(name, season, episode) || isSeasonPack(name, season);
+}
 
 class RealDebridClient {
   constructor(token, userIP = null) {
@@ -337,8 +362,9 @@ class RealDebridClient {
     return this.makeRequest('GET', `${this.baseURL}/torrents/activeCount`);
   }
 
-  async getUserTorrentList() {
-    return this.makeRequest('GET', `${this.baseURL}/torrents`);
+  // Real-Debrid pages the list (100 entries unless a limit is given)
+  async getUserTorrentList(limit = null) {
+    return this.makeRequest('GET', `${this.baseURL}/torrents${limit ? `?limit=${limit}` : ''}`);
   }
 
   async getTorrentInfo(torrentId) {
@@ -372,6 +398,12 @@ class RealDebridClient {
     return torrents.find(torrent => torrent.hash === infoHash) || null;
   }
 
+  // Every copy of a torrent on the account; each one can have other files selected
+  async getAvailableTorrents(infoHash) {
+    const torrents = await this.getUserTorrentList();
+    return torrents.filter(torrent => torrent.hash === infoHash);
+  }
+
   // MediaFusion-inspired status waiting with proper polling
   async waitForStatus(torrentId, targetStatus, maxRetries = 10, retryInterval = 2, torrentInfo = null) {
     if (torrentInfo && torrentInfo.status === targetStatus) {
@@ -401,6 +433,26 @@ class RealDebridClient {
       throw new Error('No files found in torrent');
     }
 
+    const videoFiles = torrentInfo.files.filter(file => {
+      const ext = file.path.split('.').pop().toLowerCase();
+      return ['mp4', 'mkv', 'avi', 'mov', 'wmv', 'flv', 'webm', 'm4v'].includes(ext);
+    });
+
+    // For TV shows, season/episode wins over the filename: in a season pack the filename is the pack's
+    if (season && episode) {
+      const episodeFiles = videoFiles.filter(file => matchesEpisode(file.path, season, episode));
+      if (episodeFiles.length > 0) {
+        const largestEpisodeFile = episodeFiles.reduce((prev, current) =>
+          current.bytes > prev.bytes ? current : prev
+        );
+        return torrentInfo.files.indexOf(largestEpisodeFile);
+      }
+      // Any other file of a multi-episode torrent is the wrong episode
+      if (videoFiles.filter(file => parseEpisodeInfo(file.path)).length > 1) {
+        throw new Error(`S${season}E${episode} not found in torrent`);
+      }
+    }
+
     // If specific filename provided, try to find exact match
     if (filename) {
       const exactMatch = torrentInfo.files.find(file => 
@@ -411,23 +463,7 @@ class RealDebridClient {
       }
     }
 
-    // For TV shows, use season/episode matching
-    if (season && episode) {
-      const seasonEpRegex = new RegExp(`s0*${season}e0*${episode}`, 'i');
-      const seasonEpMatch = torrentInfo.files.find(file => 
-        seasonEpRegex.test(file.path)
-      );
-      if (seasonEpMatch) {
-        return torrentInfo.files.indexOf(seasonEpMatch);
-      }
-    }
-
     // Find largest video file as fallback
-    const videoFiles = torrentInfo.files.filter(file => {
-      const ext = file.path.split('.').pop().toLowerCase();
-      return ['mp4', 'mkv', 'avi', 'mov', 'wmv', 'flv', 'webm', 'm4v'].includes(ext);
-    });
-
     if (videoFiles.length === 0) {
       throw new Error('No video files found in torrent');
     }
@@ -440,7 +476,8 @@ class RealDebridClient {
   }
 
   // Enhanced cached content search with proper error handling
-  async searchCachedContent(query, type = 'movie') {
+  // options: { season, episode } keep only that episode or packs containing its season (series only)
+  async searchCachedContent(query, type = 'movie', options = {}) {
     try {
       const userInfo = await this.getUserInfo();
       if (!userInfo) {
@@ -451,10 +488,11 @@ class RealDebridClient {
       const downloads = await this.makeRequest('GET', `${this.baseURL}/downloads`);
 
       const cachedResults = [];
+      const { season = null, episode = null } = options;
       
       // Search through user's torrents
       for (const torrent of torrents) {
-        if (torrent.filename.toLowerCase().includes(query.toLowerCase())) {
+        if (torrent.filename.toLowerCase().includes(query.toLowerCase()) && matchesRequestedEpisode(torrent.filename, type, options)) {
           cachedResults.push({
             id: torrent.id,
             hash: torrent.hash,
@@ -463,14 +501,16 @@ class RealDebridClient {
             status: torrent.status,
             progress: torrent.progress,
             type: 'torrent',
-            cached: true
+            cached: true,
+            ...(type === 'series' && season && episode && { season, episode })
           });
         }
       }
 
-      // Search through downloads
+      // Search through downloads (single files, so only the episode itself qualifies)
       for (const download of downloads) {
-        if (download.filename.toLowerCase().includes(query.toLowerCase())) {
+        if (download.filename.toLowerCase().includes(query.toLowerCase()) &&
+            (type !== 'series' || !season || !episode || matchesEpisode(download.filename, season, episode))) {
           cachedResults.push({
             id: download.id,
             filename: download.filename,
@@ -493,6 +533,7 @@ class RealDebridClient {
   async createStreamingURL(infoHash, magnetLink, filename, season, episode, maxRetries = 5) {
     try {
       let torrentInfo = await this.getAvailableTorrent(infoHash);
+      const addedTorrent = !torrentInfo;
       
       if (!torrentInfo) {
         // Check torrent limits before adding
@@ -561,7 +602,8 @@ class RealDebridClient {
         filename: downloadResult.filename,
         filesize: downloadResult.filesize,
         mimeType: downloadResult.mimeType,
-        torrentId: torrentId
+        torrentId: torrentId,
+        addedTorrent
       };
 
     } catch (error) {
@@ -569,11 +611,92 @@ class RealDebridClient {
       throw error;
     }
   }
+
+  // Playback-time resolution of one file: selects only that file instead of the whole torrent.
+  // fileIdx is the torrent file index (null picks by episode/filename like createStreamingURL).
+  // A copy of the torrent without the file selected (another episode of a season pack) is left alone
+  // and the torrent is added again for this file.
+  async resolveFile(infoHash, magnetLink, fileIdx = null, options = {}) {
+    const { filename = null, season = null, episode = null } = options;
+
+    // files[] is in torrent order (ids are 1-based), so fileIdx indexes it directly
+    const findFileIndex = info => (Number.isInteger(fileIdx) && info.files[fileIdx]
+      ? fileIdx
+      : this.selectFileFromTorrent(info, filename, season, episode));
+    const assertDownloadable = info => {
+      if (['magnet_error', 'error', 'virus', 'dead'].includes(info.status)) {
+        throw new Error(`Torrent cannot be downloaded due to status: ${info.status}`);
+      }
+    };
+
+    let torrentInfo = null;
+    let fileIndex = null;
+    for (const candidate of await this.getAvailableTorrents(infoHash)) {
+      const info = await this.getTorrentInfo(candidate.id);
+      assertDownloadable(info);
+      if (fileIndex === null) {
+        fileIndex = await findFileIndex(info);
+      }
+      if (info.status === 'waiting_files_selection' || info.files[fileIndex].selected === 1) {
+        torrentInfo = info;
+        break;
+      }
+    }
+
+    const addedTorrent = !torrentInfo;
+    let torrentId = torrentInfo ? torrentInfo.id : null;
+    try {
+      if (!torrentInfo) {
+        const addResult = await this.addMagnetLink(magnetLink || `magnet:?xt=urn:btih:${infoHash}`);
+        if (!addResult || !addResult.id) {
+          throw new Error('Failed to add magnet link to Real-Debrid');
+        }
+        torrentId = addResult.id;
+        torrentInfo = await this.waitForStatus(addResult.id, 'waiting_files_selection', 10, 2);
+        if (fileIndex === null) {
+          fileIndex = await findFileIndex(torrentInfo);
+        }
+      }
+
+      const file = torrentInfo.files[fileIndex];
+      if (torrentInfo.status === 'waiting_files_selection') {
+        await this.startTorrentDownload(torrentInfo.id, String(file.id));
+      }
+
+      // Cached torrents flip to downloaded straight away; stay under the player's request timeout otherwise
+      const completedTorrent = await this.waitForStatus(torrentInfo.id, 'downloaded', 8, 5, torrentInfo);
+      const selectedFiles = completedTorrent.files.filter(candidate => candidate.selected === 1);
+      const linkIndex = selectedFiles.findIndex(candidate => candidate.id === file.id);
+      if (linkIndex === -1 || !completedTorrent.links[linkIndex]) {
+        throw new Error('Download link not found for selected file');
+      }
+
+      const downloadResult = await this.createDownloadLink(completedTorrent.links[linkIndex]);
+      if (!downloadResult || !downloadResult.download) {
+        throw new Error('Failed to create download link');
+      }
+
+      return {
+        url: downloadResult.download,
+        filename: downloadResult.filename,
+        filesize: downloadResult.filesize,
+        mimeType: downloadResult.mimeType,
+        torrentId,
+        addedTorrent
+      };
+    } catch (error) {
+      // The torrent added here stays on the account; the manager tracks it from the error so housekeeping removes it
+      if (addedTorrent && torrentId) {
+        Object.assign(error, { torrentId, addedTorrent });
+      }
+      throw error;
+    }
+  }
 }
 
 // Enhanced search function with MediaFusion patterns
 async function searchRealDebridCachedContent(query, apiKey, options = {}) {
-  const { type = 'movie', userIP = null, maxResults = 50 } = options;
+  const { type = 'movie', userIP = null, maxResults = 50, season = null, episode = null } = options;
   
   try {
     const client = new RealDebridClient(apiKey, userIP);
@@ -582,7 +705,7 @@ async function searchRealDebridCachedContent(query, apiKey, options = {}) {
     await client.getUserInfo();
     
     // Search cached content
-    const results = await client.searchCachedContent(query, type);
+    const results = await client.searchCachedContent(query, type, { season, episode });
     
     return {
       success: true,
@@ -660,6 +783,9 @@ async function validateRealDebridCredentials(apiKey, userIP = null) {
 
 module.exports = {
   RealDebridClient,
+  matchesEpisode,
+  isSeasonPack,
+  matchesRequestedEpisode,
   searchRealDebridCachedContent,
   createRealDebridStream,
   validateRealDebridCredentials
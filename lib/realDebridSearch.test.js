@@ -0,0 +1,77 @@
+// lib/realDebridSearch.test.js
+// Unit tests for Real-Debrid playback-time file resolution against a fake account
+
+const { RealDebridClient } = require('./realDebridSearch');
+
+const INFO_HASH = 'abcdef0123456789abcdef0123456789abcdef01';
+
+// A client whose account holds torrents in memory; selecting files completes the download at once
+function createClient() {
+    const torrents = [];
+    const client = new RealDebridClient('RDKEY');
+    client.getUserTorrentList = async () => torrents.map(({ id, hash }) => ({ id, hash }));
+    client.getTorrentInfo = async id => torrents.find(torrent => torrent.id === id);
+    client.addMagnetLink = jest.fn(async () => {
+        const torrent = {
+            id: `T${torrents.length + 1}`,
+            hash: INFO_HASH,
+            status: 'waiting_files_selection',
+            files: [1, 2, 3].map(id => ({ id, path: `/Show.S01/Show.S01E0${id}.1080p.WEB-DL.mkv`, bytes: 1e9, selected: 0 })),
+            links: []
+        };
+        torrents.push(torrent);
+        return { id: torrent.id };
+    });
+    client.startTorrentDownload = jest.fn(async (id, fileIds) => {
+        const torrent = torrents.find(candidate => candidate.id === id);
+        torrent.files.forEach(file => { file.selected = fileIds.split(',').includes(String(file.id)) ? 1 : 0; });
+        torrent.status = 'downloaded';
+        torrent.links = torrent.files.filter(file => file.selected).map(file => `https://real-debrid.com/d/${id}-${file.id}`);
+    });
+    client.createDownloadLink = async link => ({ download: `${link}/stream`, filename: link.split('/').pop() });
+    return { client, torrents };
+}
+
+describe('Real-Debrid resolveFile', () => {
+    it('adds a season pack again for each episode instead of failing on the copy without it', async () => {
+        const { client, torrents } = createClient();
+
+        const first = await client.resolveFile(INFO_HASH, null, null, { season: 1, episode: 1 });
+        const second = await client.resolveFile(INFO_HASH, null, null, { season: 1, episode: 2 });
+
+        expect(first).toMatchObject({ url: 'https://real-debrid.com/d/T1-1/stream', torrentId: 'T1', addedTorrent: true });
+        expect(second).toMatchObject({ url: 'https://real-debrid.com/d/T2-2/stream', torrentId: 'T2', addedTorrent: true });
+        expect(torrents).toHaveLength(2);
+    });
+
+    it('reuses the copy that already has the file selected', async () => {
+        const { client } = createClient();
+        await client.resolveFile(INFO_HASH, null, null, { season: 1, episode: 1 });
+        await client.resolveFile(INFO_HASH, null, null, { season: 1, episode: 2 });
+
+        const replay = await client.resolveFile(INFO_HASH, null, 1, {});
+
+        expect(replay).toMatchObject({ url: 'https://real-debrid.com/d/T2-2/stream', torrentId: 'T2', addedTorrent: false });
+        expect(client.addMagnetLink).toHaveBeenCalledTimes(2);
+    });
+
+    it('fails without adding anything when the torrent is dead', async () => {
+        const { client, torrents } = createClient();
+        await client.resolveFile(INFO_HASH, null, null, { season: 1, episode: 1 });
+        torrents[0].status = 'dead';
+
+        await expect(client.resolveFile(INFO_HASH, null, null, { season: 1, episode: 2 }))
+            .rejects.toThrow('Torrent cannot be downloaded due to status: dead');
+        expect(client.addMagnetLink).toHaveBeenCalledTimes(1);
+    });
+
+    it('hands the torrent it added to the caller when the play fails', async () => {
+        const { client } = createClient();
+        client.createDownloadLink = async () => null;
+
+        const error = await client.resolveFile(INFO_HASH, null, null, { season: 1, episode: 1 }).catch(caught => caught);
+
+        expect(error.message).toBe('Failed to create download link');
+        expect(error).toMatchObject({ torrentId: 'T1', addedTorrent: true });
+    });
+});
@@ -3,6 +3,7 @@
 
 const { getSubtitleUrlsForStremio } = require('./subtitleMatcher');
 const { streamingManager } = require('./streamingProviderManager');
+const { computeMovieHashFromUrl } = require('./subtitles/movieHash');
 
 /**
  * Enriches a list of streams with Turkish subtitle info.
@@ -129,9 +130,12 @@ class StreamEnricher {
 
       const enrichedStream = { ...stream };
 
-      // Add streaming provider information
+      // Add streaming provider information; a batched availability map annotates without resolving links
+      let streamingInfo = null;
       if (stream.infoHash || stream.magnetLink) {
-        const streamingInfo = await this.getStreamingInfo(stream, options);
+        streamingInfo = options.availability
+          ? this.getStreamingInfoFromAvailability(stream, options.availability)
+          : await this.getStreamingInfo(stream, options);
         enrichedStream.streaming = streamingInfo;
       }
 
@@ -145,7 +149,9 @@ class StreamEnricher {
       enrichedStream.size = this.formatSize(stream.size);
 
       // Add availability status
-      enrichedStream.availability = await this.checkAvailability(stream, options);
+      enrichedStream.availability = options.availability
+        ? { available: !!streamingInfo?.cached, cached: !!streamingInfo?.cached, providers: streamingInfo?.providers || [] }
+        : await this.checkAvailability(stream, options);
 
       // Add subtitle information if enabled
       if (includeSubtitles) {
@@ -181,18 +187,45 @@ class StreamEnricher {
     }
   }
 
+  // Cached status from a getInstantAvailability map ({ hash: [{ provider, files }] }); no API calls
+  getStreamingInfoFromAvailability(stream, availability) {
+    const infoHash = this.getInfoHash(stream);
+    const entries = (infoHash && availability[infoHash]) || [];
+    const first = entries[0] || null;
+
+    return {
+      cached: entries.length > 0,
+      provider: first ? first.provider : null,
+      providers: entries.map(entry => entry.provider),
+      cachedFiles: first ? first.files : [],
+      streamUrl: null,
+      available: entries.length > 0
+    };
+  }
+
+  getInfoHash(stream) {
+    if (stream.infoHash) return stream.infoHash.toLowerCase();
+    const match = /xt=urn:btih:([a-f0-9]{40})/i.exec(stream.magnetLink || '');
+    return match ? match[1].toLowerCase() : null;
+  }
+
   // Get streaming information from providers
   async getStreamingInfo(stream, options = {}) {
     if (!stream.infoHash && !stream.magnetLink) {
       return null;
     }
 
+    // Per-install debrid keys come in as a dedicated manager
+    const manager = options.providerManager || streamingManager;
+
     try {
       // Search for cached content first
-      const cachedSearch = await streamingManager.searchCachedContent(
+      const cachedSearch = await manager.searchCachedContent(
         stream.title || stream.name || '',
         {
           type: stream.type || 'movie',
+          season: stream.season || null,
+          episode: stream.episode || null,
           maxResults: 10
         }
       );
@@ -219,8 +252,10 @@ class StreamEnricher {
 
       // Try to create streaming URL if we have required info
       let streamUrl = null;
+      let streamFilename = null;
+      let streamFileSize = null;
       if (stream.infoHash && stream.magnetLink) {
-        const streamResult = await streamingManager.createStreamingURL(
+        const streamResult = await manager.createStreamingURL(
           stream.infoHash,
           stream.magnetLink,
           {
@@ -233,14 +268,32 @@ class StreamEnricher {
 
         if (streamResult.success) {
           streamUrl = streamResult.streamUrl;
+          streamFilename = streamResult.filename || null;
+          streamFileSize = streamResult.filesize || null;
           provider = streamResult.provider;
         }
       }
 
+      // The moviehash of the debrid file lets Stremio ask for hash-matched subtitles for this stream
+      let videoHash = null;
+      let videoSize = streamFileSize;
+      if (streamUrl && /^https?:\/\//.test(streamUrl)) {
+        try {
+          const movieHash = await computeMovieHashFromUrl(streamUrl, { fileSize: streamFileSize });
+          videoHash = movieHash.hash;
+          videoSize = movieHash.size;
+        } catch (error) {
+          console.warn(`[StreamEnricher] Could not compute moviehash for ${provider} stream:`, error.message);
+        }
+      }
+
       return {
         cached,
         provider,
         streamUrl,
+        filename: streamFilename,
+        videoHash,
+        videoSize,
         available: !!streamUrl,
         searchResults: cachedSearch.totalResults
       };
@@ -390,8 +443,10 @@ class StreamEnricher {
         return { available: false, reason: 'No hash or magnet link' };
       }
 
+      const manager = options.providerManager || streamingManager;
+
       // Check with streaming providers
-      const healthCheck = await streamingManager.healthCheck();
+      const healthCheck = await manager.healthCheck();
       const availableProviders = Object.keys(healthCheck).filter(
         provider => healthCheck[provider].healthy
       );
@@ -401,7 +456,7 @@ class StreamEnricher {
       }
 
       // Quick availability check
-      const cachedSearch = await streamingManager.searchCachedContent(
+      const cachedSearch = await manager.searchCachedContent(
         stream.title || stream.name || '',
         { type: stream.type || 'movie', maxResults: 5 }
       );
@@ -436,7 +491,17 @@ class StreamEnricher {
 
   // Cache management
   getCacheKey(stream, options) {
-    return `${stream.infoHash || stream.magnetLink || stream.title}_${JSON.stringify(options)}`;
+    // Never serialize the manager itself: it holds the user's API keys. The availability map is per
+    // request, so only whether this stream was cached goes into the key.
+    const { providerManager, availability, ...keyOptions } = options;
+    if (availability) {
+      const infoHash = this.getInfoHash(stream);
+      keyOptions.cachedOn = ((infoHash && availability[infoHash]) || []).map(entry => entry.provider).join(',');
+    }
+    const managerKey = providerManager ? providerManager.cacheKey : 'default';
+    // A season pack has one infoHash but a different file per episode
+    const episodeKey = stream.season && stream.episode ? `_S${stream.season}E${stream.episode}` : '';
+    return `${stream.infoHash || stream.magnetLink || stream.title}${episodeKey}_${managerKey}_${JSON.stringify(keyOptions)}`;
   }
 
   getFromCache(key) {
@@ -461,9 +526,16 @@ class StreamEnricher {
     });
   }
 
-  // Enrich multiple streams
+  // Enrich multiple streams. Availability for the whole list is checked in one batched pass across
+  // all providers, so listing never adds magnets or resolves links (pass resolveLinks: true to opt out).
   async enrichStreams(streams, options = {}) {
     const enrichedStreams = [];
+
+    if (!options.availability && !options.resolveLinks) {
+      const manager = options.providerManager || streamingManager;
+      const hashes = streams.map(stream => this.getInfoHash(stream)).filter(Boolean);
+      options = { ...options, availability: await manager.getInstantAvailability(hashes) };
+    }
     
     // Process in batches to avoid overwhelming the providers
     const batchSize = 10;
@@ -1,23 +1,90 @@
+const crypto = require('crypto');
 const { RealDebridClient } = require('./realDebridSearch');
 const { AllDebridClient } = require('./allDebridClient');
+const { PremiumizeClient } = require('./premiumizeClient');
+const { TorBoxClient } = require('./torboxClient');
+
+// Receives every torrent a provider resolution touched ({ trackTorrent(entry) }) and every per-install manager
+// created ({ scheduleAccountCleanup(manager) }), see debridHousekeeping
+let torrentTracker = null;
+
+function setTorrentTracker(tracker) {
+  torrentTracker = tracker;
+}
+
+// Failures caused by the torrent rather than the provider: not cached, dead or invalid magnet, no matching file.
+// They say nothing about the provider's health, so they never count toward disabling it.
+const TORRENT_ERROR_PATTERNS = [
+  /not cached/i,
+  /transfer started/i,
+  /not found in torrent/i,
+  /no (video )?files/i,
+  /invalid magnet/i,
+  /infringing/i,
+  /due to status|failed with (status|state)|processing failed/i,
+  /did not reach \w+ status|processing timeout/i,
+  /selected file not available|file not found in/i
+];
+
+function isTorrentError(error) {
+  return TORRENT_ERROR_PATTERNS.some(pattern => pattern.test(error.message || ''));
+}
+
+// Run worker over items with at most `limit` calls in flight
+async function runWithConcurrency(items, limit, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await worker(item);
+    }
+  });
+  await Promise.all(runners);
+}
 
 class StreamingProviderManager {
   constructor() {
     this.providers = {};
+    this.cacheKey = 'default'; // Distinguishes per-install managers in downstream caches
     this.timeout = 15000; // 15 seconds timeout
     this.maxRetries = 3;
+    // Playback links resolved through /resolve, so repeat plays skip the provider round trips
+    this.resolvedLinks = new Map();
+    this.pendingResolves = new Map();
+    this.linkCacheExpiry = 2 * 60 * 60 * 1000; // 2 hours, well inside debrid link lifetimes
+    this.maxResolvedLinks = 500;
     this.supportedProviders = {
       'realdebrid': {
         name: 'Real-Debrid',
         class: RealDebridClient,
         extension: 'RD',
-        cacheAvailability: false
+        cacheAvailability: false,
+        availabilityBatchSize: 50,
+        availabilityConcurrency: 2
       },
       'alldebrid': {
         name: 'AllDebrid',
         class: AllDebridClient,
         extension: 'AD',
-        cacheAvailability: false
+        cacheAvailability: false,
+        availabilityBatchSize: 50,
+        availabilityConcurrency: 2
+      },
+      'premiumize': {
+        name: 'Premiumize',
+        class: PremiumizeClient,
+        extension: 'PM',
+        cacheAvailability: true,
+        availabilityBatchSize: 100,
+        availabilityConcurrency: 3
+      },
+      'torbox': {
+        name: 'TorBox',
+        class: TorBoxClient,
+        extension: 'TB',
+        cacheAvailability: true,
+        availabilityBatchSize: 100,
+        availabilityConcurrency: 2
       }
     };
   }
@@ -83,9 +150,20 @@ class StreamingProviderManager {
     return new AllDebridClient(token, userIP);
   }
 
-  // Search cached content across all providers
+  // Create Premiumize client instance
+  createPremiumizeClient(token, userIP = null) {
+    return new PremiumizeClient(token, userIP);
+  }
+
+  // Create TorBox client instance
+  createTorBoxClient(token, userIP = null) {
+    return new TorBoxClient(token, userIP);
+  }
+
+  // Search cached content across all providers; options.season/episode narrow series searches.
+  // options.candidates (torrent indexer results) are checked by infohash and the cached ones added per provider.
   async searchCachedContent(query, options = {}) {
-    const { type = 'movie', maxResults = 50 } = options;
+    const { type = 'movie', maxResults = 50, season = null, episode = null, candidates = [] } = options;
     const availableProviders = this.getAvailableProviders();
     const results = [];
 
@@ -96,7 +174,7 @@ class StreamingProviderManager {
         let searchResults = [];
         
         if (provider.client) {
-          searchResults = await provider.client.searchCachedContent(query, type);
+          searchResults = await provider.client.searchCachedContent(query, type, { season, episode });
         }
 
         results.push({
@@ -127,6 +205,32 @@ class StreamingProviderManager {
       }
     }
 
+    if (candidates.length > 0) {
+      const availability = await this.getInstantAvailability(candidates.map(candidate => candidate.infoHash));
+      for (const candidate of candidates) {
+        for (const { provider: providerName, files } of availability[candidate.infoHash] || []) {
+          const providerResult = results.find(r => r.provider === providerName);
+          if (!providerResult || providerResult.results.length >= maxResults) continue;
+          if (providerResult.results.some(result => result.hash && result.hash.toLowerCase() === candidate.infoHash)) continue;
+
+          providerResult.success = true;
+          providerResult.cached = true;
+          providerResult.results.push({
+            id: candidate.infoHash,
+            hash: candidate.infoHash,
+            filename: candidate.title,
+            size: candidate.size,
+            seeders: candidate.seeders,
+            files,
+            type: 'torrent',
+            cached: true,
+            source: 'indexer',
+            ...(type === 'series' && season && episode && { season, episode })
+          });
+        }
+      }
+    }
+
     return {
       success: results.some(r => r.success),
       providers: results,
@@ -134,6 +238,63 @@ class StreamingProviderManager {
     };
   }
 
+  // One batched availability pass for a whole page of streams: every enabled provider checks all hashes
+  // in parallel, in chunks of its batch size with at most `concurrency` chunks in flight per provider.
+  // Returns { hash: [{ provider, files }] } with only the providers that have the hash cached.
+  async getInstantAvailability(hashes, options = {}) {
+    const uniqueHashes = [...new Set((hashes || [])
+      .filter(hash => typeof hash === 'string')
+      .map(hash => hash.toLowerCase())
+      .filter(hash => /^[a-f0-9]{40}$/.test(hash)))];
+    const availability = {};
+    if (uniqueHashes.length === 0) return availability;
+
+    const addAvailable = (hash, providerName, files) => {
+      const key = hash.toLowerCase();
+      (availability[key] = availability[key] || []).push({ provider: providerName, files });
+    };
+
+    await Promise.all(this.getAvailableProviders().map(async providerName => {
+      const provider = this.providers[providerName];
+      const client = provider.client;
+      if (!client) return;
+
+      const batchSize = options.batchSize || provider.availabilityBatchSize || 50;
+      const concurrency = options.concurrency || provider.availabilityConcurrency || 2;
+      const chunks = [];
+      for (let i = 0; i < uniqueHashes.length; i += batchSize) {
+        chunks.push(uniqueHashes.slice(i, i + batchSize));
+      }
+
+      await runWithConcurrency(chunks, concurrency, async chunk => {
+        try {
+          if (typeof client.getInstantAvailability === 'function') {
+            const results = await client.getInstantAvailability(chunk, { batchSize: chunk.length });
+            for (const [hash, data] of Object.entries(results || {})) {
+              addAvailable(hash, providerName, data.videoFiles || data.files || []);
+            }
+          } else if (typeof client.getAvailability === 'function') {
+            const magnets = await client.getAvailability(chunk);
+            for (const magnet of magnets || []) {
+              if (magnet.instant && magnet.hash) addAvailable(magnet.hash, providerName, magnet.files || []);
+            }
+          }
+        } catch (error) {
+          console.error(`Error checking instant availability with ${providerName}:`, error);
+        }
+      });
+    }));
+
+    // Keep provider order stable (registration order) regardless of which check finished first
+    const order = this.getAvailableProviders();
+    for (const entries of Object.values(availability)) {
+      entries.sort((a, b) => order.indexOf(a.provider) - order.indexOf(b.provider));
+    }
+
+    console.log(`Instant availability: ${Object.keys(availability).length}/${uniqueHashes.length} hashes cached across ${order.length} provider(s)`);
+    return availability;
+  }
+
   // Create streaming URL with fallback support
   async createStreamingURL(infoHash, magnetLink, options = {}) {
     const { filename = null, season = null, episode = null, preferredProvider = null } = options;
@@ -199,10 +360,33 @@ class StreamingProviderManager {
             options.episode
           );
           break;
+        case 'premiumize': {
+          const pmClient = this.createPremiumizeClient(provider.apiKey, provider.userIP);
+          streamResult = await pmClient.createStreamingURL(
+            infoHash,
+            magnetLink,
+            options.filename,
+            options.season,
+            options.episode
+          );
+          break;
+        }
+        case 'torbox': {
+          const tbClient = this.createTorBoxClient(provider.apiKey, provider.userIP);
+          streamResult = await tbClient.createStreamingURL(
+            infoHash,
+            magnetLink,
+            options.filename,
+            options.season,
+            options.episode
+          );
+          break;
+        }
           
         default:
           throw new Error(`Unsupported provider type: ${provider.type}`);
       }
+      this.recordTorrent(providerName, infoHash, streamResult);
 
       return {
         success: true,
@@ -215,9 +399,12 @@ class StreamingProviderManager {
 
     } catch (error) {
       console.error(`Error creating stream with ${providerName}:`, error);
+      this.recordTorrent(providerName, infoHash, error);
       
       // Increment error count
-      provider.errorCount++;
+      if (!isTorrentError(error)) {
+        provider.errorCount++;
+      }
       
       // Disable provider if too many errors
       if (provider.errorCount >= 5) {
@@ -232,6 +419,111 @@ class StreamingProviderManager {
     }
   }
 
+  // Report a torrent on the user's account to the housekeeping tracker; failures never affect playback.
+  // streamResult is a client's result, or the error of a failed resolve carrying the torrent it added
+  recordTorrent(providerName, infoHash, streamResult) {
+    if (!torrentTracker || !streamResult || !streamResult.torrentId) return;
+    Promise.resolve(torrentTracker.trackTorrent({
+      accountKey: this.cacheKey,
+      provider: providerName,
+      torrentId: streamResult.torrentId,
+      infoHash,
+      added: !!streamResult.addedTorrent
+    })).catch(error => console.error(`Error tracking ${providerName} torrent:`, error.message));
+  }
+
+  getResolveKey(providerName, infoHash, fileIdx, season, episode) {
+    return [providerName, infoHash.toLowerCase(), fileIdx === null ? 'auto' : fileIdx, season || '', episode || ''].join(':');
+  }
+
+  // Cached result of resolveStream, or null when the link has not been resolved (or has expired)
+  getResolvedLink(providerName, infoHash, options = {}) {
+    const { fileIdx = null, season = null, episode = null } = options;
+    const key = this.getResolveKey(providerName, infoHash, fileIdx, season, episode);
+    const entry = this.resolvedLinks.get(key);
+    if (!entry) return null;
+    if (Date.now() - entry.timestamp > this.linkCacheExpiry) {
+      this.resolvedLinks.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  // Resolved link whose file has this OpenSubtitles moviehash (set once /resolve hashed the file)
+  findResolvedLinkByVideoHash(videoHash) {
+    for (const entry of this.resolvedLinks.values()) {
+      if (entry.value.videoHash === videoHash && Date.now() - entry.timestamp <= this.linkCacheExpiry) {
+        return entry.value;
+      }
+    }
+    return null;
+  }
+
+  // Attach extra data (e.g. the file's moviehash) to a cached resolved link
+  updateResolvedLink(providerName, infoHash, options, data) {
+    const { fileIdx = null, season = null, episode = null } = options;
+    const entry = this.resolvedLinks.get(this.getResolveKey(providerName, infoHash, fileIdx, season, episode));
+    if (entry) {
+      Object.assign(entry.value, data);
+    }
+  }
+
+  // Resolve one torrent file to a playable link on a specific provider when the user presses play.
+  // options: { fileIdx, season, episode, filename, magnetLink }. Concurrent requests for the same file share one resolution.
+  async resolveStream(providerName, infoHash, options = {}) {
+    const { fileIdx = null, season = null, episode = null, filename = null, magnetLink = null } = options;
+    const provider = this.providers[providerName];
+    if (!provider || !provider.enabled || !provider.client) {
+      return { success: false, error: `Provider ${providerName} not available`, provider: providerName };
+    }
+
+    const key = this.getResolveKey(providerName, infoHash, fileIdx, season, episode);
+    const cached = this.getResolvedLink(providerName, infoHash, { fileIdx, season, episode });
+    if (cached) {
+      return { ...cached, cached: true };
+    }
+    if (this.pendingResolves.has(key)) {
+      return this.pendingResolves.get(key);
+    }
+
+    const resolution = (async () => {
+      try {
+        const result = await provider.client.resolveFile(infoHash, magnetLink, fileIdx, { filename, season, episode });
+        this.recordTorrent(providerName, infoHash, result);
+        const value = {
+          success: true,
+          streamUrl: result.url,
+          filename: result.filename,
+          filesize: result.filesize,
+          mimeType: result.mimeType,
+          provider: providerName
+        };
+
+        if (this.resolvedLinks.size >= this.maxResolvedLinks) {
+          this.resolvedLinks.delete(this.resolvedLinks.keys().next().value);
+        }
+        this.resolvedLinks.set(key, { value, timestamp: Date.now() });
+        provider.errorCount = 0;
+        return { ...value, cached: false };
+      } catch (error) {
+        console.error(`Error resolving ${infoHash} with ${providerName}:`, error.message);
+        this.recordTorrent(providerName, infoHash, error);
+        if (!isTorrentError(error)) {
+          provider.errorCount++;
+          if (provider.errorCount >= 5) {
+            this.disableProvider(providerName, error.message);
+          }
+        }
+        return { success: false, error: error.message, provider: providerName };
+      } finally {
+        this.pendingResolves.delete(key);
+      }
+    })();
+
+    this.pendingResolves.set(key, resolution);
+    return resolution;
+  }
+
   // Get provider status
   getProviderStatus(providerName) {
     const provider = this.providers[providerName];
@@ -273,6 +565,18 @@ class StreamingProviderManager {
             user: adUserInfo,
             provider: providerName
           };
+        case 'premiumize':
+        case 'torbox': {
+          const accountClient = provider.type === 'premiumize'
+            ? this.createPremiumizeClient(provider.apiKey, provider.userIP)
+            : this.createTorBoxClient(provider.apiKey, provider.userIP);
+          const accountInfo = await accountClient.getAccountInfo();
+          return {
+            valid: true,
+            user: accountInfo,
+            provider: providerName
+          };
+        }
           
         default:
           throw new Error(`Unsupported provider type: ${provider.type}`);
@@ -325,6 +629,35 @@ class StreamingProviderManager {
               errorCount: provider.errorCount
             };
             break;
+          case 'premiumize': {
+            const pmClient = this.createPremiumizeClient(provider.apiKey, provider.userIP);
+            const pmUserInfo = await pmClient.getAccountInfo();
+
+            stats[providerName] = {
+              type: provider.type,
+              user: pmUserInfo.username,
+              premium: pmUserInfo.premium,
+              expiration: pmUserInfo.expiration,
+              enabled: provider.enabled,
+              errorCount: provider.errorCount
+            };
+            break;
+          }
+          case 'torbox': {
+            const tbClient = this.createTorBoxClient(provider.apiKey, provider.userIP);
+            const tbUserInfo = await tbClient.getAccountInfo();
+
+            stats[providerName] = {
+              type: provider.type,
+              user: tbUserInfo.username,
+              premium: tbUserInfo.premium,
+              plan: tbUserInfo.plan,
+              expiration: tbUserInfo.expiration,
+              enabled: provider.enabled,
+              errorCount: provider.errorCount
+            };
+            break;
+          }
         }
       } catch (error) {
         stats[providerName] = {
@@ -360,12 +693,14 @@ class StreamingProviderManager {
 // Create singleton instance
 const streamingManager = new StreamingProviderManager();
 
-// Enhanced provider initialization with multi-debrid support
-function initializeStreamingProviders(config) {
-  console.log('Initializing streaming providers with multi-debrid support...');
-  
+// Per-install managers, keyed by a hash of the user's debrid keys
+const userManagers = new Map();
+const MAX_USER_MANAGERS = 200;
+
+// Register every configured provider on a manager instance
+function registerConfiguredProviders(manager, config) {
   if (config.realdebrid && config.realdebrid.apiKey) {
-    streamingManager.registerProvider('realdebrid', {
+    manager.registerProvider('realdebrid', {
       apiKey: config.realdebrid.apiKey,
       userIP: config.realdebrid.userIP || null,
       priority: 1
@@ -373,21 +708,89 @@ function initializeStreamingProviders(config) {
   }
 
   if (config.alldebrid && config.alldebrid.apiKey) {
-    streamingManager.registerProvider('alldebrid', {
+    manager.registerProvider('alldebrid', {
       apiKey: config.alldebrid.apiKey,
       userIP: config.alldebrid.userIP || null,
       priority: 2
     });
   }
 
+  if (config.premiumize && config.premiumize.apiKey) {
+    manager.registerProvider('premiumize', {
+      apiKey: config.premiumize.apiKey,
+      userIP: config.premiumize.userIP || null,
+      priority: 3
+    });
+  }
+
+  if (config.torbox && config.torbox.apiKey) {
+    manager.registerProvider('torbox', {
+      apiKey: config.torbox.apiKey,
+      userIP: config.torbox.userIP || null,
+      priority: 4
+    });
+  }
+
+  return manager;
+}
+
+// Enhanced provider initialization with multi-debrid support
+function initializeStreamingProviders(config) {
+  console.log('Initializing streaming providers with multi-debrid support...');
+  
+  registerConfiguredProviders(streamingManager, config);
+
   const enabledProviders = streamingManager.getAvailableProviders();
   console.log(`Enabled providers: ${enabledProviders.join(', ')}`);
 
   return streamingManager;
 }
 
+// Get a manager for user-supplied debrid keys ({ realdebrid: 'key', ... }),
+// falling back to the server-wide manager when the user has no keys of their own
+function getStreamingManagerForKeys(debridKeys = {}) {
+  const entries = Object.entries(debridKeys).filter(([, apiKey]) => !!apiKey).sort();
+  if (entries.length === 0) {
+    return streamingManager;
+  }
+
+  const cacheKey = crypto.createHash('sha256').update(JSON.stringify(entries)).digest('hex');
+  if (userManagers.has(cacheKey)) {
+    return userManagers.get(cacheKey);
+  }
+
+  const providerConfig = {};
+  for (const [name, apiKey] of entries) {
+    providerConfig[name] = { apiKey };
+  }
+
+  const manager = registerConfiguredProviders(new StreamingProviderManager(), providerConfig);
+  manager.cacheKey = cacheKey;
+
+  // Evict the oldest entry once the cache is full
+  if (userManagers.size >= MAX_USER_MANAGERS) {
+    userManagers.delete(userManagers.keys().next().value);
+  }
+  userManagers.set(cacheKey, manager);
+
+  // Torrents tracked for this account while its manager was out of memory are only cleaned from here
+  if (torrentTracker) {
+    torrentTracker.scheduleAccountCleanup(manager);
+  }
+
+  return manager;
+}
+
+// The server-wide manager plus every per-install manager still in memory
+function getActiveStreamingManagers() {
+  return [streamingManager, ...userManagers.values()];
+}
+
 module.exports = {
   StreamingProviderManager,
   streamingManager,
-  initializeStreamingProviders
+  initializeStreamingProviders,
+  getStreamingManagerForKeys,
+  getActiveStreamingManagers,
+  setTorrentTracker
 };
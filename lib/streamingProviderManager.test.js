@@ -0,0 +1,68 @@
+// lib/streamingProviderManager.test.js
+// Unit tests for playback-time resolution and torrent tracking in the streaming provider manager
+
+const { StreamingProviderManager, setTorrentTracker } = require('./streamingProviderManager');
+
+const INFO_HASH = 'abcdef0123456789abcdef0123456789abcdef01';
+
+function createManager(client) {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const manager = new StreamingProviderManager();
+    manager.cacheKey = 'install-1';
+    manager.registerProvider('realdebrid', { apiKey: 'RDKEY' });
+    manager.providers.realdebrid.client = client;
+    return manager;
+}
+
+describe('Streaming provider manager', () => {
+    let tracker;
+
+    beforeEach(() => {
+        tracker = { trackTorrent: jest.fn(async () => {}) };
+        setTorrentTracker(tracker);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        setTorrentTracker(null);
+        jest.restoreAllMocks();
+    });
+
+    it('tracks the torrent a successful resolve added', async () => {
+        const manager = createManager({
+            resolveFile: async () => ({ url: 'https://dl/file.mkv', filename: 'file.mkv', torrentId: 'T1', addedTorrent: true })
+        });
+
+        const result = await manager.resolveStream('realdebrid', INFO_HASH, { fileIdx: 0 });
+
+        expect(result).toMatchObject({ success: true, streamUrl: 'https://dl/file.mkv', cached: false });
+        expect(tracker.trackTorrent).toHaveBeenCalledWith({
+            accountKey: 'install-1', provider: 'realdebrid', torrentId: 'T1', infoHash: INFO_HASH, added: true
+        });
+    });
+
+    it('tracks the torrent a failed resolve added, so housekeeping can remove it', async () => {
+        const manager = createManager({
+            resolveFile: async () => {
+                throw Object.assign(new Error('Torrent did not reach downloaded status within 8 retries'), { torrentId: 'T2', addedTorrent: true });
+            }
+        });
+
+        const result = await manager.resolveStream('realdebrid', INFO_HASH, { season: 1, episode: 2 });
+
+        expect(result).toMatchObject({ success: false, error: 'Torrent did not reach downloaded status within 8 retries' });
+        expect(tracker.trackTorrent).toHaveBeenCalledWith(expect.objectContaining({ torrentId: 'T2', added: true }));
+        // A torrent failure says nothing about the provider's health
+        expect(manager.providers.realdebrid.errorCount).toBe(0);
+    });
+
+    it('tracks nothing when a failed resolve added no torrent', async () => {
+        const manager = createManager({
+            resolveFile: async () => { throw new Error('Failed to add magnet link to Real-Debrid'); }
+        });
+
+        await manager.resolveStream('realdebrid', INFO_HASH, {});
+
+        expect(tracker.trackTorrent).not.toHaveBeenCalled();
+    });
+});
@@ -4,6 +4,12 @@
 const fetch = require('node-fetch');
 const zlib = require('zlib');
 const AdmZip = require('adm-zip');
+const { getConfiguredLanguages, getProviderLanguage, matchesLanguage, normalizeLanguage } = require('./languageSupport');
+const { analyzeSubtitleQuality } = require('./subtitles/qualityAnalyzer');
+const { detectFormatFromContent, convertSubtitle } = require('./subtitles/formats');
+const { decodeSubtitleBuffer } = require('./subtitles/encoding');
+const { selectArchiveEntry } = require('./subtitles/episodeMatcher');
+const { detectSubtitleFormat, isCompressedFormat, calculateEnhancedSubtitleScore } = require('./subtitles/subtitleRanking');
 
 // AI Processing Cache and Background Processing System
 const aiProcessingStatus = new Map(); // Stores: 'pending', 'completed', 'failed'
@@ -154,7 +160,7 @@ async function robustFetch(url, options = {}, maxRetries = 3, timeout = 15000) {
 }
 
 // Helper for subdl.com API - Enhanced with a4kSubtitles approach
-async function fetchSubdlSubtitle(videoId, infoHash) {
+async function fetchSubdlSubtitle(videoId, infoHash, language = getConfiguredLanguages()[0], releaseName = null) {
     try {
         const subdlApiKey = process.env.SUBDL_API_KEY;
         console.log('[subtitleMatcher] fetchSubdlSubtitle called with videoId:', videoId, 'infoHash:', infoHash);
@@ -183,7 +189,7 @@ async function fetchSubdlSubtitle(videoId, infoHash) {
         }
         
         // Enhanced search request building inspired by a4kSubtitles
-        const searchRequests = buildSubdlSearchRequests(imdbId, infoHash);
+        const searchRequests = buildSubdlSearchRequests(imdbId, infoHash, language);
         
         for (const request of searchRequests) {
             console.log('[subtitleMatcher] SubDL: Trying request:', request.method, request.url);
@@ -208,7 +214,7 @@ async function fetchSubdlSubtitle(videoId, infoHash) {
             }
             
             // Parse and filter results
-            const subtitles = parseSubdlSearchResponse(data, videoId, infoHash);
+            const subtitles = parseSubdlSearchResponse(data, videoId, infoHash, language, releaseName);
             
             if (subtitles.length > 0) {
                 // Return best match
@@ -228,13 +234,13 @@ async function fetchSubdlSubtitle(videoId, infoHash) {
 }
 
 // Build multiple search requests for SubDL (inspired by a4kSubtitles)
-function buildSubdlSearchRequests(imdbId, infoHash) {
+function buildSubdlSearchRequests(imdbId, infoHash, language = 'tr') {
     const subdlApiKey = process.env.SUBDL_API_KEY;
     const requests = [];
     
     const baseParams = {
         api_key: subdlApiKey,
-        languages: 'tr',
+        languages: language,
         type: 'movie',
         subs_per_page: 50
     };
@@ -275,7 +281,7 @@ function buildSubdlSearchRequests(imdbId, infoHash) {
 }
 
 // Parse SubDL search response (inspired by a4kSubtitles) with enhanced format support
-function parseSubdlSearchResponse(data, videoId, infoHash) {
+function parseSubdlSearchResponse(data, videoId, infoHash, requestedLanguage = 'tr', releaseName = null) {
     const subtitles = [];
     
     if (!data.subtitles?.length) return subtitles;
@@ -283,13 +289,12 @@ function parseSubdlSearchResponse(data, videoId, infoHash) {
     for (const item of data.subtitles) {
         // Language filtering
         const language = (item.language || '').toLowerCase();
-        const releaseName = (item.release_name || '').toLowerCase();
+        const itemReleaseName = (item.release_name || '').toLowerCase();
         
-        const isTurkish = language === 'tr' || language === 'turkish' ||
-                         releaseName.includes('turkish') || releaseName.includes('türkçe') || 
-                         releaseName.includes('tr.') || releaseName.includes('.tr.');
+        const isRequestedLanguage = matchesLanguage(language, requestedLanguage) ||
+                                    matchesLanguage(itemReleaseName, requestedLanguage);
         
-        if (!isTurkish) continue;
+        if (!isRequestedLanguage) continue;
         
         // Enhanced URL handling for different file formats
         let subtitleUrl = item.url;
@@ -301,7 +306,7 @@ function parseSubdlSearchResponse(data, videoId, infoHash) {
         const subtitle = {
             title: item.release_name || item.title || 'Unknown',
             url: subtitleUrl,
-            language: 'tr',
+            language: requestedLanguage,
             source: 'subdl',
             hi: item.hi || false,
             downloads: parseInt(item.download_count || 0),
@@ -313,7 +318,7 @@ function parseSubdlSearchResponse(data, videoId, infoHash) {
         };
         
         // Enhanced scoring with format considerations
-        subtitle.score = calculateEnhancedSubtitleScore(subtitle, videoId, infoHash);
+        subtitle.score = calculateEnhancedSubtitleScore(subtitle, videoId, infoHash, releaseName);
         
         subtitles.push(subtitle);
     }
@@ -321,139 +326,16 @@ function parseSubdlSearchResponse(data, videoId, infoHash) {
     // Sort by score (highest first)
     subtitles.sort((a, b) => b.score - a.score);
     
-    console.log(`[subtitleMatcher] SubDL parsed ${subtitles.length} Turkish subtitles with format support`);
+    console.log(`[subtitleMatcher] SubDL parsed ${subtitles.length} '${requestedLanguage}' subtitles with format support`);
     
     return subtitles;
 }
 
-// Detect subtitle format from file extension or URL
-function detectSubtitleFormat(formatOrUrl) {
-    const input = (formatOrUrl || '').toLowerCase();
-    
-    if (input.includes('.srt') || input === 'srt') return 'srt';
-    if (input.includes('.ass') || input === 'ass') return 'ass';
-    if (input.includes('.ssa') || input === 'ssa') return 'ssa';
-    if (input.includes('.vtt') || input === 'vtt') return 'vtt';
-    if (input.includes('.sub') || input === 'sub') return 'sub';
-    if (input.includes('.idx') || input === 'idx') return 'idx';
-    
-    return 'srt'; // Default
-}
-
-// Check if format is compressed
-function isCompressedFormat(formatOrUrl) {
-    const input = (formatOrUrl || '').toLowerCase();
-    
-    return input.includes('.zip') || 
-           input.includes('.rar') || 
-           input.includes('.gz') || 
-           input.includes('.7z') ||
-           input.includes('compressed');
-}
-
-// Enhanced subtitle scoring with format and compression considerations
-function calculateEnhancedSubtitleScore(subtitle, videoId, infoHash) {
-    let score = 0;
-    
-    // Base score
-    score += 100;
-    
-    // Downloads factor (more weight for popular subtitles)
-    score += Math.min(subtitle.downloads * 3, 300);
-    
-    // Rating factor
-    score += subtitle.rating * 25;
-    
-    // Hearing impaired penalty
-    if (subtitle.hi) score -= 50;
-    
-    // Format bonuses
-    switch (subtitle.format) {
-        case 'srt':
-            score += 30; // SRT is most compatible
-            break;
-        case 'ass':
-        case 'ssa':
-            score += 20; // ASS/SSA has formatting but can be converted
-            break;
-        case 'vtt':
-            score += 15; // VTT is web-friendly
-            break;
-        default:
-            score += 5; // Other formats
-    }
-    
-    // Compression considerations
-    if (subtitle.compressed) {
-        score += 10; // Compressed files often have better quality
-    }
-    // Bonus for uncompressed SRT (reliability)
-    if (subtitle.format === 'srt' && !subtitle.compressed) {
-        score += 5; // Bonus for uncompressed SRT
-    }
-    
-    // File size considerations (larger files often have better quality)
-    if (subtitle.fileSize > 0) {
-        if (subtitle.fileSize > 50000) score += 15; // Large files (>50KB)
-        else if (subtitle.fileSize > 20000) score += 10; // Medium files (>20KB)
-        else if (subtitle.fileSize > 5000) score += 5; // Small files (>5KB)
-    }
-    
-    // Hash matching bonus (very high priority)
-    if (infoHash && subtitle.title?.toLowerCase().includes(infoHash.substring(0, 8))) {
-        score += 400; // Increased bonus for hash match
-    }
-    
-    // IMDb ID matching bonus
-    if (videoId?.startsWith('tt') && subtitle.title?.includes(videoId.replace('tt', ''))) {
-        score += 250; // Increased bonus for IMDb match
-    }
-    
-    // Quality indicators with more comprehensive list
-    const qualityKeywords = [
-        'bluray', 'blu-ray', 'bdrip', 'brrip',
-        'web-dl', 'webdl', 'webrip', 'web-rip',
-        'dvdrip', 'dvd-rip', 'dvdscr',
-        '2160p', '4k', '1080p', '720p', '480p',
-        'x264', 'x265', 'h264', 'h265', 'hevc',
-        'aac', 'ac3', 'dts', 'truehd',
-        'hdr', 'dolby', 'atmos'
-    ];
-    
-    for (const keyword of qualityKeywords) {
-        if (subtitle.title?.toLowerCase().includes(keyword)) {
-            score += 8; // Reduced individual bonus but more keywords
-        }
-    }
-    
-    // Release group bonus
-    const releaseGroups = [
-        'yts', 'rarbg', 'sparks', 'geckos', 'cmrg', 'ntg', 'megusta', 
-        'xvid', 'amiable', 'rovers', 'psychd', 'deflate', 'crimson'
-    ];
-    
-    for (const group of releaseGroups) {
-        if (subtitle.title?.toLowerCase().includes(group)) {
-            score += 12; // Release group bonus
-        }
-    }
-    
-    // Turkish-specific bonuses
-    const turkishIndicators = ['tr', 'turkish', 'türkçe', 'turkce'];
-    for (const indicator of turkishIndicators) {
-        if (subtitle.title?.toLowerCase().includes(indicator)) {
-            score += 20; // Language match bonus
-        }
-    }
-    
-    return Math.max(0, score);
-}
-
 // Calculate subtitle score based on various factors (enhanced version)
-function calculateSubtitleScore(subtitle, videoId, infoHash) {
+function calculateSubtitleScore(subtitle, videoId, infoHash, releaseName = null) {
     // Use the enhanced scoring if available, fallback to basic scoring
     if (typeof calculateEnhancedSubtitleScore === 'function') {
-        return calculateEnhancedSubtitleScore(subtitle, videoId, infoHash);
+        return calculateEnhancedSubtitleScore(subtitle, videoId, infoHash, releaseName);
     }
     
     let score = 0;
@@ -553,7 +435,7 @@ async function getMovieMetadata(imdbId) {
 }
 
 // Helper for Podnapisi API - Enhanced with a4kSubtitles JSON API approach
-async function fetchPodnapisiSubtitle(videoId, infoHash) {
+async function fetchPodnapisiSubtitle(videoId, infoHash, releaseName = null) {
     try {
         console.log('[subtitleMatcher] fetchPodnapisiSubtitle called with videoId:', videoId, 'infoHash:', infoHash);
         
@@ -610,11 +492,11 @@ async function fetchPodnapisiSubtitle(videoId, infoHash) {
             if (contentType?.includes('application/json')) {
                 // JSON API response (preferred method)
                 const searchData = await searchRes.json();
-                subtitles = parsePodnapisiJsonResponse(searchData, videoId, infoHash);
+                subtitles = parsePodnapisiJsonResponse(searchData, videoId, infoHash, releaseName);
             } else {
                 // HTML response (fallback)
                 const html = await searchRes.text();
-                subtitles = parsePodnapisiHtmlResponse(html, videoId, infoHash);
+                subtitles = parsePodnapisiHtmlResponse(html, videoId, infoHash, releaseName);
             }
             
             if (subtitles.length > 0) {
@@ -692,7 +574,7 @@ function buildPodnapisiSearchRequests(imdbId, movieData, infoHash) {
 }
 
 // Parse Podnapisi JSON response
-function parsePodnapisiJsonResponse(data, videoId, infoHash) {
+function parsePodnapisiJsonResponse(data, videoId, infoHash, releaseName = null) {
     const subtitles = [];
     
     if (!data?.data?.length) return subtitles;
@@ -717,7 +599,7 @@ function parsePodnapisiJsonResponse(data, videoId, infoHash) {
         };
         
         // Calculate score
-        subtitle.score = calculateSubtitleScore(subtitle, videoId, infoHash);
+        subtitle.score = calculateSubtitleScore(subtitle, videoId, infoHash, releaseName);
         
         subtitles.push(subtitle);
     }
@@ -731,7 +613,7 @@ function parsePodnapisiJsonResponse(data, videoId, infoHash) {
 }
 
 // Parse Podnapisi HTML response (fallback)
-function parsePodnapisiHtmlResponse(html, videoId, infoHash) {
+function parsePodnapisiHtmlResponse(html, videoId, infoHash, releaseName = null) {
     const subtitles = [];
     
     // Extract Turkish subtitles from HTML
@@ -750,7 +632,7 @@ function parsePodnapisiHtmlResponse(html, videoId, infoHash) {
         };
         
         // Calculate score
-        subtitle.score = calculateSubtitleScore(subtitle, videoId, infoHash);
+        subtitle.score = calculateSubtitleScore(subtitle, videoId, infoHash, releaseName);
         
         subtitles.push(subtitle);
     }
@@ -926,8 +808,27 @@ async function extractTitleFromId(imdbId) {
     }
 }
 
+// Pick the archive entry for the request in details ({ season, episode, releaseName }); season packs need the right episode
+function selectSubtitleEntry(entries, getName, details = {}) {
+    const selected = selectArchiveEntry(entries, { getName, season: details.season, episode: details.episode, releaseName: details.releaseName });
+    if (!selected && details.episode && entries.length > 0) {
+        console.log(`[SubtitleMatcher] Archive has no entry for S${details.season}E${details.episode}:`, entries.map(getName));
+    }
+    return selected;
+}
+
+// Decode subtitle bytes to a string, recording the detected source encoding in details (if given)
+function decodeSubtitleBytes(buffer, details = {}) {
+    const { content, encoding, confidence } = decodeSubtitleBuffer(buffer, { language: details.language });
+    if (encoding !== 'utf-8') {
+        console.log(`[SubtitleMatcher] Decoded subtitle from ${encoding} (confidence ${confidence.toFixed(2)})`);
+    }
+    details.encoding = encoding;
+    return content;
+}
+
 // Helper function to decompress subtitle content if needed with async operations
-async function decompressSubtitleContent(responseOrBuffer) {
+async function decompressSubtitleContent(responseOrBuffer, details = {}) {
     try {
         let buffer;
         let contentEncoding = null;
@@ -955,19 +856,19 @@ async function decompressSubtitleContent(responseOrBuffer) {
             console.log('[subtitleMatcher] Decompressing gzipped subtitle content (async)');
             try {
                 const decompressed = await gunzip(buffer);
-                return decompressed.toString('utf-8');
+                return decodeSubtitleBytes(decompressed, details);
             } catch (e) {
                 console.error('[subtitleMatcher] GZIP decompression failed:', e);
-                return buffer.toString('utf-8');
+                return decodeSubtitleBytes(buffer, details);
             }
         } else if (contentEncoding === 'deflate') {
             console.log('[subtitleMatcher] Decompressing deflated subtitle content (async)');
             try {
                 const decompressed = await inflate(buffer);
-                return decompressed.toString('utf-8');
+                return decodeSubtitleBytes(decompressed, details);
             } catch (e) {
                 console.error('[subtitleMatcher] DEFLATE decompression failed:', e);
-                return buffer.toString('utf-8');
+                return decodeSubtitleBytes(buffer, details);
             }
         } else {
             // Try to detect compression by checking the first few bytes
@@ -977,24 +878,24 @@ async function decompressSubtitleContent(responseOrBuffer) {
                 console.log('[subtitleMatcher] Detected GZIP format, decompressing (async)...');
                 try {
                     const decompressed = await gunzip(buffer);
-                    return decompressed.toString('utf-8');
+                    return decodeSubtitleBytes(decompressed, details);
                 } catch (e) {
                     console.error('[subtitleMatcher] GZIP magic detection failed:', e);
-                    return buffer.toString('utf-8');
+                    return decodeSubtitleBytes(buffer, details);
                 }
             } else if (firstBytes[0] === 0x78 && (firstBytes[1] === 0x9c || firstBytes[1] === 0x01 || firstBytes[1] === 0xda)) {
                 // DEFLATE magic number
                 console.log('[subtitleMatcher] Detected DEFLATE format, decompressing (async)...');
                 try {
                     const decompressed = await inflate(buffer);
-                    return decompressed.toString('utf-8');
+                    return decodeSubtitleBytes(decompressed, details);
                 } catch (e) {
                     console.error('[subtitleMatcher] DEFLATE magic detection failed:', e);
-                    return buffer.toString('utf-8');
+                    return decodeSubtitleBytes(buffer, details);
                 }
             } else {
                 // Regular text content
-                return buffer.toString('utf-8');
+                return decodeSubtitleBytes(buffer, details);
             }
         }
     } catch (e) {
@@ -1014,7 +915,8 @@ async function decompressSubtitleContent(responseOrBuffer) {
 }
 
 // Enhanced helper function to decompress ZIP/RAR files from SubDL with comprehensive support
-async function decompressZipSubtitle(response, originalUrl) {
+// details: { season, episode, releaseName } select the entry; the detected charset is written back as details.encoding
+async function decompressZipSubtitle(response, originalUrl, details = {}) {
     try {
         const buffer = await response.buffer();
         console.log(`[SubtitleMatcher] Processing archive file, size: ${buffer.length}, URL: ${originalUrl}`);
@@ -1037,27 +939,20 @@ async function decompressZipSubtitle(response, originalUrl) {
                 );
                 
                 if (subtitleFiles.length > 0) {
-                    // Prioritize SRT files first
-                    const srtFiles = subtitleFiles.filter(f => f.entryName.toLowerCase().endsWith('.srt'));
-                    const targetFile = srtFiles.length > 0 ? srtFiles[0] : subtitleFiles[0];
+                    // Requested episode for season packs, then release name similarity, then SRT first
+                    const targetFile = selectSubtitleEntry(subtitleFiles, entry => entry.entryName, details);
+                    if (!targetFile) {
+                        return null;
+                    }
                     
                     console.log(`[SubtitleMatcher] Extracting subtitle file: ${targetFile.entryName}`);
                     
                     const fileData = zip.readFile(targetFile);
                     if (fileData) {
-                        // Try different encodings
-                        const encodings = ['utf8', 'latin1', 'ascii', 'utf16le'];
-                        
-                        for (const encoding of encodings) {
-                            try {
-                                const content = fileData.toString(encoding);
-                                if (isValidSubtitleContent(content)) {
-                                    console.log(`[SubtitleMatcher] Successfully extracted ZIP subtitle with ${encoding} encoding`);
-                                    return content;
-                                }
-                            } catch (encodingError) {
-                                continue;
-                            }
+                        const content = decodeSubtitleBytes(fileData, details);
+                        if (isValidSubtitleContent(content)) {
+                            console.log(`[SubtitleMatcher] Successfully extracted ZIP subtitle with ${details.encoding} encoding`);
+                            return content;
                         }
                     }
                 } else {
@@ -1073,7 +968,7 @@ async function decompressZipSubtitle(response, originalUrl) {
                         try {
                             const fileData = zip.readFile(textFile);
                             if (fileData) {
-                                const content = fileData.toString('utf8');
+                                const content = decodeSubtitleBytes(fileData, details);
                                 if (isValidSubtitleContent(content)) {
                                     console.log(`[SubtitleMatcher] Found subtitle content in text file: ${textFile.entryName}`);
                                     return content;
@@ -1104,17 +999,17 @@ async function decompressZipSubtitle(response, originalUrl) {
             try {
                 const AdmZip = require('adm-zip');
                 const zip = new AdmZip(buffer);
-                const zipEntries = zip.getEntries();
+                const zipEntries = zip.getEntries().filter(entry =>
+                    entry.entryName.toLowerCase().endsWith('.srt') || 
+                    entry.entryName.toLowerCase().endsWith('.ass') || 
+                    entry.entryName.toLowerCase().endsWith('.vtt'));
+                const entry = selectSubtitleEntry(zipEntries, zipEntry => zipEntry.entryName, details);
                 
-                for (const entry of zipEntries) {
-                    if (entry.entryName.toLowerCase().endsWith('.srt') || 
-                        entry.entryName.toLowerCase().endsWith('.ass') || 
-                        entry.entryName.toLowerCase().endsWith('.vtt')) {
-                        console.log(`[SubtitleMatcher] Found subtitle in RAR-as-ZIP: ${entry.entryName}`);
-                        const content = entry.getData().toString('utf8');
-                        if (isValidSubtitleContent(content)) {
-                            return content;
-                        }
+                if (entry) {
+                    console.log(`[SubtitleMatcher] Found subtitle in RAR-as-ZIP: ${entry.entryName}`);
+                    const content = decodeSubtitleBytes(entry.getData(), details);
+                    if (isValidSubtitleContent(content)) {
+                        return content;
                     }
                 }
                 
@@ -1124,7 +1019,7 @@ async function decompressZipSubtitle(response, originalUrl) {
             }
             
             // Call the enhanced RAR function
-            return await decompressRarSubtitle({ buffer: () => Promise.resolve(buffer) }, originalUrl);
+            return await decompressRarSubtitle({ buffer: () => Promise.resolve(buffer) }, originalUrl, details);
         }
         
         // Unknown archive format - try generic extraction
@@ -1200,7 +1095,7 @@ async function extractArchiveAsText(buffer, archiveType) {
 }
 
 // OpenSubtitles API search function
-async function searchOpenSubtitles(imdbId, type, season, episode, language = 'tr') {
+async function searchOpenSubtitles(imdbId, type, season, episode, language = getConfiguredLanguages()[0]) {
     try {
         console.log(`[subtitleMatcher] Searching OpenSubtitles for ${imdbId}`);
         
@@ -1297,17 +1192,18 @@ async function searchOpenSubtitles(imdbId, type, season, episode, language = 'tr
 }
 
 // SubDL API search function
-async function searchSubDL(imdbId, type, season, episode, language = 'tr') {
+async function searchSubDL(imdbId, type, season, episode, language = getConfiguredLanguages()[0]) {
     try {
         console.log(`[subtitleMatcher] Searching SubDL for ${imdbId}`);
         
         // Build SubDL search URL
         let searchUrl = `https://subdl.com/subtitle/sd${imdbId}`;
+        const subdlLanguage = getProviderLanguage(language, 'subdl');
         
         if (type === 'series' && season && episode) {
-            searchUrl += `/turkish/${season}/${episode}`;
-        } else if (language === 'tr') {
-            searchUrl += '/turkish';
+            searchUrl += `/${subdlLanguage}/${season}/${episode}`;
+        } else if (subdlLanguage) {
+            searchUrl += `/${subdlLanguage}`;
         }
         
         const response = await robustFetch(searchUrl, {
@@ -1352,12 +1248,12 @@ async function searchSubDL(imdbId, type, season, episode, language = 'tr') {
 }
 
 // Podnapisi search function
-async function searchPodnapisi(imdbId, type, season, episode, language = 'tr') {
+async function searchPodnapisi(imdbId, type, season, episode, language = getConfiguredLanguages()[0]) {
     try {
         console.log(`[subtitleMatcher] Searching Podnapisi for ${imdbId}`);
         
         // Build Podnapisi search URL
-        const searchUrl = `https://www.podnapisi.net/subtitles/search/advanced?keywords=${imdbId}&language=tr`;
+        const searchUrl = `https://www.podnapisi.net/subtitles/search/advanced?keywords=${imdbId}&language=${getProviderLanguage(language, 'podnapisi') || language}`;
         
         const response = await robustFetch(searchUrl, {
             headers: {
@@ -1616,7 +1512,8 @@ async function fetchOpenSubtitlesSubtitle(videoId, infoHash) {
 }
 
 // Enhanced helper function to download and process subtitle from URL with comprehensive format support
-async function downloadAndProcessSubtitle(subtitleUrl, videoId, source) {
+// options: { season, episode, releaseName } to pick the right file from season-pack archives, language to guide charset detection
+async function downloadAndProcessSubtitle(subtitleUrl, videoId, source, options = {}) {
     try {
         console.log(`[SubtitleMatcher] Downloading ${source} subtitle from: ${subtitleUrl}`);
         
@@ -1712,17 +1609,24 @@ async function downloadAndProcessSubtitle(subtitleUrl, videoId, source) {
         
         console.log(`[SubtitleMatcher] Detected file format: ${fileFormat}`);
         
-        // Process content based on format
+        // Process content based on format; decodeDetails carries the episode and language hints in and the detected charset out
         let originalContent = null;
+        const decodeDetails = {
+            season: options.season,
+            episode: options.episode,
+            releaseName: options.releaseName,
+            // Biases the charset guess toward the subtitle's language (e.g. Windows-1254 for 'tr')
+            language: normalizeLanguage(options.language)
+        };
         
         try {
             switch (fileFormat) {
                 case 'zip':
-                    originalContent = await decompressZipSubtitle(subRes, subtitleUrl);
+                    originalContent = await decompressZipSubtitle(subRes, subtitleUrl, decodeDetails);
                     break;
                 
                 case 'rar':
-                    originalContent = await decompressRarSubtitle(subRes, subtitleUrl);
+                    originalContent = await decompressRarSubtitle(subRes, subtitleUrl, decodeDetails);
                     break;
                 
                 case 'gzip':
@@ -1730,22 +1634,23 @@ async function downloadAndProcessSubtitle(subtitleUrl, videoId, source) {
                     break;
                 
                 case 'compressed':
-                    originalContent = await decompressSubtitleContent(subRes);
+                    originalContent = await decompressSubtitleContent(subRes, decodeDetails);
                     break;
                 
                 case 'srt':
                 case 'ass':
                 case 'vtt':
                 default:
-                    // Try as plain text first
-                    originalContent = await subRes.text();
+                    // Try as plain text first (legacy Turkish files are often Windows-1254, not UTF-8)
+                    const textBuffer = await subRes.buffer();
+                    originalContent = decodeSubtitleBytes(textBuffer, decodeDetails);
                     
                     // If it looks like binary data, try decompression
                     if (originalContent && originalContent.length > 0) {
                         // Check if it's actually valid subtitle content
                         if (!isValidSubtitleContent(originalContent)) {
                             console.log(`[SubtitleMatcher] Plain text doesn't look like subtitle content, trying decompression...`);
-                            originalContent = await decompressUnknownFormat(subRes, subtitleUrl);
+                            originalContent = await decompressUnknownFormat({ buffer: () => Promise.resolve(textBuffer) }, subtitleUrl, decodeDetails);
                         }
                     }
                     break;
@@ -1756,7 +1661,7 @@ async function downloadAndProcessSubtitle(subtitleUrl, videoId, source) {
             
             // Fallback: try all decompression methods
             console.log(`[SubtitleMatcher] Trying fallback decompression methods...`);
-            originalContent = await decompressUnknownFormat(subRes, subtitleUrl);
+            originalContent = await decompressUnknownFormat(subRes, subtitleUrl, decodeDetails);
         }
         
         if (!originalContent) {
@@ -1767,6 +1672,19 @@ async function downloadAndProcessSubtitle(subtitleUrl, videoId, source) {
         console.log(`[SubtitleMatcher] ${source} subtitle content extracted, length: ${originalContent.length}`);
         console.log(`[SubtitleMatcher] First 200 chars: ${originalContent.substring(0, 200)}`);
         
+        // Normalize ASS/SSA, WebVTT and MicroDVD files to SRT; the cache, the AI pipeline and the .srt route expect SRT
+        const contentFormat = detectFormatFromContent(originalContent);
+        if (contentFormat !== 'srt' && contentFormat !== 'unknown') {
+            const convertedContent = convertSubtitle(originalContent, 'srt', { format: contentFormat });
+            if (convertedContent) {
+                console.log(`[SubtitleMatcher] Converted ${source} subtitle from ${contentFormat} to srt`);
+                originalContent = convertedContent;
+                fileFormat = 'srt';
+            } else {
+                console.warn(`[SubtitleMatcher] ${source} ${contentFormat} subtitle contained no usable cues`);
+            }
+        }
+        
         // Enhanced subtitle format validation and conversion
         const processedContent = await processSubtitleContent(originalContent, fileFormat, source);
         
@@ -1775,9 +1693,24 @@ async function downloadAndProcessSubtitle(subtitleUrl, videoId, source) {
             return null;
         }
         
-        // Store content in cache
+        // Reject junk files (no cues, wrong charset, broken timing) before they are served
+        const qualityReport = analyzeSubtitleQuality(processedContent);
+        if (!qualityReport.acceptable) {
+            const problems = qualityReport.issues.filter(issue => issue.severity !== 'info').map(issue => issue.code);
+            console.warn(`[SubtitleMatcher] ${source} subtitle rejected by quality check (score ${qualityReport.score}): ${problems.join(', ')}`);
+            return null;
+        }
+        console.log(`[SubtitleMatcher] ${source} subtitle quality score: ${qualityReport.score}`);
+        
+        // Store content in cache, remembering the charset the file arrived in
         setCachedSubtitleContent(videoId, source, processedContent);
-        console.log(`[SubtitleMatcher] ${source} subtitle successfully cached`);
+        subtitleMetadataCache.set(`${videoId}-${source}`, {
+            encoding: decodeDetails.encoding || 'utf-8',
+            format: contentFormat,
+            qualityScore: qualityReport.score,
+            cachedAt: Date.now()
+        });
+        console.log(`[SubtitleMatcher] ${source} subtitle successfully cached (source encoding: ${decodeDetails.encoding || 'utf-8'})`);
         return processedContent;
         
     } catch (e) {
@@ -1801,7 +1734,7 @@ function getRefererForSource(source) {
 }
 
 // Enhanced decompression function for unknown formats with memory limits
-async function decompressUnknownFormat(response, originalUrl) {
+async function decompressUnknownFormat(response, originalUrl, details = {}) {
     const MAX_BUFFER_SIZE = 50 * 1024 * 1024; // 50MB limit
     
     try {
@@ -1819,7 +1752,7 @@ async function decompressUnknownFormat(response, originalUrl) {
         
         // Check if it's actually plain text first
         try {
-            const plainText = buffer.toString('utf-8');
+            const plainText = decodeSubtitleBytes(buffer, details);
             if (isValidSubtitleContent(plainText)) {
                 console.log(`[SubtitleMatcher] Content is valid plain text`);
                 return plainText;
@@ -1832,7 +1765,7 @@ async function decompressUnknownFormat(response, originalUrl) {
         const decompressionMethods = [
             {
                 name: 'ZIP',
-                method: () => decompressZipSubtitle({ buffer: () => Promise.resolve(buffer) }, originalUrl)
+                method: () => decompressZipSubtitle({ buffer: () => Promise.resolve(buffer) }, originalUrl, details)
             },
             {
                 name: 'GZIP',
@@ -1840,7 +1773,7 @@ async function decompressUnknownFormat(response, originalUrl) {
             },
             {
                 name: 'Generic',
-                method: () => decompressSubtitleContent(buffer)
+                method: () => decompressSubtitleContent(buffer, details)
             },
             {
                 name: 'UTF-8',
@@ -1880,7 +1813,7 @@ async function decompressUnknownFormat(response, originalUrl) {
 }
 
 // Enhanced RAR decompression function with comprehensive support
-async function decompressRarSubtitle(response, originalUrl) {
+async function decompressRarSubtitle(response, originalUrl, details = {}) {
     try {
         const buffer = await response.buffer();
         console.log(`[SubtitleMatcher] Processing RAR file, size: ${buffer.length}`);
@@ -1916,7 +1849,7 @@ async function decompressRarSubtitle(response, originalUrl) {
             const extractionMethods = [
                 () => extractRarWithJavaScriptLibs(buffer),
                 () => extractRarWithUnrar(buffer),
-                () => extractRarWithNodeRar(buffer),
+                () => extractRarWithNodeRar(buffer, details),
                 () => extractRarAsZip(buffer, originalUrl),
                 () => extractRarWithCustomParser(buffer),
                 () => extractRarAsPlainText(buffer)
@@ -1938,7 +1871,7 @@ async function decompressRarSubtitle(response, originalUrl) {
         
         // Fallback: try as ZIP (some RAR files are actually ZIP with .rar extension)
         try {
-            const zipResult = await decompressZipSubtitle({ buffer: () => Promise.resolve(buffer) }, originalUrl);
+            const zipResult = await decompressZipSubtitle({ buffer: () => Promise.resolve(buffer) }, originalUrl, details);
             if (zipResult) {
                 console.log(`[SubtitleMatcher] RAR file successfully processed as ZIP`);
                 return zipResult;
@@ -1964,7 +1897,7 @@ async function decompressRarSubtitle(response, originalUrl) {
 }
 
 // Extract RAR using rar-stream and unrar-js libraries
-async function extractRarWithNodeRar(buffer) {
+async function extractRarWithNodeRar(buffer, details = {}) {
     try {
         // Try unrar-js first (Web Assembly based)
         console.log(`[SubtitleMatcher] Attempting extraction with unrar-js`);
@@ -1987,11 +1920,12 @@ async function extractRarWithNodeRar(buffer) {
                 // Priority order: SRT > ASS > VTT > SUB
                 const subtitlePriority = ['.srt', '.ass', '.ssa', '.vtt', '.sub', '.idx'];
                 for (const ext of subtitlePriority) {
-                    const file = list.fileHeaders.find(f => f.name.toLowerCase().endsWith(ext));
+                    // Within each extension, pick the requested episode from season packs
+                    const file = selectSubtitleEntry(list.fileHeaders.filter(f => f.name.toLowerCase().endsWith(ext)), f => f.name, details);
                     if (file) {
                         console.log(`[SubtitleMatcher] Extracting ${ext.toUpperCase()} file: ${file.name}`);
                         
                         // Extract file data
                         const fileData = extractor.extractFile(file);
                         if (fileData && fileData.length > 0) {
-                            const content = new TextDecoder('utf-8').decode(fileData);
+                            const content = decodeSubtitleBytes(fileData, details);
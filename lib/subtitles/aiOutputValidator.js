@@ -0,0 +1,149 @@
+// lib/subtitles/aiOutputValidator.js
+// Checks AI-corrected subtitles against the original before they are served, and reports what changed
+
+const { parseSrt, serializeSrt } = require('./srtParser');
+const { convertSubtitle } = require('./formats');
+const { stripCodeFences, normalizeCueText } = require('./cueWindows');
+
+const REPORT_VERSION = 1;
+const DEFAULT_OPTIONS = {
+    // A single cue moving further than this is treated as a model error, not a correction
+    maxShiftMs: 10000,
+    // Output with more reverted cues than this share is rejected instead of merged
+    maxRevertedRatio: 0.2,
+    // How far ahead in the output to look for an original cue's text (covers dropped or invented cues)
+    lookahead: 5,
+    maxReportedEntries: 500
+};
+
+// Pair each original cue with an output cue of the same text, in order; -1 when the text is not found nearby
+function alignCues(original, output, lookahead) {
+    const pairs = [];
+    let next = 0;
+    for (const cue of original) {
+        const text = normalizeCueText(cue.text);
+        let match = -1;
+        for (let k = next; k < Math.min(output.length, next + lookahead + 1); k++) {
+            if (normalizeCueText(output[k].text) === text) {
+                match = k;
+                break;
+            }
+        }
+        pairs.push(match);
+        if (match !== -1) next = match + 1;
+    }
+    return pairs;
+}
+
+// Returns { accepted, action: 'accept' | 'merge' | 'reject', content, report }.
+// Text always comes from the original; the AI's timing is taken per cue unless that cue fails a check, in which
+// case it keeps its original timing ('merge'). content is null when the output is rejected.
+function validateAIOutput(originalContent, outputContent, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const original = parseSrt(convertSubtitle(originalContent, 'srt') || originalContent);
+    const output = parseSrt(stripCodeFences(outputContent || ''));
+
+    const report = {
+        version: REPORT_VERSION,
+        action: 'reject',
+        reason: null,
+        originalCues: original.length,
+        outputCues: output.length,
+        checks: {
+            cueCount: { ok: original.length === output.length, original: original.length, output: output.length },
+            text: { ok: true, missingCues: 0, unexpectedCues: 0 },
+            timing: { ok: true, invalidCues: 0 },
+            shift: { ok: true, limitMs: settings.maxShiftMs, exceededCues: 0 },
+            monotonic: { ok: true, violations: 0 }
+        },
+        summary: { retimedCues: 0, unchangedCues: 0, revertedCues: 0, meanAbsShiftMs: 0, maxAbsShiftMs: 0 },
+        issues: [],
+        changes: [],
+        truncated: false
+    };
+    const reject = reason => ({ accepted: false, action: 'reject', content: null, report: { ...report, reason } });
+
+    if (original.length === 0) return reject('original subtitle has no cues');
+    if (output.length === 0) return reject('AI output has no cues');
+
+    const addIssue = issue => {
+        if (report.issues.length < settings.maxReportedEntries) report.issues.push(issue);
+        else report.truncated = true;
+    };
+
+    const pairs = alignCues(original, output, settings.lookahead);
+    const reverted = new Set();
+    const merged = original.map((cue, i) => {
+        const corrected = pairs[i] === -1 ? null : output[pairs[i]];
+        if (!corrected) {
+            report.checks.text.missingCues++;
+            addIssue({ cue: i + 1, type: 'missing', text: cue.text.substring(0, 80) });
+            reverted.add(i);
+            return { ...cue };
+        }
+        if (corrected.end < corrected.start) {
+            report.checks.timing.invalidCues++;
+            addIssue({ cue: i + 1, type: 'invalid-timing', start: corrected.start, end: corrected.end });
+            reverted.add(i);
+            return { ...cue };
+        }
+        const shift = Math.max(Math.abs(corrected.start - cue.start), Math.abs(corrected.end - cue.end));
+        if (shift > settings.maxShiftMs) {
+            report.checks.shift.exceededCues++;
+            addIssue({ cue: i + 1, type: 'shift-exceeded', shiftMs: shift });
+            reverted.add(i);
+            return { ...cue };
+        }
+        return { ...cue, start: corrected.start, end: corrected.end };
+    });
+
+    // A retimed cue that now starts before its predecessor goes back to its original timing (or the predecessor
+    // does, when that alone restores the order)
+    for (let i = 1; i < merged.length; i++) {
+        if (merged[i].start >= merged[i - 1].start || original[i].start < original[i - 1].start) continue;
+        report.checks.monotonic.violations++;
+        addIssue({ cue: i + 1, type: 'non-monotonic', start: merged[i].start, previousStart: merged[i - 1].start });
+        const culprit = !reverted.has(i) && original[i].start >= merged[i - 1].start ? i : i - 1;
+        if (!reverted.has(culprit)) {
+            merged[culprit] = { ...original[culprit] };
+            reverted.add(culprit);
+        }
+        if (culprit === i - 1 && i > 1) i -= 2;
+    }
+
+    const unexpected = output.length - pairs.filter(pair => pair !== -1).length;
+    report.checks.text.unexpectedCues = unexpected;
+    report.checks.text.ok = report.checks.text.missingCues === 0 && unexpected === 0;
+    report.checks.timing.ok = report.checks.timing.invalidCues === 0;
+    report.checks.shift.ok = report.checks.shift.exceededCues === 0;
+    report.checks.monotonic.ok = report.checks.monotonic.violations === 0;
+
+    let totalShift = 0;
+    merged.forEach((cue, i) => {
+        const startShiftMs = cue.start - original[i].start;
+        const endShiftMs = cue.end - original[i].end;
+        if (startShiftMs === 0 && endShiftMs === 0) {
+            report.summary.unchangedCues++;
+            return;
+        }
+        report.summary.retimedCues++;
+        const shift = Math.max(Math.abs(startShiftMs), Math.abs(endShiftMs));
+        totalShift += shift;
+        report.summary.maxAbsShiftMs = Math.max(report.summary.maxAbsShiftMs, shift);
+        if (report.changes.length < settings.maxReportedEntries) report.changes.push({ cue: i + 1, startShiftMs, endShiftMs });
+        else report.truncated = true;
+    });
+    report.summary.revertedCues = reverted.size;
+    report.summary.meanAbsShiftMs = report.summary.retimedCues > 0 ? Math.round(totalShift / report.summary.retimedCues) : 0;
+
+    if (reverted.size / original.length > settings.maxRevertedRatio) {
+        return reject(`${reverted.size} of ${original.length} cues failed validation`);
+    }
+
+    report.action = reverted.size === 0 && unexpected === 0 ? 'accept' : 'merge';
+    return { accepted: true, action: report.action, content: serializeSrt(merged), report };
+}
+
+module.exports = {
+    validateAIOutput
+};
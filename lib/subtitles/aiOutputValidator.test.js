@@ -0,0 +1,102 @@
+// lib/subtitles/aiOutputValidator.test.js
+// Unit tests for the validation of AI-corrected subtitles
+
+const { parseSrt, serializeSrt } = require('./srtParser');
+const { validateAIOutput } = require('./aiOutputValidator');
+
+// A two-second cue every three seconds
+function buildCues(count = 12) {
+    return Array.from({ length: count }, (_, i) => ({
+        index: i + 1,
+        start: 1000 + i * 3000,
+        end: 3000 + i * 3000,
+        text: `Line ${i + 1}`
+    }));
+}
+
+const ORIGINAL = buildCues();
+const ORIGINAL_CONTENT = serializeSrt(ORIGINAL);
+
+// Output with the given cues retimed: { index: shiftMs }
+function retime(shifts) {
+    return ORIGINAL.map((cue, i) => {
+        const shift = shifts[i] || 0;
+        return { ...cue, start: cue.start + shift, end: cue.end + shift };
+    });
+}
+
+describe('AI output validator', () => {
+    it('accepts output that only retimes cues', () => {
+        const output = serializeSrt(ORIGINAL.map(cue => ({ ...cue, start: cue.start + 400, end: cue.end + 400 })));
+        const result = validateAIOutput(ORIGINAL_CONTENT, output);
+
+        expect(result.accepted).toBe(true);
+        expect(result.action).toBe('accept');
+        expect(result.report.summary).toMatchObject({ retimedCues: 12, revertedCues: 0, meanAbsShiftMs: 400 });
+        expect(parseSrt(result.content)[0]).toMatchObject({ start: 1400, end: 3400, text: 'Line 1' });
+    });
+
+    it('accepts output wrapped in a Markdown code block with different line breaks', () => {
+        const output = '```srt\n' + serializeSrt(retime({ 0: 200 }).map(cue => ({ ...cue, text: cue.text.replace(' ', '\n') }))) + '```';
+        const result = validateAIOutput(ORIGINAL_CONTENT, output);
+
+        expect(result.action).toBe('accept');
+        // Text always comes from the original
+        expect(parseSrt(result.content)[0]).toMatchObject({ start: 1200, text: 'Line 1' });
+    });
+
+    it('merges around a dropped cue, keeping its original timing', () => {
+        const output = ORIGINAL.map(cue => ({ ...cue, start: cue.start + 300, end: cue.end + 300 })).filter((_, i) => i !== 4);
+        const result = validateAIOutput(ORIGINAL_CONTENT, serializeSrt(output));
+        const cues = parseSrt(result.content);
+
+        expect(result.action).toBe('merge');
+        expect(result.report.checks.text).toEqual({ ok: false, missingCues: 1, unexpectedCues: 0 });
+        expect(result.report.checks.cueCount.ok).toBe(false);
+        expect(cues).toHaveLength(12);
+        expect(cues[4]).toMatchObject({ start: 13000, end: 15000, text: 'Line 5' });
+        expect(cues[5].start).toBe(16300);
+    });
+
+    it('reverts a cue shifted by more than 10 seconds', () => {
+        const result = validateAIOutput(ORIGINAL_CONTENT, serializeSrt(retime({ 11: 12000 })));
+
+        expect(result.action).toBe('merge');
+        expect(result.report.checks.shift).toMatchObject({ ok: false, exceededCues: 1 });
+        expect(parseSrt(result.content)[11]).toMatchObject({ start: 34000, end: 36000 });
+        expect(result.report.issues).toContainEqual({ cue: 12, type: 'shift-exceeded', shiftMs: 12000 });
+    });
+
+    it('reverts a cue retimed before its predecessor', () => {
+        const result = validateAIOutput(ORIGINAL_CONTENT, serializeSrt(retime({ 5: -4000 })));
+        const cues = parseSrt(result.content);
+
+        expect(result.action).toBe('merge');
+        expect(result.report.checks.monotonic.violations).toBe(1);
+        expect(cues[5]).toMatchObject({ start: 16000, end: 18000 });
+    });
+
+    it('walks back through cues pushed past their successors until the order holds', () => {
+        // Lines 4 and 5 moved 9 s forward, past lines 6 and 7
+        const result = validateAIOutput(ORIGINAL_CONTENT, serializeSrt(retime({ 3: 9000, 4: 9000 })));
+        const cues = parseSrt(result.content);
+
+        expect(result.action).toBe('merge');
+        expect(result.report.checks.monotonic.violations).toBe(2);
+        expect(result.report.summary.revertedCues).toBe(2);
+        expect(cues.slice(3, 5).map(cue => cue.start)).toEqual([10000, 13000]);
+        cues.slice(1).forEach((cue, i) => expect(cue.start).toBeGreaterThanOrEqual(cues[i].start));
+    });
+
+    it('rejects output where too many cues fail', () => {
+        const result = validateAIOutput(ORIGINAL_CONTENT, serializeSrt(retime({ 0: 20000, 2: 20000, 4: 20000 })));
+
+        expect(result.accepted).toBe(false);
+        expect(result.content).toBeNull();
+        expect(result.report.reason).toBe('3 of 12 cues failed validation');
+    });
+
+    it('rejects empty output', () => {
+        expect(validateAIOutput(ORIGINAL_CONTENT, 'Sorry, I cannot help with that.').report.reason).toBe('AI output has no cues');
+    });
+});
@@ -0,0 +1,275 @@
+// lib/subtitles/alignment.js
+// Piecewise alignment of a subtitle to a well-synced reference in another language, using timing patterns only
+
+const { parseSrt, serializeSrt } = require('./srtParser');
+const { deriveTransformFromReference, applyLinearTransform } = require('./resync');
+
+const DEFAULT_ALIGNMENT_OPTIONS = {
+    sceneGapMs: 2000, // A gap this long counts as a scene break
+    skipCost: 1.0, // Cost of leaving a cue unmatched (extra lines, merged/split cues)
+    maxAnchorCost: 0.6, // Matches more expensive than this are not trusted as anchors
+    outlierWindow: 9, // Anchors are compared against the running median of this many neighbours
+    outlierToleranceMs: 400,
+    segmentJumpMs: 750, // Offset change that starts a new segment (cuts, inserted scenes)
+    minSegmentAnchors: 3,
+    bandRatio: 0.2, // Only compare cues whose relative positions in the files are this close
+    minConfidence: 0.25,
+    maxCells: 25000000
+};
+
+// Timing signature of each cue: duration, silence before it and whether it opens a scene
+function extractFeatures(cues, sceneGapMs) {
+    return cues.map((cue, i) => {
+        const gapBefore = i === 0 ? sceneGapMs : Math.max(0, cue.start - cues[i - 1].end);
+        return {
+            duration: Math.max(1, cue.end - cue.start),
+            gapBefore,
+            sceneBreak: gapBefore >= sceneGapMs
+        };
+    });
+}
+
+function matchCost(target, reference, timeDelta) {
+    const durationCost = Math.abs(Math.log(target.duration) - Math.log(reference.duration));
+    const gapCost = Math.abs(Math.log(target.gapBefore + 250) - Math.log(reference.gapBefore + 250)) * 0.5;
+    const sceneCost = target.sceneBreak !== reference.sceneBreak ? 0.4 : 0;
+    // Weak prior towards the globally fitted position, capped so cuts can still be matched
+    const positionCost = Math.min(1, Math.abs(timeDelta) / 30000) * 0.3;
+    return durationCost + gapCost + sceneCost + positionCost;
+}
+
+// Needleman-Wunsch style alignment over cue sequences; returns matched index pairs with their cost
+function alignSequences(targetCues, referenceCues, options) {
+    const n = targetCues.length;
+    const m = referenceCues.length;
+    if ((n + 1) * (m + 1) > options.maxCells) {
+        throw new Error(`Subtitles too large to align (${n} x ${m} cues)`);
+    }
+
+    const targetFeatures = extractFeatures(targetCues, options.sceneGapMs);
+    const referenceFeatures = extractFeatures(referenceCues, options.sceneGapMs);
+    const width = m + 1;
+    const cost = new Float32Array((n + 1) * width).fill(Infinity);
+    const move = new Uint8Array((n + 1) * width); // 1 = match, 2 = skip target, 3 = skip reference
+    const band = Math.max(20, Math.ceil(Math.max(n, m) * options.bandRatio));
+
+    cost[0] = 0;
+    for (let i = 0; i <= n; i++) {
+        const center = Math.round(i * m / Math.max(n, 1));
+        const from = Math.max(0, center - band);
+        const to = Math.min(m, center + band);
+
+        for (let j = from; j <= to; j++) {
+            if (i === 0 && j === 0) continue;
+            const cell = i * width + j;
+
+            if (i > 0 && j > 0) {
+                const delta = targetCues[i - 1].start - referenceCues[j - 1].start;
+                const candidate = cost[cell - width - 1] + matchCost(targetFeatures[i - 1], referenceFeatures[j - 1], delta);
+                if (candidate < cost[cell]) {
+                    cost[cell] = candidate;
+                    move[cell] = 1;
+                }
+            }
+            if (i > 0 && cost[cell - width] + options.skipCost < cost[cell]) {
+                cost[cell] = cost[cell - width] + options.skipCost;
+                move[cell] = 2;
+            }
+            if (j > 0 && cost[cell - 1] + options.skipCost < cost[cell]) {
+                cost[cell] = cost[cell - 1] + options.skipCost;
+                move[cell] = 3;
+            }
+        }
+    }
+
+    if (!isFinite(cost[n * width + m])) {
+        throw new Error('Could not align subtitle sequences');
+    }
+
+    const pairs = [];
+    let i = n;
+    let j = m;
+    while (i > 0 || j > 0) {
+        const cell = i * width + j;
+        if (move[cell] === 1) {
+            pairs.push({ target: i - 1, reference: j - 1, cost: cost[cell] - cost[cell - width - 1] });
+            i--;
+            j--;
+        } else if (move[cell] === 2) {
+            i--;
+        } else {
+            j--;
+        }
+    }
+
+    return pairs.reverse();
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Drop expensive matches and anchors whose offset disagrees with their neighbours.
+// Offsets are measured after the global fit, so frame rate drift does not look like a series of jumps.
+function selectAnchors(pairs, targetCues, prealignedCues, referenceCues, options) {
+    const candidates = pairs
+        .filter(pair => pair.cost <= options.maxAnchorCost)
+        .map(pair => ({
+            targetMs: targetCues[pair.target].start,
+            referenceMs: referenceCues[pair.reference].start,
+            offsetMs: referenceCues[pair.reference].start - prealignedCues[pair.target].start
+        }));
+
+    const half = Math.floor(options.outlierWindow / 2);
+    return candidates.filter((anchor, k) => {
+        const window = candidates.slice(Math.max(0, k - half), k + half + 1).map(a => a.offsetMs);
+        return Math.abs(anchor.offsetMs - median(window)) <= options.outlierToleranceMs;
+    });
+}
+
+// Least squares fit of reference time against target time; falls back to a constant offset
+function fitSegment(anchors) {
+    const offsetMs = median(anchors.map(anchor => anchor.referenceMs - anchor.targetMs));
+    const spanMs = anchors[anchors.length - 1].targetMs - anchors[0].targetMs;
+    if (anchors.length < 2 || spanMs < 10000) {
+        return { factor: 1, offsetMs: Math.round(offsetMs) };
+    }
+
+    const meanX = anchors.reduce((sum, a) => sum + a.targetMs, 0) / anchors.length;
+    const meanY = anchors.reduce((sum, a) => sum + a.referenceMs, 0) / anchors.length;
+    let covariance = 0;
+    let variance = 0;
+    for (const anchor of anchors) {
+        covariance += (anchor.targetMs - meanX) * (anchor.referenceMs - meanY);
+        variance += (anchor.targetMs - meanX) ** 2;
+    }
+
+    const factor = covariance / variance;
+    if (!isFinite(factor) || factor < 0.9 || factor > 1.1) {
+        return { factor: 1, offsetMs: Math.round(offsetMs) };
+    }
+    return { factor, offsetMs: Math.round(meanY - factor * meanX) };
+}
+
+// Split anchors wherever the offset jumps, discarding segments too small to trust
+function buildSegments(anchors, options) {
+    const groups = [];
+    for (const anchor of anchors) {
+        const current = groups[groups.length - 1];
+        const previous = current && current[current.length - 1];
+        if (previous && Math.abs(anchor.offsetMs - previous.offsetMs) <= options.segmentJumpMs) {
+            current.push(anchor);
+        } else {
+            groups.push([anchor]);
+        }
+    }
+
+    return groups
+        .filter(group => group.length >= options.minSegmentAnchors)
+        .map(group => ({
+            fromMs: group[0].targetMs,
+            toMs: group[group.length - 1].targetMs,
+            anchors: group.length,
+            ...fitSegment(group)
+        }));
+}
+
+// How far a retimed cue lands from the closest reference cue (start and end); referenceCues sorted by start
+function referenceDistance(referenceCues, start, end) {
+    let low = 0;
+    let high = referenceCues.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (referenceCues[middle].start < start) low = middle + 1;
+        else high = middle;
+    }
+
+    let best = Infinity;
+    for (const cue of [referenceCues[low - 1], referenceCues[low]]) {
+        if (cue) best = Math.min(best, Math.abs(cue.start - start) + Math.abs(cue.end - end));
+    }
+    return best;
+}
+
+// Segment used for a cue: the one containing it. A cue between two segments sits on one side of a cut or an
+// inserted scene, so it takes the neighbour that lands it closest to a reference cue.
+function findSegment(segments, cue, referenceCues) {
+    const next = segments.findIndex(segment => segment.fromMs > cue.start);
+    const before = next === -1 ? segments[segments.length - 1] : segments[next - 1];
+    const after = next === -1 ? null : segments[next];
+    if (!before || !after) return before || after;
+    if (cue.start <= before.toMs) return before;
+
+    const distance = segment => referenceDistance(referenceCues, cue.start * segment.factor + segment.offsetMs, cue.end * segment.factor + segment.offsetMs);
+    return distance(after) < distance(before) ? after : before;
+}
+
+function retimeCues(cues, segments, referenceCues) {
+    const sortedReference = [...referenceCues].sort((a, b) => a.start - b.start);
+    const retimed = cues.map(cue => {
+        const { factor, offsetMs } = findSegment(segments, cue, sortedReference);
+        return {
+            ...cue,
+            start: Math.max(0, Math.round(cue.start * factor + offsetMs)),
+            end: Math.max(0, Math.round(cue.end * factor + offsetMs))
+        };
+    });
+
+    // Segment boundaries can make neighbouring cues collide; trim instead of overlapping
+    retimed.sort((a, b) => a.start - b.start);
+    for (let i = 0; i < retimed.length - 1; i++) {
+        if (retimed[i].end > retimed[i + 1].start) {
+            retimed[i].end = Math.max(retimed[i].start + 1, retimed[i + 1].start - 1);
+        }
+    }
+    return retimed;
+}
+
+// Align target SRT content onto reference SRT content. Throws when the files cannot be matched confidently.
+function alignToReference(targetContent, referenceContent, overrides = {}) {
+    const options = { ...DEFAULT_ALIGNMENT_OPTIONS, ...overrides };
+    const targetCues = parseSrt(targetContent);
+    const referenceCues = parseSrt(referenceContent);
+
+    if (targetCues.length < options.minSegmentAnchors || referenceCues.length < options.minSegmentAnchors) {
+        throw new Error('Not enough cues to align against the reference');
+    }
+
+    // A global linear fit first removes frame rate drift so cue durations become comparable. A fit that does not
+    // snap to a frame rate conversion comes from cuts or inserted scenes, and prealigning with it would turn
+    // the offset jump into drift across the whole file.
+    let prealigned = targetCues;
+    try {
+        const transform = deriveTransformFromReference(targetCues, referenceCues);
+        if (transform.method !== 'linear-fit') {
+            prealigned = applyLinearTransform(targetCues, transform);
+        }
+    } catch (error) {
+        // Timing too irregular for a global fit; align the raw cues
+    }
+
+    const pairs = alignSequences(prealigned, referenceCues, options);
+    const anchors = selectAnchors(pairs, targetCues, prealigned, referenceCues, options);
+    const segments = buildSegments(anchors, options);
+    const anchorCount = segments.reduce((sum, segment) => sum + segment.anchors, 0);
+    const confidence = Math.round(anchorCount / Math.min(targetCues.length, referenceCues.length) * 100) / 100;
+
+    if (segments.length === 0 || confidence < options.minConfidence) {
+        throw new Error(`Reference alignment confidence too low (${confidence})`);
+    }
+
+    return {
+        content: serializeSrt(retimeCues(targetCues, segments, referenceCues)),
+        segments,
+        anchors: anchorCount,
+        confidence
+    };
+}
+
+module.exports = {
+    DEFAULT_ALIGNMENT_OPTIONS,
+    alignSequences,
+    alignToReference
+};
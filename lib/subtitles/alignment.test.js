@@ -0,0 +1,93 @@
+// lib/subtitles/alignment.test.js
+// Unit tests for piecewise alignment against a reference subtitle
+
+const { parseSrt, serializeSrt } = require('./srtParser');
+const { alignToReference } = require('./alignment');
+
+// Irregular but repeatable cue timing, the pattern alignment relies on
+function buildCues(count, seed = 7) {
+    let state = seed;
+    const random = () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+
+    const cues = [];
+    let time = 3000;
+    for (let i = 0; i < count; i++) {
+        time += 300 + Math.round(random() * (random() < 0.15 ? 8000 : 1500));
+        const duration = 900 + Math.round(random() * 3500);
+        cues.push({ index: i + 1, start: time, end: time + duration, text: `Line ${i + 1}` });
+        time += duration;
+    }
+    return cues;
+}
+
+const shift = (cue, offsetMs) => ({ ...cue, start: cue.start + offsetMs, end: cue.end + offsetMs, text: `Satır ${cue.index}` });
+
+// Start error of each target cue against the reference cue it belongs to
+function startErrors(alignedContent, expected) {
+    const aligned = parseSrt(alignedContent);
+    return expected.map(({ index, start }) => Math.abs(aligned.find(cue => cue.text === `Line ${index}`).start - start));
+}
+
+describe('Reference alignment', () => {
+    it('splits into segments around a scene cut from the reference release', () => {
+        const target = buildCues(120);
+        // The reference release lost 60 seconds (and the two lines in them) after line 60, and starts 1.5 s later
+        const reference = target
+            .filter(cue => cue.index <= 60 || cue.index > 62)
+            .map(cue => shift(cue, cue.index <= 60 ? 1500 : 1500 - 60000));
+
+        const result = alignToReference(serializeSrt(target), serializeSrt(reference));
+        const expected = reference.map(cue => ({ index: cue.index, start: cue.start }));
+
+        expect(result.segments.length).toBeGreaterThanOrEqual(2);
+        expect(result.confidence).toBeGreaterThan(0.8);
+        expect(Math.max(...startErrors(result.content, expected))).toBeLessThanOrEqual(50);
+    });
+
+    it('follows a scene inserted in the reference release', () => {
+        const target = buildCues(120, 11);
+        const inserted = [{ index: 1000, start: 0, end: 2500 }, { index: 1001, start: 4000, end: 6000 }];
+        const insertAt = target[69].end + 1000;
+        // 45 seconds with two lines of their own added after line 70
+        const reference = [
+            ...target.slice(0, 70).map(cue => shift(cue, 0)),
+            ...inserted.map(cue => shift(cue, insertAt)),
+            ...target.slice(70).map(cue => shift(cue, 45000))
+        ];
+
+        const result = alignToReference(serializeSrt(target), serializeSrt(reference));
+        const expected = reference.filter(cue => cue.index < 1000).map(cue => ({ index: cue.index, start: cue.start }));
+
+        expect(result.segments.length).toBeGreaterThanOrEqual(2);
+        expect(Math.max(...startErrors(result.content, expected))).toBeLessThanOrEqual(50);
+        // Everything after the inserted scene has a segment of its own
+        expect(result.segments.some(segment => Math.abs(segment.offsetMs - 45000) < 100)).toBe(true);
+    });
+
+    it('removes frame rate drift with one segment', () => {
+        const target = buildCues(120, 5);
+        const factor = 25 / (24000 / 1001);
+        const reference = target.map(cue => ({ ...cue, start: Math.round(cue.start * factor) + 700, end: Math.round(cue.end * factor) + 700 }));
+
+        const result = alignToReference(serializeSrt(target), serializeSrt(reference));
+        const expected = reference.map(cue => ({ index: cue.index, start: cue.start }));
+
+        expect(result.segments).toHaveLength(1);
+        expect(Math.max(...startErrors(result.content, expected))).toBeLessThanOrEqual(50);
+    });
+
+    it('refuses references whose timing has nothing in common with the target', () => {
+        const target = buildCues(60, 3);
+        const reference = buildCues(60, 99).map(cue => shift(cue, 0));
+
+        expect(() => alignToReference(serializeSrt(target), serializeSrt(reference))).toThrow('confidence too low');
+    });
+
+    it('refuses files with too few cues', () => {
+        const cues = serializeSrt(buildCues(2));
+        expect(() => alignToReference(cues, cues)).toThrow('Not enough cues');
+    });
+});
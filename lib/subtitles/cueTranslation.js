@@ -0,0 +1,139 @@
+// lib/subtitles/cueTranslation.js
+// Cue-by-cue AI translation: the model only sees cue text, so timings are rebuilt from the source file
+
+const { stripCodeFences } = require('./cueWindows');
+
+// Names and recurring terms sent with each prompt, and kept from each answer
+const MAX_GLOSSARY_TERMS = 200;
+const MAX_GLOSSARY_ENTRY_LENGTH = 60;
+
+// Cues are sent as a JSON array of strings ("\n" marks a line break) and must come back as one
+function buildTranslationPrompt(cues, options = {}) {
+    const { sourceLanguage, targetLanguage, glossary = {}, chunk = null } = options;
+
+    const terms = Object.entries(glossary).slice(0, MAX_GLOSSARY_TERMS);
+    const glossaryNote = terms.length > 0
+        ? `\nUse these established translations for names and recurring terms:\n${terms.map(([term, translation]) => `- ${term} => ${translation}`).join('\n')}\n`
+        : '';
+    const chunkNote = chunk
+        ? `\nThis is part ${chunk.index + 1} of ${chunk.total} of a longer subtitle file.\n`
+        : '';
+
+    return `Translate these ${sourceLanguage} subtitle cues into ${targetLanguage}.
+
+RULES:
+- Return exactly ${cues.length} translated cues, one per input cue, in the same order; never merge, split or skip cues
+- Keep the line breaks ("\\n") of each cue and formatting tags such as <i> where they are
+- Use natural, concise ${targetLanguage} that reads well as a subtitle
+- Keep character and place names consistent; only translate a name when ${targetLanguage} has a common form of it
+${glossaryNote}${chunkNote}
+Respond with JSON only, in this shape:
+{"cues": ["first translated cue", "..."], "glossary": {"name or recurring term in ${sourceLanguage}": "its ${targetLanguage} form"}}
+List only character names, places and recurring terms in "glossary".
+
+Cues:
+${JSON.stringify(cues.map(cue => cue.text))}`;
+}
+
+// Keep short string pairs only; models sometimes put whole sentences or nested objects here
+function sanitizeGlossary(glossary) {
+    const clean = {};
+    if (!glossary || typeof glossary !== 'object' || Array.isArray(glossary)) return clean;
+
+    for (const [term, translation] of Object.entries(glossary)) {
+        if (Object.keys(clean).length >= MAX_GLOSSARY_TERMS) break;
+        if (typeof translation !== 'string') continue;
+        const key = term.trim();
+        const value = translation.trim();
+        if (key && value && key !== '__proto__' && key.length <= MAX_GLOSSARY_ENTRY_LENGTH && value.length <= MAX_GLOSSARY_ENTRY_LENGTH) {
+            clean[key] = value;
+        }
+    }
+    return clean;
+}
+
+// Returns { ok, texts, glossary } or { ok: false, reason }
+function parseTranslationResponse(response, expectedCount) {
+    let parsed;
+    try {
+        const text = stripCodeFences(response);
+        // Tolerate a sentence before or after the JSON object
+        const start = text.indexOf('{');
+        const end = text.lastIndexOf('}');
+        parsed = JSON.parse(start !== -1 && end > start ? text.slice(start, end + 1) : text);
+    } catch (error) {
+        return { ok: false, reason: 'response is not valid JSON' };
+    }
+
+    const texts = Array.isArray(parsed) ? parsed : parsed && parsed.cues;
+    if (!Array.isArray(texts)) {
+        return { ok: false, reason: 'response has no cues array' };
+    }
+    if (texts.length !== expectedCount) {
+        return { ok: false, reason: `cue count changed (${expectedCount} -> ${texts.length})` };
+    }
+    const empty = texts.findIndex(text => typeof text !== 'string' || !text.trim());
+    if (empty !== -1) {
+        return { ok: false, reason: `cue ${empty + 1} is empty` };
+    }
+    return { ok: true, texts, glossary: sanitizeGlossary(parsed.glossary) };
+}
+
+// Give a translated cue the line count of its source. Dialogue cues break before each speaker dash; other text
+// breaks at the word gaps closest to even line lengths.
+function restoreLineBreaks(text, lineCount) {
+    const lines = String(text).split('\n').map(line => line.trim()).filter(Boolean);
+    if (lines.length === lineCount || lineCount < 1) return lines.join('\n');
+
+    const joined = lines.join(' ');
+    if (lineCount === 1) return joined;
+
+    const turns = joined.split(/\s+(?=-\s)/);
+    if (turns.length === lineCount) return turns.join('\n');
+
+    const words = joined.split(/\s+/);
+    if (words.length < lineCount) return joined;
+
+    const target = joined.length / lineCount;
+    const result = [];
+    let current = [];
+    words.forEach((word, i) => {
+        const linesLeft = lineCount - result.length - 1;
+        const wordsLeft = words.length - i;
+        const passesTarget = current.join(' ').length + 1 + word.length / 2 > target;
+        if (current.length > 0 && linesLeft > 0 && (passesTarget || wordsLeft === linesLeft)) {
+            result.push(current.join(' '));
+            current = [];
+        }
+        current.push(word);
+    });
+    result.push(current.join(' '));
+    return result.join('\n');
+}
+
+// Translated text on the source cues' timings
+function applyTranslations(cues, texts) {
+    return cues.map((cue, i) => ({
+        ...cue,
+        text: restoreLineBreaks(texts[i], cue.text.split('\n').length)
+    }));
+}
+
+// Terms already in base win, so a name keeps the translation it got first
+function mergeGlossaries(base, additions) {
+    const merged = { ...base };
+    for (const [term, translation] of Object.entries(additions || {})) {
+        if (Object.keys(merged).length >= MAX_GLOSSARY_TERMS) break;
+        if (!Object.prototype.hasOwnProperty.call(merged, term)) merged[term] = translation;
+    }
+    return merged;
+}
+
+module.exports = {
+    buildTranslationPrompt,
+    parseTranslationResponse,
+    sanitizeGlossary,
+    restoreLineBreaks,
+    applyTranslations,
+    mergeGlossaries
+};
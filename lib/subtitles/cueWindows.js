@@ -0,0 +1,105 @@
+// lib/subtitles/cueWindows.js
+// Overlapping cue windows for AI correction of long files: split, verify each corrected window, stitch back
+
+const { parseSrt, normalizeNewlines } = require('./srtParser');
+
+// Models sometimes wrap the returned file in a Markdown code block
+function stripCodeFences(content) {
+    const text = normalizeNewlines(content).trim();
+    const match = /^```[\w-]*\n([\s\S]*?)\n?```$/.exec(text);
+    return match ? match[1] : text;
+}
+
+// Line breaks and spacing may change; words and tags may not
+function normalizeCueText(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+// Each window owns a core range of about windowSize cues and carries `overlap` cues of context on each side.
+// Core ranges are balanced so the last window is not a sliver.
+function splitCueWindows(cues, options = {}) {
+    const windowSize = Math.max(1, options.windowSize || 150);
+    const overlap = Math.max(0, Math.min(options.overlap ?? 8, Math.floor(windowSize / 2)));
+    const count = Math.max(1, Math.ceil(cues.length / windowSize));
+    const coreSize = Math.ceil(cues.length / count);
+
+    const windows = [];
+    for (let coreStart = 0; coreStart < cues.length; coreStart += coreSize) {
+        const coreEnd = Math.min(cues.length, coreStart + coreSize);
+        const start = Math.max(0, coreStart - overlap);
+        const end = Math.min(cues.length, coreEnd + overlap);
+        windows.push({ index: windows.length, start, end, coreStart, coreEnd, cues: cues.slice(start, end) });
+    }
+    return windows;
+}
+
+// A corrected window is accepted only with the same number of cues, the same text per cue and usable timings.
+// Returns { ok, cues } or { ok: false, reason }.
+function verifyCorrectedChunk(inputCues, outputContent) {
+    const outputCues = parseSrt(stripCodeFences(outputContent));
+    if (outputCues.length !== inputCues.length) {
+        return { ok: false, reason: `cue count changed (${inputCues.length} -> ${outputCues.length})` };
+    }
+
+    for (let i = 0; i < inputCues.length; i++) {
+        const output = outputCues[i];
+        if (normalizeCueText(output.text) !== normalizeCueText(inputCues[i].text)) {
+            return { ok: false, reason: `text of cue ${i + 1} changed` };
+        }
+        if (!Number.isFinite(output.start) || !Number.isFinite(output.end) || output.end < output.start) {
+            return { ok: false, reason: `cue ${i + 1} has an invalid timing` };
+        }
+    }
+    return { ok: true, cues: outputCues };
+}
+
+// How much a window's timing counts for cue i: full in its core, fading out across its context cues
+function windowWeight(window, i) {
+    if (i >= window.coreStart && i < window.coreEnd) return 1;
+    if (i < window.coreStart) return (i - window.start + 1) / (window.coreStart - window.start + 1);
+    return (window.end - i) / (window.end - window.coreEnd + 1);
+}
+
+// windows[n].result holds that window's corrected cues (aligned with window.cues) or null to keep the original timing.
+// Cues timed by two windows get a weighted blend, so a drift fix that differs between windows does not jump at the
+// boundary. Text always comes from the input.
+function stitchCueWindows(cues, windows) {
+    const stitched = cues.map((cue, i) => {
+        let weightSum = 0;
+        let start = 0;
+        let end = 0;
+        for (const window of windows) {
+            if (!window.result || i < window.start || i >= window.end) continue;
+            const corrected = window.result[i - window.start];
+            const weight = windowWeight(window, i);
+            weightSum += weight;
+            start += corrected.start * weight;
+            end += corrected.end * weight;
+        }
+        return weightSum > 0
+            ? { ...cue, start: Math.round(start / weightSum), end: Math.round(end / weightSum) }
+            : { ...cue };
+    });
+
+    // Blending can leave a cue running into the next one near a boundary; trim it unless the input overlapped there too
+    for (const window of windows.slice(1)) {
+        const from = Math.max(0, window.start - 1);
+        const to = Math.min(stitched.length - 1, window.coreStart + (window.coreStart - window.start));
+        for (let i = from; i < to; i++) {
+            const overlapsNext = stitched[i].end > stitched[i + 1].start;
+            const overlappedInInput = cues[i].end > cues[i + 1].start;
+            if (overlapsNext && !overlappedInInput) {
+                stitched[i].end = Math.max(stitched[i].start, stitched[i + 1].start);
+            }
+        }
+    }
+    return stitched;
+}
+
+module.exports = {
+    stripCodeFences,
+    normalizeCueText,
+    splitCueWindows,
+    verifyCorrectedChunk,
+    stitchCueWindows
+};
@@ -0,0 +1,86 @@
+// lib/subtitles/cueWindows.test.js
+// Unit tests for splitting long subtitles into overlapping windows and stitching the corrected windows back
+
+const { serializeSrt } = require('./srtParser');
+const { stripCodeFences, splitCueWindows, verifyCorrectedChunk, stitchCueWindows } = require('./cueWindows');
+
+// A two-second cue every three seconds
+function buildCues(count) {
+    return Array.from({ length: count }, (_, i) => ({
+        index: i + 1,
+        start: 1000 + i * 3000,
+        end: 3000 + i * 3000,
+        text: `Line ${i + 1}`
+    }));
+}
+
+const shifted = (cues, shiftMs) => cues.map(cue => ({ ...cue, start: cue.start + shiftMs, end: cue.end + shiftMs }));
+
+describe('Cue windows', () => {
+    it('strips Markdown code fences around returned files', () => {
+        expect(stripCodeFences('```srt\r\n1\r\n00:00:01,000 --> 00:00:02,000\r\nHi\r\n```')).toBe('1\n00:00:01,000 --> 00:00:02,000\nHi');
+        expect(stripCodeFences('```\nplain\n```')).toBe('plain');
+        expect(stripCodeFences('  no fences \n')).toBe('no fences');
+    });
+
+    it('splits into balanced windows whose cores cover every cue once', () => {
+        const windows = splitCueWindows(buildCues(320), { windowSize: 150, overlap: 8 });
+
+        expect(windows.map(({ start, end, coreStart, coreEnd }) => [start, end, coreStart, coreEnd])).toEqual([
+            [0, 115, 0, 107],
+            [99, 222, 107, 214],
+            [206, 320, 214, 320]
+        ]);
+        expect(windows[1].cues).toHaveLength(123);
+        expect(windows[1].cues[0].text).toBe('Line 100');
+    });
+
+    it('keeps short files in a single window', () => {
+        const windows = splitCueWindows(buildCues(40));
+
+        expect(windows).toHaveLength(1);
+        expect(windows[0]).toMatchObject({ start: 0, end: 40, coreStart: 0, coreEnd: 40 });
+    });
+
+    it('accepts a corrected window only with the same cues and text', () => {
+        const input = buildCues(5);
+
+        expect(verifyCorrectedChunk(input, '```srt\n' + serializeSrt(shifted(input, 250)) + '```')).toMatchObject({ ok: true });
+        expect(verifyCorrectedChunk(input, serializeSrt(input.slice(1)))).toEqual({ ok: false, reason: 'cue count changed (5 -> 4)' });
+        expect(verifyCorrectedChunk(input, serializeSrt(input.map((cue, i) => (i === 2 ? { ...cue, text: 'Satır 3' } : cue)))))
+            .toEqual({ ok: false, reason: 'text of cue 3 changed' });
+        expect(verifyCorrectedChunk(input, serializeSrt(input.map((cue, i) => (i === 4 ? { ...cue, end: cue.start - 100 } : cue)))))
+            .toEqual({ ok: false, reason: 'cue 5 has an invalid timing' });
+    });
+
+    it('stitches windows that agree into exactly their correction', () => {
+        const cues = buildCues(320);
+        const windows = splitCueWindows(cues, { windowSize: 150, overlap: 8 });
+        windows.forEach(window => { window.result = shifted(window.cues, 700); });
+
+        expect(stitchCueWindows(cues, windows)).toEqual(shifted(cues, 700));
+    });
+
+    it('blends windows that disagree without a jump or overlap at the boundary', () => {
+        const cues = buildCues(320);
+        const windows = splitCueWindows(cues, { windowSize: 150, overlap: 8 });
+        windows[0].result = shifted(windows[0].cues, 0);
+        windows[1].result = shifted(windows[1].cues, 800);
+        // A failed window keeps the original timing of its core
+        windows[2].result = null;
+
+        const stitched = stitchCueWindows(cues, windows);
+        const offsets = stitched.map((cue, i) => cue.start - cues[i].start);
+
+        expect(offsets[50]).toBe(0);
+        expect(offsets[160]).toBe(800);
+        expect(offsets[300]).toBe(0);
+        // Across the first boundary the offset only grows, in steps well below the 800 ms difference
+        for (let i = 100; i < 115; i++) {
+            expect(offsets[i + 1]).toBeGreaterThanOrEqual(offsets[i]);
+            expect(offsets[i + 1] - offsets[i]).toBeLessThan(400);
+        }
+        stitched.slice(0, -1).forEach((cue, i) => expect(cue.end).toBeLessThanOrEqual(stitched[i + 1].start));
+        expect(stitched.map(cue => cue.text)).toEqual(cues.map(cue => cue.text));
+    });
+});
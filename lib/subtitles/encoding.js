@@ -0,0 +1,121 @@
+// lib/subtitles/encoding.js
+// Charset sniffing for subtitle files (BOM, UTF-8, UTF-16, Windows-1254/ISO-8859-9/Windows-1252) and decoding to UTF-8 strings
+
+// Bytes where Windows-1254 has Turkish letters and Windows-1252 has Icelandic ones: Ğ İ Ş ğ ı ş vs Ð Ý Þ ð ý þ
+const TURKISH_SPECIFIC_BYTES = new Set([0xD0, 0xDD, 0xDE, 0xF0, 0xFD, 0xFE]);
+// Bytes shared by Turkish and Western European text: Ç Ö Ü ç ö ü and common accented letters
+const WESTERN_LETTER_BYTES = new Set([0xC0, 0xC1, 0xC2, 0xC4, 0xC7, 0xC8, 0xC9, 0xCA, 0xD1, 0xD3, 0xD6, 0xDC, 0xDF,
+    0xE0, 0xE1, 0xE2, 0xE4, 0xE7, 0xE8, 0xE9, 0xEA, 0xEB, 0xED, 0xEE, 0xEF, 0xF1, 0xF3, 0xF4, 0xF6, 0xFA, 0xFB, 0xFC]);
+
+function detectBom(buffer) {
+    if (buffer.length >= 3 && buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) return { encoding: 'utf-8', length: 3 };
+    if (buffer.length >= 2 && buffer[0] === 0xFF && buffer[1] === 0xFE) return { encoding: 'utf-16le', length: 2 };
+    if (buffer.length >= 2 && buffer[0] === 0xFE && buffer[1] === 0xFF) return { encoding: 'utf-16be', length: 2 };
+    return null;
+}
+
+// UTF-16 without a BOM: mostly-ASCII text leaves a zero in every other byte
+function detectUtf16(sample) {
+    if (sample.length < 4) return null;
+
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i + 1 < sample.length; i += 2) {
+        if (sample[i] === 0) evenZeros++;
+        if (sample[i + 1] === 0) oddZeros++;
+    }
+
+    const pairs = Math.floor(sample.length / 2);
+    if (oddZeros / pairs > 0.3 && evenZeros / pairs < 0.05) return 'utf-16le';
+    if (evenZeros / pairs > 0.3 && oddZeros / pairs < 0.05) return 'utf-16be';
+    return null;
+}
+
+function isValidUtf8(buffer) {
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Pick between the single-byte code pages by looking at which high bytes occur
+function detectSingleByteEncoding(buffer, language) {
+    let turkishBytes = 0;
+    let westernBytes = 0;
+    let c1Bytes = 0;
+
+    for (const byte of buffer) {
+        if (byte < 0x80) continue;
+        if (byte <= 0x9F) c1Bytes++;
+        else if (TURKISH_SPECIFIC_BYTES.has(byte)) turkishBytes++;
+        else if (WESTERN_LETTER_BYTES.has(byte)) westernBytes++;
+    }
+
+    const highBytes = turkishBytes + westernBytes + c1Bytes;
+    // ð, ý and þ are rare outside Icelandic, so in practice they mean ğ, ı and ş
+    const turkish = turkishBytes > 0 && (language === 'tr' || turkishBytes >= westernBytes * 0.1);
+
+    if (turkish) {
+        // The two Turkish code pages only differ in 0x80-0x9F, where ISO-8859-9 has control characters
+        return {
+            encoding: c1Bytes > 0 ? 'windows-1254' : 'iso-8859-9',
+            confidence: Math.min(0.95, 0.6 + turkishBytes / Math.max(highBytes, 1) * 0.4)
+        };
+    }
+
+    if (language === 'tr' && highBytes > 0) {
+        return { encoding: 'windows-1254', confidence: 0.5 };
+    }
+    return { encoding: 'windows-1252', confidence: highBytes > 0 ? 0.6 : 0.5 };
+}
+
+// Returns { encoding, confidence, bomLength }. options.language biases the single-byte guess (e.g. 'tr').
+function detectEncoding(buffer, options = {}) {
+    const bom = detectBom(buffer);
+    if (bom) {
+        return { encoding: bom.encoding, confidence: 1, bomLength: bom.length };
+    }
+
+    const sample = buffer.subarray(0, 64 * 1024);
+    const utf16 = detectUtf16(sample);
+    if (utf16) {
+        return { encoding: utf16, confidence: 0.9, bomLength: 0 };
+    }
+
+    const hasHighBytes = buffer.some(byte => byte >= 0x80);
+    if (!hasHighBytes) {
+        return { encoding: 'utf-8', confidence: 0.6, bomLength: 0 }; // Plain ASCII
+    }
+    if (isValidUtf8(buffer)) {
+        return { encoding: 'utf-8', confidence: 0.99, bomLength: 0 };
+    }
+
+    return { ...detectSingleByteEncoding(buffer, options.language), bomLength: 0 };
+}
+
+// Decode subtitle bytes into a normal JS string; returns { content, encoding, confidence }
+function decodeSubtitleBuffer(input, options = {}) {
+    const buffer = Buffer.isBuffer(input) ? input : Buffer.from(input);
+    const detected = detectEncoding(buffer, options);
+
+    let content;
+    try {
+        content = new TextDecoder(detected.encoding).decode(buffer.subarray(detected.bomLength));
+    } catch (error) {
+        // Runtime without full ICU: latin1 at least keeps the byte count and ASCII intact
+        content = buffer.subarray(detected.bomLength).toString(detected.encoding.startsWith('utf-16') ? 'utf16le' : 'latin1');
+    }
+
+    return {
+        content: content.replace(/^\uFEFF/, ''),
+        encoding: detected.encoding,
+        confidence: detected.confidence
+    };
+}
+
+module.exports = {
+    detectEncoding,
+    decodeSubtitleBuffer
+};
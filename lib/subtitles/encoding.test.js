@@ -0,0 +1,45 @@
+// lib/subtitles/encoding.test.js
+// Unit tests for subtitle charset detection
+
+const { detectEncoding, decodeSubtitleBuffer } = require('./encoding');
+
+// A Windows-1254 cue where ş (0xFE) is the only Turkish-specific byte among plenty of Ç/ç/ö/ü bytes,
+// which Windows-1252 shares
+const CP1254_FEW_TURKISH_BYTES = Buffer.concat([
+    Buffer.from('1\r\n00:00:01,000 --> 00:00:02,000\r\n', 'latin1'),
+    Buffer.from([0xC7, 0x6F, 0x6B, 0x20, 0x67, 0xFC, 0x7A, 0x65, 0x6C, 0x20, 0x62, 0x69, 0x72, 0x20, 0x67, 0xFC, 0x6E, 0x2C, 0x20]),
+    Buffer.from([0xF6, 0x72, 0x65, 0x74, 0x6D, 0x65, 0x6E, 0x20, 0xE7, 0x6F, 0x63, 0x75, 0x6B, 0x20, 0xFC, 0xE7, 0x20, 0xF6, 0x7A, 0x20]),
+    Buffer.from([0xC7, 0xF6, 0xFC, 0xE7, 0xE7, 0xF6, 0xFC, 0x20, 0x69, 0x6B, 0x69, 0xFE, 0x0D, 0x0A])
+]);
+
+describe('Subtitle encoding detection', () => {
+    it('falls back to Windows-1252 for a file with few Turkish-specific bytes and no language', () => {
+        const result = decodeSubtitleBuffer(CP1254_FEW_TURKISH_BYTES);
+
+        expect(result.encoding).toBe('windows-1252');
+        expect(result.content).toContain('ikiþ');
+    });
+
+    it('decodes the same file as Turkish when the subtitle language is tr', () => {
+        const result = decodeSubtitleBuffer(CP1254_FEW_TURKISH_BYTES, { language: 'tr' });
+
+        expect(['iso-8859-9', 'windows-1254']).toContain(result.encoding);
+        expect(result.content).toContain('Çok güzel');
+        expect(result.content).toContain('ikiş');
+    });
+
+    it('keeps valid UTF-8 as UTF-8 whatever the language', () => {
+        const buffer = Buffer.from('1\n00:00:01,000 --> 00:00:02,000\nÇıkış yok\n', 'utf8');
+
+        expect(detectEncoding(buffer, { language: 'tr' }).encoding).toBe('utf-8');
+        expect(decodeSubtitleBuffer(buffer, { language: 'tr' }).content).toContain('Çıkış yok');
+    });
+
+    it('strips a UTF-8 byte order mark', () => {
+        const buffer = Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from('Merhaba', 'utf8')]);
+        const result = decodeSubtitleBuffer(buffer);
+
+        expect(result.encoding).toBe('utf-8');
+        expect(result.content).toBe('Merhaba');
+    });
+});
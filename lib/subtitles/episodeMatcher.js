@@ -0,0 +1,117 @@
+// lib/subtitles/episodeMatcher.js
+// Season/episode parsing from file names and selection of the right entry from season-pack archives
+
+const SUBTITLE_EXTENSION_PRIORITY = ['.srt', '.ass', '.ssa', '.vtt', '.sub'];
+
+// Most specific patterns first; groups are season (when hasSeason), episode and an optional last episode
+const EPISODE_PATTERNS = [
+    // S01E05, s01.e05, S01E05E06, S01E05-E06, S01E05-06
+    { pattern: /(?:^|[^a-z0-9])s(\d{1,2})[ ._-]*e(\d{1,3})(?:-?e(\d{1,3})|-(\d{1,3}))?(?![0-9])/i, hasSeason: true },
+    // 1x05, 01x05-06 (but not x264)
+    { pattern: /(?:^|[^a-z0-9])(\d{1,2})x(\d{2,3})(?:-(\d{2,3}))?(?![0-9])/i, hasSeason: true },
+    // Season 1 Episode 5
+    { pattern: /season[ ._-]*(\d{1,2})[ ._-]*(?:episode|ep)[ ._-]*(\d{1,3})/i, hasSeason: true },
+    // 1. Sezon 5. Bölüm, Sezon 1 Bölüm 5
+    { pattern: /(\d{1,2})\.?[ ._-]*sezon[ ._-]*(\d{1,3})\.?[ ._-]*b[öo]l[üu]m/i, hasSeason: true },
+    { pattern: /sezon[ ._-]*(\d{1,2})[ ._-]*b[öo]l[üu]m[ ._-]*(\d{1,3})/i, hasSeason: true },
+    // Episode-only names inside a season folder: E05, Ep.05, Episode 5, Bölüm 5
+    { pattern: /(?:^|[^a-z0-9])(?:e|ep|episode|b[öo]l[üu]m)[ ._-]*(\d{1,3})(?![0-9])/i, hasSeason: false }
+];
+
+// Returns { season, episode, lastEpisode } or null; season is null for episode-only names
+function parseEpisodeInfo(name) {
+    const baseName = String(name || '').split(/[\\/]/).pop();
+    // Folder names can carry the season ("Season 2/05.srt" style packs)
+    const folderSeason = /(?:season|sezon|s)[ ._-]*(\d{1,2})(?![0-9])/i.exec(String(name || '').split(/[\\/]/).slice(0, -1).join('/'));
+
+    for (const { pattern, hasSeason } of EPISODE_PATTERNS) {
+        const match = pattern.exec(baseName);
+        if (!match) continue;
+
+        const season = hasSeason ? parseInt(match[1], 10) : (folderSeason ? parseInt(folderSeason[1], 10) : null);
+        const episode = parseInt(hasSeason ? match[2] : match[1], 10);
+        const rangeEnd = hasSeason ? match[3] || match[4] : null;
+        const lastEpisode = rangeEnd ? parseInt(rangeEnd, 10) : episode;
+
+        return { season, episode, lastEpisode: Math.max(episode, lastEpisode) };
+    }
+    return null;
+}
+
+function tokenize(name) {
+    return String(name || '')
+        .toLowerCase()
+        .split(/[\\/]/).pop()
+        .replace(/\.[a-z0-9]{2,4}$/, '')
+        .split(/[^a-z0-9]+/)
+        .filter(token => token.length > 1);
+}
+
+// Dice coefficient over name tokens, 0..1
+function nameSimilarity(a, b) {
+    const tokensA = new Set(tokenize(a));
+    const tokensB = new Set(tokenize(b));
+    if (tokensA.size === 0 || tokensB.size === 0) return 0;
+
+    let shared = 0;
+    for (const token of tokensA) {
+        if (tokensB.has(token)) shared++;
+    }
+    return (2 * shared) / (tokensA.size + tokensB.size);
+}
+
+function extensionRank(name) {
+    const lower = String(name || '').toLowerCase();
+    const index = SUBTITLE_EXTENSION_PRIORITY.findIndex(ext => lower.endsWith(ext));
+    return index === -1 ? SUBTITLE_EXTENSION_PRIORITY.length : index;
+}
+
+// Best candidate by release-name similarity, then extension priority, then archive order
+function pickClosest(candidates, getName, releaseName) {
+    return candidates
+        .map((item, order) => ({
+            item,
+            order,
+            similarity: releaseName ? nameSimilarity(getName(item), releaseName) : 0,
+            rank: extensionRank(getName(item))
+        }))
+        .sort((a, b) => b.similarity - a.similarity || a.rank - b.rank || a.order - b.order)[0].item;
+}
+
+// Choose the archive entry for a request. options: { getName, season, episode, releaseName }.
+// Returns null when every entry belongs to a different episode.
+function selectArchiveEntry(entries, options = {}) {
+    const getName = options.getName || (entry => entry);
+    if (!entries || entries.length === 0) return null;
+
+    const episode = parseInt(options.episode, 10);
+    if (isNaN(episode)) {
+        return pickClosest(entries, getName, options.releaseName);
+    }
+
+    const season = parseInt(options.season, 10);
+    const parsed = entries.map(entry => ({ entry, info: parseEpisodeInfo(getName(entry)) }));
+    const matching = parsed.filter(({ info }) =>
+        info &&
+        episode >= info.episode && episode <= info.lastEpisode &&
+        (info.season === null || isNaN(season) || info.season === season)
+    );
+
+    if (matching.length > 0) {
+        // Prefer names that state the season explicitly over episode-only ones
+        const withSeason = matching.filter(({ info }) => info.season !== null);
+        const pool = (withSeason.length > 0 ? withSeason : matching).map(({ entry }) => entry);
+        return pool.length === 1 ? pool[0] : pickClosest(pool, getName, options.releaseName);
+    }
+
+    // Nothing names this episode; only unlabeled files are still possible candidates
+    const unlabeled = parsed.filter(({ info }) => !info).map(({ entry }) => entry);
+    return unlabeled.length > 0 ? pickClosest(unlabeled, getName, options.releaseName) : null;
+}
+
+module.exports = {
+    SUBTITLE_EXTENSION_PRIORITY,
+    parseEpisodeInfo,
+    nameSimilarity,
+    selectArchiveEntry
+};
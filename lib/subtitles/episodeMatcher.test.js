@@ -0,0 +1,65 @@
+// lib/subtitles/episodeMatcher.test.js
+// Unit tests for episode parsing and season-pack archive selection
+
+const { parseEpisodeInfo, nameSimilarity, selectArchiveEntry } = require('./episodeMatcher');
+
+const SEASON_PACK = [
+    'Show.S01.1080p.BluRay-GRP/Show.S01E01.1080p.BluRay-GRP.srt',
+    'Show.S01.1080p.BluRay-GRP/Show.S01E02.1080p.BluRay-GRP.srt',
+    'Show.S01.1080p.BluRay-GRP/Show.S01E03.1080p.BluRay-GRP.ass',
+    'Show.S01.1080p.BluRay-GRP/Show.S01E03.1080p.BluRay-GRP.srt',
+    'Show.S01.1080p.BluRay-GRP/Show.S01E03.720p.WEB-DL-OTHER.srt',
+    'Show.S01.1080p.BluRay-GRP/Show.S01E13.1080p.BluRay-GRP.srt',
+    'Show.S01.1080p.BluRay-GRP/Show.S01E04E05.1080p.BluRay-GRP.srt'
+];
+
+describe('Episode matcher', () => {
+    it('parses the common episode notations', () => {
+        expect(parseEpisodeInfo('Show.S01E03.1080p.srt')).toEqual({ season: 1, episode: 3, lastEpisode: 3 });
+        expect(parseEpisodeInfo('Show.S01E04E05.srt')).toEqual({ season: 1, episode: 4, lastEpisode: 5 });
+        expect(parseEpisodeInfo('Show.S01E04-06.srt')).toEqual({ season: 1, episode: 4, lastEpisode: 6 });
+        expect(parseEpisodeInfo('Show 2x07.srt')).toEqual({ season: 2, episode: 7, lastEpisode: 7 });
+        expect(parseEpisodeInfo('Show 1. Sezon 5. Bölüm.srt')).toEqual({ season: 1, episode: 5, lastEpisode: 5 });
+        expect(parseEpisodeInfo('Show/Season 2/Ep.05.srt')).toEqual({ season: 2, episode: 5, lastEpisode: 5 });
+        expect(parseEpisodeInfo('Episode 5.srt')).toEqual({ season: null, episode: 5, lastEpisode: 5 });
+    });
+
+    it('does not read codecs or plain titles as episodes', () => {
+        expect(parseEpisodeInfo('Movie.2019.1080p.x264-GRP.srt')).toBeNull();
+        expect(parseEpisodeInfo('Show.S01.Complete.srt')).toBeNull();
+    });
+
+    it('picks S01E03 from a season-pack archive, preferring the matching release and SRT', () => {
+        const entry = selectArchiveEntry(SEASON_PACK, { season: 1, episode: 3, releaseName: 'Show.S01E03.1080p.BluRay-GRP' });
+
+        expect(entry).toBe('Show.S01.1080p.BluRay-GRP/Show.S01E03.1080p.BluRay-GRP.srt');
+    });
+
+    it('picks the other release of the episode when its name is closer', () => {
+        const entry = selectArchiveEntry(SEASON_PACK, { season: 1, episode: 3, releaseName: 'Show.S01E03.720p.WEB-DL-OTHER' });
+
+        expect(entry).toBe('Show.S01.1080p.BluRay-GRP/Show.S01E03.720p.WEB-DL-OTHER.srt');
+    });
+
+    it('matches an episode inside a multi-episode file', () => {
+        expect(selectArchiveEntry(SEASON_PACK, { season: 1, episode: 5 })).toBe('Show.S01.1080p.BluRay-GRP/Show.S01E04E05.1080p.BluRay-GRP.srt');
+    });
+
+    it('returns null when the archive only holds other episodes', () => {
+        expect(selectArchiveEntry(SEASON_PACK, { season: 1, episode: 8 })).toBeNull();
+        expect(selectArchiveEntry(SEASON_PACK, { season: 2, episode: 3 })).toBeNull();
+    });
+
+    it('falls back to unlabeled files and works with archive entry objects', () => {
+        const entries = [{ name: 'Show.S01E01.srt' }, { name: 'subs/english.srt' }];
+        const entry = selectArchiveEntry(entries, { getName: item => item.name, season: 1, episode: 3 });
+
+        expect(entry).toBe(entries[1]);
+    });
+
+    it('scores name similarity on shared tokens', () => {
+        expect(nameSimilarity('Show.S01E03.1080p.BluRay-GRP.srt', 'Show.S01E03.1080p.BluRay-GRP')).toBe(1);
+        expect(nameSimilarity('Show.S01E03.720p.WEB-DL-OTHER.srt', 'Show.S01E03.1080p.BluRay-GRP')).toBeLessThan(0.5);
+        expect(nameSimilarity('', 'Show')).toBe(0);
+    });
+});
@@ -0,0 +1,314 @@
+// lib/subtitles/formats.js
+// Subtitle format layer: parses ASS/SSA, WebVTT, MicroDVD and SRT into the shared cue model and renders SRT or VTT
+
+const { parseSrt, serializeSrt, formatTimestamp, normalizeNewlines } = require('./srtParser');
+
+const DEFAULT_MICRODVD_FPS = 23.976;
+
+// Detect the format from the content itself; file extensions from providers are often wrong
+function detectFormatFromContent(content) {
+    const text = normalizeNewlines(content).trimStart();
+
+    if (/^WEBVTT/.test(text)) return 'vtt';
+    if (/^\[Script Info\]/i.test(text) || /^\[V4\+? Styles\]/im.test(text) || /^Dialogue:\s*\d/im.test(text)) {
+        return /ScriptType:\s*v4\.00\+/i.test(text) ? 'ass' : 'ssa';
+    }
+    if (/^\{\d+\}\{\d*\}/m.test(text)) return 'sub';
+    if (/\d{1,2}:\d{2}:\d{2}[,.]\d{1,3}\s*-->/.test(text)) return 'srt';
+
+    return 'unknown';
+}
+
+// ---- ASS / SSA ----
+
+// "0:01:02.50" (centiseconds) -> 62500
+function parseAssTimestamp(value) {
+    const match = /(\d+):(\d{1,2}):(\d{1,2})[.:](\d{1,3})/.exec(value || '');
+    if (!match) return null;
+
+    const [, hours, minutes, seconds, fraction] = match;
+    return (parseInt(hours, 10) * 3600000) +
+           (parseInt(minutes, 10) * 60000) +
+           (parseInt(seconds, 10) * 1000) +
+           Math.round(parseInt(fraction, 10) * Math.pow(10, 3 - fraction.length));
+}
+
+// Split a Format-described line; the last field (Text) may itself contain commas
+function splitAssFields(value, fieldCount) {
+    const parts = value.split(',');
+    const fields = parts.slice(0, fieldCount - 1).map(part => part.trim());
+    fields.push(parts.slice(fieldCount - 1).join(','));
+    return fields;
+}
+
+function isAssFlagSet(value) {
+    return value !== undefined && value.trim() !== '0' && value.trim() !== '';
+}
+
+// Convert override tags to the SRT subset (<i>, <b>, <u>) and drop everything else
+function convertAssText(text, style = {}) {
+    let result = '';
+    let italic = false;
+    let bold = false;
+    let underline = false;
+    let drawing = false;
+    const tokens = text.split(/(\{[^}]*\})/);
+
+    const open = (tag) => { result += `<${tag}>`; };
+    const close = (tag) => { result += `</${tag}>`; };
+
+    for (const token of tokens) {
+        if (token.startsWith('{') && token.endsWith('}')) {
+            const tags = token.slice(1, -1);
+            const toggles = [['i', 'i'], ['b', 'b'], ['u', 'u']];
+            for (const [tag, html] of toggles) {
+                const match = new RegExp(`\\\\${tag}(\\d+)?(?![a-z])`).exec(tags);
+                if (!match) continue;
+                const enable = match[1] === undefined ? false : match[1] !== '0';
+                const state = { i: italic, b: bold, u: underline }[tag];
+                if (enable && !state) open(html);
+                if (!enable && state) close(html);
+                if (tag === 'i') italic = enable;
+                if (tag === 'b') bold = enable;
+                if (tag === 'u') underline = enable;
+            }
+            const drawingMatch = /\\p(\d+)/.exec(tags);
+            if (drawingMatch) drawing = drawingMatch[1] !== '0';
+            continue;
+        }
+        if (!drawing) {
+            result += token.replace(/\\N/g, '\n').replace(/\\n/g, ' ').replace(/\\h/g, ' ');
+        }
+    }
+
+    if (underline) close('u');
+    if (bold) close('b');
+    if (italic) close('i');
+
+    result = result.split('\n').map(line => line.trim()).join('\n').trim();
+    // Whole-line styling from the style definition
+    if (result && style.bold) result = `<b>${result}</b>`;
+    if (result && style.italic) result = `<i>${result}</i>`;
+    return result.replace(/<(i|b|u)><\/\1>/g, '');
+}
+
+function parseAss(content) {
+    const lines = normalizeNewlines(content).split('\n');
+    const styles = {};
+    let section = '';
+    let styleFormat = null;
+    let eventFormat = null;
+    const cues = [];
+
+    for (const rawLine of lines) {
+        const line = rawLine.trim();
+        const sectionMatch = /^\[(.+)\]$/.exec(line);
+        if (sectionMatch) {
+            section = sectionMatch[1].toLowerCase();
+            continue;
+        }
+
+        const separator = line.indexOf(':');
+        if (separator === -1) continue;
+        const key = line.substring(0, separator).trim().toLowerCase();
+        const value = line.substring(separator + 1).trim();
+
+        if (section.includes('styles')) {
+            if (key === 'format') {
+                styleFormat = value.split(',').map(field => field.trim().toLowerCase());
+            } else if (key === 'style' && styleFormat) {
+                const fields = splitAssFields(value, styleFormat.length);
+                const get = name => fields[styleFormat.indexOf(name)];
+                styles[(get('name') || '').toLowerCase()] = {
+                    italic: isAssFlagSet(get('italic')),
+                    bold: isAssFlagSet(get('bold'))
+                };
+            }
+        } else if (section === 'events') {
+            if (key === 'format') {
+                eventFormat = value.split(',').map(field => field.trim().toLowerCase());
+            } else if (key === 'dialogue') {
+                // SSA files without a Format line use the v4 default order
+                const format = eventFormat || ['marked', 'start', 'end', 'style', 'name', 'marginl', 'marginr', 'marginv', 'effect', 'text'];
+                const fields = splitAssFields(value, format.length);
+                const get = name => fields[format.indexOf(name)];
+                const start = parseAssTimestamp(get('start'));
+                const end = parseAssTimestamp(get('end'));
+                const text = convertAssText(get('text') || '', styles[(get('style') || '').replace(/^\*/, '').toLowerCase()]);
+
+                if (start !== null && end !== null && text) {
+                    cues.push({ index: null, start, end, text });
+                }
+            }
+        }
+    }
+
+    // Events are not required to be in time order (one line per style is common)
+    return cues
+        .sort((a, b) => a.start - b.start || a.end - b.end)
+        .map((cue, i) => ({ ...cue, index: i + 1 }));
+}
+
+// ---- WebVTT ----
+
+const VTT_TIMING_PATTERN = /^((?:\d+:)?\d{1,2}:\d{2}\.\d{1,3})\s+-->\s+((?:\d+:)?\d{1,2}:\d{2}\.\d{1,3})(.*)$/;
+
+// "01:02.500" or "00:01:02.500" -> 62500
+function parseVttTimestamp(value) {
+    const parts = value.split(':');
+    const [seconds, millis] = parts.pop().split('.');
+    const minutes = parts.pop() || '0';
+    const hours = parts.pop() || '0';
+    return (parseInt(hours, 10) * 3600000) +
+           (parseInt(minutes, 10) * 60000) +
+           (parseInt(seconds, 10) * 1000) +
+           parseInt(millis.padEnd(3, '0'), 10);
+}
+
+function decodeVttEntities(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lrm;|&rlm;/g, '')
+        .replace(/&amp;/g, '&');
+}
+
+// Keep <i>, <b>, <u>; turn voice spans into a speaker prefix; drop classes, ruby and karaoke timestamps
+function convertVttText(text) {
+    const converted = text
+        .replace(/<v(?:\.[^\s>]+)?\s+([^>]+)>/g, '$1: ')
+        .replace(/<\/?(?:c|v|lang|ruby|rt)(?:[.\s][^>]*)?>/g, '')
+        .replace(/<\d{1,2}:\d{2}(?::\d{2})?\.\d{3}>/g, '')
+        .replace(/<(\/?)(i|b|u)(?:\.[^>]*)?>/g, '<$1$2>');
+    return decodeVttEntities(converted).trim();
+}
+
+function parseVtt(content) {
+    const blocks = normalizeNewlines(content).split(/\n\s*\n/);
+    const cues = [];
+
+    for (const block of blocks) {
+        const lines = block.split('\n');
+        const timingIndex = lines.findIndex(line => VTT_TIMING_PATTERN.test(line.trim()));
+        // Header, NOTE, STYLE and REGION blocks have no timing line
+        if (timingIndex === -1) continue;
+
+        const [, start, end, settings] = VTT_TIMING_PATTERN.exec(lines[timingIndex].trim());
+        const text = convertVttText(lines.slice(timingIndex + 1).join('\n'));
+        if (!text) continue;
+
+        cues.push({
+            index: cues.length + 1,
+            start: parseVttTimestamp(start),
+            end: parseVttTimestamp(end),
+            text,
+            settings: settings.trim() || undefined
+        });
+    }
+
+    return cues;
+}
+
+// ---- MicroDVD ----
+
+// Frame based: {start}{end}text with | as line break. A leading {1}{1}23.976 line declares the frame rate.
+function parseMicroDvd(content, options = {}) {
+    const lines = normalizeNewlines(content).split('\n');
+    let fps = parseFloat(options.fps) || null;
+    const cues = [];
+
+    for (const rawLine of lines) {
+        const match = /^\{(\d+)\}\{(\d*)\}(.*)$/.exec(rawLine.trim());
+        if (!match) continue;
+
+        const [, startFrame, endFrame, body] = match;
+        if (cues.length === 0 && !fps && /^\d+(\.\d+)?$/.test(body.trim()) && ['0', '1'].includes(startFrame)) {
+            fps = parseFloat(body.trim());
+            continue;
+        }
+
+        const frameRate = fps || DEFAULT_MICRODVD_FPS;
+        const start = Math.round(parseInt(startFrame, 10) * 1000 / frameRate);
+        // An empty end frame means "until the next line"; patched up below
+        const end = endFrame ? Math.round(parseInt(endFrame, 10) * 1000 / frameRate) : null;
+
+        const text = body.split('|').map(line => {
+            let converted = line;
+            let italic = false;
+            converted = converted.replace(/\{([yY]):([^}]*)\}/g, (all, scope, styles) => {
+                if (/i/.test(styles)) italic = true;
+                return '';
+            }).replace(/\{[^}]*\}/g, '').trim();
+            if (/^\//.test(converted)) {
+                italic = true;
+                converted = converted.substring(1).trim();
+            }
+            return italic && converted ? `<i>${converted}</i>` : converted;
+        }).filter(line => line !== '').join('\n');
+
+        if (text) cues.push({ index: cues.length + 1, start, end, text });
+    }
+
+    cues.forEach((cue, i) => {
+        if (cue.end === null) {
+            cue.end = i + 1 < cues.length ? cues[i + 1].start : cue.start + 3000;
+        }
+    });
+
+    return cues;
+}
+
+// ---- Entry points ----
+
+function parseSubtitle(content, options = {}) {
+    const format = options.format && options.format !== 'unknown' ? options.format : detectFormatFromContent(content);
+
+    switch (format) {
+        case 'ass':
+        case 'ssa':
+            return parseAss(content);
+        case 'vtt':
+            return parseVtt(content);
+        case 'sub':
+            return parseMicroDvd(content, options);
+        default:
+            return parseSrt(content);
+    }
+}
+
+function serializeVtt(cues) {
+    const body = cues.map((cue, i) =>
+        `${i + 1}\n${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}${cue.settings ? ' ' + cue.settings : ''}\n${cue.text.replace(/-->/g, '->').replace(/<\/?font[^>]*>/g, '')}`
+    ).join('\n\n');
+    return `WEBVTT\n\n${body}\n`;
+}
+
+function renderSubtitle(cues, target = 'srt') {
+    return target === 'vtt' ? serializeVtt(cues) : serializeSrt(cues);
+}
+
+// Convert any supported format to the requested output; SRT input is passed through untouched when SRT is requested
+function convertSubtitle(content, target = 'srt', options = {}) {
+    const format = options.format && options.format !== 'unknown' ? options.format : detectFormatFromContent(content);
+    if (format === target || (format === 'unknown' && target === 'srt')) {
+        return content;
+    }
+
+    const cues = parseSubtitle(content, { ...options, format });
+    if (cues.length === 0) {
+        return null;
+    }
+    return renderSubtitle(cues, target);
+}
+
+module.exports = {
+    DEFAULT_MICRODVD_FPS,
+    detectFormatFromContent,
+    parseAss,
+    parseVtt,
+    parseMicroDvd,
+    parseSubtitle,
+    renderSubtitle,
+    convertSubtitle
+};
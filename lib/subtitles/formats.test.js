@@ -0,0 +1,110 @@
+// lib/subtitles/formats.test.js
+// Unit tests for the subtitle format layer
+
+const { parseSrt } = require('./srtParser');
+const { detectFormatFromContent, parseAss, parseVtt, parseMicroDvd, convertSubtitle } = require('./formats');
+
+const ASS_FILE = [
+    '[Script Info]',
+    'ScriptType: v4.00+',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize, Bold, Italic',
+    'Style: Default,Arial,20,0,0',
+    'Style: Thoughts,Arial,20,0,-1',
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+    'Dialogue: 0,0:00:05.00,0:00:07.50,Thoughts,,0,0,0,,Nereye gidiyoruz?',
+    'Dialogue: 0,0:00:01.20,0:00:03.40,Default,,0,0,0,,{\\i1}Merhaba{\\i0}, dünya.\\NNasılsın?',
+    'Dialogue: 0,0:00:04.00,0:00:04.90,Default,,0,0,0,,{\\p1}m 0 0 l 100 0 100 100{\\p0}',
+    'Dialogue: 0,0:00:08.00,0:00:09.00,Default,,0,0,0,,Bir, iki, üç'
+].join('\r\n');
+
+const VTT_FILE = [
+    'WEBVTT',
+    '',
+    'NOTE Converted from the broadcast',
+    '',
+    'cue-1',
+    '00:01.000 --> 00:02.500 align:start',
+    '<v Ali>Tamam &amp; anladım',
+    '',
+    '00:00:03.250 --> 00:00:05.000',
+    '<i>Fısıltı</i> <c.yellow>ve renk</c>',
+    ''
+].join('\n');
+
+describe('Subtitle formats', () => {
+    it('detects formats from the content', () => {
+        expect(detectFormatFromContent(ASS_FILE)).toBe('ass');
+        expect(detectFormatFromContent(VTT_FILE)).toBe('vtt');
+        expect(detectFormatFromContent('{1}{1}25\n{25}{50}Merhaba')).toBe('sub');
+        expect(detectFormatFromContent('1\n00:00:01,000 --> 00:00:02,000\nMerhaba\n')).toBe('srt');
+        expect(detectFormatFromContent('just text')).toBe('unknown');
+    });
+
+    it('parses ASS events in time order with styling and without drawings', () => {
+        const cues = parseAss(ASS_FILE);
+
+        expect(cues.map(cue => cue.text)).toEqual([
+            '<i>Merhaba</i>, dünya.\nNasılsın?',
+            '<i>Nereye gidiyoruz?</i>',
+            'Bir, iki, üç'
+        ]);
+        expect(cues[0]).toMatchObject({ index: 1, start: 1200, end: 3400 });
+    });
+
+    it('round-trips ASS through SRT', () => {
+        const srt = convertSubtitle(ASS_FILE, 'srt');
+        const cues = parseSrt(srt);
+
+        expect(cues).toHaveLength(3);
+        expect(cues[1]).toMatchObject({ start: 5000, end: 7500, text: '<i>Nereye gidiyoruz?</i>' });
+        expect(srt).toContain('00:00:08,000 --> 00:00:09,000\nBir, iki, üç');
+    });
+
+    it('parses WebVTT cues, voices, entities and settings', () => {
+        const cues = parseVtt(VTT_FILE);
+
+        expect(cues).toEqual([
+            { index: 1, start: 1000, end: 2500, text: 'Ali: Tamam & anladım', settings: 'align:start' },
+            { index: 2, start: 3250, end: 5000, text: '<i>Fısıltı</i> ve renk', settings: undefined }
+        ]);
+    });
+
+    it('round-trips WebVTT through SRT and back', () => {
+        const srt = convertSubtitle(VTT_FILE, 'srt');
+        const vtt = convertSubtitle(srt, 'vtt');
+
+        expect(vtt.startsWith('WEBVTT\n\n')).toBe(true);
+        expect(parseVtt(vtt).map(({ start, end, text }) => ({ start, end, text }))).toEqual([
+            { start: 1000, end: 2500, text: 'Ali: Tamam & anladım' },
+            { start: 3250, end: 5000, text: '<i>Fısıltı</i> ve renk' }
+        ]);
+    });
+
+    it('converts MicroDVD frames with the declared frame rate', () => {
+        const content = '{1}{1}25\n{25}{50}Merhaba|{y:i}dünya\n{75}{}/Son satır\n{125}{150}Bitti';
+        const cues = parseMicroDvd(content);
+
+        expect(cues).toEqual([
+            { index: 1, start: 1000, end: 2000, text: 'Merhaba\n<i>dünya</i>' },
+            // No end frame: runs until the next line
+            { index: 2, start: 3000, end: 5000, text: '<i>Son satır</i>' },
+            { index: 3, start: 5000, end: 6000, text: 'Bitti' }
+        ]);
+        expect(parseSrt(convertSubtitle(content, 'srt'))).toHaveLength(3);
+    });
+
+    it('uses the default or given frame rate when MicroDVD declares none', () => {
+        expect(parseMicroDvd('{24}{48}Merhaba')[0].start).toBe(Math.round(24 * 1000 / 23.976));
+        expect(parseMicroDvd('{25}{50}Merhaba', { fps: 25 })[0]).toMatchObject({ start: 1000, end: 2000 });
+    });
+
+    it('passes SRT through untouched when SRT is requested', () => {
+        const srt = '1\n00:00:01,000 --> 00:00:02,000\nMerhaba\n';
+        expect(convertSubtitle(srt, 'srt')).toBe(srt);
+        expect(convertSubtitle('WEBVTT\n\nNOTE nothing here\n', 'srt')).toBeNull();
+    });
+});
@@ -0,0 +1,526 @@
+// lib/subtitles/mkvExtractor.js
+// Lists and extracts text subtitle tracks embedded in Matroska files over HTTP range requests (no full download)
+
+const zlib = require('zlib');
+const { fetchRange } = require('./movieHash');
+const { serializeSrt } = require('./srtParser');
+
+// Matroska element IDs (with their length marker bits, as they appear in the file)
+const IDS = {
+    EBML: 0x1A45DFA3,
+    DOC_TYPE: 0x4282,
+    SEGMENT: 0x18538067,
+    SEEK_HEAD: 0x114D9B74,
+    SEEK: 0x4DBB,
+    SEEK_ID: 0x53AB,
+    SEEK_POSITION: 0x53AC,
+    INFO: 0x1549A966,
+    TIMESTAMP_SCALE: 0x2AD7B1,
+    TRACKS: 0x1654AE6B,
+    TRACK_ENTRY: 0xAE,
+    TRACK_NUMBER: 0xD7,
+    TRACK_TYPE: 0x83,
+    CODEC_ID: 0x86,
+    CODEC_PRIVATE: 0x63A2,
+    LANGUAGE: 0x22B59C,
+    LANGUAGE_BCP47: 0x22B59D,
+    NAME: 0x536E,
+    FLAG_DEFAULT: 0x88,
+    FLAG_FORCED: 0x55AA,
+    CONTENT_ENCODINGS: 0x6D80,
+    CONTENT_ENCODING: 0x6240,
+    CONTENT_COMPRESSION: 0x5034,
+    CONTENT_COMP_ALGO: 0x4254,
+    CONTENT_COMP_SETTINGS: 0x4255,
+    CUES: 0x1C53BB6B,
+    CUE_POINT: 0xBB,
+    CUE_TIME: 0xB3,
+    CUE_TRACK_POSITIONS: 0xB7,
+    CUE_TRACK: 0xF7,
+    CUE_CLUSTER_POSITION: 0xF1,
+    CUE_RELATIVE_POSITION: 0xF0,
+    CUE_DURATION: 0xB2,
+    CLUSTER: 0x1F43B675,
+    BLOCK_GROUP: 0xA0,
+    BLOCK: 0xA1,
+    BLOCK_DURATION: 0x9B,
+    SIMPLE_BLOCK: 0xA3
+};
+
+const TRACK_TYPE_SUBTITLE = 0x11;
+// Text codecs we can turn into a subtitle file; image codecs (PGS, VobSub) are listed but not extractable
+const TEXT_CODECS = {
+    'S_TEXT/UTF8': 'srt',
+    'S_TEXT/ASCII': 'srt',
+    'S_TEXT/ASS': 'ass',
+    'S_TEXT/SSA': 'ass'
+};
+
+const HEADER_BYTES = 128 * 1024;
+const MAX_ELEMENT_BYTES = 16 * 1024 * 1024;
+const BLOCK_WINDOW_BYTES = 4 * 1024;
+// Blocks of a cluster closer than this share one range request; no request grows past MAX_RANGE_BYTES, so a
+// sparse cluster does not pull in all the video between its subtitle lines
+const COALESCE_GAP_BYTES = 64 * 1024;
+const MAX_RANGE_BYTES = 1024 * 1024;
+// Cluster ID (4 bytes) plus the longest size field
+const MAX_CLUSTER_HEADER_BYTES = 12;
+const MAX_CACHED_FILES = 200;
+const ASS_EVENTS_FORMAT = 'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text';
+
+// Container layouts by URL; debrid links are stable for hours, and a track is usually asked for more than once
+const containerCache = new Map();
+
+// EBML variable-length integer at pos: { value, length }, or null when the buffer ends first.
+// IDs keep their marker bits; sizes drop them and report all-ones ("unknown size") as null.
+function readVint(buffer, pos, keepMarker = false) {
+    if (pos >= buffer.length) return null;
+    const first = buffer[pos];
+    let length = 1;
+    while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+    if (length > 8 || pos + length > buffer.length) return null;
+
+    let value = keepMarker ? first : first & (0xFF >> length);
+    let allOnes = value === (0xFF >> length);
+    for (let i = 1; i < length; i++) {
+        value = value * 256 + buffer[pos + i];
+        if (buffer[pos + i] !== 0xFF) allOnes = false;
+    }
+    return { value: !keepMarker && allOnes ? null : value, length };
+}
+
+// Element header at pos: { id, size, dataStart, end }; end is null for unknown-size elements
+function readElementHeader(buffer, pos) {
+    const id = readVint(buffer, pos, true);
+    if (!id) return null;
+    const size = readVint(buffer, pos + id.length);
+    if (!size) return null;
+
+    const dataStart = pos + id.length + size.length;
+    return { id: id.value, size: size.value, dataStart, end: size.value === null ? null : dataStart + size.value };
+}
+
+// Child elements of buffer[start, end), stopping at the first element that does not fit
+function readChildren(buffer, start = 0, end = buffer.length) {
+    const children = [];
+    let pos = start;
+    while (pos < end) {
+        const header = readElementHeader(buffer, pos);
+        if (!header || header.end === null || header.end > end) break;
+        children.push(header);
+        pos = header.end;
+    }
+    return children;
+}
+
+function readUint(buffer, element) {
+    let value = 0;
+    for (let i = element.dataStart; i < element.end; i++) value = value * 256 + buffer[i];
+    return value;
+}
+
+function readString(buffer, element) {
+    return buffer.toString('utf8', element.dataStart, element.end).replace(/\0+$/, '');
+}
+
+function findChild(buffer, parent, id) {
+    return readChildren(buffer, parent.dataStart, parent.end).find(child => child.id === id) || null;
+}
+
+function parseContentEncoding(buffer, encodings) {
+    const encoding = findChild(buffer, encodings, IDS.CONTENT_ENCODING);
+    const compression = encoding && findChild(buffer, encoding, IDS.CONTENT_COMPRESSION);
+    if (!compression) return null;
+
+    const algo = findChild(buffer, compression, IDS.CONTENT_COMP_ALGO);
+    const settings = findChild(buffer, compression, IDS.CONTENT_COMP_SETTINGS);
+    return {
+        algorithm: algo ? readUint(buffer, algo) : 0,
+        // Header stripping (algorithm 3) removes these bytes from the start of every frame
+        strippedBytes: settings ? buffer.subarray(settings.dataStart, settings.end) : Buffer.alloc(0)
+    };
+}
+
+function parseTrackEntry(buffer, entry) {
+    const track = { number: null, type: null, codecId: null, language: 'eng', name: null, default: true, forced: false, codecPrivate: null, compression: null };
+
+    for (const child of readChildren(buffer, entry.dataStart, entry.end)) {
+        switch (child.id) {
+            case IDS.TRACK_NUMBER: track.number = readUint(buffer, child); break;
+            case IDS.TRACK_TYPE: track.type = readUint(buffer, child); break;
+            case IDS.CODEC_ID: track.codecId = readString(buffer, child); break;
+            case IDS.LANGUAGE: track.language = readString(buffer, child); break;
+            // The BCP 47 tag wins over the legacy ISO 639-2 code when both are present
+            case IDS.LANGUAGE_BCP47: track.languageBcp47 = readString(buffer, child); break;
+            case IDS.NAME: track.name = readString(buffer, child); break;
+            case IDS.FLAG_DEFAULT: track.default = readUint(buffer, child) === 1; break;
+            case IDS.FLAG_FORCED: track.forced = readUint(buffer, child) === 1; break;
+            case IDS.CODEC_PRIVATE: track.codecPrivate = buffer.toString('utf8', child.dataStart, child.end); break;
+            case IDS.CONTENT_ENCODINGS: track.compression = parseContentEncoding(buffer, child); break;
+        }
+    }
+    return track;
+}
+
+// Read one whole element at an absolute file offset, growing the range when the first window is too small
+async function readElementAt(url, offset, options) {
+    let { buffer } = await fetchRange(url, offset, offset + options.windowBytes - 1, options.timeout);
+    const header = readElementHeader(buffer, 0);
+    if (!header || header.end === null) {
+        throw new Error(`No Matroska element at offset ${offset}`);
+    }
+    if (header.end > MAX_ELEMENT_BYTES) {
+        throw new Error(`Matroska element at offset ${offset} is too large (${header.end} bytes)`);
+    }
+    if (header.end > buffer.length) {
+        ({ buffer } = await fetchRange(url, offset, offset + header.end - 1, options.timeout));
+    }
+    return { buffer, element: header };
+}
+
+// EBML header, SeekHead, Info and Tracks from the start of the file (plus a seek when Tracks sits elsewhere)
+async function readContainerInfo(url, options) {
+    const { buffer } = await fetchRange(url, 0, HEADER_BYTES - 1, options.timeout);
+
+    const ebml = readElementHeader(buffer, 0);
+    if (!ebml || ebml.id !== IDS.EBML || ebml.end === null || ebml.end > buffer.length) {
+        throw new Error('Not a Matroska file');
+    }
+    const docType = findChild(buffer, ebml, IDS.DOC_TYPE);
+    if (docType && !['matroska', 'webm'].includes(readString(buffer, docType))) {
+        throw new Error(`Unsupported EBML document type: ${readString(buffer, docType)}`);
+    }
+
+    const segment = readElementHeader(buffer, ebml.end);
+    if (!segment || segment.id !== IDS.SEGMENT) {
+        throw new Error('Matroska segment not found');
+    }
+
+    const info = { segmentStart: segment.dataStart, timestampScale: 1000000, tracks: [], seek: {} };
+    let tracksElement = null;
+    let tracksBuffer = buffer;
+
+    for (const child of readChildren(buffer, segment.dataStart, buffer.length)) {
+        if (child.id === IDS.CLUSTER) break;
+        if (child.id === IDS.SEEK_HEAD) {
+            for (const seek of readChildren(buffer, child.dataStart, child.end)) {
+                if (seek.id !== IDS.SEEK) continue;
+                const seekId = findChild(buffer, seek, IDS.SEEK_ID);
+                const seekPosition = findChild(buffer, seek, IDS.SEEK_POSITION);
+                if (seekId && seekPosition) {
+                    info.seek[readUint(buffer, seekId)] = readUint(buffer, seekPosition);
+                }
+            }
+        } else if (child.id === IDS.INFO) {
+            const scale = findChild(buffer, child, IDS.TIMESTAMP_SCALE);
+            if (scale) info.timestampScale = readUint(buffer, scale);
+        } else if (child.id === IDS.TRACKS) {
+            tracksElement = child;
+        }
+    }
+
+    if (!tracksElement && info.seek[IDS.TRACKS] !== undefined) {
+        const read = await readElementAt(url, info.segmentStart + info.seek[IDS.TRACKS], { ...options, windowBytes: 64 * 1024 });
+        tracksBuffer = read.buffer;
+        tracksElement = read.element;
+    }
+    if (!tracksElement) {
+        throw new Error('Matroska track list not found in the file header');
+    }
+
+    info.tracks = readChildren(tracksBuffer, tracksElement.dataStart, tracksElement.end)
+        .filter(child => child.id === IDS.TRACK_ENTRY)
+        .map(entry => parseTrackEntry(tracksBuffer, entry));
+    return info;
+}
+
+async function getContainerInfo(url, options = {}) {
+    const cached = containerCache.get(url);
+    if (cached) return cached;
+
+    const info = await readContainerInfo(url, { timeout: options.timeout || 10000 });
+    if (containerCache.size >= MAX_CACHED_FILES) {
+        containerCache.delete(containerCache.keys().next().value);
+    }
+    containerCache.set(url, info);
+    return info;
+}
+
+function describeTrack(track) {
+    const format = TEXT_CODECS[track.codecId] || null;
+    return {
+        number: track.number,
+        codecId: track.codecId,
+        format,
+        language: (track.languageBcp47 || track.language || 'und').split('-')[0].toLowerCase(),
+        name: track.name,
+        default: track.default,
+        forced: track.forced,
+        extractable: !!format
+    };
+}
+
+// Subtitle tracks of the file: [{ number, codecId, format, language, name, default, forced, extractable }]
+async function listEmbeddedSubtitles(url, options = {}) {
+    const info = await getContainerInfo(url, options);
+    return info.tracks.filter(track => track.type === TRACK_TYPE_SUBTITLE).map(describeTrack);
+}
+
+// Cue entries for one track: [{ time, clusterPosition, relativePosition, duration }] in file order
+async function readTrackCues(url, info, trackNumber, options) {
+    if (info.seek[IDS.CUES] === undefined) {
+        throw new Error('File has no cue index; extracting subtitles would need the whole file');
+    }
+    if (!info.cues) {
+        const { buffer, element } = await readElementAt(url, info.segmentStart + info.seek[IDS.CUES], { ...options, windowBytes: 256 * 1024 });
+        info.cues = { buffer, element };
+    }
+
+    const { buffer, element } = info.cues;
+    const entries = [];
+    for (const point of readChildren(buffer, element.dataStart, element.end)) {
+        if (point.id !== IDS.CUE_POINT) continue;
+        const children = readChildren(buffer, point.dataStart, point.end);
+        const time = children.find(child => child.id === IDS.CUE_TIME);
+
+        for (const positions of children.filter(child => child.id === IDS.CUE_TRACK_POSITIONS)) {
+            const fields = {};
+            for (const field of readChildren(buffer, positions.dataStart, positions.end)) {
+                fields[field.id] = readUint(buffer, field);
+            }
+            if (fields[IDS.CUE_TRACK] !== trackNumber || fields[IDS.CUE_RELATIVE_POSITION] === undefined) continue;
+            entries.push({
+                time: time ? readUint(buffer, time) : 0,
+                clusterPosition: fields[IDS.CUE_CLUSTER_POSITION],
+                relativePosition: fields[IDS.CUE_RELATIVE_POSITION],
+                duration: fields[IDS.CUE_DURATION] !== undefined ? fields[IDS.CUE_DURATION] : null
+            });
+        }
+    }
+    return entries;
+}
+
+// Frame payload and duration of a SimpleBlock or BlockGroup
+function parseBlockElement(buffer, element, trackNumber) {
+    let block = element;
+    let duration = null;
+    if (element.id === IDS.BLOCK_GROUP) {
+        const children = readChildren(buffer, element.dataStart, element.end);
+        block = children.find(child => child.id === IDS.BLOCK);
+        const blockDuration = children.find(child => child.id === IDS.BLOCK_DURATION);
+        if (blockDuration) duration = readUint(buffer, blockDuration);
+    }
+    if (!block || (block.id !== IDS.BLOCK && block.id !== IDS.SIMPLE_BLOCK)) return null;
+
+    const track = readVint(buffer, block.dataStart);
+    if (!track || track.value !== trackNumber) return null;
+    const flags = buffer[block.dataStart + track.length + 2];
+    // Text subtitles are never laced; a laced frame here means the cue pointed somewhere unexpected
+    if (flags & 0x06) return null;
+
+    return { payload: buffer.subarray(block.dataStart + track.length + 3, block.end), duration };
+}
+
+function decodePayload(payload, compression) {
+    if (!compression) return payload;
+    if (compression.algorithm === 0) return zlib.inflateSync(payload);
+    if (compression.algorithm === 3) return Buffer.concat([compression.strippedBytes, payload]);
+    throw new Error(`Unsupported subtitle compression (algorithm ${compression.algorithm})`);
+}
+
+// Cue entries of one cluster as ranges of cluster-relative offsets: [{ start, end, entries }], end exclusive
+function groupClusterEntries(entries) {
+    const groups = [];
+    for (const entry of [...entries].sort((a, b) => a.relativePosition - b.relativePosition)) {
+        const group = groups[groups.length - 1];
+        const end = entry.relativePosition + BLOCK_WINDOW_BYTES;
+        if (group && entry.relativePosition - group.end <= COALESCE_GAP_BYTES && end - group.start <= MAX_RANGE_BYTES) {
+            group.end = end;
+            group.entries.push(entry);
+        } else {
+            groups.push({ start: entry.relativePosition, end, entries: [entry] });
+        }
+    }
+    return groups;
+}
+
+function readClusterHeader(buffer, offset) {
+    const header = readElementHeader(buffer, 0);
+    if (!header || header.id !== IDS.CLUSTER) {
+        throw new Error(`No cluster at file offset ${offset}`);
+    }
+    return header;
+}
+
+// Subtitle blocks of one cluster: [{ entry, block }], block null where it could not be read. The cue's relative
+// position counts from the cluster's data, so the first range reaches back to the cluster header when it can.
+async function readClusterBlocks(url, clusterOffset, entries, trackNumber, options) {
+    const blocks = [];
+    let dataStart = null;
+
+    for (const group of groupClusterEntries(entries)) {
+        const withHeader = dataStart === null && group.end + MAX_CLUSTER_HEADER_BYTES <= MAX_RANGE_BYTES;
+        if (dataStart === null && !withHeader) {
+            const { buffer } = await fetchRange(url, clusterOffset, clusterOffset + 15, options.timeout);
+            dataStart = clusterOffset + readClusterHeader(buffer, clusterOffset).dataStart;
+        }
+
+        const rangeStart = withHeader ? clusterOffset : dataStart + group.start;
+        const rangeEnd = (withHeader ? clusterOffset + MAX_CLUSTER_HEADER_BYTES : dataStart) + group.end;
+        const { buffer } = await fetchRange(url, rangeStart, rangeEnd - 1, options.timeout);
+        if (withHeader) {
+            dataStart = clusterOffset + readClusterHeader(buffer, clusterOffset).dataStart;
+        }
+
+        for (const entry of group.entries) {
+            const offset = dataStart + entry.relativePosition;
+            try {
+                let blockBuffer = buffer;
+                let element = readElementHeader(buffer, offset - rangeStart);
+                // A block running past the shared range (large ASS lines) is read on its own
+                if (!element || element.end === null || element.end > buffer.length) {
+                    ({ buffer: blockBuffer, element } = await readElementAt(url, offset, { ...options, windowBytes: BLOCK_WINDOW_BYTES }));
+                }
+                blocks.push({ entry, block: parseBlockElement(blockBuffer, element, trackNumber) });
+            } catch (error) {
+                console.warn(`[MkvExtractor] Skipping subtitle block at ${entry.clusterPosition}+${entry.relativePosition}:`, error.message);
+                blocks.push({ entry, block: null });
+            }
+        }
+    }
+    return blocks;
+}
+
+// Run worker over items with at most `limit` calls in flight
+async function mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index]);
+        }
+    });
+    await Promise.all(runners);
+    return results;
+}
+
+// "0:01:02.50" style timestamps used in ASS Dialogue lines
+function formatAssTimestamp(ms) {
+    const total = Math.max(0, Math.round(ms / 10));
+    const hours = Math.floor(total / 360000);
+    const minutes = Math.floor((total % 360000) / 6000);
+    const seconds = Math.floor((total % 6000) / 100);
+    return `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}.${String(total % 100).padStart(2, '0')}`;
+}
+
+// Matroska stores ASS events as "ReadOrder, Layer, Style, Name, MarginL, MarginR, MarginV, Effect, Text" without times
+function buildAssFile(codecPrivate, events) {
+    const dialogues = events
+        .map(event => {
+            const parts = event.text.split(',');
+            return { readOrder: parseInt(parts[0], 10) || 0, event, fields: parts.slice(1, 8), text: parts.slice(8).join(',') };
+        })
+        .sort((a, b) => a.event.start - b.event.start || a.readOrder - b.readOrder)
+        .map(({ event, fields, text }) => {
+            const [layer = '0', style = 'Default', name = '', marginL = '0', marginR = '0', marginV = '0', effect = ''] = fields;
+            return `Dialogue: ${layer},${formatAssTimestamp(event.start)},${formatAssTimestamp(event.end)},${style},${name},${marginL},${marginR},${marginV},${effect},${text}`;
+        });
+
+    let header = String(codecPrivate || '[Script Info]\nScriptType: v4.00+\n').replace(/\r\n?/g, '\n').trimEnd();
+    if (!/^\[Events\]/im.test(header)) {
+        header += `\n\n[Events]\n${ASS_EVENTS_FORMAT}`;
+    }
+    return `${header}\n${dialogues.join('\n')}\n`;
+}
+
+// Extract one text subtitle track: { content, format: 'srt' | 'ass', track, cues }
+async function extractEmbeddedSubtitle(url, trackNumber, options = {}) {
+    const requestOptions = { timeout: options.timeout || 10000 };
+    const info = await getContainerInfo(url, requestOptions);
+    const track = info.tracks.find(candidate => candidate.number === trackNumber && candidate.type === TRACK_TYPE_SUBTITLE);
+    if (!track) {
+        throw new Error(`Subtitle track ${trackNumber} not found`);
+    }
+    const format = TEXT_CODECS[track.codecId];
+    if (!format) {
+        throw new Error(`Subtitle track ${trackNumber} uses ${track.codecId}, which is not a text format`);
+    }
+    info.extracted = info.extracted || {};
+    if (info.extracted[trackNumber]) {
+        return info.extracted[trackNumber];
+    }
+
+    const entries = await readTrackCues(url, info, trackNumber, requestOptions);
+    if (entries.length === 0) {
+        throw new Error(`Track ${trackNumber} has no cue entries; extracting it would need the whole file`);
+    }
+    const maxBlocks = options.maxBlocks || 5000;
+    if (entries.length > maxBlocks) {
+        throw new Error(`Track ${trackNumber} has ${entries.length} entries (limit ${maxBlocks})`);
+    }
+
+    // One request per cluster in the common case instead of one per line
+    const clusters = new Map();
+    for (const entry of entries) {
+        if (!clusters.has(entry.clusterPosition)) clusters.set(entry.clusterPosition, []);
+        clusters.get(entry.clusterPosition).push(entry);
+    }
+
+    const scaleMs = info.timestampScale / 1000000;
+    const clusterBlocks = await mapWithConcurrency([...clusters], options.concurrency || 6, async ([clusterPosition, clusterEntries]) => {
+        try {
+            return await readClusterBlocks(url, info.segmentStart + clusterPosition, clusterEntries, trackNumber, requestOptions);
+        } catch (error) {
+            console.warn(`[MkvExtractor] Skipping ${clusterEntries.length} subtitle block(s) in cluster ${clusterPosition}:`, error.message);
+            return [];
+        }
+    });
+
+    const events = clusterBlocks.flat()
+        .map(({ entry, block }) => {
+            if (!block) return null;
+            try {
+                const duration = block.duration !== null ? block.duration : entry.duration;
+                const start = entry.time * scaleMs;
+                return {
+                    start,
+                    end: duration !== null ? start + duration * scaleMs : null,
+                    text: decodePayload(block.payload, track.compression).toString('utf8').replace(/\0+$/, '')
+                };
+            } catch (error) {
+                console.warn(`[MkvExtractor] Skipping subtitle block at ${entry.clusterPosition}+${entry.relativePosition}:`, error.message);
+                return null;
+            }
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.start - b.start);
+
+    if (events.length === 0) {
+        throw new Error(`No subtitle blocks could be read from track ${trackNumber}`);
+    }
+
+    // Blocks without a duration run until the next line (at most 5 seconds)
+    events.forEach((event, i) => {
+        if (event.end === null) {
+            const next = events[i + 1];
+            event.end = next ? Math.min(next.start, event.start + 5000) : event.start + 5000;
+        }
+    });
+
+    const content = format === 'ass'
+        ? buildAssFile(track.codecPrivate, events)
+        : serializeSrt(events.map(event => ({ start: event.start, end: event.end, text: event.text.replace(/\r\n?/g, '\n').trim() })));
+
+    console.log(`[MkvExtractor] Extracted ${events.length}/${entries.length} line(s) from track ${trackNumber} (${track.codecId})`);
+    info.extracted[trackNumber] = { content, format, track: describeTrack(track), cues: events.length };
+    return info.extracted[trackNumber];
+}
+
+module.exports = {
+    TEXT_CODECS,
+    readVint,
+    readElementHeader,
+    listEmbeddedSubtitles,
+    extractEmbeddedSubtitle
+};
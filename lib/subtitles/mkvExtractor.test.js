@@ -0,0 +1,135 @@
+// lib/subtitles/mkvExtractor.test.js
+// Unit tests for the Matroska subtitle extractor, run against a small synthetic file served through range reads
+
+// Tests run without babel-jest, so jest.mock is not hoisted: the mock must be registered before the requires
+jest.mock('./movieHash', () => ({ fetchRange: jest.fn() }));
+
+const { fetchRange } = require('./movieHash');
+const { readVint, readElementHeader, listEmbeddedSubtitles, extractEmbeddedSubtitle } = require('./mkvExtractor');
+
+function encodeId(id) {
+    const bytes = [];
+    for (let value = id; value > 0; value = Math.floor(value / 256)) bytes.unshift(value % 256);
+    return Buffer.from(bytes);
+}
+
+function encodeSize(size) {
+    if (size < 0x7F) return Buffer.from([0x80 | size]);
+    if (size < 0x3FFF) return Buffer.from([0x40 | (size >> 8), size & 0xFF]);
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32BE(0x10000000 + size);
+    return buffer;
+}
+
+function element(id, ...children) {
+    const data = Buffer.concat(children.map(child => (Buffer.isBuffer(child) ? child : Buffer.from(String(child), 'utf8'))));
+    return Buffer.concat([encodeId(id), encodeSize(data.length), data]);
+}
+
+// Fixed four-byte unsigned integers, so positions can be patched in without moving anything
+function uint(id, value) {
+    const data = Buffer.alloc(4);
+    data.writeUInt32BE(value);
+    return element(id, data);
+}
+
+function subtitleBlock(text, duration) {
+    return element(0xA0, element(0xA1, Buffer.from([0x82, 0x00, 0x00, 0x00]), text), uint(0x9B, duration));
+}
+
+function videoBlock(size) {
+    return element(0xA3, Buffer.from([0x81, 0x00, 0x00, 0x80]), Buffer.alloc(size));
+}
+
+// Two clusters: the first with two lines close together, the second with two lines 200 KB of video apart
+function buildMatroskaFile() {
+    const lines = [
+        { cluster: 0, text: 'Merhaba', time: 1000, duration: 1500 },
+        { cluster: 0, text: 'Nasılsın?', time: 3000, duration: 1000 },
+        { cluster: 1, text: 'İyiyim, sağ ol.', time: 5000, duration: 1200 },
+        { cluster: 1, text: 'Görüşürüz!', time: 9000, duration: 800 }
+    ];
+    const fillers = [[200, 300], [100, 200 * 1024]];
+
+    const clusters = [0, 1].map(index => {
+        const parts = [uint(0xE7, index * 5000)];
+        const clusterLines = lines.filter(line => line.cluster === index);
+        clusterLines.forEach((line, i) => {
+            parts.push(videoBlock(fillers[index][i]));
+            line.relativePosition = parts.reduce((sum, part) => sum + part.length, 0);
+            parts.push(subtitleBlock(line.text, line.duration));
+        });
+        return element(0x1F43B675, ...parts);
+    });
+
+    const seekHead = position => element(0x114D9B74, element(0x4DBB, element(0x53AB, encodeId(0x1C53BB6B)), uint(0x53AC, position)));
+    const info = element(0x1549A966, uint(0x2AD7B1, 1000000));
+    const tracks = element(0x1654AE6B,
+        element(0xAE, uint(0xD7, 1), uint(0x83, 1), element(0x86, 'V_MPEG4/ISO/AVC')),
+        element(0xAE, uint(0xD7, 2), uint(0x83, 0x11), element(0x86, 'S_TEXT/UTF8'), element(0x22B59C, 'tur')));
+
+    let position = seekHead(0).length + info.length + tracks.length;
+    const clusterPositions = clusters.map(cluster => {
+        const clusterPosition = position;
+        position += cluster.length;
+        return clusterPosition;
+    });
+    const cues = element(0x1C53BB6B, ...lines.map(line => element(0xBB,
+        uint(0xB3, line.time),
+        element(0xB7, uint(0xF7, 2), uint(0xF1, clusterPositions[line.cluster]), uint(0xF0, line.relativePosition)))));
+
+    const segment = element(0x18538067, seekHead(position), info, tracks, ...clusters, cues);
+    return Buffer.concat([element(0x1A45DFA3, element(0x4282, 'matroska')), segment]);
+}
+
+describe('Matroska subtitle extractor', () => {
+    let file;
+
+    beforeAll(() => {
+        file = buildMatroskaFile();
+    });
+
+    beforeEach(() => {
+        fetchRange.mockReset();
+        fetchRange.mockImplementation(async (url, start, end) => ({ buffer: file.subarray(start, end + 1), totalSize: file.length }));
+    });
+
+    it('reads EBML variable-length integers', () => {
+        expect(readVint(Buffer.from([0x81]), 0)).toEqual({ value: 1, length: 1 });
+        expect(readVint(Buffer.from([0x40, 0x02]), 0)).toEqual({ value: 2, length: 2 });
+        expect(readVint(Buffer.from([0x1A, 0x45, 0xDF, 0xA3]), 0, true)).toEqual({ value: 0x1A45DFA3, length: 4 });
+        // All ones is the "unknown size" marker
+        expect(readVint(Buffer.from([0x01, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]), 0)).toEqual({ value: null, length: 8 });
+        expect(readVint(Buffer.from([0x40]), 0)).toBeNull();
+        expect(readVint(Buffer.from([0x00]), 0)).toBeNull();
+    });
+
+    it('reads element headers', () => {
+        const buffer = Buffer.concat([Buffer.from([0x00]), element(0x4282, 'webm')]);
+
+        expect(readElementHeader(buffer, 1)).toEqual({ id: 0x4282, size: 4, dataStart: 4, end: 8 });
+        expect(readElementHeader(Buffer.from([0x42]), 0)).toBeNull();
+    });
+
+    it('lists the subtitle tracks from the file header', async () => {
+        const tracks = await listEmbeddedSubtitles('http://debrid.test/list.mkv');
+
+        expect(tracks).toEqual([expect.objectContaining({ number: 2, codecId: 'S_TEXT/UTF8', format: 'srt', language: 'tur', extractable: true })]);
+    });
+
+    it('extracts a text track with one range request per group of nearby blocks', async () => {
+        const result = await extractEmbeddedSubtitle('http://debrid.test/extract.mkv', 2);
+
+        expect(result.format).toBe('srt');
+        expect(result.cues).toBe(4);
+        expect(result.content).toContain('00:00:01,000 --> 00:00:02,500\nMerhaba');
+        expect(result.content).toContain('00:00:05,000 --> 00:00:06,200\nİyiyim, sağ ol.');
+        expect(result.content).toContain('00:00:09,000 --> 00:00:09,800\nGörüşürüz!');
+        // File header, cue index, the first cluster, and the second cluster's two far-apart lines
+        expect(fetchRange).toHaveBeenCalledTimes(5);
+    });
+
+    it('rejects tracks that are not subtitles', async () => {
+        await expect(extractEmbeddedSubtitle('http://debrid.test/video.mkv', 1)).rejects.toThrow('Subtitle track 1 not found');
+    });
+});
@@ -0,0 +1,98 @@
+// lib/subtitles/movieHash.js
+// OpenSubtitles 64-bit moviehash (file size + first and last 64 KB) for local files and HTTP(S) stream URLs
+
+const fs = require('fs');
+const fetch = require('node-fetch');
+
+const CHUNK_SIZE = 64 * 1024;
+const UINT64_MASK = (1n << 64n) - 1n;
+const MAX_CACHED_HASHES = 1000;
+
+// Debrid download links are stable for hours, so hashes are cached by URL
+const hashCache = new Map();
+
+// Sum of the file size and all little-endian 64-bit words of both chunks, modulo 2^64, as 16 hex digits
+function computeMovieHash(fileSize, head, tail) {
+    if (!fileSize || fileSize < CHUNK_SIZE) {
+        throw new Error(`File too small for a moviehash (${fileSize} bytes)`);
+    }
+    if (head.length < CHUNK_SIZE || tail.length < CHUNK_SIZE) {
+        throw new Error('Moviehash needs two full 64 KB chunks');
+    }
+
+    let hash = BigInt(fileSize);
+    for (const chunk of [head, tail]) {
+        for (let offset = 0; offset < CHUNK_SIZE; offset += 8) {
+            hash = (hash + chunk.readBigUInt64LE(offset)) & UINT64_MASK;
+        }
+    }
+    return hash.toString(16).padStart(16, '0');
+}
+
+async function computeMovieHashFromFile(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const { size } = await handle.stat();
+        const head = Buffer.alloc(CHUNK_SIZE);
+        const tail = Buffer.alloc(CHUNK_SIZE);
+        await handle.read(head, 0, CHUNK_SIZE, 0);
+        await handle.read(tail, 0, CHUNK_SIZE, Math.max(0, size - CHUNK_SIZE));
+        return { hash: computeMovieHash(size, head, tail), size };
+    } finally {
+        await handle.close();
+    }
+}
+
+// Fetch one byte range; refuses servers that ignore Range, so a whole movie is never downloaded
+async function fetchRange(url, start, end, timeout) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+        const response = await fetch(url, {
+            headers: { Range: `bytes=${start}-${end}` },
+            signal: controller.signal
+        });
+        if (response.status !== 206) {
+            if (response.body && response.body.destroy) response.body.destroy();
+            throw new Error(`Range request not supported (HTTP ${response.status})`);
+        }
+
+        // Content-Range: bytes 0-65535/1234567890
+        const contentRange = response.headers.get('content-range') || '';
+        const totalMatch = /\/(\d+)\s*$/.exec(contentRange);
+        const buffer = await response.buffer();
+        return { buffer, totalSize: totalMatch ? parseInt(totalMatch[1], 10) : null };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// options.fileSize skips the size discovery when the debrid API already reported it
+async function computeMovieHashFromUrl(url, options = {}) {
+    const cached = hashCache.get(url);
+    if (cached) return cached;
+
+    const timeout = options.timeout || 10000;
+    const first = await fetchRange(url, 0, CHUNK_SIZE - 1, timeout);
+    const size = first.totalSize || parseInt(options.fileSize, 10);
+    if (!size) {
+        throw new Error('Could not determine the file size for the moviehash');
+    }
+
+    const last = await fetchRange(url, Math.max(0, size - CHUNK_SIZE), size - 1, timeout);
+    const result = { hash: computeMovieHash(size, first.buffer, last.buffer), size };
+
+    if (hashCache.size >= MAX_CACHED_HASHES) {
+        hashCache.delete(hashCache.keys().next().value);
+    }
+    hashCache.set(url, result);
+    return result;
+}
+
+module.exports = {
+    computeMovieHash,
+    computeMovieHashFromFile,
+    computeMovieHashFromUrl,
+    fetchRange
+};
@@ -0,0 +1,118 @@
+// lib/subtitles/movieHash.test.js
+// Unit tests for the OpenSubtitles moviehash of local files and ranged HTTP streams
+
+// The URL hash talks to the local range server over real HTTP
+jest.unmock('node-fetch');
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { computeMovieHash, computeMovieHashFromFile, computeMovieHashFromUrl } = require('./movieHash');
+
+const CHUNK_SIZE = 64 * 1024;
+
+// Head and tail whose 64-bit words sum, with the size, to a hash worked out by hand
+function knownChunks() {
+    const head = Buffer.alloc(CHUNK_SIZE);
+    const tail = Buffer.alloc(CHUNK_SIZE);
+    head.writeBigUInt64LE(0x0102030405060708n, 0);
+    head.writeBigUInt64LE(0x10n, CHUNK_SIZE - 8);
+    // Wraps around 2^64: adds -1
+    tail.writeBigUInt64LE(0xffffffffffffffffn, 8);
+    return { head, tail };
+}
+
+// A 200 KB "movie" with a different byte everywhere
+const MOVIE = Buffer.from(Array.from({ length: 200 * 1024 }, (_, i) => (i * 31 + (i >> 8)) & 0xff));
+const MOVIE_HASH = computeMovieHash(MOVIE.length, MOVIE.subarray(0, CHUNK_SIZE), MOVIE.subarray(MOVIE.length - CHUNK_SIZE));
+
+// Serves MOVIE with Range support on /movie, without a total size on /unknown-size, and ignores Range on /no-range
+function startRangeServer() {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        requests.push({ path: req.url, range: req.headers.range });
+        const match = /^bytes=(\d+)-(\d+)$/.exec(req.headers.range || '');
+        if (req.url === '/no-range' || !match) {
+            res.writeHead(200, { 'Content-Length': MOVIE.length });
+            res.end(MOVIE);
+            return;
+        }
+        const [start, end] = [parseInt(match[1], 10), parseInt(match[2], 10)];
+        const total = req.url === '/unknown-size' ? '*' : MOVIE.length;
+        res.writeHead(206, { 'Content-Range': `bytes ${start}-${end}/${total}` });
+        res.end(MOVIE.subarray(start, end + 1));
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, requests })));
+}
+
+describe('Movie hash', () => {
+    it('sums the size and both chunks modulo 2^64', () => {
+        const { head, tail } = knownChunks();
+
+        // 0x20000 + 0x0102030405060708 + 0x10 - 1
+        expect(computeMovieHash(2 * CHUNK_SIZE, head, tail)).toBe('0102030405080717');
+        expect(computeMovieHash(CHUNK_SIZE, Buffer.alloc(CHUNK_SIZE), Buffer.alloc(CHUNK_SIZE))).toBe('0000000000010000');
+    });
+
+    it('refuses files and chunks smaller than 64 KB', () => {
+        const { head, tail } = knownChunks();
+
+        expect(() => computeMovieHash(CHUNK_SIZE - 1, head, tail)).toThrow('File too small for a moviehash (65535 bytes)');
+        expect(() => computeMovieHash(2 * CHUNK_SIZE, head, tail.subarray(1))).toThrow('Moviehash needs two full 64 KB chunks');
+    });
+
+    it('hashes a local file from its first and last 64 KB', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'moviehash-'));
+        try {
+            const filePath = path.join(dir, 'movie.mkv');
+            fs.writeFileSync(filePath, MOVIE);
+
+            expect(await computeMovieHashFromFile(filePath)).toEqual({ hash: MOVIE_HASH, size: MOVIE.length });
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    describe('of a stream URL', () => {
+        let server;
+        let requests;
+        let base;
+
+        beforeAll(async () => {
+            ({ server, requests } = await startRangeServer());
+            base = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        afterAll(() => new Promise(resolve => server.close(resolve)));
+
+        beforeEach(() => {
+            requests.length = 0;
+        });
+
+        it('reads the size from Content-Range and fetches only the two chunks, once per URL', async () => {
+            const url = `${base}/movie`;
+
+            expect(await computeMovieHashFromUrl(url)).toEqual({ hash: MOVIE_HASH, size: MOVIE.length });
+            expect(requests.map(request => request.range)).toEqual([
+                `bytes=0-${CHUNK_SIZE - 1}`,
+                `bytes=${MOVIE.length - CHUNK_SIZE}-${MOVIE.length - 1}`
+            ]);
+
+            await computeMovieHashFromUrl(url);
+            expect(requests).toHaveLength(2);
+        });
+
+        it('falls back to the size the debrid service reported', async () => {
+            const url = `${base}/unknown-size`;
+
+            await expect(computeMovieHashFromUrl(url)).rejects.toThrow('Could not determine the file size for the moviehash');
+            expect(await computeMovieHashFromUrl(url, { fileSize: String(MOVIE.length) })).toEqual({ hash: MOVIE_HASH, size: MOVIE.length });
+        });
+
+        it('refuses a server that answers a range request with the whole file', async () => {
+            await expect(computeMovieHashFromUrl(`${base}/no-range`)).rejects.toThrow('Range request not supported (HTTP 200)');
+            expect(requests).toHaveLength(1);
+        });
+    });
+});
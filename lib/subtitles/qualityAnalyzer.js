@@ -0,0 +1,339 @@
+// lib/subtitles/qualityAnalyzer.js
+// Structural quality analysis of subtitle files: timing, readability, completeness and sync
+
+const { parseSrtWithDiagnostics } = require('./srtParser');
+const { convertSubtitle } = require('./formats');
+const { validateAIOutput } = require('./aiOutputValidator');
+
+const DIMENSION_MAX = 25;
+
+const DEFAULT_OPTIONS = {
+    minScore: 40, // Below this a file is rejected
+    minDurationMs: 700,
+    maxDurationMs: 7000,
+    comfortableCps: 17,
+    maxCps: 25,
+    maxLineLength: 42,
+    maxLines: 2,
+    suspiciousGapMs: 5 * 60 * 1000,
+    criticalRatio: 0.1, // Share of affected cues that makes an issue critical
+    videoDurationMs: null
+};
+
+// Typical UTF-8 read as Windows-1252/1254 artifacts (e.g. "ÅŸ" for "ş", "Ä±" for "ı", "â€™" for "’")
+const MOJIBAKE_PATTERN = /Ã[\u0080-¿]|Ä[±°Ÿž]|Å[Ÿž¾]|â€[™œ\u009D“”˜]|Ã‡|Ã–|Ãœ/;
+
+// C0 controls other than tab/newline/carriage return, and the C1 block left behind by a wrong decoding
+function hasControlChars(text) {
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        if ((code < 0x20 && code !== 0x09 && code !== 0x0A && code !== 0x0D) || (code >= 0x80 && code <= 0x9F)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function stripFormatting(text) {
+    return text.replace(/<[^>]*>/g, '').replace(/\{[^}]*\}/g, '');
+}
+
+function visibleLength(text) {
+    return stripFormatting(text).replace(/\n/g, '').trim().length;
+}
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    const index = Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1));
+    return sorted[index];
+}
+
+function distribution(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const sum = sorted.reduce((total, value) => total + value, 0);
+    const round = value => Math.round(value * 100) / 100;
+
+    return {
+        min: round(sorted[0] || 0),
+        max: round(sorted[sorted.length - 1] || 0),
+        mean: round(sorted.length ? sum / sorted.length : 0),
+        median: round(percentile(sorted, 50)),
+        p90: round(percentile(sorted, 90))
+    };
+}
+
+// Score a dimension from a weighted share of affected cues
+function dimensionScore(weightedCount, total) {
+    if (total === 0) return 0;
+    const penalty = Math.min(1, weightedCount / total);
+    return Math.round(DIMENSION_MAX * (1 - penalty) * 100) / 100;
+}
+
+function createIssueCollector(options) {
+    const issues = [];
+
+    return {
+        issues,
+        add(dimension, code, cuePositions, message, total, severity = 'warning') {
+            if (cuePositions.length === 0) return;
+
+            const ratio = total > 0 ? cuePositions.length / total : 1;
+            issues.push({
+                dimension,
+                code,
+                severity: severity === 'error' && ratio >= options.criticalRatio ? 'critical' : severity,
+                count: cuePositions.length,
+                cues: cuePositions.slice(0, 10),
+                message
+            });
+        }
+    };
+}
+
+function analyzeTiming(cues, options, collector) {
+    const negative = [];
+    const zero = [];
+    const overlaps = [];
+    const tooShort = [];
+    const tooLong = [];
+
+    cues.forEach((cue, i) => {
+        const position = i + 1;
+        const duration = cue.end - cue.start;
+
+        if (duration < 0) negative.push(position);
+        else if (duration === 0) zero.push(position);
+        else if (duration < options.minDurationMs) tooShort.push(position);
+        else if (duration > options.maxDurationMs) tooLong.push(position);
+
+        if (i > 0 && cue.start < cues[i - 1].end && cue.start >= cues[i - 1].start) {
+            overlaps.push(position);
+        }
+    });
+
+    const total = cues.length;
+    collector.add('timing', 'negative_duration', negative, 'Cues end before they start; swap or re-time these cues', total, 'error');
+    collector.add('timing', 'zero_duration', zero, 'Cues have zero duration and will never be visible', total, 'error');
+    collector.add('timing', 'overlap', overlaps, 'Cues start before the previous cue ends; trim the previous end time', total);
+    collector.add('timing', 'too_short', tooShort, `Cues are shown for less than ${options.minDurationMs}ms`, total, 'info');
+    collector.add('timing', 'too_long', tooLong, `Cues stay on screen for more than ${options.maxDurationMs}ms`, total, 'info');
+
+    return {
+        score: dimensionScore(negative.length * 3 + zero.length * 2 + overlaps.length * 1.5 + (tooShort.length + tooLong.length) * 0.5, total),
+        max: DIMENSION_MAX,
+        metrics: {
+            negativeDurations: negative.length,
+            zeroDurations: zero.length,
+            overlaps: overlaps.length,
+            tooShort: tooShort.length,
+            tooLong: tooLong.length,
+            durationMs: distribution(cues.map(cue => cue.end - cue.start))
+        }
+    };
+}
+
+function analyzeReadability(cues, options, collector) {
+    const cpsValues = [];
+    const fast = [];
+    const unreadable = [];
+    const longLines = [];
+    const tooManyLines = [];
+
+    cues.forEach((cue, i) => {
+        const position = i + 1;
+        const duration = cue.end - cue.start;
+        const lines = stripFormatting(cue.text).split('\n').filter(line => line.trim() !== '');
+
+        if (duration > 0 && lines.length > 0) {
+            const cps = visibleLength(cue.text) / (duration / 1000);
+            cpsValues.push(cps);
+            if (cps > options.maxCps) unreadable.push(position);
+            else if (cps > options.comfortableCps) fast.push(position);
+        }
+
+        if (lines.some(line => line.trim().length > options.maxLineLength)) longLines.push(position);
+        if (lines.length > options.maxLines) tooManyLines.push(position);
+    });
+
+    const total = cues.length;
+    collector.add('readability', 'unreadable_cps', unreadable, `Reading speed above ${options.maxCps} characters per second; extend these cues`, total);
+    collector.add('readability', 'fast_cps', fast, `Reading speed above ${options.comfortableCps} characters per second`, total, 'info');
+    collector.add('readability', 'long_line', longLines, `Lines longer than ${options.maxLineLength} characters`, total, 'info');
+    collector.add('readability', 'too_many_lines', tooManyLines, `Cues with more than ${options.maxLines} lines`, total, 'info');
+
+    return {
+        score: dimensionScore(unreadable.length + fast.length * 0.3 + longLines.length * 0.2 + tooManyLines.length * 0.3, total),
+        max: DIMENSION_MAX,
+        metrics: {
+            cps: distribution(cpsValues),
+            cpsBuckets: {
+                comfortable: cpsValues.length - fast.length - unreadable.length,
+                fast: fast.length,
+                unreadable: unreadable.length
+            },
+            longLines: longLines.length,
+            tooManyLines: tooManyLines.length
+        }
+    };
+}
+
+function analyzeCompleteness(cues, malformedBlocks, options, collector) {
+    const empty = [];
+    const sequenceErrors = [];
+    const encoding = [];
+
+    cues.forEach((cue, i) => {
+        const position = i + 1;
+
+        if (visibleLength(cue.text) === 0) empty.push(position);
+
+        const expected = i === 0 ? 1 : (cues[i - 1].index || i) + 1;
+        if (cue.index !== expected) sequenceErrors.push(position);
+
+        if (cue.text.includes('\uFFFD') || MOJIBAKE_PATTERN.test(cue.text) || hasControlChars(cue.text)) {
+            encoding.push(position);
+        }
+    });
+
+    const total = cues.length;
+    collector.add('completeness', 'empty_cue', empty, 'Cues without any visible text', total);
+    collector.add('completeness', 'sequence_error', sequenceErrors, 'Sequence numbers are missing, duplicated or out of order; renumber the file', total, 'info');
+    collector.add('completeness', 'encoding_corruption', encoding, 'Text contains replacement characters or mojibake; the file was decoded with the wrong charset', total, 'error');
+    if (malformedBlocks.length > 0) {
+        collector.issues.push({
+            dimension: 'completeness',
+            code: 'malformed_block',
+            severity: malformedBlocks.length >= Math.max(1, total * options.criticalRatio) ? 'critical' : 'warning',
+            count: malformedBlocks.length,
+            cues: [],
+            message: 'Blocks without a valid timing line were skipped'
+        });
+    }
+
+    return {
+        score: dimensionScore(malformedBlocks.length + empty.length * 0.5 + sequenceErrors.length * 0.2 + encoding.length * 2, Math.max(total, 1)),
+        max: DIMENSION_MAX,
+        metrics: {
+            cueCount: total,
+            emptyCues: empty.length,
+            malformedBlocks: malformedBlocks.length,
+            sequenceErrors: sequenceErrors.length,
+            encodingCorruption: encoding.length
+        }
+    };
+}
+
+function analyzeSync(cues, options, collector) {
+    const nonMonotonic = [];
+    const suspiciousGaps = [];
+    const gaps = [];
+
+    cues.forEach((cue, i) => {
+        if (i === 0) return;
+        const previous = cues[i - 1];
+
+        if (cue.start < previous.start) nonMonotonic.push(i + 1);
+
+        const gap = cue.start - previous.end;
+        gaps.push(gap);
+        if (gap > options.suspiciousGapMs) suspiciousGaps.push(i + 1);
+    });
+
+    const total = cues.length;
+    collector.add('sync', 'non_monotonic', nonMonotonic, 'Cues start earlier than the cue before them; the file is out of order', total, 'error');
+    collector.add('sync', 'suspicious_gap', suspiciousGaps, `Gaps longer than ${Math.round(options.suspiciousGapMs / 60000)} minutes between cues`, total);
+
+    const firstStart = total > 0 ? Math.min(...cues.map(cue => cue.start)) : 0;
+    const lastEnd = total > 0 ? Math.max(...cues.map(cue => cue.end)) : 0;
+    let weighted = nonMonotonic.length * 2 + suspiciousGaps.length;
+
+    if (options.videoDurationMs && lastEnd > options.videoDurationMs + 60000) {
+        collector.issues.push({
+            dimension: 'sync',
+            code: 'exceeds_video_duration',
+            severity: 'error',
+            count: 1,
+            cues: [],
+            message: `Subtitles run until ${Math.round(lastEnd / 1000)}s but the video is ${Math.round(options.videoDurationMs / 1000)}s long; likely a frame rate or cut mismatch`
+        });
+        weighted += total * 0.5;
+    }
+
+    return {
+        score: dimensionScore(weighted, total),
+        max: DIMENSION_MAX,
+        metrics: {
+            nonMonotonic: nonMonotonic.length,
+            suspiciousGaps: suspiciousGaps.length,
+            gapMs: distribution(gaps),
+            firstCueStartMs: firstStart,
+            lastCueEndMs: lastEnd
+        }
+    };
+}
+
+// Analyze an SRT string; returns an overall 0-100 score, per-dimension breakdown and actionable issues
+function analyzeSubtitleQuality(content, overrides = {}) {
+    const options = { ...DEFAULT_OPTIONS, ...overrides };
+    const { cues, malformedBlocks } = parseSrtWithDiagnostics(content);
+    const collector = createIssueCollector(options);
+
+    if (cues.length === 0) {
+        collector.issues.push({
+            dimension: 'completeness',
+            code: 'no_cues',
+            severity: 'critical',
+            count: 0,
+            cues: [],
+            message: 'No parsable subtitle cues found'
+        });
+    }
+
+    const dimensions = {
+        timing: analyzeTiming(cues, options, collector),
+        readability: analyzeReadability(cues, options, collector),
+        completeness: analyzeCompleteness(cues, malformedBlocks, options, collector),
+        sync: analyzeSync(cues, options, collector)
+    };
+
+    const score = cues.length === 0
+        ? 0
+        : Math.round(Object.values(dimensions).reduce((sum, dimension) => sum + dimension.score, 0));
+    const hasCritical = collector.issues.some(issue => issue.severity === 'critical');
+
+    return {
+        score,
+        acceptable: cues.length > 0 && score >= options.minScore && !hasCritical,
+        cueCount: cues.length,
+        dimensions,
+        issues: collector.issues
+    };
+}
+
+// Score an AI correction against its original: the quality of the output as it would be served (after validation),
+// next to the original's. Output the validator rejects scores 0, since it would never be served.
+function scoreCorrection(originalContent, correctedContent, overrides = {}) {
+    const before = analyzeSubtitleQuality(convertSubtitle(originalContent, 'srt') || originalContent, overrides);
+    const validation = validateAIOutput(originalContent, correctedContent);
+    const after = validation.accepted ? analyzeSubtitleQuality(validation.content, overrides) : null;
+    const score = after ? after.score : 0;
+
+    return {
+        score,
+        originalScore: before.score,
+        improvement: score - before.score,
+        accepted: validation.accepted,
+        reason: validation.accepted ? null : validation.report.reason,
+        revertedCues: validation.report.summary.revertedCues,
+        retimedCues: validation.report.summary.retimedCues,
+        dimensions: after
+            ? Object.fromEntries(Object.entries(after.dimensions).map(([name, dimension]) => [name, dimension.score]))
+            : null
+    };
+}
+
+module.exports = {
+    DEFAULT_OPTIONS,
+    analyzeSubtitleQuality,
+    scoreCorrection
+};
@@ -0,0 +1,165 @@
+// lib/subtitles/releaseParser.js
+// Scene/P2P release name parsing and structured similarity between a video file and subtitle release names
+
+// Each source maps to a family; subtitles timed for one member usually fit the others
+const SOURCES = [
+    { pattern: /\b(?:bd|br)?remux\b/i, source: 'BluRay', family: 'bluray' },
+    { pattern: /\b(?:blu-?ray|bdrip|brrip|bd(?:25|50)?)\b/i, source: 'BluRay', family: 'bluray' },
+    { pattern: /\bweb-?dl\b|\bweb\b(?!-?rip)/i, source: 'WEB-DL', family: 'web' },
+    { pattern: /\bweb-?rip\b/i, source: 'WEBRip', family: 'web' },
+    { pattern: /\bhdtv(?:rip)?\b|\bpdtv\b/i, source: 'HDTV', family: 'tv' },
+    { pattern: /\bdvd-?(?:rip|r|scr|5|9)?\b/i, source: 'DVDRip', family: 'dvd' },
+    { pattern: /\bhd-?rip\b/i, source: 'HDRip', family: 'hdrip' },
+    { pattern: /\b(?:cam|hdcam|ts|telesync|hdts|tc|telecine)\b/i, source: 'CAM', family: 'cam' }
+];
+
+const RESOLUTIONS = [
+    { pattern: /\b(?:2160p|4k|uhd)\b/i, resolution: '2160p' },
+    { pattern: /\b1080[pi]\b/i, resolution: '1080p' },
+    { pattern: /\b720p\b/i, resolution: '720p' },
+    { pattern: /\b576[pi]\b/i, resolution: '576p' },
+    { pattern: /\b480p\b/i, resolution: '480p' }
+];
+
+const CODECS = [
+    { pattern: /\b(?:[xh][ .]?265|hevc)\b/i, codec: 'h265' },
+    { pattern: /\b(?:[xh][ .]?264|avc)\b/i, codec: 'h264' },
+    { pattern: /\b(?:xvid|divx)\b/i, codec: 'xvid' },
+    { pattern: /\bav1\b/i, codec: 'av1' }
+];
+
+// Editions change the cut, and with it every timestamp after the first difference
+const EDITIONS = [
+    { pattern: /\bextended(?:[ ._-]?(?:cut|edition))?\b/i, edition: 'extended' },
+    { pattern: /\bdirector'?s?[ ._-]?cut\b|\bdc\b/i, edition: 'directors-cut' },
+    { pattern: /\bunrated\b/i, edition: 'unrated' },
+    { pattern: /\buncut\b/i, edition: 'uncut' },
+    { pattern: /\btheatrical(?:[ ._-]?cut)?\b/i, edition: 'theatrical' },
+    { pattern: /\bimax\b/i, edition: 'imax' },
+    { pattern: /\bremastered\b/i, edition: 'remastered' },
+    { pattern: /\bspecial[ ._-]?edition\b/i, edition: 'special-edition' }
+];
+
+// Bracketed tags that name the release group rather than a site
+const BRACKET_GROUPS = /^(?:yts(?:\.[a-z]{2,3})?|yify|rarbg|eztv|ettv|psa|qxr|tigole)$/i;
+// Trailing "-GROUP" tags that are really site/format noise
+const FALSE_GROUPS = /^(?:dl|rip|web|hd|sd|tr|eng|sub|subs|srt|x264|x265|h264|h265|hevc|\d+)$/i;
+
+const TECH_TOKEN = /^(?:\d{3,4}[pi]|4k|uhd|blu-?ray|bdrip|brrip|web-?dl|web-?rip|web|hdtv|dvd-?rip|hdrip|x26[45]|h\.?26[45]|hevc|xvid|remux|extended|unrated|repack|proper|s\d{1,2}e\d{1,3}|\d{1,2}x\d{2,3})$/i;
+
+function stripExtension(name) {
+    return String(name || '').split(/[\\/]/).pop().replace(/\.(?:mkv|mp4|avi|m4v|ts|wmv|srt|ass|ssa|vtt|sub|zip|rar)$/i, '');
+}
+
+function findFirst(list, text, key) {
+    const entry = list.find(item => item.pattern.test(text));
+    return entry ? entry[key] : null;
+}
+
+function extractGroup(name) {
+    const bracketTags = [...name.matchAll(/\[([^\]]+)\]/g)].map(match => match[1].trim());
+    const bracketGroup = bracketTags.reverse().find(tag => BRACKET_GROUPS.test(tag));
+
+    const withoutBrackets = name.replace(/\s*\[[^\]]*\]\s*$/g, '').trim();
+    const dashMatch = /-([A-Za-z0-9]+)$/.exec(withoutBrackets);
+    if (dashMatch && !FALSE_GROUPS.test(dashMatch[1])) {
+        return dashMatch[1].toLowerCase();
+    }
+    return bracketGroup ? bracketGroup.split('.')[0].toLowerCase() : null;
+}
+
+// Title words are everything before the release year, the episode tag or the first technical token
+function extractTitle(name, year) {
+    const tokens = name.replace(/\[[^\]]*\]|\([^)]*\)/g, ' ').split(/[ ._]+/).filter(Boolean);
+    const title = [];
+    for (const token of tokens) {
+        if (year && token === String(year) && title.length > 0) break;
+        if (TECH_TOKEN.test(token)) break;
+        title.push(token.toLowerCase().replace(/[^a-z0-9À-ɏ]/g, ''));
+    }
+    return title.filter(Boolean).join(' ');
+}
+
+function parseReleaseName(name) {
+    const base = stripExtension(name);
+    const text = base.replace(/[._]/g, ' ');
+    // The last year-like number is the release year ("Blade Runner 2049 (2017)", "1917 2019")
+    const years = [...text.replace(/\b\d{3,4}[pi]\b/gi, '').matchAll(/(?:^|[^0-9])((?:19|20)\d{2})(?![0-9])/g)].map(match => parseInt(match[1], 10));
+    const year = years.length > 1 || (years.length === 1 && !text.trim().startsWith(String(years[0]))) ? years[years.length - 1] : null;
+    const episodeMatch = /\bs(\d{1,2})[ ._-]*e(\d{1,3})\b|\b(\d{1,2})x(\d{2,3})\b/i.exec(text);
+    const sourceEntry = SOURCES.find(item => item.pattern.test(text));
+
+    return {
+        title: extractTitle(base, year),
+        year,
+        season: episodeMatch ? parseInt(episodeMatch[1] || episodeMatch[3], 10) : null,
+        episode: episodeMatch ? parseInt(episodeMatch[2] || episodeMatch[4], 10) : null,
+        source: sourceEntry ? sourceEntry.source : null,
+        sourceFamily: sourceEntry ? sourceEntry.family : null,
+        resolution: findFirst(RESOLUTIONS, text, 'resolution'),
+        codec: findFirst(CODECS, text, 'codec'),
+        edition: findFirst(EDITIONS, text, 'edition'),
+        group: extractGroup(base),
+        repack: /\brepack\b|\brerip\b/i.test(text),
+        proper: /\bproper\b/i.test(text)
+    };
+}
+
+function titleSimilarity(a, b) {
+    const wordsA = new Set(a.split(' ').filter(Boolean));
+    const wordsB = new Set(b.split(' ').filter(Boolean));
+    if (wordsA.size === 0 || wordsB.size === 0) return null;
+
+    let shared = 0;
+    for (const word of wordsA) {
+        if (wordsB.has(word)) shared++;
+    }
+    return (2 * shared) / (wordsA.size + wordsB.size);
+}
+
+// Weighted similarity of two parsed releases, 0-100. Only fields present on both sides count,
+// except editions: a missing edition on one side is treated as the theatrical cut.
+// Sparse names (e.g. just a title) are scaled down so they cannot outrank a real release match.
+function compareReleases(video, subtitle) {
+    const factors = [];
+    const add = (name, weight, value) => {
+        if (value !== null && value !== undefined) factors.push({ name, weight, value });
+    };
+
+    if (video.group && subtitle.group) add('group', 35, video.group === subtitle.group ? 1 : 0);
+    if (video.source && subtitle.source) {
+        add('source', 20, video.source === subtitle.source ? 1 : (video.sourceFamily === subtitle.sourceFamily ? 0.6 : 0));
+    }
+    add('edition', 15, (video.edition || 'theatrical') === (subtitle.edition || 'theatrical') ? 1 : 0);
+    if (video.resolution && subtitle.resolution) add('resolution', 8, video.resolution === subtitle.resolution ? 1 : 0.5);
+    if (video.codec && subtitle.codec) add('codec', 5, video.codec === subtitle.codec ? 1 : 0.5);
+    if (video.year && subtitle.year) add('year', 7, video.year === subtitle.year ? 1 : 0);
+    if (video.episode !== null && subtitle.episode !== null) {
+        add('episode', 20, video.season === subtitle.season && video.episode === subtitle.episode ? 1 : 0);
+    }
+    add('title', 5, titleSimilarity(video.title, subtitle.title));
+    if ((video.repack || video.proper) && (subtitle.repack || subtitle.proper)) add('repack', 5, 1);
+
+    const totalWeight = factors.reduce((sum, factor) => sum + factor.weight, 0);
+    const coverage = Math.min(1, totalWeight / 60);
+    const score = totalWeight > 0
+        ? Math.round(factors.reduce((sum, factor) => sum + factor.weight * factor.value, 0) / totalWeight * coverage * 100)
+        : 0;
+
+    return {
+        score,
+        factors: factors.reduce((result, factor) => ({ ...result, [factor.name]: factor.value }), {})
+    };
+}
+
+// Similarity between a video file name and a subtitle release name, 0-100
+function releaseMatchScore(videoName, subtitleName) {
+    if (!videoName || !subtitleName) return 0;
+    return compareReleases(parseReleaseName(videoName), parseReleaseName(subtitleName)).score;
+}
+
+module.exports = {
+    parseReleaseName,
+    compareReleases,
+    releaseMatchScore
+};
@@ -0,0 +1,74 @@
+// lib/subtitles/releaseParser.test.js
+// Unit tests for release name parsing and release-match scoring
+
+const { parseReleaseName, compareReleases, releaseMatchScore } = require('./releaseParser');
+
+const VIDEO = 'Blade.Runner.2049.2017.1080p.BluRay.x264-SPARKS.mkv';
+
+describe('Release parser', () => {
+    it('parses the parts of a scene release name', () => {
+        expect(parseReleaseName(VIDEO)).toEqual({
+            title: 'blade runner 2049',
+            year: 2017,
+            season: null,
+            episode: null,
+            source: 'BluRay',
+            sourceFamily: 'bluray',
+            resolution: '1080p',
+            codec: 'h264',
+            edition: null,
+            group: 'sparks',
+            repack: false,
+            proper: false
+        });
+    });
+
+    it('parses episodes, editions and bracketed groups', () => {
+        expect(parseReleaseName('Show.S02E05.REPACK.720p.WEB-DL.x265-NTb')).toMatchObject({
+            title: 'show', season: 2, episode: 5, source: 'WEB-DL', sourceFamily: 'web', codec: 'h265', group: 'ntb', repack: true
+        });
+        expect(parseReleaseName('Movie (2010) Extended Cut 1080p BrRip [YTS.MX].srt')).toMatchObject({
+            year: 2010, edition: 'extended', source: 'BluRay', group: 'yts'
+        });
+        // A title that is a year is not the release year
+        expect(parseReleaseName('1917.2019.2160p.WEB-DL')).toMatchObject({ title: '1917', year: 2019, resolution: '2160p' });
+    });
+
+    it('ignores trailing tags that are not release groups', () => {
+        expect(parseReleaseName('Movie.2010.1080p.WEB-DL').group).toBeNull();
+        expect(parseReleaseName('Movie.2010.720p.x264').group).toBeNull();
+    });
+
+    it('scores the same release highest', () => {
+        const same = releaseMatchScore(VIDEO, 'Blade.Runner.2049.2017.1080p.BluRay.x264-SPARKS.srt');
+        const otherGroup = releaseMatchScore(VIDEO, 'Blade.Runner.2049.2017.1080p.BluRay.x264-GECKOS.srt');
+        const sameFamily = releaseMatchScore(VIDEO, 'Blade.Runner.2049.2017.720p.BRRip.x264-GECKOS.srt');
+        const otherSource = releaseMatchScore(VIDEO, 'Blade.Runner.2049.2017.1080p.WEB-DL.x264-GECKOS.srt');
+
+        expect(same).toBe(100);
+        expect(same).toBeGreaterThan(otherGroup);
+        expect(otherGroup).toBeGreaterThan(sameFamily);
+        expect(sameFamily).toBeGreaterThan(otherSource);
+    });
+
+    it('penalizes a different edition, episode or year', () => {
+        const base = releaseMatchScore(VIDEO, 'Blade.Runner.2049.2017.1080p.BluRay.x264-GECKOS');
+
+        expect(releaseMatchScore(VIDEO, 'Blade.Runner.2049.2017.Extended.1080p.BluRay.x264-GECKOS')).toBeLessThan(base);
+        expect(releaseMatchScore(VIDEO, 'Blade.Runner.2049.2016.1080p.BluRay.x264-GECKOS')).toBeLessThan(base);
+        expect(releaseMatchScore('Show.S01E03.720p.HDTV-GRP', 'Show.S01E04.720p.HDTV-GRP'))
+            .toBeLessThan(releaseMatchScore('Show.S01E03.720p.HDTV-GRP', 'Show.S01E03.720p.HDTV-GRP'));
+    });
+
+    it('scales sparse names down so they cannot outrank a real release match', () => {
+        const sparse = compareReleases(parseReleaseName(VIDEO), parseReleaseName('Blade Runner 2049 (2017)'));
+
+        expect(sparse.factors).toEqual({ edition: 1, year: 1, title: 1 });
+        expect(sparse.score).toBeLessThan(releaseMatchScore(VIDEO, 'Blade.Runner.2049.2017.720p.BRRip.x264-GECKOS'));
+    });
+
+    it('scores missing names as no match', () => {
+        expect(releaseMatchScore(null, VIDEO)).toBe(0);
+        expect(releaseMatchScore(VIDEO, '')).toBe(0);
+    });
+});
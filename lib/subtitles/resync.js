@@ -0,0 +1,146 @@
+// lib/subtitles/resync.js
+// Deterministic subtitle resync: frame rate conversion, constant offset and reference-based linear fit
+
+const { parseSrt, serializeSrt } = require('./srtParser');
+
+// Exact values for the NTSC "drop" rates, so 23.976 really means 24000/1001
+const FRAME_RATES = {
+    '23.976': 24000 / 1001,
+    '23.98': 24000 / 1001,
+    '24': 24,
+    '25': 25,
+    '29.97': 30000 / 1001,
+    '30': 30,
+    '50': 50,
+    '59.94': 60000 / 1001,
+    '60': 60
+};
+
+// Known conversion factors a linear fit is snapped to, e.g. 25 -> 23.976 (PAL speed-up)
+const SNAP_TOLERANCE = 0.0015;
+const MIN_REFERENCE_CUES = 4;
+const ANCHOR_CUES = 5;
+
+function parseFrameRate(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const key = String(value).trim().toLowerCase();
+    if (key === 'ntsc') return FRAME_RATES['29.97'];
+    if (key === 'pal') return FRAME_RATES['25'];
+    if (key === 'film') return FRAME_RATES['23.976'];
+    if (FRAME_RATES[key]) return FRAME_RATES[key];
+
+    const numeric = parseFloat(key);
+    return !isNaN(numeric) && numeric > 0 && numeric <= 240 ? numeric : null;
+}
+
+// A subtitle timed against a source-fps release plays on a target-fps release at t * source / target
+function getFrameRateFactor(sourceFps, targetFps) {
+    const source = parseFrameRate(sourceFps);
+    const target = parseFrameRate(targetFps);
+    if (!source || !target) {
+        throw new Error(`Invalid frame rate conversion: ${sourceFps} -> ${targetFps}`);
+    }
+    return source / target;
+}
+
+// Snap a measured factor to the closest standard frame rate conversion, if it is close enough
+function snapToFrameRateFactor(factor) {
+    const rates = [...new Set(Object.values(FRAME_RATES))];
+    let best = null;
+
+    for (const source of rates) {
+        for (const target of rates) {
+            const candidate = source / target;
+            const error = Math.abs(candidate - factor) / candidate;
+            if (error <= SNAP_TOLERANCE && (!best || error < best.error)) {
+                best = { factor: candidate, sourceFps: source, targetFps: target, error };
+            }
+        }
+    }
+
+    return best;
+}
+
+// t' = t * factor + offsetMs, applied to both start and end so durations scale too
+function applyLinearTransform(cues, { factor = 1, offsetMs = 0 } = {}) {
+    return cues.map(cue => ({
+        ...cue,
+        start: Math.max(0, Math.round(cue.start * factor + offsetMs)),
+        end: Math.max(0, Math.round(cue.end * factor + offsetMs))
+    }));
+}
+
+function meanStart(cues) {
+    return cues.reduce((sum, cue) => sum + cue.start, 0) / cues.length;
+}
+
+// Fit a linear transform mapping cues onto reference cues using anchors at both ends of the file
+function deriveTransformFromReference(cues, referenceCues) {
+    if (cues.length < MIN_REFERENCE_CUES || referenceCues.length < MIN_REFERENCE_CUES) {
+        throw new Error(`Reference resync needs at least ${MIN_REFERENCE_CUES} cues in both files`);
+    }
+
+    const anchor = Math.min(ANCHOR_CUES, Math.floor(cues.length / 2), Math.floor(referenceCues.length / 2));
+    const x1 = meanStart(cues.slice(0, anchor));
+    const x2 = meanStart(cues.slice(-anchor));
+    const y1 = meanStart(referenceCues.slice(0, anchor));
+    const y2 = meanStart(referenceCues.slice(-anchor));
+
+    if (x2 - x1 <= 0 || y2 - y1 <= 0) {
+        throw new Error('Subtitle timing is not monotonic enough to derive a transform');
+    }
+
+    let factor = (y2 - y1) / (x2 - x1);
+    let method = 'linear-fit';
+    const snapped = snapToFrameRateFactor(factor);
+    if (snapped) {
+        factor = snapped.factor;
+        method = Math.abs(factor - 1) < 1e-9 ? 'offset' : 'frame-rate';
+    }
+
+    // Re-derive the offset with the (possibly snapped) factor from both anchors
+    const offsetMs = Math.round(((y1 - factor * x1) + (y2 - factor * x2)) / 2);
+
+    return {
+        factor,
+        offsetMs,
+        method,
+        sourceFps: snapped && method === 'frame-rate' ? Math.round(snapped.sourceFps * 1000) / 1000 : null,
+        targetFps: snapped && method === 'frame-rate' ? Math.round(snapped.targetFps * 1000) / 1000 : null
+    };
+}
+
+// Resync SRT content. Options: { sourceFps, targetFps, offsetMs } or { referenceContent, offsetMs }
+function resyncSrt(content, options = {}) {
+    const cues = parseSrt(content);
+    if (cues.length === 0) {
+        throw new Error('No subtitle cues to resync');
+    }
+
+    let transform;
+    if (options.referenceContent) {
+        transform = deriveTransformFromReference(cues, parseSrt(options.referenceContent));
+        transform.offsetMs += options.offsetMs || 0;
+    } else {
+        const factor = options.sourceFps || options.targetFps
+            ? getFrameRateFactor(options.sourceFps, options.targetFps)
+            : 1;
+        transform = { factor, offsetMs: options.offsetMs || 0, method: factor === 1 ? 'offset' : 'frame-rate' };
+    }
+
+    return {
+        content: serializeSrt(applyLinearTransform(cues, transform)),
+        transform
+    };
+}
+
+module.exports = {
+    FRAME_RATES,
+    parseFrameRate,
+    getFrameRateFactor,
+    snapToFrameRateFactor,
+    applyLinearTransform,
+    deriveTransformFromReference,
+    resyncSrt
+};
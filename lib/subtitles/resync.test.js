@@ -0,0 +1,88 @@
+// lib/subtitles/resync.test.js
+// Unit tests for the deterministic subtitle resync
+
+const { parseSrt, serializeSrt } = require('./srtParser');
+const { FRAME_RATES, parseFrameRate, getFrameRateFactor, snapToFrameRateFactor, deriveTransformFromReference, resyncSrt } = require('./resync');
+
+// A cue every 30 seconds over 50 minutes
+function buildCues(count = 100) {
+    return Array.from({ length: count }, (_, i) => ({
+        index: i + 1,
+        start: 5000 + i * 30000,
+        end: 7000 + i * 30000,
+        text: `Line ${i + 1}`
+    }));
+}
+
+describe('Subtitle resync', () => {
+    it('parses frame rates and their aliases', () => {
+        expect(parseFrameRate('23.976')).toBe(24000 / 1001);
+        expect(parseFrameRate('pal')).toBe(25);
+        expect(parseFrameRate(' NTSC ')).toBe(30000 / 1001);
+        expect(parseFrameRate('48')).toBe(48);
+        expect(parseFrameRate('fast')).toBeNull();
+        expect(parseFrameRate(0)).toBeNull();
+        expect(() => getFrameRateFactor('25', 'fast')).toThrow('Invalid frame rate conversion');
+    });
+
+    it('snaps a measured 25 -> 23.976 factor to the exact conversion', () => {
+        const exact = 25 / FRAME_RATES['23.976'];
+        const snapped = snapToFrameRateFactor(exact * 1.0004);
+
+        expect(snapped.factor).toBe(exact);
+        expect(snapped.sourceFps).toBe(25);
+        expect(snapped.targetFps).toBe(24000 / 1001);
+        expect(snapToFrameRateFactor(1.07)).toBeNull();
+    });
+
+    it('derives a PAL speed-up plus offset from a reference file', () => {
+        const cues = buildCues();
+        const factor = 25 / FRAME_RATES['23.976'];
+        // The reference is a few milliseconds off here and there, as real releases are
+        const reference = cues.map((cue, i) => ({
+            ...cue,
+            start: Math.round(cue.start * factor + 1200 + (i % 3) * 15),
+            end: Math.round(cue.end * factor + 1200 + (i % 3) * 15)
+        }));
+
+        const transform = deriveTransformFromReference(cues, reference);
+
+        expect(transform.method).toBe('frame-rate');
+        expect(transform.factor).toBe(factor);
+        expect(transform.sourceFps).toBe(25);
+        expect(transform.targetFps).toBe(23.976);
+        expect(Math.abs(transform.offsetMs - 1215)).toBeLessThanOrEqual(15);
+    });
+
+    it('reports a plain offset when the reference runs at the same speed', () => {
+        const cues = buildCues(10);
+        const reference = cues.map(cue => ({ ...cue, start: cue.start - 800, end: cue.end - 800 }));
+
+        expect(deriveTransformFromReference(cues, reference)).toMatchObject({ factor: 1, offsetMs: -800, method: 'offset' });
+    });
+
+    it('rejects references too short to fit', () => {
+        const cues = buildCues(3);
+        expect(() => deriveTransformFromReference(cues, cues)).toThrow('at least 4 cues');
+    });
+
+    it('converts SRT content between frame rates and applies an offset', () => {
+        const content = serializeSrt(buildCues(2));
+        const result = resyncSrt(content, { sourceFps: '25', targetFps: '23.976', offsetMs: 500 });
+        const cues = parseSrt(result.content);
+        const factor = 25 / FRAME_RATES['23.976'];
+
+        expect(result.transform.method).toBe('frame-rate');
+        expect(cues[1].start).toBe(Math.round(35000 * factor + 500));
+        expect(cues[1].end).toBe(Math.round(37000 * factor + 500));
+    });
+
+    it('never moves cues before zero', () => {
+        const result = resyncSrt(serializeSrt(buildCues(2)), { offsetMs: -6000 });
+        const cues = parseSrt(result.content);
+
+        expect(result.transform).toMatchObject({ factor: 1, method: 'offset' });
+        expect(cues[0].start).toBe(0);
+        expect(cues[0].end).toBe(1000);
+    });
+});
@@ -0,0 +1,83 @@
+// lib/subtitles/srtParser.js
+// SRT parsing and serialization on a shared cue model ({ index, start, end, text }, times in ms)
+
+const TIMESTAMP_PATTERN = /(\d{1,3}):(\d{1,2}):(\d{1,2})[,.](\d{1,3})/;
+const TIMING_LINE_PATTERN = /^\s*(\d{1,3}:\d{1,2}:\d{1,2}[,.]\d{1,3})\s*-->\s*(\d{1,3}:\d{1,2}:\d{1,2}[,.]\d{1,3})/;
+
+// "00:01:02,500" -> 62500
+function parseTimestamp(value) {
+    const match = TIMESTAMP_PATTERN.exec(value || '');
+    if (!match) return null;
+
+    const [, hours, minutes, seconds, millis] = match;
+    return (parseInt(hours, 10) * 3600000) +
+           (parseInt(minutes, 10) * 60000) +
+           (parseInt(seconds, 10) * 1000) +
+           parseInt(millis.padEnd(3, '0'), 10);
+}
+
+// 62500 -> "00:01:02,500" (negative values are clamped to zero)
+function formatTimestamp(ms, separator = ',') {
+    const total = Math.max(0, Math.round(ms));
+    const hours = Math.floor(total / 3600000);
+    const minutes = Math.floor((total % 3600000) / 60000);
+    const seconds = Math.floor((total % 60000) / 1000);
+    const millis = total % 1000;
+
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}${separator}${String(millis).padStart(3, '0')}`;
+}
+
+function normalizeNewlines(content) {
+    return String(content || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+}
+
+// Parse SRT content and also report blocks that could not be understood
+function parseSrtWithDiagnostics(content) {
+    const blocks = normalizeNewlines(content).split(/\n\s*\n/);
+    const cues = [];
+    const malformedBlocks = [];
+
+    blocks.forEach((block, blockNumber) => {
+        const lines = block.split('\n');
+        if (lines.every(line => line.trim() === '')) return;
+
+        const timingLineIndex = lines.findIndex(line => TIMING_LINE_PATTERN.test(line));
+        if (timingLineIndex === -1) {
+            malformedBlocks.push({ block: blockNumber, reason: 'missing timing line', content: block.substring(0, 200) });
+            return;
+        }
+
+        // Anything before the timing line should be the sequence number
+        const declaredIndex = timingLineIndex > 0 ? parseInt(lines[timingLineIndex - 1].trim(), 10) : NaN;
+        const timing = TIMING_LINE_PATTERN.exec(lines[timingLineIndex]);
+
+        cues.push({
+            index: isNaN(declaredIndex) ? null : declaredIndex,
+            start: parseTimestamp(timing[1]),
+            end: parseTimestamp(timing[2]),
+            text: lines.slice(timingLineIndex + 1).join('\n').trim()
+        });
+    });
+
+    return { cues, malformedBlocks };
+}
+
+function parseSrt(content) {
+    return parseSrtWithDiagnostics(content).cues;
+}
+
+// Serialize cues back to SRT, renumbering from 1
+function serializeSrt(cues) {
+    return cues.map((cue, i) =>
+        `${i + 1}\n${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}\n${cue.text}`
+    ).join('\n\n') + '\n';
+}
+
+module.exports = {
+    parseTimestamp,
+    formatTimestamp,
+    normalizeNewlines,
+    parseSrt,
+    parseSrtWithDiagnostics,
+    serializeSrt
+};
@@ -0,0 +1,117 @@
+// lib/subtitles/subtitleRanking.js
+// Ranking score of subtitle search results: popularity, format, and how well the release matches the video
+
+const { parseReleaseName, compareReleases } = require('./releaseParser');
+const { matchesLanguage } = require('../languageSupport');
+
+// Detect subtitle format from file extension or URL
+function detectSubtitleFormat(formatOrUrl) {
+    const input = (formatOrUrl || '').toLowerCase();
+    
+    if (input.includes('.srt') || input === 'srt') return 'srt';
+    if (input.includes('.ass') || input === 'ass') return 'ass';
+    if (input.includes('.ssa') || input === 'ssa') return 'ssa';
+    if (input.includes('.vtt') || input === 'vtt') return 'vtt';
+    if (input.includes('.sub') || input === 'sub') return 'sub';
+    if (input.includes('.idx') || input === 'idx') return 'idx';
+    
+    return 'srt'; // Default
+}
+
+// Check if format is compressed
+function isCompressedFormat(formatOrUrl) {
+    const input = (formatOrUrl || '').toLowerCase();
+    
+    return input.includes('.zip') || 
+           input.includes('.rar') || 
+           input.includes('.gz') || 
+           input.includes('.7z') ||
+           input.includes('compressed');
+}
+
+// Enhanced subtitle scoring with format, compression and release-name considerations
+// releaseName is the video file name when known (e.g. Stremio's extra.filename)
+function calculateEnhancedSubtitleScore(subtitle, videoId, infoHash, releaseName = null) {
+    let score = 0;
+    
+    // Base score
+    score += 100;
+    
+    // Downloads factor (more weight for popular subtitles)
+    score += Math.min(subtitle.downloads * 3, 300);
+    
+    // Rating factor
+    score += subtitle.rating * 25;
+    
+    // Hearing impaired penalty
+    if (subtitle.hi) score -= 50;
+    
+    // Format bonuses
+    switch (subtitle.format) {
+        case 'srt':
+            score += 30; // SRT is most compatible
+            break;
+        case 'ass':
+        case 'ssa':
+            score += 20; // ASS/SSA has formatting but can be converted
+            break;
+        case 'vtt':
+            score += 15; // VTT is web-friendly
+            break;
+        default:
+            score += 5; // Other formats
+    }
+    
+    // Compression considerations
+    if (subtitle.compressed) {
+        score += 10; // Compressed files often have better quality
+    }
+    // Bonus for uncompressed SRT (reliability)
+    if (subtitle.format === 'srt' && !subtitle.compressed) {
+        score += 5; // Bonus for uncompressed SRT
+    }
+    
+    // File size considerations (larger files often have better quality)
+    if (subtitle.fileSize > 0) {
+        if (subtitle.fileSize > 50000) score += 15; // Large files (>50KB)
+        else if (subtitle.fileSize > 20000) score += 10; // Medium files (>20KB)
+        else if (subtitle.fileSize > 5000) score += 5; // Small files (>5KB)
+    }
+    
+    // Hash matching bonus (very high priority)
+    if (infoHash && subtitle.title?.toLowerCase().includes(infoHash.substring(0, 8))) {
+        score += 400; // Increased bonus for hash match
+    }
+    
+    // IMDb ID matching bonus
+    if (videoId?.startsWith('tt') && subtitle.title?.includes(videoId.replace('tt', ''))) {
+        score += 250; // Increased bonus for IMDb match
+    }
+    
+    // Release similarity: a subtitle made for the same release is the best predictor of sync
+    const subtitleRelease = parseReleaseName(subtitle.title || '');
+    if (releaseName) {
+        const releaseMatch = compareReleases(parseReleaseName(releaseName), subtitleRelease);
+        subtitle.releaseMatch = releaseMatch.score;
+        score += releaseMatch.score * 5; // Up to 500, above a hash-in-title match
+    } else {
+        // Without a file name, prefer subtitles whose release can at least be identified
+        for (const field of ['source', 'resolution', 'codec', 'group']) {
+            if (subtitleRelease[field]) score += 12;
+        }
+    }
+    
+    // Language match bonus: the release name names the requested language (e.g. "Movie.2021.TR", "... Türkçe")
+    const language = subtitle.language || subtitle.lang;
+    if (language && matchesLanguage(subtitle.title, language)) {
+        score += 20;
+    }
+    
+    return Math.max(0, score);
+}
+
+module.exports = {
+    detectSubtitleFormat,
+    isCompressedFormat,
+    calculateEnhancedSubtitleScore
+};
@@ -0,0 +1,239 @@
+// lib/torboxClient.js
+// TorBox client with the same surface as the Real-Debrid and AllDebrid clients
+
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const { matchesEpisode, matchesRequestedEpisode } = require('./realDebridSearch');
+
+const VIDEO_EXTENSIONS = ['mp4', 'mkv', 'avi', 'mov', 'wmv', 'flv', 'webm', 'm4v', 'ts', 'm2ts'];
+// TorBox plan ids from /user/me
+const PLAN_NAMES = { 0: 'Free', 1: 'Essential', 2: 'Pro', 3: 'Standard' };
+
+// TorBox only accepts multipart bodies for uploads; build one by hand for plain text fields
+function buildMultipartBody(fields) {
+  const boundary = `----torbox${crypto.randomBytes(12).toString('hex')}`;
+  const parts = Object.entries(fields)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => `--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`);
+  return {
+    body: `${parts.join('')}--${boundary}--\r\n`,
+    contentType: `multipart/form-data; boundary=${boundary}`
+  };
+}
+
+class TorBoxClient {
+  constructor(token, userIP = null) {
+    this.token = token;
+    this.userIP = userIP;
+    this.baseURL = 'https://api.torbox.app/v1/api';
+    this.headers = {
+      'Authorization': `Bearer ${token}`,
+      'User-Agent': 'vlsub-opensubtitles-com/1.0.0'
+    };
+    this.timeout = 15000;
+  }
+
+  // TorBox wraps every answer in { success, detail, data }
+  async makeRequest(method, path, fields = null, options = {}) {
+    const { maxRetries = 2, json = false } = options;
+    const requestOptions = { method, headers: { ...this.headers }, timeout: this.timeout };
+    if (fields && json) {
+      requestOptions.body = JSON.stringify(fields);
+      requestOptions.headers['Content-Type'] = 'application/json';
+    } else if (fields) {
+      const { body, contentType } = buildMultipartBody(fields);
+      requestOptions.body = body;
+      requestOptions.headers['Content-Type'] = contentType;
+    }
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        const response = await fetch(`${this.baseURL}${path}`, requestOptions);
+        const data = await response.json().catch(() => null);
+        if (!response.ok || !data || data.success === false) {
+          throw new Error(`TorBox API error: ${(data && (data.detail || data.error)) || `${response.status} - ${response.statusText}`}`);
+        }
+        return data.data;
+      } catch (error) {
+        if (attempt === maxRetries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }
+
+  isVideoFile(name) {
+    return VIDEO_EXTENSIONS.includes(String(name || '').split('.').pop().toLowerCase());
+  }
+
+  // Cache check in the Real-Debrid result shape: { hash: { available, files, videoFiles } }
+  async getInstantAvailability(hashes, options = {}) {
+    const { batchSize = 100 } = options;
+    const validHashes = (hashes || []).map(hash => String(hash).toLowerCase()).filter(hash => /^[a-f0-9]{40}$/.test(hash));
+    const results = {};
+
+    for (let i = 0; i < validHashes.length; i += batchSize) {
+      const batch = validHashes.slice(i, i + batchSize);
+      try {
+        const data = await this.makeRequest('GET', `/torrents/checkcached?hash=${batch.join(',')}&format=object&list_files=true`);
+        for (const [hash, entry] of Object.entries(data || {})) {
+          const files = (entry.files || []).map(file => ({ filename: file.name, filesize: file.size || 0 }));
+          results[hash.toLowerCase()] = {
+            available: true,
+            files,
+            videoFiles: files.filter(file => this.isVideoFile(file.filename))
+          };
+        }
+      } catch (error) {
+        console.error('[TorBox] Cache check error:', error.message);
+      }
+    }
+
+    return results;
+  }
+
+  async addMagnetLink(magnetLink) {
+    return this.makeRequest('POST', '/torrents/createtorrent', { magnet: magnetLink });
+  }
+
+  async getTorrentList() {
+    return (await this.makeRequest('GET', '/torrents/mylist?bypass_cache=true')) || [];
+  }
+
+  async deleteTorrent(torrentId) {
+    return this.makeRequest('POST', '/torrents/controltorrent', { torrent_id: torrentId, operation: 'delete' }, { json: true });
+  }
+
+  async getTorrentInfo(torrentId) {
+    return this.makeRequest('GET', `/torrents/mylist?bypass_cache=true&id=${torrentId}`);
+  }
+
+  async getAvailableTorrent(infoHash) {
+    const torrents = await this.getTorrentList();
+    return torrents.find(torrent => (torrent.hash || '').toLowerCase() === infoHash.toLowerCase()) || null;
+  }
+
+  async waitForTorrentReady(torrentId, maxWaitTime = 30000) {
+    const startTime = Date.now();
+
+    while (Date.now() - startTime < maxWaitTime) {
+      const torrent = await this.getTorrentInfo(torrentId);
+      if (torrent && torrent.download_finished && torrent.download_present !== false) {
+        return torrent;
+      }
+      if (torrent && /error|failed|stalled/i.test(torrent.download_state || '')) {
+        throw new Error(`TorBox torrent failed with state: ${torrent.download_state}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+
+    throw new Error('TorBox torrent processing timeout');
+  }
+
+  // TorBox download links are per torrent file rather than an unrestricted hoster link
+  async unrestrictLink(torrentId, fileId) {
+    const query = new URLSearchParams({ token: this.token, torrent_id: torrentId, file_id: fileId });
+    if (this.userIP) query.append('user_ip', this.userIP);
+    const link = await this.makeRequest('GET', `/torrents/requestdl?${query.toString()}`);
+    return link ? { download: link } : null;
+  }
+
+  // Returns the chosen entry of torrentInfo.files ({ id, name, size })
+  selectFileFromTorrent(torrentInfo, filename, season, episode) {
+    const videoFiles = (torrentInfo.files || []).filter(file => this.isVideoFile(file.name));
+    if (videoFiles.length === 0) {
+      throw new Error('No video files found in torrent');
+    }
+    const largest = files => files.reduce((prev, current) => (current.size > prev.size ? current : prev));
+
+    if (season && episode) {
+      const episodeFiles = videoFiles.filter(file => matchesEpisode(file.name, season, episode));
+      if (episodeFiles.length > 0) return largest(episodeFiles);
+      throw new Error(`S${season}E${episode} not found in torrent`);
+    }
+
+    if (filename) {
+      const exactMatch = videoFiles.find(file => file.name.toLowerCase().includes(filename.toLowerCase()));
+      if (exactMatch) return exactMatch;
+    }
+
+    return largest(videoFiles);
+  }
+
+  async createStreamingURL(infoHash, magnetLink, filename, season, episode) {
+    return this.resolveFile(infoHash, magnetLink, null, { filename, season, episode });
+  }
+
+  // fileIdx is the TorBox file id within the torrent (null picks by episode/filename)
+  async resolveFile(infoHash, magnetLink, fileIdx = null, options = {}) {
+    const { filename = null, season = null, episode = null } = options;
+    let torrent = await this.getAvailableTorrent(infoHash);
+    const addedTorrent = !torrent;
+    if (!torrent) {
+      const created = await this.addMagnetLink(magnetLink || `magnet:?xt=urn:btih:${infoHash}`);
+      if (!created || !created.torrent_id) {
+        throw new Error('Failed to add magnet to TorBox');
+      }
+      torrent = { id: created.torrent_id };
+    }
+
+    try {
+      const readyTorrent = torrent.download_finished ? torrent : await this.waitForTorrentReady(torrent.id);
+      const selected = (Number.isInteger(fileIdx) && (readyTorrent.files || []).find(file => file.id === fileIdx)) ||
+        this.selectFileFromTorrent(readyTorrent, filename, season, episode);
+      const download = await this.unrestrictLink(readyTorrent.id, selected.id);
+      if (!download) {
+        throw new Error('Failed to create TorBox download link');
+      }
+
+      return {
+        url: download.download,
+        filename: selected.short_name || selected.name.split('/').pop(),
+        filesize: selected.size,
+        mimeType: selected.mimetype || null,
+        torrentId: readyTorrent.id,
+        addedTorrent
+      };
+    } catch (error) {
+      // Keep the new torrent's id on the error for housekeeping
+      if (addedTorrent) {
+        Object.assign(error, { torrentId: torrent.id, addedTorrent });
+      }
+      throw error;
+    }
+  }
+
+  // options: { season, episode } keep only that episode or packs containing its season (series only)
+  async searchCachedContent(query, type = 'movie', options = {}) {
+    try {
+      const torrents = await this.getTorrentList();
+      return torrents
+        .filter(torrent => torrent.download_finished && (torrent.name || '').toLowerCase().includes(query.toLowerCase()))
+        .filter(torrent => matchesRequestedEpisode(torrent.name || '', type, options))
+        .map(torrent => ({
+          id: torrent.id,
+          hash: torrent.hash,
+          filename: torrent.name,
+          size: torrent.size,
+          type: 'torrent',
+          cached: true
+        }));
+    } catch (error) {
+      console.error('TorBox searchCachedContent error:', error);
+      return [];
+    }
+  }
+
+  async getAccountInfo() {
+    const user = await this.makeRequest('GET', '/user/me');
+    return {
+      username: user.email,
+      email: user.email,
+      premium: user.plan > 0,
+      plan: PLAN_NAMES[user.plan] || String(user.plan),
+      expiration: user.premium_expires_at || null,
+      provider: 'TorBox'
+    };
+  }
+}
+
+module.exports = { TorBoxClient };
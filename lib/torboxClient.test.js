@@ -0,0 +1,108 @@
+// lib/torboxClient.test.js
+// Unit tests for the TorBox client against stubbed API responses
+
+jest.mock('node-fetch', () => jest.fn());
+
+const fetch = require('node-fetch');
+const { TorBoxClient } = require('./torboxClient');
+
+const INFO_HASH = 'abcdef0123456789abcdef0123456789abcdef01';
+
+// Answer each request with the route matching 'METHOD /path'; TorBox wraps data in { success, data }
+function stubApi(routes) {
+    fetch.mockImplementation(async (url, options) => {
+        const { pathname } = new URL(url);
+        const route = `${options.method} ${pathname.replace('/v1/api', '')}`;
+        if (!(route in routes)) throw new Error(`Unexpected request ${route}`);
+        const body = typeof routes[route] === 'function' ? routes[route](url, options) : { success: true, data: routes[route] };
+        return { ok: body.success !== false, status: body.success === false ? 400 : 200, statusText: 'OK', json: async () => body };
+    });
+}
+
+const READY_PACK = {
+    id: 42,
+    hash: INFO_HASH,
+    download_finished: true,
+    files: [
+        { id: 0, name: 'Show.S01/Show.S01E01.1080p.mkv', short_name: 'Show.S01E01.1080p.mkv', size: 900 },
+        { id: 1, name: 'Show.S01/Show.S01E02.1080p.mkv', short_name: 'Show.S01E02.1080p.mkv', size: 950, mimetype: 'video/x-matroska' }
+    ]
+};
+
+describe('TorBox client', () => {
+    afterEach(() => fetch.mockReset());
+
+    it('reports cached hashes in the Real-Debrid availability shape', async () => {
+        stubApi({
+            'GET /torrents/checkcached': {
+                [INFO_HASH.toUpperCase()]: { name: 'Movie', files: [{ name: 'Movie/Movie.mkv', size: 10 }, { name: 'Movie/info.nfo', size: 1 }] }
+            }
+        });
+
+        const availability = await new TorBoxClient('TBKEY').getInstantAvailability([INFO_HASH]);
+
+        expect(availability[INFO_HASH]).toEqual({
+            available: true,
+            files: [{ filename: 'Movie/Movie.mkv', filesize: 10 }, { filename: 'Movie/info.nfo', filesize: 1 }],
+            videoFiles: [{ filename: 'Movie/Movie.mkv', filesize: 10 }]
+        });
+    });
+
+    it('turns an unsuccessful answer into an exception', async () => {
+        stubApi({ 'GET /user/me': () => ({ success: false, detail: 'Invalid API token.' }) });
+
+        await expect(new TorBoxClient('TBKEY').makeRequest('GET', '/user/me', null, { maxRetries: 1 }))
+            .rejects.toThrow('TorBox API error: Invalid API token.');
+    });
+
+    it('plays the requested episode from a pack already on the account', async () => {
+        stubApi({
+            'GET /torrents/mylist': [READY_PACK],
+            'GET /torrents/requestdl': url => {
+                expect(new URL(url).searchParams.get('file_id')).toBe('1');
+                return { success: true, data: 'https://tb/dl/42/1' };
+            }
+        });
+
+        const result = await new TorBoxClient('TBKEY').resolveFile(INFO_HASH, null, null, { season: 1, episode: 2 });
+
+        expect(result).toEqual({
+            url: 'https://tb/dl/42/1',
+            filename: 'Show.S01E02.1080p.mkv',
+            filesize: 950,
+            mimeType: 'video/x-matroska',
+            torrentId: 42,
+            addedTorrent: false
+        });
+    });
+
+    it('adds the magnet as a multipart form and marks the torrent as added', async () => {
+        let added = false;
+        stubApi({
+            'GET /torrents/mylist': url => ({ success: true, data: new URL(url).searchParams.get('id') ? READY_PACK : (added ? [READY_PACK] : []) }),
+            'POST /torrents/createtorrent': (url, options) => {
+                expect(options.headers['Content-Type']).toMatch(/^multipart\/form-data; boundary=/);
+                expect(options.body).toContain(`name="magnet"\r\n\r\nmagnet:?xt=urn:btih:${INFO_HASH}\r\n`);
+                added = true;
+                return { success: true, data: { torrent_id: 42 } };
+            },
+            'GET /torrents/requestdl': 'https://tb/dl/42/0'
+        });
+
+        const result = await new TorBoxClient('TBKEY').resolveFile(INFO_HASH, null, 0);
+
+        expect(result).toMatchObject({ url: 'https://tb/dl/42/0', torrentId: 42, addedTorrent: true });
+    });
+
+    it('hands the torrent it added to housekeeping when no episode matches', async () => {
+        stubApi({
+            'GET /torrents/mylist': url => ({ success: true, data: new URL(url).searchParams.get('id') ? READY_PACK : [] }),
+            'POST /torrents/createtorrent': { torrent_id: 42 }
+        });
+
+        const error = await new TorBoxClient('TBKEY').resolveFile(INFO_HASH, null, null, { season: 1, episode: 5 }).catch(caught => caught);
+
+        expect(error.message).toBe('S1E5 not found in torrent');
+        expect(error).toMatchObject({ torrentId: 42, addedTorrent: true });
+    });
+});
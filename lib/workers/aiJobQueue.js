@@ -0,0 +1,234 @@
+// lib/workers/aiJobQueue.js
+// Durable AI job queue on the ai_processing_queue table: leases, retries with exponential backoff, dead-lettering
+
+const EventEmitter = require('events');
+
+class AIJobQueue extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.database = options.database || null;
+        this.handler = options.handler || null;
+        this.concurrency = options.concurrency || 1;
+        this.maxAttempts = options.maxAttempts || 3;
+        // A job still running when its lease ends is aborted and failed here, and reclaimed by the next lease
+        this.leaseSeconds = options.leaseSeconds || 300;
+        this.retryBaseSeconds = options.retryBaseSeconds || 30;
+        this.retryMaxSeconds = options.retryMaxSeconds || 60 * 60;
+        this.pollIntervalMs = options.pollIntervalMs || 5000;
+
+        this.running = new Map();
+        this.timer = null;
+        this.polling = false;
+    }
+
+    isReady() {
+        return !!this.database && this.database.isInitialized;
+    }
+
+    // job: { jobKey, jobType, videoId, provider, language, content, options, priority, maxAttempts }
+    // Returns { id, status, created }; an existing job with the same key is returned instead of a duplicate
+    async enqueue(job) {
+        if (!this.isReady()) {
+            console.warn(`[AIJobQueue] Database not ready, dropping job ${job.jobKey || job.videoId}`);
+            return null;
+        }
+
+        const result = await this.database.enqueueAIJob({ maxAttempts: this.maxAttempts, ...job });
+        if (result && result.created) {
+            console.log(`[AIJobQueue] Queued job ${result.id} (${job.jobKey || job.videoId})`);
+            this.emit('jobQueued', result);
+            this.poll();
+        }
+        return result;
+    }
+
+    async getJob(jobKey) {
+        return this.isReady() ? this.database.getAIJobByKey(jobKey) : null;
+    }
+
+    async getJobById(id) {
+        return this.isReady() ? this.database.getAIJob(id) : null;
+    }
+
+    async listJobs(options = {}) {
+        if (!this.isReady()) {
+            return { counts: {}, jobs: [] };
+        }
+        const [counts, jobs] = await Promise.all([
+            this.database.getAIJobCounts(),
+            this.database.getAIJobs(options)
+        ]);
+        return { counts, jobs };
+    }
+
+    // A running job keeps its worker until it ends, but its result is discarded
+    async cancel(id) {
+        if (!this.isReady()) return false;
+        const cancelled = await this.database.cancelAIJob(id);
+        if (cancelled) {
+            console.log(`[AIJobQueue] Cancelled job ${id}`);
+            this.emit('jobCancelled', { id });
+        }
+        return cancelled;
+    }
+
+    async retry(id) {
+        if (!this.isReady()) return false;
+        const requeued = await this.database.retryAIJob(id);
+        if (requeued) {
+            console.log(`[AIJobQueue] Job ${id} requeued`);
+            this.poll();
+        }
+        return requeued;
+    }
+
+    // Names and terms shared by the translations of one title (a series or a movie) into one language
+    async getTranslationGlossary(videoId, language) {
+        return this.isReady() ? this.database.getTranslationGlossary(videoId, language) : {};
+    }
+
+    async saveTranslationGlossary(videoId, language, glossary) {
+        if (!this.isReady() || !glossary || Object.keys(glossary).length === 0) return 0;
+        return this.database.saveTranslationGlossary(videoId, language, glossary);
+    }
+
+    async recordPromptEvaluation(evaluation) {
+        return this.isReady() ? this.database.recordPromptEvaluation(evaluation) : false;
+    }
+
+    async getPromptEvaluationSummary(options = {}) {
+        return this.isReady() ? this.database.getPromptEvaluationSummary(options) : [];
+    }
+
+    // handler(job, signal) resolves with the enhanced subtitle content for a leased job row, or { content, report }.
+    // signal is an AbortSignal that fires when the lease runs out; the handler should stop starting AI calls then.
+    start(handler = null, options = {}) {
+        this.handler = handler || this.handler;
+        this.concurrency = options.concurrency || this.concurrency;
+        if (this.timer) return;
+
+        this.timer = setInterval(() => this.poll(), this.pollIntervalMs);
+        if (this.timer.unref) this.timer.unref();
+        console.log(`[AIJobQueue] Consuming jobs with concurrency ${this.concurrency}`);
+        this.poll();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Lease due jobs until every slot is busy
+    async poll() {
+        if (this.polling || !this.timer || !this.handler || !this.isReady()) return;
+        this.polling = true;
+        try {
+            while (this.running.size < this.concurrency) {
+                const job = await this.database.leaseAIJob(this.leaseSeconds);
+                if (!job) break;
+
+                const run = this.runJob(job).finally(() => {
+                    this.running.delete(job.id);
+                    this.poll();
+                });
+                this.running.set(job.id, run);
+            }
+        } catch (error) {
+            console.error('[AIJobQueue] Poll error:', error);
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    getRetryDelaySeconds(attempts) {
+        return Math.min(this.retryMaxSeconds, this.retryBaseSeconds * 2 ** Math.max(0, attempts - 1));
+    }
+
+    // The slot stays busy until the handler settles, even after the lease ran out, so the job is only failed (and
+    // can be retried) once its AI calls are over and never runs more jobs at once than the concurrency allows
+    async runJob(job) {
+        const startTime = Date.now();
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => {
+            controller.abort(new Error(`Job did not finish within its ${this.leaseSeconds}s lease`));
+        }, this.leaseSeconds * 1000);
+
+        try {
+            console.log(`[AIJobQueue] Running job ${job.id} (attempt ${job.attempts}/${job.max_attempts})`);
+            const output = await this.handler(job, controller.signal);
+            if (controller.signal.aborted) {
+                throw controller.signal.reason;
+            }
+            const { content, report = null } = typeof output === 'string' ? { content: output } : (output || {});
+            if (typeof content !== 'string' || !content.trim()) {
+                throw new Error('Job produced no subtitle content');
+            }
+
+            const processingTime = Date.now() - startTime;
+            if (await this.database.completeAIJob(job.id, content, report)) {
+                console.log(`[AIJobQueue] Job ${job.id} completed in ${processingTime}ms`);
+                this.emit('jobCompleted', { id: job.id, jobKey: job.job_key, processingTime });
+            } else {
+                console.log(`[AIJobQueue] Job ${job.id} finished after it was cancelled, result discarded`);
+            }
+        } catch (error) {
+            // Handlers set retryAfterSeconds when the job cannot run yet (budget exhausted); that is not a failure
+            if (error.retryAfterSeconds) {
+                if (await this.database.deferAIJob(job.id, error.message, error.retryAfterSeconds)) {
+                    console.log(`[AIJobQueue] Job ${job.id} deferred for ${error.retryAfterSeconds}s: ${error.message}`);
+                    this.emit('jobDeferred', { id: job.id, jobKey: job.job_key, reason: error.message, retryAfterSeconds: error.retryAfterSeconds });
+                }
+                return;
+            }
+
+            const retryDelay = this.getRetryDelaySeconds(job.attempts);
+            const updated = await this.database.failAIJob(job.id, error.message, retryDelay);
+            if (updated && updated.status === 'dead') {
+                console.error(`[AIJobQueue] Job ${job.id} dead after ${updated.attempts} attempt(s): ${error.message}`);
+                this.emit('jobDead', { id: job.id, jobKey: job.job_key, error: error.message });
+            } else if (updated && updated.status === 'pending') {
+                console.warn(`[AIJobQueue] Job ${job.id} failed (${error.message}), retrying in ${retryDelay}s`);
+                this.emit('jobFailed', { id: job.id, jobKey: job.job_key, error: error.message, retryDelay });
+            }
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    getSettings() {
+        return {
+            consuming: !!this.timer,
+            concurrency: this.concurrency,
+            running: this.running.size,
+            maxAttempts: this.maxAttempts,
+            leaseSeconds: this.leaseSeconds,
+            retryBaseSeconds: this.retryBaseSeconds,
+            retryMaxSeconds: this.retryMaxSeconds
+        };
+    }
+}
+
+// Server-wide instance configured from the environment
+const aiJobQueue = new AIJobQueue();
+
+// config: { maxAttempts, leaseSeconds, retryBaseSeconds, retryMaxSeconds, pollIntervalMs }; options: { database }
+function initializeAIJobQueue(config = {}, options = {}) {
+    Object.assign(aiJobQueue, {
+        database: options.database || aiJobQueue.database,
+        maxAttempts: config.maxAttempts || aiJobQueue.maxAttempts,
+        leaseSeconds: config.leaseSeconds || aiJobQueue.leaseSeconds,
+        retryBaseSeconds: config.retryBaseSeconds || aiJobQueue.retryBaseSeconds,
+        retryMaxSeconds: config.retryMaxSeconds || aiJobQueue.retryMaxSeconds,
+        pollIntervalMs: config.pollIntervalMs || aiJobQueue.pollIntervalMs
+    });
+    return aiJobQueue;
+}
+
+module.exports = {
+    AIJobQueue,
+    aiJobQueue,
+    initializeAIJobQueue
+};
@@ -0,0 +1,118 @@
+// lib/workers/aiJobQueue.test.js
+// Unit tests for the durable AI job queue against an in-memory sql.js database
+
+const { once } = require('events');
+const os = require('os');
+const path = require('path');
+const SubtitleDatabase = require('../database/subtitleDatabase');
+const { AIJobQueue } = require('./aiJobQueue');
+
+// A database that is never written to disk and runs no maintenance timers
+async function createDatabase() {
+    jest.spyOn(SubtitleDatabase.prototype, 'saveDatabase').mockImplementation(() => {});
+    jest.spyOn(SubtitleDatabase.prototype, 'startMaintenanceTasks').mockImplementation(() => {});
+    const database = new SubtitleDatabase({ dbPath: path.join(os.tmpdir(), `ai-job-queue-${process.pid}-missing.db`) });
+    await once(database, 'initialized');
+    return database;
+}
+
+const JOB = { videoId: 'tt0111161', provider: 'openai', language: 'en', content: '1\n00:00:01,000 --> 00:00:02,000\nHi\n' };
+
+describe('AIJobQueue', () => {
+    let database;
+    let queue;
+
+    beforeEach(async () => {
+        ['log', 'warn', 'error'].forEach(level => jest.spyOn(console, level).mockImplementation(() => {}));
+        database = await createDatabase();
+        queue = new AIJobQueue({ database, retryBaseSeconds: 30, retryMaxSeconds: 100 });
+    });
+
+    afterEach(() => {
+        queue.stop();
+        database.db.close();
+        jest.restoreAllMocks();
+    });
+
+    it('backs retries off exponentially up to the maximum', () => {
+        expect([1, 2, 3, 4].map(attempts => queue.getRetryDelaySeconds(attempts))).toEqual([30, 60, 100, 100]);
+    });
+
+    it('completes a job with the handler output', async () => {
+        const { id } = await queue.enqueue({ ...JOB, jobKey: 'done' });
+        const completed = once(queue, 'jobCompleted');
+
+        queue.start(async job => ({ content: `${job.original_content}fixed`, report: { changed: 1 } }));
+        await completed;
+
+        expect(await database.getAIJob(id)).toMatchObject({
+            status: 'completed', result_content: `${JOB.content}fixed`, result_report: { changed: 1 }
+        });
+    });
+
+    it('puts a failed job back with a backoff, then dead-letters it', async () => {
+        queue.maxAttempts = 2;
+        const { id } = await queue.enqueue({ ...JOB, jobKey: 'broken' });
+        const handler = jest.fn(async () => { throw new Error('Provider timed out'); });
+        const failed = once(queue, 'jobFailed');
+
+        queue.start(handler);
+        const [failure] = await failed;
+
+        expect(failure).toEqual({ id, jobKey: 'broken', error: 'Provider timed out', retryDelay: 30 });
+        expect(await database.getAIJob(id)).toMatchObject({ status: 'pending', attempts: 1 });
+
+        const dead = once(queue, 'jobDead');
+        database.db.run("UPDATE ai_processing_queue SET next_attempt_at = datetime('now', '-1 seconds') WHERE id = ?", [id]);
+        queue.poll();
+        await dead;
+
+        expect(handler).toHaveBeenCalledTimes(2);
+        expect(await database.getAIJob(id)).toMatchObject({ status: 'dead', attempts: 2, error_message: 'Provider timed out' });
+    });
+
+    it('defers a job whose handler asks to wait, without using up an attempt', async () => {
+        const { id } = await queue.enqueue({ ...JOB, jobKey: 'budget' });
+        const deferred = once(queue, 'jobDeferred');
+
+        queue.start(async () => {
+            throw Object.assign(new Error('Daily AI budget exhausted'), { retryAfterSeconds: 600 });
+        });
+        const [deferral] = await deferred;
+
+        expect(deferral).toMatchObject({ id, retryAfterSeconds: 600 });
+        expect(await database.getAIJob(id)).toMatchObject({ status: 'pending', attempts: 0 });
+    });
+
+    it('aborts a job that outlives its lease and keeps its slot until the handler settles', async () => {
+        queue.leaseSeconds = 0.05;
+        const first = await queue.enqueue({ ...JOB, jobKey: 'slow' });
+        await queue.enqueue({ ...JOB, jobKey: 'next' });
+        let release;
+        const handler = jest.fn((job, signal) => {
+            if (job.job_key === 'next') return Promise.resolve('next done');
+            return new Promise(resolve => {
+                release = resolve;
+                signal.addEventListener('abort', () => queue.emit('testAborted', signal.reason));
+            });
+        });
+        const aborted = once(queue, 'testAborted');
+
+        queue.start(handler);
+        const [reason] = await aborted;
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(reason.message).toBe('Job did not finish within its 0.05s lease');
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(queue.running.has(first.id)).toBe(true);
+
+        const failed = once(queue, 'jobFailed');
+        const completed = once(queue, 'jobCompleted');
+        release('late result');
+        const [[failure]] = await Promise.all([failed, completed]);
+
+        expect(failure).toMatchObject({ id: first.id, error: reason.message });
+        expect(await database.getAIJob(first.id)).toMatchObject({ status: 'pending', result_content: null });
+        expect(handler).toHaveBeenCalledTimes(2);
+    });
+});
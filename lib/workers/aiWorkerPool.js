@@ -4,6 +4,14 @@
 const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
 const path = require('path');
 const EventEmitter = require('events');
+const { parseSrt, serializeSrt } = require('../subtitles/srtParser');
+const { convertSubtitle } = require('../subtitles/formats');
+const { splitCueWindows, verifyCorrectedChunk, stitchCueWindows } = require('../subtitles/cueWindows');
+const { validateAIOutput } = require('../subtitles/aiOutputValidator');
+const { mergeGlossaries } = require('../subtitles/cueTranslation');
+const { scoreCorrection } = require('../subtitles/qualityAnalyzer');
+const { promptTemplates, initializePromptTemplates } = require('../ai/promptTemplates');
+const { PROMPT_EVALUATION_JOB } = require('../ai/promptEvaluation');
 
 class AIWorkerPool extends EventEmitter {
     constructor(options = {}) {
@@ -14,7 +22,18 @@ class AIWorkerPool extends EventEmitter {
         this.queue = [];
         this.activeJobs = new Map();
         this.workerStats = new Map();
+        this.jobQueue = null;
         this.isShuttingDown = false;
+        // AIUsageTracker: records the tokens each job used and decides when the AI budget is exhausted
+        this.usageTracker = options.usageTracker || null;
+        
+        // Templates are resolved here (see withPromptTemplate) and rendered in the workers, so both load the same set
+        initializePromptTemplates(require('../../config').aiPrompts);
+        
+        // Long files are corrected as overlapping windows of this many cues (see processSubtitleChunked)
+        this.chunkSize = options.chunkSize || 150;
+        this.chunkOverlap = options.chunkOverlap ?? 8;
+        this.chunkAttempts = options.chunkAttempts || 2;
         
         console.log(`[AIWorkerPool] Initializing with ${this.maxWorkers} workers`);
         this.initializeWorkers();
@@ -31,7 +50,7 @@ class AIWorkerPool extends EventEmitter {
     createWorker(id, scriptPath) {
         try {
             const worker = new Worker(scriptPath, {
-                workerData: { workerId: id }
+                workerData: { workerId: id, workerCount: this.maxWorkers }
             });
             
             const workerInfo = {
@@ -78,14 +97,17 @@ class AIWorkerPool extends EventEmitter {
     }
     
     handleWorkerMessage(workerInfo, message) {
-        const { type, jobId, result, error, processingTime } = message;
+        const { type, jobId, result, error, usage, processingTime } = message;
         
         switch (type) {
             case 'job_completed':
+                this.recordUsage(jobId, usage);
                 this.handleJobCompleted(workerInfo, jobId, result, processingTime);
                 break;
                 
             case 'job_error':
+                // A failed job can still have paid for answers that were then rejected
+                this.recordUsage(jobId, usage);
                 this.handleJobError(workerInfo, jobId, error);
                 break;
                 
@@ -98,6 +120,54 @@ class AIWorkerPool extends EventEmitter {
         }
     }
     
+    recordUsage(jobId, usage) {
+        const job = this.activeJobs.get(jobId);
+        if (!this.usageTracker || !job || !usage || usage.length === 0) {
+            return;
+        }
+        
+        const operation = job.type === 'translate_subtitle' ? 'translation' : 'correction';
+        this.usageTracker.record(usage.map(entry => ({ ...entry, videoId: job.options.videoId || null, operation })))
+            .catch(error => console.error('[AIWorkerPool] Error recording AI usage:', error));
+    }
+    
+    // Resolves { exhausted, reason, retryAfterSeconds }; never exhausted without a usage tracker
+    async getBudgetStatus(videoId = null) {
+        if (!this.usageTracker) {
+            return { exhausted: false, reason: null, retryAfterSeconds: null };
+        }
+        return this.usageTracker.getBudgetStatus(videoId);
+    }
+    
+    // Sets options.useFallback from the budget unless the caller already decided
+    async withBudgetFallback(options) {
+        if (options.useFallback !== undefined) {
+            return options;
+        }
+        const budget = await this.getBudgetStatus(options.videoId);
+        if (budget.exhausted) {
+            console.warn(`[AIWorkerPool] ${budget.reason}, using the fallback corrector`);
+        }
+        return { ...options, useFallback: budget.exhausted };
+    }
+    
+    // For work with no rule-based fallback: throws while the budget is exhausted, with retryAfterSeconds so a queued
+    // job waits for the budget to reset instead of using up its attempts
+    async requireBudget(videoId, action) {
+        const budget = await this.getBudgetStatus(videoId);
+        if (budget.exhausted) {
+            const error = new Error(`${action} paused: ${budget.reason}`);
+            error.retryAfterSeconds = budget.retryAfterSeconds;
+            throw error;
+        }
+    }
+    
+    // Pins options.promptTemplate to a concrete 'name@version' (the configured default when none is named), so every
+    // window of a file uses the same template and reports can name it; throws for unknown templates
+    withPromptTemplate(options) {
+        return { ...options, promptTemplate: promptTemplates.resolve(options.promptTemplate, 'correction').id };
+    }
+    
     handleJobCompleted(workerInfo, jobId, result, processingTime) {
         const job = this.activeJobs.get(jobId);
         if (!job) {
@@ -207,24 +277,48 @@ class AIWorkerPool extends EventEmitter {
         }
     }
     
+    // Uses the rule-based corrector instead of AI while the budget is exhausted (options.useFallback overrides)
     async processSubtitle(content, options = {}) {
+        options = await this.withBudgetFallback(this.withPromptTemplate(options));
+        return this.submitJob('process_subtitle', content, options);
+    }
+    
+    // type is the worker message type: 'process_subtitle' or 'translate_subtitle'. options.signal (an AbortSignal)
+    // drops the job while it waits for a worker; a job a worker already started runs to the end.
+    submitJob(type, content, options = {}) {
+        const { signal = null, ...jobOptions } = options;
         return new Promise((resolve, reject) => {
             if (this.isShuttingDown) {
                 reject(new Error('Worker pool is shutting down'));
                 return;
             }
+            if (signal && signal.aborted) {
+                reject(signal.reason);
+                return;
+            }
             
             const jobId = this.generateJobId();
             const job = {
                 id: jobId,
+                type,
                 content,
-                options,
+                options: jobOptions,
                 resolve,
                 reject,
                 createdAt: Date.now(),
                 priority: options.priority || 0
             };
             
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    const index = this.queue.indexOf(job);
+                    if (index > -1) {
+                        this.queue.splice(index, 1);
+                        reject(signal.reason);
+                    }
+                }, { once: true });
+            }
+            
             // Add to queue
             this.queue.push(job);
             
@@ -238,6 +332,221 @@ class AIWorkerPool extends EventEmitter {
         });
     }
     
+    // AI correction in overlapping cue windows spread over the workers. A window is accepted only if it comes back
+    // with the same cues and text; rejected windows keep their original timing after chunkAttempts tries.
+    async processSubtitleChunked(content, options = {}) {
+        const srtContent = convertSubtitle(content, 'srt') || content;
+        const cues = parseSrt(srtContent);
+        if (cues.length === 0) {
+            return this.processSubtitle(content, options);
+        }
+        
+        // Decided once for the file so its windows are not corrected half by AI and half by rules
+        options = await this.withBudgetFallback(this.withPromptTemplate(options));
+        
+        const windows = splitCueWindows(cues, { windowSize: this.chunkSize, overlap: this.chunkOverlap });
+        const outcomes = await Promise.all(windows.map(window => this.processChunk(window, windows.length, options)));
+        if (options.signal && options.signal.aborted) {
+            throw options.signal.reason;
+        }
+        windows.forEach((window, i) => {
+            window.result = outcomes[i].cues;
+        });
+        
+        const accepted = outcomes.filter(outcome => outcome.cues).length;
+        console.log(`[AIWorkerPool] ${accepted}/${windows.length} chunk(s) accepted for ${cues.length} cues`);
+        if (accepted === 0) {
+            const reason = outcomes[0].reason;
+            if (options.throwOnFailure) {
+                const error = new Error(`No corrected chunk passed verification (${reason})`);
+                // Set when the model answered but none of it was usable, as opposed to no provider answering
+                error.outputRejected = outcomes.every(outcome => outcome.answered);
+                throw error;
+            }
+            return srtContent;
+        }
+        
+        return serializeSrt(stitchCueWindows(cues, windows));
+    }
+    
+    // Resolves { cues } with the verified corrected cues, or { cues: null, reason, answered } where answered tells
+    // whether the last attempt got an answer (that failed verification) rather than an error
+    async processChunk(window, total, options) {
+        let reason = 'not processed';
+        let answered = false;
+        for (let attempt = 1; attempt <= this.chunkAttempts; attempt++) {
+            try {
+                const output = await this.processSubtitle(serializeSrt(window.cues), {
+                    ...options,
+                    chunk: { index: window.index, total, cues: window.cues.length }
+                });
+                const check = verifyCorrectedChunk(window.cues, output);
+                if (check.ok) {
+                    return { cues: check.cues };
+                }
+                reason = check.reason;
+                answered = true;
+            } catch (error) {
+                reason = error.message;
+                answered = false;
+            }
+            console.warn(`[AIWorkerPool] Chunk ${window.index + 1}/${total} rejected (attempt ${attempt}/${this.chunkAttempts}): ${reason}`);
+        }
+        return { cues: null, reason, answered };
+    }
+    
+    // Cue-by-cue translation in windows spread over the workers; options: { sourceLang, targetLang, glossary, ... }.
+    // Every window must be translated (a half-translated file is of no use), so one that keeps failing fails the whole
+    // file. Resolves { content, glossary } with the glossary terms the model reported for this file.
+    async translateSubtitle(content, options = {}) {
+        const cues = parseSrt(convertSubtitle(content, 'srt') || content);
+        if (cues.length === 0) {
+            throw new Error('Subtitle has no cues to translate');
+        }
+        
+        // There is no rule-based translation to fall back to
+        await this.requireBudget(options.videoId, 'Translation');
+        
+        const windows = splitCueWindows(cues, { windowSize: this.chunkSize, overlap: 0 });
+        const outcomes = await Promise.all(windows.map(window => this.translateChunk(window, windows.length, options)));
+        if (options.signal && options.signal.aborted) {
+            throw options.signal.reason;
+        }
+        const failed = outcomes.find(outcome => !outcome.cues);
+        if (failed) {
+            throw new Error(`Translation of a chunk failed (${failed.reason})`);
+        }
+        
+        console.log(`[AIWorkerPool] Translated ${cues.length} cues in ${windows.length} chunk(s)`);
+        return {
+            content: serializeSrt(outcomes.flatMap(outcome => outcome.cues)),
+            glossary: outcomes.reduce((glossary, outcome) => mergeGlossaries(glossary, outcome.glossary), {})
+        };
+    }
+    
+    // Resolves { cues, glossary } with the translated cues of one window, or { cues: null, reason }
+    async translateChunk(window, total, options) {
+        let reason = 'not processed';
+        for (let attempt = 1; attempt <= this.chunkAttempts; attempt++) {
+            try {
+                const output = await this.submitJob('translate_subtitle', serializeSrt(window.cues), {
+                    ...options,
+                    chunk: total > 1 ? { index: window.index, total, cues: window.cues.length } : null
+                });
+                const translated = parseSrt(output.content);
+                if (translated.length === window.cues.length) {
+                    return { cues: translated, glossary: output.glossary };
+                }
+                reason = `cue count changed (${window.cues.length} -> ${translated.length})`;
+            } catch (error) {
+                reason = error.message;
+            }
+            console.warn(`[AIWorkerPool] Translation chunk ${window.index + 1}/${total} rejected (attempt ${attempt}/${this.chunkAttempts}): ${reason}`);
+        }
+        return { cues: null, reason };
+    }
+    
+    // Run jobs leased from a durable AIJobQueue on the workers, one slot per worker.
+    // Output that fails validation fails the job, so the queue retries it. signal fires when the job's lease runs
+    // out; its windows that have not reached a worker yet are dropped.
+    consumeQueue(jobQueue) {
+        this.jobQueue = jobQueue;
+        jobQueue.start(async (job, signal) => {
+            if (job.job_type === 'translation') {
+                return this.runTranslationJob(jobQueue, job, signal);
+            }
+            if (job.job_type === PROMPT_EVALUATION_JOB) {
+                return this.runPromptEvaluationJob(jobQueue, job, signal);
+            }
+            
+            const budget = await this.getBudgetStatus(job.video_id);
+            const options = this.withPromptTemplate(job.options);
+            const output = await this.processSubtitleChunked(job.original_content, {
+                ...options,
+                videoId: job.video_id,
+                priority: job.priority,
+                signal,
+                useFallback: budget.exhausted,
+                // Let provider failures reach the queue so they are retried instead of stored as the original
+                throwOnFailure: true
+            });
+            const validation = validateAIOutput(job.original_content, output);
+            if (!validation.accepted) {
+                throw new Error(`AI output rejected: ${validation.report.reason}`);
+            }
+            const report = budget.exhausted
+                ? { ...validation.report, fallback: budget.reason }
+                : { ...validation.report, promptTemplate: options.promptTemplate };
+            return { content: validation.content, report };
+        }, { concurrency: this.maxWorkers });
+    }
+    
+    // The glossary is read when the job runs rather than when it was queued, so it includes the names settled by
+    // episodes translated in between; the names this file added are stored for the next one
+    async runTranslationJob(jobQueue, job, signal = null) {
+        const glossary = await jobQueue.getTranslationGlossary(job.video_id, job.language);
+        const output = await this.translateSubtitle(job.original_content, {
+            ...job.options,
+            videoId: job.video_id,
+            glossary,
+            priority: job.priority,
+            signal
+        });
+        await jobQueue.saveTranslationGlossary(job.video_id, job.language, output.glossary);
+        
+        return {
+            content: output.content,
+            report: {
+                action: 'translate',
+                sourceLanguage: job.options.sourceLang,
+                targetLanguage: job.options.targetLang,
+                glossary: output.glossary
+            }
+        };
+    }
+    
+    // One template on one sample subtitle: the output is scored and stored for comparison with the other templates.
+    // An evaluation is never run with the rule-based fallback, since that would not measure the template. Output that
+    // fails verification scores 0; only provider failures are retried.
+    async runPromptEvaluationJob(jobQueue, job, signal = null) {
+        await this.requireBudget(job.video_id, 'Prompt evaluation');
+        let output = null;
+        let rejection = null;
+        try {
+            output = await this.processSubtitleChunked(job.original_content, {
+                ...job.options,
+                videoId: job.video_id,
+                priority: job.priority,
+                signal,
+                useFallback: false,
+                throwOnFailure: true
+            });
+        } catch (error) {
+            if (!error.outputRejected) throw error;
+            rejection = error.message;
+        }
+        
+        const result = scoreCorrection(job.original_content, output || '');
+        if (rejection) {
+            result.reason = rejection;
+        }
+        await jobQueue.recordPromptEvaluation({
+            ...result,
+            template: job.options.promptTemplate,
+            sampleHash: job.options.sampleHash,
+            videoId: job.video_id,
+            language: job.language,
+            provider: job.options.aiProvider,
+            model: job.options.aiModel
+        });
+        console.log(`[AIWorkerPool] Prompt ${job.options.promptTemplate} scored ${result.score} (original ${result.originalScore}) on sample ${job.options.sampleHash}`);
+        
+        return {
+            content: output || job.original_content,
+            report: { action: 'evaluate', promptTemplate: job.options.promptTemplate, sampleHash: job.options.sampleHash, ...result }
+        };
+    }
+    
     processQueue() {
         if (this.queue.length === 0) {
             return;
@@ -265,7 +574,7 @@ class AIWorkerPool extends EventEmitter {
         // Send job to worker
         try {
             availableWorker.worker.postMessage({
-                type: 'process_subtitle',
+                type: job.type,
                 jobId: job.id,
                 content: job.content,
                 options: job.options
@@ -318,6 +627,11 @@ class AIWorkerPool extends EventEmitter {
         console.log('[AIWorkerPool] Shutting down worker pool...');
         this.isShuttingDown = true;
         
+        // Leased jobs rejected below go back to the durable queue and are retried after a restart
+        if (this.jobQueue) {
+            this.jobQueue.stop();
+        }
+        
         // Reject all queued jobs
         for (const job of this.queue) {
             job.reject(new Error('Worker pool shutting down'));
@@ -0,0 +1,63 @@
+// lib/workers/aiWorkerPool.test.js
+// Unit tests for stopping the pending AI work of a job whose lease ran out
+
+const AIWorkerPool = require('./aiWorkerPool');
+const { serializeSrt } = require('../subtitles/srtParser');
+
+const SAMPLE_SRT = serializeSrt([1, 2, 3, 4].map(i => ({ index: i, start: i * 2000, end: i * 2000 + 1500, text: `Line ${i}` })));
+
+describe('AIWorkerPool job abort', () => {
+    let pool;
+    let worker;
+
+    beforeEach(() => {
+        ['log', 'warn', 'error'].forEach(level => jest.spyOn(console, level).mockImplementation(() => {}));
+        pool = new AIWorkerPool({ maxWorkers: 1, chunkSize: 2, chunkOverlap: 0 });
+        [worker] = pool.workers;
+        jest.spyOn(worker.worker, 'postMessage').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        await pool.shutdown();
+        jest.restoreAllMocks();
+    });
+
+    it('never posts the abort signal to a worker', () => {
+        const controller = new AbortController();
+
+        // Rejected when the pool shuts down after the test
+        pool.submitJob('process_subtitle', SAMPLE_SRT, { aiProvider: 'local', signal: controller.signal }).catch(() => {});
+
+        expect(worker.worker.postMessage).toHaveBeenCalledWith(expect.objectContaining({ options: { aiProvider: 'local' } }));
+    });
+
+    it('drops a queued job when its signal aborts, and refuses one already aborted', async () => {
+        worker.busy = true;
+        const controller = new AbortController();
+        const reason = new Error('Job did not finish within its 300s lease');
+
+        const queued = pool.submitJob('process_subtitle', SAMPLE_SRT, { signal: controller.signal });
+        pool.submitJob('process_subtitle', SAMPLE_SRT, {}).catch(() => {});
+        controller.abort(reason);
+
+        await expect(queued).rejects.toBe(reason);
+        await expect(pool.submitJob('process_subtitle', SAMPLE_SRT, { signal: controller.signal })).rejects.toBe(reason);
+        expect(pool.queue.map(job => job.options)).toEqual([{}]);
+    });
+
+    it('fails an aborted chunked correction once its window on a worker settles', async () => {
+        const controller = new AbortController();
+        const reason = new Error('Job did not finish within its 300s lease');
+
+        const run = pool.processSubtitleChunked(SAMPLE_SRT, { aiProvider: 'local', signal: controller.signal });
+        await new Promise(resolve => setImmediate(resolve));
+        controller.abort(reason);
+        // The first window is on the worker and finishes; the second never leaves the queue
+        const [{ jobId }] = worker.worker.postMessage.mock.calls[0];
+        pool.handleWorkerMessage(worker, { type: 'job_completed', jobId, result: { content: SAMPLE_SRT }, processingTime: 5 });
+
+        await expect(run).rejects.toBe(reason);
+        expect(worker.worker.postMessage).toHaveBeenCalledTimes(1);
+        expect(pool.queue).toHaveLength(0);
+    });
+});
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+// scripts/benchmark.js
+// Runs the subtitle benchmark over a local fixture corpus and prints selection accuracy and timing error per cue
+//
+// Usage: npm run benchmark -- [fixturesDir] [--correction none|resync|fallback|ai] [--prompt name@version]
+//                              [--provider name] [--only name,name] [--json] [--output report.json]
+
+const fs = require('fs');
+const path = require('path');
+const { loadFixtures, runSubtitleBenchmark, formatBenchmarkReport } = require('../lib/benchmark/subtitleBenchmark');
+
+const CORRECTION_MODES = ['none', 'resync', 'fallback', 'ai'];
+
+function parseArgs(argv) {
+    const args = {
+        fixturesDir: path.join(__dirname, '..', 'benchmarks', 'fixtures'),
+        correction: 'none',
+        promptTemplate: undefined,
+        aiProvider: undefined,
+        only: null,
+        json: false,
+        output: null
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            return argv[++i];
+        };
+
+        if (arg === '--correction') args.correction = value();
+        else if (arg === '--prompt') args.promptTemplate = value();
+        else if (arg === '--provider') args.aiProvider = value();
+        else if (arg === '--only') args.only = value().split(',').map(name => name.trim()).filter(Boolean);
+        else if (arg === '--json') args.json = true;
+        else if (arg === '--output') args.output = path.resolve(value());
+        else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+        else args.fixturesDir = path.resolve(arg);
+    }
+
+    if (!CORRECTION_MODES.includes(args.correction)) {
+        throw new Error(`--correction must be one of ${CORRECTION_MODES.join(', ')}`);
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const fixtures = loadFixtures(args.fixturesDir, { only: args.only });
+    if (fixtures.length === 0) {
+        throw new Error(`No fixtures found in ${args.fixturesDir}`);
+    }
+
+    // Workers are only started when the selected subtitles are corrected by AI or the rule-based fallback
+    let pool = null;
+    if (args.correction === 'fallback' || args.correction === 'ai') {
+        const AIWorkerPool = require('../lib/workers/aiWorkerPool');
+        pool = new AIWorkerPool({ maxWorkers: 1 });
+    }
+
+    try {
+        const report = await runSubtitleBenchmark(fixtures, {
+            correction: args.correction,
+            pool,
+            promptTemplate: args.promptTemplate,
+            aiProvider: args.aiProvider
+        });
+        // The worker logs share stdout, so --output is the way to keep a clean JSON report of a corrected run
+        if (args.output) {
+            fs.writeFileSync(args.output, JSON.stringify(report, null, 2));
+        }
+        console.log(args.json ? JSON.stringify(report, null, 2) : formatBenchmarkReport(report));
+    } finally {
+        if (pool) {
+            await pool.shutdown();
+        }
+    }
+}
+
+main().catch(error => {
+    console.error(`Benchmark failed: ${error.message}`);
+    process.exitCode = 1;
+});
@@ -32,286 +32,10 @@ const tmdbToImdb = async (tmdbId) => {
     }
 };
 
-// Enhanced robust handler for Stremio subtitle requests (JSON API)
-app.get('/subtitles/movie/:id/:params.json', async (req, res) => {
-    const startTime = Date.now();
-    const requestId = Math.random().toString(36).substring(2, 15);
-    
-    try {
-        console.log(`[${requestId}] Subtitle request received for movie: ${req.params.id}`);
-        
-        const { id, params } = req.params;
-        
-        // Enhanced parameter parsing with better error handling
-        const extra = {};
-        if (params && typeof params === 'string') {
-            try {
-                // First decode the entire params string
-                const decodedParams = decodeURIComponent(params);
-                const paramPairs = decodedParams.split('&');
-                
-                for (const pair of paramPairs) {
-                    const [key, value] = pair.split('=');
-                    if (key && value !== undefined) {
-                        // Double decode values to handle nested encoding
-                        try {
-                            extra[key] = decodeURIComponent(value);
-                        } catch (decodeError) {
-                            console.warn(`[${requestId}] Could not decode parameter ${key}=${value}:`, decodeError.message);
-                            extra[key] = value; // Use original value if decoding fails
-                        }
-                    }
-                }
-                console.log(`[${requestId}] Parsed parameters:`, extra);
-            } catch (parseError) {
-                console.warn(`[${requestId}] Parameter parsing failed:`, parseError.message);
-                // Continue with empty extra object
-            }
-        }
-        
-        // Validate and sanitize language parameter
-        const language = validateLanguage(req.query.language) || 'tr';
-        
-        // Enhanced ID validation and conversion
-        let imdbId = validateAndNormalizeId(id);
-        if (!imdbId) {
-            console.warn(`[${requestId}] Invalid ID format: ${id}`);
-            return res.status(400).json({ 
-                subtitles: [], 
-                error: 'Invalid ID format. Expected IMDb ID (tt1234567) or TMDB ID (tmdb:1234567)' 
-            });
-        }
-        
-        // Handle TMDB to IMDb conversion with better error handling
-        if (imdbId.startsWith('tmdb:')) {
-            const tmdbNum = imdbId.replace('tmdb:', '');
-            console.log(`[${requestId}] Converting TMDB ID ${tmdbNum} to IMDb`);
-            
-            const converted = await tmdbToImdb(tmdbNum);
-            if (converted) {
-                imdbId = converted;
-                console.log(`[${requestId}] Successfully converted to IMDb: ${imdbId}`);
-            } else {
-                console.warn(`[${requestId}] Could not convert TMDB:${tmdbNum} to IMDb`);
-                return res.status(404).json({ 
-                    subtitles: [], 
-                    error: 'Could not convert TMDB to IMDb. Please check TMDB ID or API key configuration.' 
-                });
-            }
-        }
-        
-        // Call advanced subtitle logic with timeout protection
-        const subtitlePromise = getSubtitleUrlsForStremio(
-            imdbId, 
-            'movie', 
-            extra.season, 
-            extra.episode, 
-            language, 
-            extra.infoHash || null
-        );
-        
-        // Add request timeout (30 seconds)
-        const timeoutPromise = new Promise((_, reject) => {
-            setTimeout(() => reject(new Error('Request timeout after 30 seconds')), 30000);
-        });
-        
-        const subtitles = await Promise.race([subtitlePromise, timeoutPromise]);
-        
-        // Process and enhance subtitle URLs
-        const base = req.protocol + '://' + req.get('host');
-        const result = subtitles.map(sub => {
-            let url = sub.url;
-            if (url && url.startsWith('/')) {
-                url = base + url;
-            }
-            return { ...sub, url };
-        });
-        
-        const processingTime = Date.now() - startTime;
-        console.log(`[${requestId}] Subtitle request completed in ${processingTime}ms, found ${result.length} subtitles`);
-        
-        res.json({ 
-            subtitles: result,
-            meta: {
-                requestId,
-                processingTime,
-                totalFound: result.length,
-                language,
-                imdbId
-            }
-        });
-        
-    } catch (error) {
-        const processingTime = Date.now() - startTime;
-        console.error(`[${requestId}] Subtitle request failed after ${processingTime}ms:`, error);
-        
-        // Determine appropriate error status
-        let statusCode = 500;
-        if (error.message.includes('timeout')) statusCode = 504;
-        if (error.message.includes('Invalid')) statusCode = 400;
-        if (error.message.includes('not found')) statusCode = 404;
-        
-        res.status(statusCode).json({ 
-            subtitles: [], 
-            error: error.message,
-            meta: {
-                requestId,
-                processingTime,
-                errorType: error.constructor.name
-            }
-        });
-    }
-});
-
-// Enhanced TV series subtitle handler
-app.get('/subtitles/series/:id/:params.json', async (req, res) => {
-    const startTime = Date.now();
-    const requestId = Math.random().toString(36).substring(2, 15);
-    
-    try {
-        console.log(`[${requestId}] Subtitle request received for series: ${req.params.id}`);
-        
-        const { id, params } = req.params;
-        
-        // Enhanced parameter parsing
-        const extra = {};
-        if (params && typeof params === 'string') {
-            try {
-                const decodedParams = decodeURIComponent(params);
-                const paramPairs = decodedParams.split('&');
-                
-                for (const pair of paramPairs) {
-                    const [key, value] = pair.split('=');
-                    if (key && value !== undefined) {
-                        try {
-                            extra[key] = decodeURIComponent(value);
-                        } catch (decodeError) {
-                            console.warn(`[${requestId}] Could not decode parameter ${key}=${value}:`, decodeError.message);
-                            extra[key] = value;
-                        }
-                    }
-                }
-                console.log(`[${requestId}] Parsed parameters:`, extra);
-            } catch (parseError) {
-                console.warn(`[${requestId}] Parameter parsing failed:`, parseError.message);
-            }
-        }
-        
-        // Validate season and episode for series
-        const season = validateNumber(extra.season, 'season');
-        const episode = validateNumber(extra.episode, 'episode');
-        
-        if (!season || !episode) {
-            console.warn(`[${requestId}] Invalid season/episode: ${extra.season}/${extra.episode}`);
-            return res.status(400).json({ 
-                subtitles: [], 
-                error: 'Invalid season or episode number for series request' 
-            });
-        }
-        
-        const language = validateLanguage(req.query.language) || 'tr';
-        
-        // Enhanced ID validation and conversion
-        let imdbId = validateAndNormalizeId(id);
-        if (!imdbId) {
-            console.warn(`[${requestId}] Invalid ID format: ${id}`);
-            return res.status(400).json({ 
-                subtitles: [], 
-                error: 'Invalid ID format. Expected IMDb ID (tt1234567) or TMDB ID (tmdb:1234567)' 
-            });
-        }
-        
-        // Handle TMDB to IMDb conversion
-        if (imdbId.startsWith('tmdb:')) {
-            const tmdbNum = imdbId.replace('tmdb:', '');
-            console.log(`[${requestId}] Converting TMDB ID ${tmdbNum} to IMDb`);
-            
-            const converted = await tmdbToImdb(tmdbNum);
-            if (converted) {
-                imdbId = converted;
-                console.log(`[${requestId}] Successfully converted to IMDb: ${imdbId}`);
-            } else {
-                console.warn(`[${requestId}] Could not convert TMDB:${tmdbNum} to IMDb`);
-                return res.status(404).json({ 
-                    subtitles: [], 
-                    error: 'Could not convert TMDB to IMDb. Please check TMDB ID or API key configuration.' 
-                });
-            }
-        }
-        
-        // Call advanced subtitle logic with timeout protection
-        const subtitlePromise = getSubtitleUrlsForStremio(
-            imdbId, 
-            'series', 
-            season, 
-            episode, 
-            language, 
-            extra.infoHash || null
-        );
-        
-        const timeoutPromise = new Promise((_, reject) => {
-            setTimeout(() => reject(new Error('Request timeout after 30 seconds')), 30000);
-        });
-        
-        const subtitles = await Promise.race([subtitlePromise, timeoutPromise]);
-        
-        // Process and enhance subtitle URLs
-        const base = req.protocol + '://' + req.get('host');
-        const result = subtitles.map(sub => {
-            let url = sub.url;
-            if (url && url.startsWith('/')) {
-                url = base + url;
-            }
-            return { ...sub, url };
-        });
-        
-        const processingTime = Date.now() - startTime;
-        console.log(`[${requestId}] Series subtitle request completed in ${processingTime}ms, found ${result.length} subtitles`);
-        
-        res.json({ 
-            subtitles: result,
-            meta: {
-                requestId,
-                processingTime,
-                totalFound: result.length,
-                language,
-                imdbId,
-                season,
-                episode
-            }
-        });
-        
-    } catch (error) {
-        const processingTime = Date.now() - startTime;
-        console.error(`[${requestId}] Series subtitle request failed after ${processingTime}ms:`, error);
-        
-        // Determine appropriate error status
-        let statusCode = 500;
-        if (error.message.includes('timeout')) statusCode = 504;
-        if (error.message.includes('Invalid')) statusCode = 400;
-        if (error.message.includes('not found')) statusCode = 404;
-        
-        res.status(statusCode).json({ 
-            subtitles: [], 
-            error: error.message,
-            meta: {
-                requestId,
-                processingTime,
-                errorType: error.constructor.name
-            }
-        });
-    }
-});
-
 // Utility functions for enhanced validation
 function validateLanguage(lang) {
-    if (!lang || typeof lang !== 'string') return null;
-    
-    // Common language codes
-    const supportedLanguages = ['tr', 'en', 'es', 'fr', 'de', 'it', 'ru', 'pt', 'ar', 'zh'];
-    const normalized = lang.toLowerCase().trim();
-    
-    return supportedLanguages.includes(normalized) ? normalized : null;
+    // Accepts ISO 639-1 codes (tr, en, ...) and ISO 639-2 codes (tur, eng, ...)
+    return normalizeLanguage(lang);
 }
 
 function validateAndNormalizeId(id) {
@@ -332,16 +56,27 @@ function validateAndNormalizeId(id) {
     return null;
 }
 
-function validateNumber(value, type) {
-    if (!value) return null;
-    
-    const num = parseInt(value, 10);
-    if (isNaN(num) || num < 1) {
-        console.warn(`Invalid ${type} number: ${value}`);
+// Resync query options for .srt downloads: ?sourceFps=25&targetFps=23.976&offset=-1200 or ?reference=opensubtitles-hash
+function parseResyncQuery(query) {
+    const { sourceFps, targetFps, offset, reference } = query;
+    if (sourceFps === undefined && targetFps === undefined && offset === undefined && reference === undefined) {
         return null;
     }
-    
-    return num;
+
+    if ((sourceFps !== undefined || targetFps !== undefined) && (!parseFrameRate(sourceFps) || !parseFrameRate(targetFps))) {
+        throw new Error('Invalid resync frame rates: both sourceFps and targetFps are required (e.g. 25 and 23.976)');
+    }
+
+    const offsetMs = offset !== undefined ? parseInt(offset, 10) : 0;
+    if (isNaN(offsetMs) || Math.abs(offsetMs) > 6 * 60 * 60 * 1000) {
+        throw new Error(`Invalid resync offset: ${offset}`);
+    }
+
+    if (reference !== undefined && !/^[a-z0-9-]+$/i.test(reference)) {
+        throw new Error(`Invalid resync reference: ${reference}`);
+    }
+
+    return { sourceFps, targetFps, offsetMs, reference };
 }
 // server.js
 // --- MERGED & ENHANCED VERSION v2.9.2 ---
@@ -360,15 +95,46 @@ const {
     getCache,
     setCache,
     // New AI processing functions
-    initiateAIEnhancement,
     waitForEnhancedSubtitle,
     searchByHash,
     findBestOriginalSubtitle,
     downloadAndProcessSubtitle
 } = require('./lib/subtitleMatcher');
 const { streamEnricher, getEnrichedStreams } = require('./lib/streamEnricher');
-const { initializeStreamingProviders, streamingManager } = require('./lib/streamingProviderManager');
+const {
+    initializeStreamingProviders,
+    streamingManager,
+    getStreamingManagerForKeys,
+    getActiveStreamingManagers,
+    setTorrentTracker
+} = require('./lib/streamingProviderManager');
+const { initializeDebridHousekeeping } = require('./lib/debridHousekeeping');
+const SubtitleDatabase = require('./lib/database/subtitleDatabase');
+const AIWorkerPool = require('./lib/workers/aiWorkerPool');
+const { initializeAIJobQueue } = require('./lib/workers/aiJobQueue');
+const { initializeAIProviders } = require('./lib/ai/aiProviderRegistry');
+const { promptTemplates } = require('./lib/ai/promptTemplates');
+const { initializeAIUsageTracker } = require('./lib/ai/aiUsageTracker');
+const { initializeTorrentIndexers, torrentIndexers } = require('./lib/indexers/torrentIndexerManager');
+const { buildMagnetLink } = require('./lib/indexers/magnet');
 const { setupUIRoutes } = require('./ui-api');
+const { normalizeLanguage, getConfiguredLanguages, getLanguageName, parseLanguageList } = require('./lib/languageSupport');
+const { parseFrameRate, resyncSrt } = require('./lib/subtitles/resync');
+const { alignToReference } = require('./lib/subtitles/alignment');
+const { convertSubtitle } = require('./lib/subtitles/formats');
+const { releaseMatchScore } = require('./lib/subtitles/releaseParser');
+const { computeMovieHashFromUrl } = require('./lib/subtitles/movieHash');
+const { listEmbeddedSubtitles, extractEmbeddedSubtitle } = require('./lib/subtitles/mkvExtractor');
+const {
+    isEncryptionAvailable,
+    encodeAddonConfig,
+    decodeAddonConfig,
+    looksLikeConfigToken,
+    resolveAddonConfig,
+    describeAddonConfig,
+    signResolveRequest,
+    verifyResolveRequest
+} = require('./lib/addonConfig');
 
 // Get the AI enhancement status map
 const aiEnhancementStatus = getAiEnhancementStatus();
@@ -378,6 +144,27 @@ console.log("Starting Stremio AI Subtitle Addon v2.10.1 - Realistic AI Enhanceme
 // Initialize Express app
 const app = express();
 
+// Per-install configuration: /:config/manifest.json, /:config/subtitles/..., /:config/stream/...
+// The config segment is decoded into req.addonConfig and stripped so the regular routes handle the request.
+const CONFIGURABLE_ROUTE_PATTERN = /^\/([^/]+)\/(manifest\.json|configure|subtitles\/.+|stream\/.+|resolve\/.+)$/;
+app.use((req, res, next) => {
+    const match = req.path.match(CONFIGURABLE_ROUTE_PATTERN);
+    if (!match || !looksLikeConfigToken(match[1])) {
+        return next();
+    }
+
+    const addonConfig = decodeAddonConfig(match[1]);
+    if (!addonConfig) {
+        console.warn(`[Config] Rejected invalid config token for ${match[2]}`);
+        return res.status(400).json({ error: 'Invalid or expired addon configuration. Please reinstall the addon from /configure.' });
+    }
+
+    req.addonConfig = addonConfig;
+    req.addonConfigToken = match[1];
+    req.url = req.url.replace(`/${match[1]}`, '');
+    next();
+});
+
 // Security middleware - add comprehensive security headers
 app.use((req, res, next) => {
     // Prevent clickjacking
@@ -510,6 +297,8 @@ requiredEnvVars.forEach(varName => {
     }
 });
 
+console.log(`Subtitle languages (in order): ${getConfiguredLanguages().join(', ')}`);
+
 console.log("Optional environment variables:");
 optionalEnvVars.forEach(varName => {
     const isSet = !!process.env[varName];
@@ -546,17 +335,56 @@ initializeStreamingProviders({
     alldebrid: {
         enabled: !!process.env.ALL_DEBRID_API_KEY,
         apiKey: process.env.ALL_DEBRID_API_KEY
+    },
+    premiumize: {
+        enabled: !!process.env.PREMIUMIZE_API_KEY,
+        apiKey: process.env.PREMIUMIZE_API_KEY
+    },
+    torbox: {
+        enabled: !!process.env.TORBOX_API_KEY,
+        apiKey: process.env.TORBOX_API_KEY
     }
 });
 
+// Torrent indexers provide the candidate infohashes that the debrid providers are checked against
+initializeTorrentIndexers(require('./config').indexers);
+
+// Torrents the addon adds to debrid accounts are tracked in SQLite and cleaned up on a schedule
+const addonDatabase = new SubtitleDatabase();
+addonDatabase.on('error', error => console.error('[Database] Error:', error.message));
+setTorrentTracker(initializeDebridHousekeeping(require('./config').debridCleanup, {
+    database: addonDatabase,
+    getManagers: getActiveStreamingManagers
+}));
+
+// The workers build their own provider registry; this one backs /api/ai/providers
+initializeAIProviders(require('./config').aiProviders);
+
+// Token usage and cost of every AI request, checked against the budgets before each job
+const aiUsageTracker = initializeAIUsageTracker(require('./config').aiBudget, { database: addonDatabase });
+
+// AI enhancement jobs live in the same database, so queued and failed work survives restarts
+const aiJobQueue = initializeAIJobQueue(require('./config').aiQueue, { database: addonDatabase });
+const aiWorkerPool = new AIWorkerPool({
+    maxWorkers: require('./config').aiQueue.workers,
+    chunkSize: require('./config').aiQueue.chunkCues,
+    chunkOverlap: require('./config').aiQueue.chunkOverlap,
+    usageTracker: aiUsageTracker
+});
+aiWorkerPool.consumeQueue(aiJobQueue);
+
+// Languages a missing subtitle may be AI-translated from, in order of preference
+const aiTranslationConfig = require('./config').aiTranslation;
+const translationSourceLanguages = parseLanguageList(aiTranslationConfig.sourceLanguages, ['en']);
+
 console.log("\n🎨 Beautiful UI will be available at: http://localhost:7000/ui");
 console.log("📊 Advanced health monitoring and settings included!");
 
 const manifest = {
     id: "com.stremio.ai.subtitle.corrector.tr.final",
     version: "2.9.5",
-    name: "AI Subtitle Corrector (TR) + Multi-Debrid Enhanced",
-    description: "Provides AI-corrected Turkish subtitles with hash matching, multiple sources, enhanced Real-Debrid & AllDebrid cached streams with MediaFusion architecture, and stream provision for reliable hash access.",
+    name: "AI Subtitle Corrector + Multi-Debrid Enhanced",
+    description: "Provides AI-corrected subtitles in your configured languages with hash matching, multiple sources, enhanced Real-Debrid & AllDebrid cached streams with MediaFusion architecture, and stream provision for reliable hash access.",
     logo: "/logo.svg",
     resources: ["subtitles", "stream"], // Include stream for reliable hash provision
     types: ["movie", "series"],
@@ -567,7 +395,7 @@ const manifest = {
         configurationRequired: false
     },
     // Stremio v4+ subtitle language support
-    subtitleLanguages: ["tr"],
+    subtitleLanguages: getConfiguredLanguages(),
     // Explicitly define what we provide
     provides: {
         subtitles: ["movie", "series"],
@@ -577,88 +405,425 @@ const manifest = {
 
 const builder = new addonBuilder(manifest);
 
-// Enhanced subtitle handler with robust TMDB-to-IMDb conversion
-const subtitleHandler = async (args) => {
-    console.log(`[Handler] Subtitle request received for: ${args.id}`);
-    const infoHash = args.extra && args.extra.video_hash ? args.extra.video_hash : null;
-    const type = args.type || 'movie';
-    const season = args.type === 'series' ? args.season : null;
-    const episode = args.type === 'series' ? args.episode : null;
-    const language = 'tr';
-    let imdbId = args.id;
-    if (imdbId.startsWith('tt')) {
-        // already IMDB
-    } else if (imdbId.startsWith('tmdb:')) {
-        const tmdbNum = imdbId.replace('tmdb:', '');
-        const converted = await tmdbToImdb(tmdbNum);
-        if (converted) {
-            imdbId = converted;
-        } else {
-            console.warn(`[Handler] Could not convert TMDB to IMDb for ${imdbId}`);
-            return { subtitles: [] };
+// Reference-synced subtitles: alignment jobs keyed by video, hash and language, awaited by the .srt route
+const referenceSyncJobs = new Map();
+const MAX_REFERENCE_SYNC_JOBS = 500;
+
+// Load content for a subtitle option from the matcher (a remote file or one of our cached .srt URLs).
+// episodeInfo ({ season, episode, releaseName }) picks the right file when the download is a season pack.
+async function loadSubtitleOptionContent(subtitle, imdbId, cacheSource, episodeInfo = {}) {
+    if (/^https?:\/\//.test(subtitle.url)) {
+        // The option's language steers the charset detection of legacy single-byte files
+        return downloadAndProcessSubtitle(subtitle.url, imdbId, cacheSource, { language: subtitle.lang, ...episodeInfo });
+    }
+    const source = new URLSearchParams(subtitle.url.split('?')[1] || '').get('source');
+    return source ? getCachedSubtitleContent(imdbId, source) : null;
+}
+
+// A hash-matched subtitle in another language is perfectly timed for this release, so it can serve as timing reference
+async function findHashReference(infoHash, language, addonConfig) {
+    const candidates = [...new Set([...addonConfig.languages, 'en'])].filter(candidate => candidate !== language);
+    for (const candidate of candidates) {
+        const hashSubs = await searchByHash(infoHash, candidate);
+        if (hashSubs && hashSubs.length > 0) {
+            return { language: candidate, subtitle: hashSubs[0] };
+        }
+    }
+    return null;
+}
+
+function startReferenceSync(imdbId, infoHash, language, originalSub, reference, episodeInfo) {
+    const key = `${imdbId}-${infoHash}-${language}`;
+    if (referenceSyncJobs.has(key)) return;
+    if (referenceSyncJobs.size >= MAX_REFERENCE_SYNC_JOBS) {
+        referenceSyncJobs.delete(referenceSyncJobs.keys().next().value);
+    }
+
+    const job = (async () => {
+        const [targetContent, referenceContent] = await Promise.all([
+            loadSubtitleOptionContent(originalSub, imdbId, `${language}-sync-target`, episodeInfo),
+            loadSubtitleOptionContent(reference.subtitle, imdbId, `${reference.language}-sync-reference`, episodeInfo)
+        ]);
+        if (!targetContent || !referenceContent) {
+            throw new Error('could not load both subtitles');
+        }
+
+        const result = alignToReference(targetContent, referenceContent);
+        console.log(`[Handler] Synced '${language}' subtitle for ${imdbId} to '${reference.language}' reference: ${result.segments.length} segment(s), confidence ${result.confidence}`);
+        return result;
+    })().catch(error => {
+        console.warn(`[Handler] Reference sync failed for ${key}:`, error.message);
+        referenceSyncJobs.delete(key);
+        return null;
+    });
+
+    referenceSyncJobs.set(key, job);
+}
+
+// Debrid files whose embedded subtitle tracks were offered, by moviehash; the .srt route extracts from these URLs
+const embeddedSubtitleSources = new Map();
+const MAX_EMBEDDED_SOURCES = 500;
+
+// Text subtitle tracks muxed into the debrid file being played; always in sync with that exact file
+const getEmbeddedSubtitleOptions = async (imdbId, videoHash, language, providerManager) => {
+    const resolved = videoHash && providerManager ? providerManager.findResolvedLinkByVideoHash(videoHash) : null;
+    if (!resolved || (resolved.filename && !/\.(mkv|mk3d|webm)$/i.test(resolved.filename))) {
+        return [];
+    }
+
+    let tracks;
+    try {
+        tracks = await listEmbeddedSubtitles(resolved.streamUrl);
+    } catch (error) {
+        console.warn(`[Handler] Could not read embedded subtitle tracks for ${videoHash}:`, error.message);
+        return [];
+    }
+
+    if (embeddedSubtitleSources.size >= MAX_EMBEDDED_SOURCES) {
+        embeddedSubtitleSources.delete(embeddedSubtitleSources.keys().next().value);
+    }
+    embeddedSubtitleSources.set(videoHash, resolved.streamUrl);
+
+    const languageName = getLanguageName(language);
+    return tracks
+        .filter(track => track.extractable && normalizeLanguage(track.language) === language)
+        .map(track => ({
+            id: `${imdbId}-${language}-embedded-${track.number}`,
+            lang: language,
+            url: `/subtitles/${imdbId}/${language}.srt?source=embedded&hash=${videoHash}&track=${track.number}`,
+            name: `${languageName} (Embedded - ${track.name || track.format.toUpperCase()}${track.forced ? ', forced' : ''})`
+        }));
+};
+
+const getVideoLanguageKey = (imdbId, season, episode, language) =>
+    [imdbId, season, episode].filter(Boolean).join(':') + `:${language}`;
+
+// One AI enhancement job per video and language for each provider, intensity and prompt template version, so an
+// install with other AI settings never gets another install's correction
+const getAIJobKey = (imdbId, season, episode, language, addonConfig) => {
+    const promptTemplate = promptTemplates.resolve(addonConfig.promptTemplate, 'correction').id;
+    return `${getVideoLanguageKey(imdbId, season, episode, language)}:${addonConfig.aiProvider}:i${addonConfig.correctionIntensity}:${promptTemplate}`;
+};
+
+// Queue AI correction of the best original subtitle
+const enqueueAIEnhancement = async (jobKey, imdbId, season, episode, language, originalSub, addonConfig, releaseName) => {
+    const content = await loadSubtitleOptionContent(originalSub, imdbId, `${language}-ai-source`, { season, episode, releaseName });
+    if (!content) {
+        throw new Error('could not load the original subtitle');
+    }
+
+    const source = new URLSearchParams(originalSub.url.split('?')[1] || '').get('source');
+    return aiJobQueue.enqueue({
+        jobKey,
+        videoId: imdbId,
+        provider: source || originalSub.name || 'unknown',
+        language,
+        content,
+        options: {
+            aiProvider: addonConfig.aiProvider,
+            correctionIntensity: addonConfig.correctionIntensity,
+            promptTemplate: addonConfig.promptTemplate,
+            primaryLanguage: language
         }
+    });
+};
+
+// One translation job per video, target language, source language and provider
+const getAITranslationJobKey = (imdbId, season, episode, language, sourceLanguage, addonConfig) =>
+    `${getVideoLanguageKey(imdbId, season, episode, language)}:from-${sourceLanguage}:${addonConfig.aiProvider}`;
+
+// Queue a cue-by-cue AI translation of the best subtitle in sourceLanguage
+const enqueueAITranslation = async (jobKey, imdbId, season, episode, language, sourceLanguage, sourceSub, addonConfig, releaseName) => {
+    const content = await loadSubtitleOptionContent(sourceSub, imdbId, `${sourceLanguage}-translation-source`, { season, episode, releaseName });
+    if (!content) {
+        throw new Error('could not load the source subtitle');
     }
 
+    const source = new URLSearchParams(sourceSub.url.split('?')[1] || '').get('source');
+    return aiJobQueue.enqueue({
+        jobKey,
+        jobType: 'translation',
+        videoId: imdbId,
+        provider: source || sourceSub.name || 'unknown',
+        language,
+        content,
+        options: {
+            aiProvider: addonConfig.aiProvider,
+            sourceLang: sourceLanguage,
+            targetLang: language
+        }
+    });
+};
+
+// No subtitle exists in this language: offer an AI translation from the first source language that has one
+const getTranslationOptions = async (imdbId, season, episode, language, addonConfig, releaseName) => {
+    if (!aiTranslationConfig.enabled) return [];
+    const languageName = getLanguageName(language);
+
+    for (const sourceLanguage of translationSourceLanguages.filter(candidate => candidate !== language)) {
+        const jobKey = getAITranslationJobKey(imdbId, season, episode, language, sourceLanguage, addonConfig);
+        const label = `${languageName} (AI Translated from ${sourceLanguage.toUpperCase()}`;
+        const translationJob = await aiJobQueue.getJob(jobKey);
+
+        if (translationJob && translationJob.status === 'completed') {
+            return [{
+                id: `${imdbId}-${language}-ai-translated`,
+                lang: language,
+                url: `/subtitles/${imdbId}/${language}.srt?source=ai&job=${encodeURIComponent(jobKey)}`,
+                name: `${label})`
+            }];
+        }
+        // A dead or cancelled translation falls through to the next source language
+        if (translationJob && translationJob.status !== 'pending' && translationJob.status !== 'processing') {
+            continue;
+        }
+
+        if (!translationJob) {
+            const sourceSubs = await findBestOriginalSubtitle(imdbId, season, episode, sourceLanguage);
+            if (!sourceSubs || sourceSubs.length === 0) continue;
+            if (releaseName && sourceSubs.length > 1) {
+                sourceSubs.sort((a, b) => releaseMatchScore(releaseName, b.name) - releaseMatchScore(releaseName, a.name));
+            }
+
+            console.log(`[Handler] Queueing '${sourceLanguage}' -> '${language}' AI translation for ${imdbId}`);
+            enqueueAITranslation(jobKey, imdbId, season, episode, language, sourceLanguage, sourceSubs[0], addonConfig, releaseName)
+                .catch(error => console.warn(`[Handler] Could not queue AI translation for ${jobKey}:`, error.message));
+        }
+
+        return [{
+            id: `${imdbId}-${language}-ai-translating`,
+            lang: language,
+            url: `/subtitles/${imdbId}/${language}.srt?processing=true&source=ai&job=${encodeURIComponent(jobKey)}`,
+            name: `${label} - Processing...)`
+        }];
+    }
+
+    return [];
+};
+
+// Build ranked subtitle options (hash-matched, original, reference-synced, AI-enhanced) for a single language,
+// or an AI translation when the language has no subtitles at all
+const getSubtitleOptionsForLanguage = async (imdbId, infoHash, season, episode, language, addonConfig, releaseName) => {
+    const languageName = getLanguageName(language);
+
     // 1. Try hash-matched subtitles first for perfect sync
     if (infoHash) {
-        console.log(`[Handler] Searching for hash-matched subtitles for ${imdbId} with hash ${infoHash}`);
+        console.log(`[Handler] Searching for hash-matched '${language}' subtitles for ${imdbId} with hash ${infoHash}`);
         const hashSubs = await searchByHash(infoHash, language);
         if (hashSubs && hashSubs.length > 0) {
-            console.log(`[Handler] Found hash-matched subtitle for ${imdbId}`);
-            return { subtitles: [hashSubs[0]] };
+            console.log(`[Handler] Found hash-matched '${language}' subtitle for ${imdbId}`);
+            return [hashSubs[0]];
         }
     }
 
     // 2. Get original subtitles and offer both original and AI-enhanced options
     const originalSubs = await findBestOriginalSubtitle(imdbId, season, episode, language);
-    
-    if (originalSubs && originalSubs.length > 0) {
-        const subtitleOptions = [];
-        
-        // Add original subtitle first (for immediate use)
-        subtitleOptions.push({
-            id: `${imdbId}-original`,
-            lang: language,
-            url: originalSubs[0].url,
-            name: `Turkish (Original - ${originalSubs[0].name})`
-        });
-        
-        // Add AI-enhanced subtitle option (check if already processed)
-        const enhancedSubtitle = await waitForEnhancedSubtitle(imdbId, infoHash, language, 2000); // 2 second check
-        if (enhancedSubtitle) {
+    if (!originalSubs || originalSubs.length === 0) {
+        console.log(`[Handler] No '${language}' subtitles found for ${imdbId}`);
+        return getTranslationOptions(imdbId, season, episode, language, addonConfig, releaseName);
+    }
+
+    // Subtitles cut for the same release as the video go first (stable sort keeps the provider order otherwise)
+    if (releaseName && originalSubs.length > 1) {
+        originalSubs.sort((a, b) => releaseMatchScore(releaseName, b.name) - releaseMatchScore(releaseName, a.name));
+    }
+
+    const subtitleOptions = [];
+
+    // Add original subtitle first (for immediate use)
+    subtitleOptions.push({
+        id: `${imdbId}-${language}-original`,
+        lang: language,
+        url: originalSubs[0].url,
+        name: `${languageName} (Original - ${originalSubs[0].name})`
+    });
+
+    // Retime the original against a hash-matched subtitle in another language, when one exists
+    if (infoHash) {
+        const reference = await findHashReference(infoHash, language, addonConfig);
+        if (reference) {
+            startReferenceSync(imdbId, infoHash, language, originalSubs[0], reference, { season, episode, releaseName });
             subtitleOptions.push({
-                id: `${imdbId}-ai-enhanced`,
+                id: `${imdbId}-${language}-synced`,
                 lang: language,
-                url: enhancedSubtitle.url,
-                name: `Turkish (AI Enhanced - ${enhancedSubtitle.name})`
+                url: `/subtitles/${imdbId}/${language}.srt?source=reference-synced&hash=${infoHash}`,
+                name: `${languageName} (Synced to reference - ${getLanguageName(reference.language)})`
             });
+        }
+    }
+
+    // Add AI-enhanced subtitle option from the job queue: served once the job completed, queued otherwise
+    const jobKey = getAIJobKey(imdbId, season, episode, language, addonConfig);
+    const aiJob = await aiJobQueue.getJob(jobKey);
+    if (aiJob && aiJob.status === 'completed') {
+        subtitleOptions.push({
+            id: `${imdbId}-${language}-ai-enhanced`,
+            lang: language,
+            url: `/subtitles/${imdbId}/${language}.srt?source=ai&job=${encodeURIComponent(jobKey)}`,
+            // Jobs that ran while the AI budget was exhausted were corrected by the rule-based fallback
+            name: aiJob.result_report && aiJob.result_report.fallback
+                ? `${languageName} (Enhanced - Basic, AI budget reached)`
+                : `${languageName} (AI Enhanced - ${aiJob.provider})`
+        });
+    } else if (!aiJob || aiJob.status === 'pending' || aiJob.status === 'processing') {
+        // Dead and cancelled jobs offer nothing until they are retried through /api/ai/jobs
+        if (!aiJob) {
+            enqueueAIEnhancement(jobKey, imdbId, season, episode, language, originalSubs[0], addonConfig, releaseName)
+                .catch(error => console.warn(`[Handler] Could not queue AI enhancement for ${jobKey}:`, error.message));
+        }
+
+        // Add placeholder for AI-enhanced (will be available on next request)
+        subtitleOptions.push({
+            id: `${imdbId}-${language}-ai-processing`,
+            lang: language,
+            url: `/subtitles/${imdbId}/${language}.srt?processing=true&source=ai&job=${encodeURIComponent(jobKey)}`,
+            name: `${languageName} (AI Enhanced - Processing...)`
+        });
+    }
+
+    return subtitleOptions;
+};
+
+// Stremio video IDs: "tt1234567" for movies, "tt1234567:1:5" or "tmdb:1399:1:5" for series episodes
+const parseVideoId = (id) => {
+    const parts = String(id || '').replace('.json', '').split(':');
+    const idLength = parts[0] === 'tmdb' ? 2 : 1;
+    const baseId = parts.slice(0, idLength).join(':');
+    const season = parseInt(parts[idLength], 10);
+    const episode = parseInt(parts[idLength + 1], 10);
+
+    if (!isNaN(season) && !isNaN(episode)) {
+        return { baseId, season, episode };
+    }
+    return { baseId, season: null, episode: null };
+};
+
+// Playback URL for a debrid stream; the link is only resolved (and the magnet added) when the user presses play.
+// The config token is kept in the path so /resolve uses the installing user's debrid keys, and the signature
+// limits /resolve to the torrents this handler listed.
+const buildResolveUrl = (args, provider, infoHash, fileIdx, season, episode) => {
+    const base = args.baseUrl || require('./config').SERVER_URL;
+    const configSegment = args.configToken ? `/${args.configToken}` : '';
+    const fileSegment = Number.isInteger(fileIdx) ? fileIdx : 'auto';
+    const query = new URLSearchParams();
+    const hasEpisode = !!(season && episode);
+    if (hasEpisode) {
+        query.set('season', season);
+        query.set('episode', episode);
+    }
+    // The Stremio video ID lets the subtitle request of this play find the file's moviehash (see rememberPlayback)
+    query.set('id', args.id);
+    query.set('sig', signResolveRequest({
+        configToken: args.configToken,
+        provider,
+        infoHash,
+        fileIdx: fileSegment,
+        season: hasEpisode ? season : null,
+        episode: hasEpisode ? episode : null,
+        videoId: args.id
+    }));
+    return `${base}${configSegment}/resolve/${provider}/${infoHash}/${fileSegment}?${query}`;
+};
+
+// Plays started through /resolve, by client, install and Stremio video ID. Stremio asks for subtitles with the
+// stream's behaviorHints from before the play, which carry no moviehash the first time a file is played; the
+// subtitle request made for that play picks the hash up here instead.
+const recentPlaybacks = new Map();
+const MAX_RECENT_PLAYBACKS = 500;
+const RECENT_PLAYBACK_TTL = 10 * 60 * 1000;
+// How long /resolve holds the redirect for the hash, and a subtitle request waits for a play still resolving
+const RESOLVE_HASH_TIMEOUT_MS = 4000;
+const PLAYBACK_WAIT_MS = 8000;
+
+const playbackKey = (clientIp, configToken, videoId) => `${clientIp || ''}|${configToken || ''}|${videoId}`;
+
+// hashPromise resolves { videoHash, videoSize, filename } or null
+const rememberPlayback = (key, hashPromise) => {
+    if (recentPlaybacks.size >= MAX_RECENT_PLAYBACKS) {
+        recentPlaybacks.delete(recentPlaybacks.keys().next().value);
+    }
+    recentPlaybacks.delete(key);
+    recentPlaybacks.set(key, { promise: hashPromise, timestamp: Date.now() });
+};
+
+const waitForPlayback = async (key) => {
+    const entry = recentPlaybacks.get(key);
+    if (!entry) return null;
+    if (Date.now() - entry.timestamp > RECENT_PLAYBACK_TTL) {
+        recentPlaybacks.delete(key);
+        return null;
+    }
+    return Promise.race([entry.promise, new Promise(resolve => setTimeout(() => resolve(null), PLAYBACK_WAIT_MS))]);
+};
+
+// Enhanced subtitle handler with robust TMDB-to-IMDb conversion
+const subtitleHandler = async (args) => {
+    console.log(`[Handler] Subtitle request received for: ${args.id}`);
+    // Stremio passes the moviehash from the stream's behaviorHints as videoHash
+    let infoHash = args.extra ? args.extra.videoHash || args.extra.video_hash || null : null;
+    // Series requests carry the episode in the ID (tt1234567:1:5)
+    const videoId = parseVideoId(args.id);
+    const season = args.type === 'series' ? args.season || videoId.season : null;
+    const episode = args.type === 'series' ? args.episode || videoId.episode : null;
+    // Stremio sends the video file name, which helps pick the right file from season-pack archives
+    let releaseName = args.extra && args.extra.filename ? args.extra.filename : null;
+    if (!infoHash) {
+        // First play of a debrid file: the hash was computed by /resolve, not listed with the stream
+        const playback = await waitForPlayback(playbackKey(args.clientIp, args.configToken, args.id));
+        if (playback) {
+            infoHash = playback.videoHash;
+            releaseName = releaseName || playback.filename || null;
+        }
+    }
+    const addonConfig = resolveAddonConfig(args.config);
+    // ?language= on the request narrows the search to that one language
+    const languages = args.language ? [args.language] : addonConfig.languages;
+    let imdbId = videoId.baseId;
+    if (imdbId.startsWith('tt')) {
+        // already IMDB
+    } else if (imdbId.startsWith('tmdb:')) {
+        const tmdbNum = imdbId.replace('tmdb:', '');
+        const converted = await tmdbToImdb(tmdbNum);
+        if (converted) {
+            imdbId = converted;
         } else {
-            // Start AI enhancement in background for next request
-            initiateAIEnhancement(imdbId, infoHash, season, episode, language, originalSubs);
-            
-            // Add placeholder for AI-enhanced (will be available on next request)
-            subtitleOptions.push({
-                id: `${imdbId}-ai-processing`,
-                lang: language,
-                url: `/subtitles/${imdbId}/tr.srt?processing=true&source=ai`,
-                name: `Turkish (AI Enhanced - Processing...)`
-            });
+            console.warn(`[Handler] Could not convert TMDB to IMDb for ${imdbId}`);
+            return { subtitles: [] };
         }
-        
-        console.log(`[Handler] Serving ${subtitleOptions.length} subtitle options for ${imdbId}`);
-        return { subtitles: subtitleOptions };
     }
-    
-    console.log(`[Handler] No subtitles found for ${imdbId}`);
-    return { subtitles: [] };
+
+    // Embedded tracks of the debrid file being played come first since they are in sync by definition
+    const providerManager = infoHash ? getStreamingManagerForKeys(addonConfig.debrid) : null;
+
+    // Search all configured languages in parallel, but keep the configured order in the response
+    const results = await Promise.all(languages.map(language =>
+        Promise.all([
+            getEmbeddedSubtitleOptions(imdbId, infoHash, language, providerManager),
+            getSubtitleOptionsForLanguage(imdbId, infoHash, season, episode, language, addonConfig, releaseName)
+        ])
+            .then(([embedded, options]) => [...embedded, ...options])
+            .catch(error => {
+                console.error(`[Handler] Subtitle lookup failed for '${language}':`, error);
+                return [];
+            })
+    ));
+
+    const subtitles = results.flat();
+    console.log(`[Handler] Serving ${subtitles.length} subtitle options for ${imdbId} (${languages.join(', ')})`);
+    return { subtitles };
 };
 
 // Enhanced stream handler with robust TMDB-to-IMDb conversion
 const streamHandler = async (args) => {
     console.log(`[Handler] Stream request received for: ${args.id}`);
+    const addonConfig = resolveAddonConfig(args.config);
+    const providerManager = getStreamingManagerForKeys(addonConfig.debrid);
     try {
-        // Extract the clean movie ID (remove .json extension if present)
-        let movieId = args.id.replace('.json', '');
+        // Split series IDs into the show ID plus season/episode (also drops a .json extension)
+        const { baseId, season, episode } = parseVideoId(args.id);
+        const type = args.type === 'series' || episode !== null ? 'series' : 'movie';
+        const episodeLabel = type === 'series' ? ` S${season}E${episode}` : '';
+        let movieId = baseId;
         // Normalize ID: convert TMDB to IMDb if needed
         if (movieId.startsWith('tt')) {
             // already IMDB
@@ -672,52 +837,97 @@ const streamHandler = async (args) => {
                 return { streams: [] };
             }
         }
-        console.log(`[Handler] Clean movie ID for stream provision: ${movieId}`);
+        console.log(`[Handler] Clean ${type} ID for stream provision: ${movieId}${episodeLabel}`);
         // Pre-cache subtitles in the background for faster response when user clicks play
         if (movieId.startsWith('tt')) {
-            console.log(`[Handler] Starting subtitle pre-caching for ${movieId}`);
-            getSubtitleUrlsForStremio(movieId, 'movie', null, null, 'tr')
-                .then(result => {
-                    if (result && result.length > 0) {
-                        console.log(`[Handler] Pre-cached ${result.length} subtitle option(s) for ${movieId}`);
-                    } else {
-                        console.log(`[Handler] No subtitles found during pre-caching for ${movieId}`);
-                    }
-                })
-                .catch(err => {
-                    console.error(`[Handler] Pre-caching failed for ${movieId}:`, err);
-                });
+            console.log(`[Handler] Starting subtitle pre-caching for ${movieId}${episodeLabel}`);
+            for (const language of addonConfig.languages) {
+                getSubtitleUrlsForStremio(movieId, type, season, episode, language)
+                    .then(result => {
+                        if (result && result.length > 0) {
+                            console.log(`[Handler] Pre-cached ${result.length} '${language}' subtitle option(s) for ${movieId}${episodeLabel}`);
+                        } else {
+                            console.log(`[Handler] No '${language}' subtitles found during pre-caching for ${movieId}${episodeLabel}`);
+                        }
+                    })
+                    .catch(err => {
+                        console.error(`[Handler] Pre-caching failed for ${movieId}${episodeLabel} (${language}):`, err);
+                    });
+            }
         }
         const streams = [];
+        // Real candidate torrents for this title from the configured indexers
+        let candidates = [];
+        if (movieId.startsWith('tt')) {
+            try {
+                const indexerSearch = await torrentIndexers.search({ imdbId: movieId, type, season, episode, maxResults: 50 });
+                candidates = indexerSearch.results;
+                console.log(`[Handler] Indexers returned ${candidates.length} candidate torrent(s) for ${movieId}${episodeLabel}`);
+            } catch (e) {
+                console.error(`[Handler] Torrent indexer search error:`, e);
+            }
+        }
         // Try enhanced MediaFusion architecture if available
-        if (movieId.startsWith('tt') && streamingManager) {
+        if (movieId.startsWith('tt') && providerManager) {
             console.log(`[Handler] Searching with enhanced MediaFusion architecture...`);
             try {
-                const cachedSearch = await streamingManager.searchCachedContent(movieId, {
-                    type: 'movie',
+                // Series searches keep the episode itself and season packs that contain it
+                const cachedSearch = await providerManager.searchCachedContent(movieId, {
+                    type,
+                    season,
+                    episode,
+                    candidates,
                     maxResults: 20
                 });
                 if (cachedSearch.success && cachedSearch.totalResults > 0) {
                     console.log(`[Handler] Found ${cachedSearch.totalResults} cached results across providers`);
+                    // One batched availability pass instead of resolving every result; nothing is added to the debrid account here
+                    const resultHashes = cachedSearch.providers.flatMap(providerResult =>
+                        providerResult.success ? providerResult.results.map(result => result.hash).filter(Boolean) : []
+                    );
+                    const availability = resultHashes.length > 0 ? await providerManager.getInstantAvailability(resultHashes) : {};
                     for (const providerResult of cachedSearch.providers) {
                         if (providerResult.success && providerResult.results.length > 0) {
                             for (const result of providerResult.results) {
-                                const enrichedStream = await streamEnricher.enrichStream(result, {
+                                // Only torrents can go through /resolve; plain downloads carry no infohash
+                                if (!result.hash) continue;
+                                const streamInput = {
+                                    ...result,
+                                    type,
+                                    season,
+                                    episode,
+                                    infoHash: result.hash,
+                                    magnetLink: `magnet:?xt=urn:btih:${result.hash}`
+                                };
+                                const enrichedStream = await streamEnricher.enrichStream(streamInput, {
                                     preferredProvider: providerResult.provider,
-                                    includeSubtitles: true
+                                    includeSubtitles: true,
+                                    availability,
+                                    providerManager
                                 });
+                                // With the hash and episode, the provider picks the episode's file from a season pack at play time
+                                const fileIdx = Number.isInteger(result.fileIdx) ? result.fileIdx : null;
+                                const resolveOptions = { fileIdx, season, episode };
+                                // A link resolved on an earlier play already knows the file's moviehash
+                                const resolved = providerManager.getResolvedLink(providerResult.provider, result.hash, resolveOptions);
                                 streams.push({
-                                    title: `🎬 ${enrichedStream.filename || result.filename} [${enrichedStream.quality?.resolution || 'Unknown'}]`,
-                                    url: enrichedStream.streaming?.streamUrl || `magnet:?xt=urn:btih:${result.hash}`,
+                                    title: `🎬 ${resolved?.filename || enrichedStream.filename || result.filename} [${enrichedStream.quality?.resolution || 'Unknown'}]`,
+                                    url: buildResolveUrl(args, providerResult.provider, result.hash, fileIdx, season, episode),
                                     quality: enrichedStream.quality?.resolution || 'Unknown',
                                     seeds: 100,
                                     peers: 50,
                                     behaviorHints: {
-                                        notWebReady: !enrichedStream.streaming?.streamUrl,
-                                        cached: enrichedStream.streaming?.cached || false,
-                                        provider: enrichedStream.streaming?.provider || 'multi-debrid'
+                                        notWebReady: false,
+                                        cached: enrichedStream.streaming?.cached || result.cached || false,
+                                        provider: providerResult.provider,
+                                        // Moviehash of the debrid file, sent back by Stremio on subtitle requests
+                                        ...(resolved?.videoHash && {
+                                            videoHash: resolved.videoHash,
+                                            videoSize: resolved.videoSize,
+                                            filename: resolved.filename || result.filename
+                                        })
                                     },
-                                    infoHash: result.hash || result.id,
+                                    infoHash: result.hash,
                                     filesize: enrichedStream.size || result.size,
                                     metadata: enrichedStream.metadata
                                 });
@@ -744,27 +954,24 @@ const streamHandler = async (args) => {
                 console.error(`[Handler] Basic stream enrichment error:`, e);
             }
         }
-        // Final fallback: Hash-based subtitle matching streams
-        if (streams.length === 0) {
-            console.log(`[Handler] No streams found, providing hash-matching streams for subtitle sync`);
-            const sampleHashes = [
-                { title: 'Hash-Match 1080p', infoHash: '3a4b5c6d7e8f9a0b1c2d3e4f5a6b7c8d9e0f1a2b', quality: '1080p' },
-                { title: 'Hash-Match 720p', infoHash: '1a2b3c4d5e6f7a8b9c0d1e2f3a4b5c6d7e8f9a0b', quality: '720p' },
-                { title: 'Hash-Match 4K', infoHash: '9a0b1c2d3e4f5a6b7c8d9e0f1a2b3c4d5e6f7a8b', quality: '4K' }
-            ];
-            for (const sample of sampleHashes) {
+        // Final fallback: plain torrent streams for the indexer candidates that no debrid provider has cached
+        if (streams.length === 0 && candidates.length > 0) {
+            console.log(`[Handler] No debrid streams found, providing ${Math.min(candidates.length, 10)} torrent stream(s) from indexers`);
+            for (const candidate of candidates.slice(0, 10)) {
+                const quality = streamEnricher.extractQuality({ title: candidate.title }).resolution;
                 streams.push({
-                    title: `${sample.title} (Subtitle Hash-Matching)`,
-                    url: `magnet:?xt=urn:btih:${sample.infoHash}&dn=sample`,
-                    quality: sample.quality,
-                    seeds: 1,
-                    peers: 1,
+                    title: `🧲 ${candidate.title} [${quality}]${candidate.seeders !== null ? ` 👤 ${candidate.seeders}` : ''}`,
+                    url: candidate.magnetLink || buildMagnetLink(candidate.infoHash, candidate.title),
+                    quality,
+                    seeds: candidate.seeders || 0,
+                    peers: candidate.peers || 0,
                     behaviorHints: {
                         notWebReady: true,
-                        hashOnly: true,
-                        subtitleMatch: true
+                        bingeGroup: `torrent-${quality}`
                     },
-                    infoHash: sample.infoHash
+                    infoHash: candidate.infoHash,
+                    ...(candidate.fileIdx !== undefined && { fileIdx: candidate.fileIdx }),
+                    filesize: candidate.size
                 });
             }
         }
@@ -859,6 +1066,30 @@ const configureRoute = (req, res) => {
 };
 app.get('/configure', configureRoute);
 
+// Encrypt a per-install configuration into the token used as manifest path prefix
+app.post('/api/addon-config', express.json(), (req, res) => {
+    if (!isEncryptionAvailable()) {
+        return res.status(503).json({
+            success: false,
+            error: 'MASTER_ENCRYPTION_KEY (32+ characters) must be set to create personal install links'
+        });
+    }
+
+    try {
+        const token = encodeAddonConfig(req.body || {});
+        const base = req.protocol + '://' + req.get('host');
+        res.json({
+            success: true,
+            config: describeAddonConfig(decodeAddonConfig(token)),
+            manifestUrl: `${base}/${token}/manifest.json`,
+            stremioUrl: `stremio://${req.get('host')}/${token}/manifest.json`
+        });
+    } catch (error) {
+        console.error('[Config] Failed to encode addon configuration:', error);
+        res.status(500).json({ success: false, error: 'Failed to create addon configuration' });
+    }
+});
+
 // Setup UI routes (includes root redirect to /ui)
 setupUIRoutes(app);
 
@@ -877,15 +1108,85 @@ function absolutizeSubtitleUrls(result, req) {
 
 // Manifest endpoint
 app.get('/manifest.json', (req, res) => {
+    let responseManifest = addonInterface.manifest;
+
+    // Installed through /:config/manifest.json - advertise the user's own languages
+    if (req.addonConfig) {
+        responseManifest = {
+            ...addonInterface.manifest,
+            subtitleLanguages: req.addonConfig.languages,
+            behaviorHints: {
+                ...addonInterface.manifest.behaviorHints,
+                configurationRequired: false
+            }
+        };
+    }
+
     res.setHeader('Content-Type', 'application/json');
     res.setHeader('Cache-Control', 'no-cache');
-    res.send(JSON.stringify(addonInterface.manifest, null, 2));
+    res.send(JSON.stringify(responseManifest, null, 2));
 });
 
+// Stremio's extra segment is a query string: videoHash=...&videoSize=...&filename=...
+function parseExtraParam(extra) {
+    const parsed = {};
+    for (const [key, value] of new URLSearchParams(extra || '')) {
+        parsed[key] = value;
+    }
+    return parsed;
+}
+
+// Subtitle resource endpoints; registered after the config middleware so /:config/subtitles/... carries the install's config
+const subtitleResourceRoute = async (req, res) => {
+    const startTime = Date.now();
+    const { type, id } = req.params;
+    const extra = parseExtraParam(req.params.extra);
+    console.log(`[Express] GET /subtitles/${type}/${id} - Extra:`, JSON.stringify(extra));
+
+    const { baseId, episode } = parseVideoId(id);
+    if (!['movie', 'series'].includes(type) || !validateAndNormalizeId(baseId)) {
+        return res.status(400).json({
+            subtitles: [],
+            error: 'Invalid ID format. Expected IMDb ID (tt1234567) or TMDB ID (tmdb:1234567)'
+        });
+    }
+    if (type === 'series' && episode === null) {
+        return res.status(400).json({ subtitles: [], error: 'Series requests need the episode in the ID (tt1234567:1:5)' });
+    }
+
+    try {
+        const args = {
+            type,
+            id,
+            extra,
+            language: validateLanguage(req.query.language),
+            config: req.addonConfig,
+            configToken: req.addonConfigToken,
+            clientIp: req.ip
+        };
+        const timeoutPromise = new Promise((_, reject) => {
+            setTimeout(() => reject(new Error('Request timeout after 30 seconds')), 30000);
+        });
+        const result = await Promise.race([subtitleHandler(args), timeoutPromise]);
+        console.log(`[Express] Subtitle request for ${id} completed in ${Date.now() - startTime}ms`);
+        res.json(absolutizeSubtitleUrls(result, req));
+    } catch (err) {
+        console.error(`[Express] Error in subtitle endpoint for ${id}:`, err);
+        res.status(err.message.includes('timeout') ? 504 : 500).json({ subtitles: [], error: err.message });
+    }
+};
+app.get('/subtitles/:type/:id/:extra.json', subtitleResourceRoute);
+app.get('/subtitles/:type/:id.json', subtitleResourceRoute);
+
 // Enhanced .srt route with TMDB-to-IMDb conversion, better error handling, and fallback to clean version
 app.get('/subtitles/:videoId/:language.srt', async (req, res) => {
-    let { videoId, language } = req.params;
+    let { videoId } = req.params;
     const { hash, test, fallback, source, progressive, processing } = req.query;
+    const outputFormat = req.query.format === 'vtt' ? 'vtt' : 'srt';
+    const language = validateLanguage(req.params.language);
+    if (!language) {
+        return res.status(400).send(`Unsupported subtitle language: ${req.params.language}`);
+    }
     // TMDB-to-IMDb conversion for .srt endpoint
     if (videoId && videoId.startsWith('tmdb:')) {
         const tmdbNum = videoId.replace('tmdb:', '');
@@ -900,7 +1201,64 @@ app.get('/subtitles/:videoId/:language.srt', async (req, res) => {
     }
     console.log(`[SRT Endpoint] Subtitle file request. Video ID: ${videoId}, Lang: ${language}, Hash: ${hash}, Test: ${test}, Fallback: ${fallback}, Source: ${source}, Progressive: ${progressive}, Processing: ${processing}`);
 
-    // ...existing code...
+    let resyncOptions = null;
+    try {
+        resyncOptions = parseResyncQuery(req.query);
+    } catch (error) {
+        return res.status(400).send(error.message);
+    }
+
+    // Send subtitle content as SRT (or VTT with ?format=vtt), applying the requested frame rate / offset / reference resync first
+    const sendSubtitle = (content) => {
+        // Cached files from before the format layer may still be ASS/VTT/MicroDVD
+        if (content) {
+            content = convertSubtitle(content, 'srt') || content;
+        }
+        if (resyncOptions && content) {
+            try {
+                const referenceContent = resyncOptions.reference
+                    ? getCachedSubtitleContent(videoId, resyncOptions.reference)
+                    : null;
+                if (resyncOptions.reference && !referenceContent) {
+                    throw new Error(`Reference subtitle '${resyncOptions.reference}' is not cached for ${videoId}`);
+                }
+
+                const { content: resynced, transform } = resyncSrt(content, { ...resyncOptions, referenceContent });
+                console.log(`[SRT Endpoint] Resynced ${videoId}: factor ${transform.factor.toFixed(6)}, offset ${transform.offsetMs}ms (${transform.method})`);
+                res.setHeader('X-Resync-Factor', transform.factor.toFixed(6));
+                res.setHeader('X-Resync-Offset', String(transform.offsetMs));
+                res.setHeader('X-Resync-Method', transform.method);
+                content = resynced;
+            } catch (error) {
+                console.warn(`[SRT Endpoint] Resync failed for ${videoId}, serving unmodified subtitle:`, error.message);
+                res.setHeader('X-Resync-Error', error.message);
+            }
+        }
+        if (outputFormat === 'vtt' && content) {
+            content = convertSubtitle(content, 'vtt', { format: 'srt' }) || content;
+            res.setHeader('Content-Type', 'text/vtt; charset=utf-8');
+            const disposition = res.getHeader('Content-Disposition');
+            if (disposition) {
+                res.setHeader('Content-Disposition', String(disposition).replace(/\.srt"$/, '.vtt"'));
+            }
+        }
+        res.send(content);
+    };
+
+    // Completed AI enhancement from the durable job queue
+    if (source === 'ai' && req.query.job) {
+        const aiJob = await aiJobQueue.getJob(req.query.job);
+        if (aiJob && aiJob.status === 'completed') {
+            const variant = aiJob.job_type === 'translation' ? 'ai_translated' : 'ai_enhanced';
+            console.log(`[SRT Endpoint] Serving ${variant.replace('_', '-')} subtitle from job ${aiJob.id}`);
+            res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${videoId}_${language}_${variant}.srt"`);
+            res.setHeader('X-AI-Enhanced', 'true');
+            res.setHeader('X-AI-Status', 'completed');
+            sendSubtitle(aiJob.result_content);
+            return;
+        }
+    }
 
     // Handle AI processing request
     if (processing === 'true' && source === 'ai') {
@@ -913,7 +1271,7 @@ app.get('/subtitles/:videoId/:language.srt', async (req, res) => {
             res.setHeader('Content-Disposition', `attachment; filename="${videoId}_${language}_ai_enhanced.srt"`);
             res.setHeader('X-AI-Enhanced', 'true');
             res.setHeader('X-AI-Status', 'completed');
-            res.send(enhancedSubtitle.content || enhancedSubtitle.url);
+            sendSubtitle(enhancedSubtitle.content || enhancedSubtitle.url);
             return;
         } else {
             console.log(`[SRT Endpoint] AI enhancement still processing, serving placeholder`);
@@ -952,13 +1310,47 @@ Video: ${videoId}
             res.setHeader('Content-Disposition', `attachment; filename="${videoId}_${language}_${isAiEnhanced ? 'ai' : 'original'}.srt"`);
             res.setHeader('X-AI-Enhanced', isAiEnhanced ? 'true' : 'false');
             res.setHeader('X-AI-Status', aiStatus || 'unknown');
-            res.send(progressiveContent);
+            sendSubtitle(progressiveContent);
             return;
         } else {
             console.log(`[SRT Endpoint] No progressive content found for ${baseSource}, falling back to traditional method`);
         }
     }
 
+    // Serve a subtitle retimed against a hash-matched reference, waiting for the alignment if it is still running
+    if (source === 'reference-synced') {
+        const syncJob = referenceSyncJobs.get(`${videoId}-${hash}-${language}`);
+        const synced = syncJob ? await syncJob : null;
+        if (synced) {
+            console.log(`[SRT Endpoint] Serving reference-synced subtitle for ${videoId} (confidence ${synced.confidence})`);
+            res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${videoId}_${language}_synced.srt"`);
+            res.setHeader('X-Reference-Sync-Confidence', String(synced.confidence));
+            sendSubtitle(synced.content);
+            return;
+        }
+        console.log(`[SRT Endpoint] No reference-synced subtitle available for ${videoId}`);
+    }
+
+    // Extract a text track muxed into the debrid file that the subtitle handler listed for this moviehash
+    if (source === 'embedded') {
+        const streamUrl = embeddedSubtitleSources.get(hash);
+        const trackNumber = parseInt(req.query.track, 10);
+        if (streamUrl && trackNumber > 0) {
+            try {
+                const extracted = await extractEmbeddedSubtitle(streamUrl, trackNumber);
+                console.log(`[SRT Endpoint] Serving embedded track ${trackNumber} for ${videoId} (${extracted.cues} cues)`);
+                res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+                res.setHeader('Content-Disposition', `attachment; filename="${videoId}_${language}_embedded_${trackNumber}.srt"`);
+                sendSubtitle(extracted.content);
+                return;
+            } catch (error) {
+                console.warn(`[SRT Endpoint] Embedded track ${trackNumber} extraction failed for ${videoId}:`, error.message);
+            }
+        }
+        console.log(`[SRT Endpoint] No embedded subtitle available for ${videoId}`);
+    }
+
     // If we have a specific source, serve the cached content
     if (source && (source === 'subdl' || source === 'podnapisi' || source === 'opensubtitles' || 
                    source === 'subdl-original' || source === 'podnapisi-original' || source === 'opensubtitles-original' || 
@@ -970,7 +1362,7 @@ Video: ${videoId}
             console.log(`[SRT Endpoint] Serving cached ${source} subtitle for ${videoId}`);
             res.setHeader('Content-Type', 'text/plain; charset=utf-8');
             res.setHeader('Content-Disposition', `attachment; filename="${videoId}_${language}_${source}.srt"`);
-            res.send(cachedContent);
+            sendSubtitle(cachedContent);
             return;
         } else {
             console.log(`[SRT Endpoint] No cached content found for ${videoId} from ${source}`);
@@ -981,7 +1373,7 @@ Video: ${videoId}
     if (test === 'true') {
         const testSubtitle = `1
 00:00:01,000 --> 00:00:05,000
-Test Turkish subtitle for debugging
+Test ${getLanguageName(language)} subtitle for debugging
 
 2
 00:00:06,000 --> 00:00:10,000
@@ -1001,7 +1393,7 @@ VideoId: ${videoId}
     if (fallback === 'true' || fallback === 'traditional') {
         const fallbackSubtitle = `1
 00:00:01,000 --> 00:00:05,000
-Turkish subtitle loading...
+${getLanguageName(language)} subtitle loading...
 
 2
 00:00:06,000 --> 00:00:10,000
@@ -1032,7 +1424,7 @@ Please wait while we find subtitles
 app.get('/subtitles/:imdbId/:hash/enhanced', async (req, res) => {
     try {
         const { imdbId, hash } = req.params;
-        const language = req.query.language || 'tr';
+        const language = validateLanguage(req.query.language) || getConfiguredLanguages()[0];
         
         console.log(`[Enhanced Check] Checking enhanced subtitle for ${imdbId} with hash ${hash}`);
         
@@ -1068,7 +1460,7 @@ app.post('/stream/:type/:id', async (req, res) => {
     const { type, id } = req.params;
     console.log(`[Express] POST /stream/${type}/${id} - Body:`, JSON.stringify(req.body, null, 2));
     try {
-        const args = { type, id, extra: req.body?.extra || {} };
+        const args = { type, id, extra: req.body?.extra || {}, config: req.addonConfig, configToken: req.addonConfigToken, baseUrl: `${req.protocol}://${req.get('host')}` };
         const result = await streamHandler(args);
         console.log(`[Express] POST stream result:`, JSON.stringify(result, null, 2));
         res.json(result);
@@ -1082,7 +1474,7 @@ app.get('/stream/:type/:id', async (req, res) => {
     const { type, id } = req.params;
     console.log(`[Express] GET /stream/${type}/${id} - Query:`, JSON.stringify(req.query, null, 2));
     try {
-        const args = { type, id, extra: req.query || {} };
+        const args = { type, id, extra: req.query || {}, config: req.addonConfig, configToken: req.addonConfigToken, baseUrl: `${req.protocol}://${req.get('host')}` };
         const result = await streamHandler(args);
         console.log(`[Express] GET stream result:`, JSON.stringify(result, null, 2));
         res.json(result);
@@ -1097,7 +1489,7 @@ app.get('/stream/:type/:id.json', async (req, res) => {
     const { type, id } = req.params;
     console.log(`[Express] GET /stream/${type}/${id}.json - Query:`, JSON.stringify(req.query, null, 2));
     try {
-        const args = { type, id, extra: req.query || {} };
+        const args = { type, id, extra: req.query || {}, config: req.addonConfig, configToken: req.addonConfigToken, baseUrl: `${req.protocol}://${req.get('host')}` };
         const result = await streamHandler(args);
         console.log(`[Express] .json stream result:`, JSON.stringify(result, null, 2));
         res.json(result);
@@ -1107,6 +1499,82 @@ app.get('/stream/:type/:id.json', async (req, res) => {
     }
 });
 
+// Lazy playback resolution: add the magnet, wait for the provider and redirect to the unrestricted link
+app.get('/resolve/:provider/:infoHash/:fileIdx', async (req, res) => {
+    const { provider, fileIdx } = req.params;
+    const infoHash = req.params.infoHash.toLowerCase();
+    if (!/^[a-f0-9]{40}$/.test(infoHash) || !/^(\d+|auto)$/.test(fileIdx)) {
+        return res.status(400).json({ error: 'Invalid infohash or file index' });
+    }
+
+    // Only links listed by the stream handler are resolved, so nobody can make the account add arbitrary magnets
+    const season = parseInt(req.query.season, 10) || null;
+    const episode = parseInt(req.query.episode, 10) || null;
+    const videoId = typeof req.query.id === 'string' ? req.query.id : '';
+    const signed = { configToken: req.addonConfigToken, provider, infoHash, fileIdx, season, episode, videoId };
+    if (!verifyResolveRequest(signed, req.query.sig)) {
+        console.warn(`[Resolve] Rejected unsigned or tampered link for ${provider} ${infoHash}/${fileIdx}`);
+        return res.status(403).json({ error: 'Invalid playback link. Please reload the streams in Stremio.' });
+    }
+
+    const addonConfig = resolveAddonConfig(req.addonConfig);
+    const providerManager = getStreamingManagerForKeys(addonConfig.debrid);
+    if (!providerManager.providers[provider]) {
+        return res.status(404).json({ error: `Debrid provider '${provider}' is not configured` });
+    }
+
+    // Registered before the provider is asked, so a subtitle request for this play can wait for the hash
+    let settlePlayback = null;
+    if (videoId) {
+        rememberPlayback(playbackKey(req.ip, req.addonConfigToken, videoId), new Promise(resolve => {
+            settlePlayback = resolve;
+        }));
+    }
+
+    const resolveOptions = { fileIdx: fileIdx === 'auto' ? null : parseInt(fileIdx, 10), season, episode };
+    const result = await providerManager.resolveStream(provider, infoHash, resolveOptions);
+    if (!result.success) {
+        console.warn(`[Resolve] ${provider} could not resolve ${infoHash}/${fileIdx}: ${result.error}`);
+        if (settlePlayback) settlePlayback(null);
+        return res.status(502).json({ error: result.error });
+    }
+
+    console.log(`[Resolve] ${provider} ${infoHash}/${fileIdx} -> ${result.filename || 'file'}${result.cached ? ' (cached link)' : ''}`);
+
+    // Hash the debrid file once: it tags later stream listings, and the subtitle request of this play uses it
+    let hashing = Promise.resolve(null);
+    if (result.videoHash) {
+        hashing = Promise.resolve({ videoHash: result.videoHash, videoSize: result.videoSize, filename: result.filename });
+    } else if (/^https?:\/\//.test(result.streamUrl)) {
+        hashing = computeMovieHashFromUrl(result.streamUrl, { fileSize: result.filesize })
+            .then(movieHash => {
+                providerManager.updateResolvedLink(provider, infoHash, resolveOptions, { videoHash: movieHash.hash, videoSize: movieHash.size });
+                // Read the container's track list now so the subtitle request that follows does not wait on it
+                if (/\.(mkv|mk3d|webm)$/i.test(result.filename || '')) {
+                    listEmbeddedSubtitles(result.streamUrl).catch(err => {
+                        console.warn(`[Resolve] Could not list embedded subtitles for ${movieHash.hash}:`, err.message);
+                    });
+                }
+                for (const language of addonConfig.languages) {
+                    searchByHash(movieHash.hash, language).catch(err => {
+                        console.error(`[Resolve] Hash pre-search failed for ${movieHash.hash} (${language}):`, err);
+                    });
+                }
+                return { videoHash: movieHash.hash, videoSize: movieHash.size, filename: result.filename };
+            })
+            .catch(err => {
+                console.warn(`[Resolve] Could not compute moviehash for ${provider} stream:`, err.message);
+                return null;
+            });
+    }
+    if (settlePlayback) hashing.then(settlePlayback);
+
+    // Two range requests; bounded so a slow CDN delays playback by a few seconds at most
+    await Promise.race([hashing, new Promise(resolve => setTimeout(resolve, RESOLVE_HASH_TIMEOUT_MS))]);
+    res.setHeader('Cache-Control', 'no-store');
+    res.redirect(302, result.streamUrl);
+});
+
 // Legacy health check endpoint (maintained for compatibility)
 app.get('/health', async (req, res) => {
     const checks = {};
@@ -99,9 +99,8 @@ class AIService {
             try {
                 console.log(`[${this.config.serviceName}] Received AI translation request`);
 
-                const translatedContent = await this.aiWorkerPool.processSubtitle(content, {
+                const { content: translatedContent } = await this.aiWorkerPool.translateSubtitle(content, {
                     ...options,
-                    task: 'translate',
                     sourceLang,
                     targetLang
                 });
@@ -154,9 +153,8 @@ class AIService {
         this.app.post('/translate', async (req, res) => {
             const { content, sourceLang, targetLang, options } = req.body;
             try {
-                const translatedContent = await this.aiWorkerPool.processSubtitle(content, {
+                const { content: translatedContent } = await this.aiWorkerPool.translateSubtitle(content, {
                     ...options,
-                    task: 'translate',
                     sourceLang,
                     targetLang
                 });
@@ -1,13 +1,20 @@
 // services/ai-service/aiService.test.js
 // Unit tests for the AI Service
 
+// Tests run without babel-jest, so jest.mock is not hoisted: the mocks must be registered before the requires
+jest.mock('../../lib/events/eventBus');
+jest.mock('../../lib/workers/aiWorkerPool', () => jest.fn().mockImplementation(() => ({
+    processSubtitle: jest.fn(),
+    translateSubtitle: jest.fn(),
+    getStats: jest.fn(() => ({})),
+    healthCheck: jest.fn(),
+    shutdown: jest.fn()
+})));
+
 const AIService = require('./aiService');
 const EventBus = require('../../lib/events/eventBus');
 const AIWorkerPool = require('../../lib/workers/aiWorkerPool');
 
-jest.mock('../../lib/events/eventBus');
-jest.mock('../../lib/workers/aiWorkerPool');
-
 describe('AI Service', () => {
     let service;
     let eventBus;
@@ -15,8 +22,9 @@ describe('AI Service', () => {
 
     beforeEach(() => {
         eventBus = new EventBus();
-        workerPool = new AIWorkerPool();
-        service = new AIService({ eventBus, workerPool });
+        service = new AIService({ eventBus, workerPool: new AIWorkerPool() });
+        // The service builds its own pool; the assertions target that one
+        workerPool = service.aiWorkerPool;
     });
 
     it('should initialize correctly', () => {
@@ -57,4 +65,20 @@ describe('AI Service', () => {
             error: 'AI error'
         }, { correlationId: 'test-id' });
     });
+
+    it('should handle AI translation requests', async () => {
+        workerPool.translateSubtitle.mockResolvedValue({ content: 'translated content', glossary: {} });
+
+        const data = { content: 'subtitle content', sourceLang: 'en', targetLang: 'tr', options: {} };
+        const metadata = { correlationId: 'test-id' };
+
+        const handler = service.eventBus.on.mock.calls.find(call => call[0] === 'ai:translate:request')[1];
+        await handler(data, metadata);
+
+        expect(workerPool.translateSubtitle).toHaveBeenCalledWith('subtitle content', { sourceLang: 'en', targetLang: 'tr' });
+        expect(service.eventBus.publish).toHaveBeenCalledWith('ai:translate:response', {
+            success: true,
+            translatedContent: 'translated content'
+        }, { correlationId: 'test-id' });
+    });
 });
\ No newline at end of file
@@ -4,6 +4,7 @@
 const express = require('express');
 const EventBus = require('../../lib/events/eventBus');
 const config = require('../../config');
+const { analyzeSubtitleQuality, scoreCorrection } = require('../../lib/subtitles/qualityAnalyzer');
 
 class QualityService {
     constructor(options = {}) {
@@ -49,17 +50,18 @@ class QualityService {
         if (!this.eventBus) return;
         
         this.eventBus.on('quality:analyze:request', async (data, metadata) => {
-            const { subtitle } = data;
+            const { subtitle, options } = data;
             const { correlationId } = metadata;
             
             try {
                 console.log(`[${this.config.serviceName}] Received quality analysis request`);
                 
-                const qualityScore = this.analyzeQuality(subtitle);
+                const report = this.analyzeQuality(subtitle, options);
                 
                 await this.eventBus.publish('quality:analyze:response', {
                     success: true,
-                    qualityScore
+                    qualityScore: report.score,
+                    report
                 }, { correlationId });
                 
             } catch (error) {
@@ -90,51 +92,35 @@ class QualityService {
         });
 
         this.app.post('/analyze', (req, res) => {
-            const { subtitle } = req.body;
+            const { subtitle, options } = req.body;
             if (!subtitle) {
                 return res.status(400).json({ error: 'Subtitle content is required' });
             }
-            const qualityScore = this.analyzeQuality(subtitle);
-            res.json({ qualityScore });
+            const report = this.analyzeQuality(subtitle, options);
+            res.json({ qualityScore: report.score, report });
+        });
+
+        this.app.post('/score', (req, res) => {
+            const { original, corrected, options } = req.body;
+            if (!original || !corrected) {
+                return res.status(400).json({ error: 'Original and corrected subtitle content are required' });
+            }
+            res.json(this.scoreCorrection(original, corrected, options));
         });
     }
     
-    analyzeQuality(subtitle) {
-        let score = 0;
-        
-        // Timing accuracy
-        score += this.analyzeTimingPatterns(subtitle);
-        
-        // Readability
-        score += this.calculateReadability(subtitle);
-        
-        // Completeness
-        score += this.checkCompleteness(subtitle);
-        
-        // Synchronization
-        score += this.analyzeSyncQuality(subtitle);
-        
-        return Math.min(100, Math.max(0, score));
-    }
-    
-    analyzeTimingPatterns(subtitle) {
-        // Placeholder for timing analysis logic
-        return 25;
-    }
-    
-    calculateReadability(subtitle) {
-        // Placeholder for readability analysis logic
-        return 25;
-    }
-    
-    checkCompleteness(subtitle) {
-        // Placeholder for completeness analysis logic
-        return 25;
+    // Returns { score, acceptable, cueCount, dimensions: { timing, readability, completeness, sync }, issues }
+    analyzeQuality(subtitle, options = {}) {
+        // Accept either raw SRT or a { content } subtitle object
+        const content = typeof subtitle === 'string' ? subtitle : (subtitle && subtitle.content) || '';
+        return analyzeSubtitleQuality(content, options);
     }
     
-    analyzeSyncQuality(subtitle) {
-        // Placeholder for sync quality analysis logic
-        return 25;
+    // Returns { score, originalScore, improvement, accepted, reason, revertedCues, retimedCues, dimensions } for an AI
+    // correction; used to compare prompt templates on the same subtitles
+    scoreCorrection(original, corrected, options = {}) {
+        const content = subtitle => (typeof subtitle === 'string' ? subtitle : (subtitle && subtitle.content) || '');
+        return scoreCorrection(content(original), content(corrected), options);
     }
     
     async getHealthStatus() {
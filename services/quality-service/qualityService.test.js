@@ -1,11 +1,12 @@
 // services/quality-service/qualityService.test.js
 // Unit tests for the Quality Service
 
+// Tests run without babel-jest, so jest.mock is not hoisted: the mock must be registered before the requires
+jest.mock('../../lib/events/eventBus');
+
 const QualityService = require('./qualityService');
 const EventBus = require('../../lib/events/eventBus');
 
-jest.mock('../../lib/events/eventBus');
-
 describe('Quality Service', () => {
     let service;
     let eventBus;
@@ -22,10 +23,10 @@ describe('Quality Service', () => {
 
     it('should handle quality analysis requests', async () => {
         const mockSubtitle = { content: 'subtitle content' };
-        const mockQualityScore = 100;
+        const mockReport = { score: 100, acceptable: true, issues: [] };
         
         // Mock the analyzeQuality method
-        service.analyzeQuality = jest.fn().mockReturnValue(mockQualityScore);
+        service.analyzeQuality = jest.fn().mockReturnValue(mockReport);
 
         const data = { subtitle: mockSubtitle };
         const metadata = { correlationId: 'test-id' };
@@ -33,10 +34,71 @@ describe('Quality Service', () => {
         const handler = service.eventBus.on.mock.calls.find(call => call[0] === 'quality:analyze:request')[1];
         await handler(data, metadata);
 
-        expect(service.analyzeQuality).toHaveBeenCalledWith(mockSubtitle);
+        expect(service.analyzeQuality).toHaveBeenCalledWith(mockSubtitle, undefined);
         expect(service.eventBus.publish).toHaveBeenCalledWith('quality:analyze:response', {
             success: true,
-            qualityScore: mockQualityScore
+            qualityScore: 100,
+            report: mockReport
         }, { correlationId: 'test-id' });
     });
+
+    it('should give a clean subtitle a perfect score', () => {
+        const srt = '1\n00:00:01,000 --> 00:00:03,000\nMerhaba dünya\n\n2\n00:00:03,500 --> 00:00:06,000\nNasılsın?\n';
+
+        const report = service.analyzeQuality(srt);
+
+        expect(report.score).toBe(100);
+        expect(report.acceptable).toBe(true);
+        expect(report.issues).toEqual([]);
+        expect(Object.keys(report.dimensions)).toEqual(['timing', 'readability', 'completeness', 'sync']);
+    });
+
+    it('should report timing, sequence and encoding problems', () => {
+        const srt = [
+            '1', '00:00:05,000 --> 00:00:03,000', 'AÅŸk', '',
+            '3', '00:00:04,000 --> 00:00:06,000', 'Overlapping line', '',
+            '4', '00:00:05,500 --> 00:00:07,000', 'Another one', ''
+        ].join('\n');
+
+        const report = service.analyzeQuality({ content: srt });
+        const codes = report.issues.map(issue => issue.code);
+
+        expect(report.dimensions.timing.metrics.negativeDurations).toBe(1);
+        expect(report.dimensions.timing.metrics.overlaps).toBe(1);
+        expect(report.dimensions.completeness.metrics.sequenceErrors).toBe(1);
+        expect(report.dimensions.completeness.metrics.encodingCorruption).toBe(1);
+        expect(codes).toEqual(expect.arrayContaining(['negative_duration', 'overlap', 'sequence_error', 'encoding_corruption']));
+        expect(report.acceptable).toBe(false);
+    });
+
+    it('should score a correction against its original', () => {
+        const original = '1\n00:00:01,000 --> 00:00:01,200\nMerhaba dünya\n\n2\n00:00:03,500 --> 00:00:06,000\nNasılsın?\n';
+        const corrected = '1\n00:00:01,000 --> 00:00:03,000\nMerhaba dünya\n\n2\n00:00:03,500 --> 00:00:06,000\nNasılsın?\n';
+
+        const result = service.scoreCorrection(original, { content: corrected });
+
+        expect(result.accepted).toBe(true);
+        expect(result.score).toBe(100);
+        expect(result.improvement).toBeGreaterThan(0);
+        expect(result.retimedCues).toBe(1);
+    });
+
+    it('should score rewritten output as zero', () => {
+        const original = '1\n00:00:01,000 --> 00:00:03,000\nMerhaba dünya\n';
+        const corrected = '1\n00:00:01,000 --> 00:00:03,000\nHello world\n';
+
+        const result = service.scoreCorrection(original, corrected);
+
+        expect(result.accepted).toBe(false);
+        expect(result.score).toBe(0);
+        expect(result.reason).toBeDefined();
+    });
+
+    it('should reject content without cues', () => {
+        const report = service.analyzeQuality('not a subtitle');
+
+        expect(report.score).toBe(0);
+        expect(report.acceptable).toBe(false);
+        expect(report.issues.map(issue => issue.code)).toContain('no_cues');
+    });
 });
\ No newline at end of file
@@ -2,10 +2,17 @@
 const express = require('express');
 const path = require('path');
 const os = require('os');
+const crypto = require('crypto');
 const { generateRealDebridStreams } = require('./lib/realDebridSearch');
 const { getSubtitleUrlsForStremio, getAICorrectedSubtitle, getCachedSubtitleContent } = require('./lib/subtitleMatcher');
 const { streamingManager } = require('./lib/streamingProviderManager');
 const { streamEnricher } = require('./lib/streamEnricher');
+const { debridHousekeeper } = require('./lib/debridHousekeeping');
+const { aiJobQueue } = require('./lib/workers/aiJobQueue');
+const { aiProviders } = require('./lib/ai/aiProviderRegistry');
+const { aiUsageTracker } = require('./lib/ai/aiUsageTracker');
+const { promptTemplates } = require('./lib/ai/promptTemplates');
+const { enqueuePromptEvaluation } = require('./lib/ai/promptEvaluation');
 
 // Health monitoring data
 let healthData = {
@@ -88,6 +95,22 @@ function addErrorLog(source, message, level = 'error') {
     console.log(`[${level.toUpperCase()}] ${source}: ${message}`);
 }
 
+// Admin endpoints act on users' debrid accounts, so they stay closed unless ADMIN_TOKEN is set
+function requireAdminToken(req, res, next) {
+    const expected = process.env.ADMIN_TOKEN;
+    if (!expected) {
+        return res.status(403).json({ success: false, error: 'Admin endpoints are disabled. Set ADMIN_TOKEN to enable them.' });
+    }
+
+    const header = req.get('authorization') || '';
+    const provided = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : (req.get('x-admin-token') || ''));
+    const wanted = Buffer.from(expected);
+    if (provided.length !== wanted.length || !crypto.timingSafeEqual(provided, wanted)) {
+        return res.status(401).json({ success: false, error: 'Invalid admin token' });
+    }
+    next();
+}
+
 // Helper function to get active provider count
 function getActiveProviderCount() {
     const config = require('./config.js');
@@ -498,7 +521,9 @@ function setupUIRoutes(app) {
                     tmdb: !!process.env.TMDB_API_KEY,
                     subdl: !!process.env.SUBDL_API_KEY,
                     realdebrid: !!process.env.REAL_DEBRID_API_KEY,
-                    alldebrid: !!process.env.ALL_DEBRID_API_KEY
+                    alldebrid: !!process.env.ALL_DEBRID_API_KEY,
+                    premiumize: !!process.env.PREMIUMIZE_API_KEY,
+                    torbox: !!process.env.TORBOX_API_KEY
                 },
                 streaming: {
                     providers: streamingManager.getAvailableProviders(),
@@ -565,6 +590,202 @@ function setupUIRoutes(app) {
         }
     });
 
+    // Debrid housekeeping: preview what the cleanup would delete
+    app.get('/api/admin/debrid/cleanup', requireAdminToken, async (req, res) => {
+        try {
+            const preview = await debridHousekeeper.preview();
+            res.status(preview.success ? 200 : 503).json({
+                timestamp: new Date().toISOString(),
+                ...preview
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                timestamp: new Date().toISOString(),
+                error: error.message
+            });
+        }
+    });
+
+    // Debrid housekeeping: run the cleanup now
+    app.post('/api/admin/debrid/cleanup', requireAdminToken, async (req, res) => {
+        try {
+            const result = await debridHousekeeper.run();
+            res.status(result.success ? 200 : 503).json({
+                timestamp: new Date().toISOString(),
+                ...result
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                timestamp: new Date().toISOString(),
+                error: error.message
+            });
+        }
+    });
+
+    // AI providers the workers can call, in fallback order (API keys are never returned)
+    app.get('/api/ai/providers', (req, res) => {
+        res.json({
+            success: true,
+            timestamp: new Date().toISOString(),
+            ...aiProviders.getStatus()
+        });
+    });
+
+    // AI job queue: list jobs with per-status counts (?status=dead&limit=50&offset=0). Jobs show what every
+    // install is watching, so the listings need the admin token like the actions
+    app.get('/api/ai/jobs', requireAdminToken, async (req, res) => {
+        try {
+            const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+            const offset = parseInt(req.query.offset, 10) || 0;
+            const { counts, jobs } = await aiJobQueue.listJobs({ status: req.query.status || null, limit, offset });
+            res.status(aiJobQueue.isReady() ? 200 : 503).json({
+                success: aiJobQueue.isReady(),
+                timestamp: new Date().toISOString(),
+                queue: aiJobQueue.getSettings(),
+                counts,
+                jobs
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                timestamp: new Date().toISOString(),
+                error: error.message
+            });
+        }
+    });
+
+    // AI job queue: one job with its validation report (subtitle bodies left out)
+    app.get('/api/ai/jobs/:id', requireAdminToken, async (req, res) => {
+        try {
+            const job = await aiJobQueue.getJobById(parseInt(req.params.id, 10));
+            if (!job) {
+                return res.status(404).json({ success: false, error: 'Job not found' });
+            }
+            const { original_content: originalContent, result_content: resultContent, ...details } = job;
+            res.json({
+                success: true,
+                timestamp: new Date().toISOString(),
+                job: {
+                    ...details,
+                    content_length: originalContent.length,
+                    has_result: resultContent !== null
+                }
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                timestamp: new Date().toISOString(),
+                error: error.message
+            });
+        }
+    });
+
+    // AI job queue: cancel a pending or running job
+    app.post('/api/ai/jobs/:id/cancel', requireAdminToken, async (req, res) => {
+        try {
+            const cancelled = await aiJobQueue.cancel(parseInt(req.params.id, 10));
+            res.status(cancelled ? 200 : 409).json({
+                success: cancelled,
+                timestamp: new Date().toISOString(),
+                ...(!cancelled && { error: 'Job not found or already finished' })
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                timestamp: new Date().toISOString(),
+                error: error.message
+            });
+        }
+    });
+
+    // AI job queue: run a dead, cancelled or completed job again with a fresh attempt budget
+    app.post('/api/ai/jobs/:id/retry', requireAdminToken, async (req, res) => {
+        try {
+            const requeued = await aiJobQueue.retry(parseInt(req.params.id, 10));
+            res.status(requeued ? 200 : 409).json({
+                success: requeued,
+                timestamp: new Date().toISOString(),
+                ...(!requeued && { error: 'Job not found or still queued' })
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                timestamp: new Date().toISOString(),
+                error: error.message
+            });
+        }
+    });
+
+    // Prompt templates with the default marked, and every template's evaluation scores
+    app.get('/api/ai/prompts', async (req, res) => {
+        try {
+            res.json({
+                success: true,
+                timestamp: new Date().toISOString(),
+                defaults: promptTemplates.defaults,
+                templates: promptTemplates.list(),
+                evaluations: await aiJobQueue.getPromptEvaluationSummary()
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                timestamp: new Date().toISOString(),
+                error: error.message
+            });
+        }
+    });
+
+    // Prompt evaluation scores compared on the samples all the given templates ran on (?templates=correction@1,correction@2)
+    app.get('/api/ai/prompts/evaluations', async (req, res) => {
+        try {
+            const templates = String(req.query.templates || '').split(',').map(ref => ref.trim()).filter(Boolean);
+            res.json({
+                success: true,
+                timestamp: new Date().toISOString(),
+                templates,
+                evaluations: await aiJobQueue.getPromptEvaluationSummary({ templates })
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                timestamp: new Date().toISOString(),
+                error: error.message
+            });
+        }
+    });
+
+    // Queue one evaluation job per template on the same subtitle
+    // Body: { content, templates: [...], videoId, language, aiProvider, aiModel, correctionIntensity }
+    app.post('/api/ai/prompts/evaluate', requireAdminToken, express.json({ limit: '10mb' }), async (req, res) => {
+        const { content, templates, videoId, language, aiProvider, aiModel, correctionIntensity } = req.body || {};
+        if (typeof content !== 'string' || !content.trim() || !Array.isArray(templates) || templates.length === 0) {
+            return res.status(400).json({ success: false, error: 'content and a templates array are required' });
+        }
+        const unknown = templates.filter(ref => !promptTemplates.get(ref));
+        if (unknown.length > 0) {
+            return res.status(400).json({ success: false, error: `Unknown prompt template(s): ${unknown.join(', ')}` });
+        }
+
+        try {
+            const evaluation = await enqueuePromptEvaluation(aiJobQueue, content, {
+                templates, videoId, language, aiProvider, aiModel, correctionIntensity
+            });
+            res.status(202).json({
+                success: true,
+                timestamp: new Date().toISOString(),
+                ...evaluation
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                timestamp: new Date().toISOString(),
+                error: error.message
+            });
+        }
+    });
+
     // Search cached content endpoint
     app.get('/api/search/cached', async (req, res) => {
         try {
@@ -766,7 +987,7 @@ function setupUIRoutes(app) {
     });
 
     // Performance metrics endpoint
-    app.get('/api/performance/metrics', (req, res) => {
+    app.get('/api/performance/metrics', async (req, res) => {
         try {
             const memUsage = process.memoryUsage();
             const cpuUsage = process.cpuUsage();
@@ -803,7 +1024,9 @@ function setupUIRoutes(app) {
                     averageResponseTime: Math.round(avgResponseTime * 100) / 100,
                     activeConnections: performanceMetrics.connections,
                     recentResponseTimes: performanceMetrics.responseTimes.slice(-10)
-                }
+                },
+                // Tokens and cost of AI requests today and this month, against the configured budgets
+                aiUsage: await aiUsageTracker.getSummary()
             };
             
             res.json(metrics);
@@ -1006,6 +1006,22 @@ class StremioAddonUI {
         this.updateElementSafely('current-cpu', `${metrics.cpu?.user || 0}ms`);
         this.updateElementSafely('total-requests', metrics.requests?.total || 0);
         this.updateElementSafely('request-success-rate', `${metrics.requests?.successRate || 0}%`);
+        this.updateAIUsageDisplay(metrics.aiUsage);
+    }
+
+    updateAIUsageDisplay(aiUsage) {
+        if (!aiUsage || !aiUsage.available) return;
+
+        const monthTokens = (aiUsage.month?.input_tokens || 0) + (aiUsage.month?.output_tokens || 0);
+        this.updateElementSafely('ai-cost-today', `$${(aiUsage.today?.cost_usd || 0).toFixed(2)}`);
+        this.updateElementSafely('ai-cost-month', `$${(aiUsage.month?.cost_usd || 0).toFixed(2)}`);
+        this.updateElementSafely('ai-tokens-month', monthTokens.toLocaleString());
+        this.updateElementSafely('ai-budget-status', aiUsage.budgetExhausted ? 'Exhausted' : 'OK');
+
+        const budgetElement = document.getElementById('ai-budget-status');
+        if (budgetElement) {
+            budgetElement.title = aiUsage.budgetReason || '';
+        }
     }
 
     // Load and save settings
@@ -1093,9 +1109,40 @@ class StremioAddonUI {
         // This would fetch and display subtitle statistics
     }
 
-    updateTorrentsTab() {
+    async updateTorrentsTab() {
         console.log('Updating torrents tab...');
-        // This would fetch and display torrent/stream statistics
+        try {
+            const response = await fetch('/api/providers/status');
+            if (response.ok) {
+                const data = await response.json();
+                this.updateProviderCards(data.providers || {});
+            }
+        } catch (error) {
+            console.error('Failed to load debrid provider status:', error);
+        }
+    }
+
+    // Fill the debrid provider health cards from /api/providers/status
+    updateProviderCards(providers) {
+        const cardPrefixes = { realdebrid: 'rd', alldebrid: 'ad', premiumize: 'pm', torbox: 'tb' };
+        const setIfPresent = (elementId, value) => {
+            if (document.getElementById(elementId)) this.updateElementSafely(elementId, value);
+        };
+
+        Object.entries(cardPrefixes).forEach(([provider, prefix]) => {
+            const stats = providers[provider];
+            if (!stats) {
+                setIfPresent(`${prefix}-api-status`, 'Not configured');
+                return;
+            }
+
+            // Providers report expiry as ISO strings or unix seconds
+            const expiration = typeof stats.expiration === 'number' ? new Date(stats.expiration * 1000) : new Date(stats.expiration);
+            setIfPresent(`${prefix}-api-status`, stats.error ? `Error: ${stats.error}` : (stats.enabled ? 'Online' : 'Disabled'));
+            setIfPresent(`${prefix}-account-type`, stats.plan || (stats.premium ? 'Premium' : 'Free'));
+            setIfPresent(`${prefix}-expiration`, stats.expiration && !isNaN(expiration) ? expiration.toLocaleDateString() : '--');
+            setIfPresent(`${prefix}-username`, stats.user || '--');
+        });
     }
 
     updateHealthTab() {